@@ -7,10 +7,17 @@ import { useAuth } from './state/auth.jsx';
 
 import LoginPage from './pages/LoginPage.jsx';
 import RegisterPage from './pages/RegisterPage.jsx';
+import ForgotPasswordPage from './pages/ForgotPasswordPage.jsx';
+import ResetPasswordPage from './pages/ResetPasswordPage.jsx';
+import VerifyEmailPage from './pages/VerifyEmailPage.jsx';
+import OAuthCallbackPage from './pages/OAuthCallbackPage.jsx';
+import UnlockAccountPage from './pages/UnlockAccountPage.jsx';
 import ProfilePage from './pages/ProfilePage.jsx';
 import PublicChatPage from './pages/PublicChatPage.jsx';
 import FriendsPage from './pages/FriendsPage.jsx';
 import PrivateChatPage from './pages/PrivateChatPage.jsx';
+import ConversationsPage from './pages/ConversationsPage.jsx';
+import ConversationChatPage from './pages/ConversationChatPage.jsx';
 import RandomChatPage from './pages/RandomChatPage.jsx';
 import UserProfilePage from './pages/UserProfilePage.jsx';
 import SettingsPage from './pages/SettingsPage.jsx';
@@ -20,6 +27,9 @@ import GroupSettingsPage from './pages/GroupSettingsPage.jsx';
 import GroupRoomsPage from './pages/GroupRoomsPage.jsx';
 import GroupInvitePage from './pages/GroupInvitePage.jsx';
 import ExplorePage from './pages/ExplorePage.jsx';
+import SearchPage from './pages/SearchPage.jsx';
+import MentionsPage from './pages/MentionsPage.jsx';
+import MessageRequestsPage from './pages/MessageRequestsPage.jsx';
 
 export default function App() {
   const auth = useAuth();
@@ -37,6 +47,11 @@ export default function App() {
 
         <Route path="/login" element={<LoginPage />} />
         <Route path="/register" element={<RegisterPage />} />
+        <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+        <Route path="/reset-password" element={<ResetPasswordPage />} />
+        <Route path="/verify-email" element={<VerifyEmailPage />} />
+        <Route path="/oauth/callback" element={<OAuthCallbackPage />} />
+        <Route path="/unlock-account" element={<UnlockAccountPage />} />
 
         <Route
           path="/profile"
@@ -74,6 +89,24 @@ export default function App() {
           }
         />
 
+        <Route
+          path="/conversations"
+          element={
+            <ProtectedRoute>
+              <ConversationsPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/conversations/:conversationId"
+          element={
+            <ProtectedRoute>
+              <ConversationChatPage />
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/random"
           element={
@@ -119,6 +152,33 @@ export default function App() {
           }
         />
 
+        <Route
+          path="/search"
+          element={
+            <ProtectedRoute>
+              <SearchPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/mentions"
+          element={
+            <ProtectedRoute>
+              <MentionsPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/message-requests"
+          element={
+            <ProtectedRoute>
+              <MessageRequestsPage />
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/groups/:groupId"
           element={
@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../state/auth.jsx';
+
+const EXPIRY_OPTIONS = [
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: 0, label: 'Never' },
+];
+
+// Personal access tokens for scripts: create with scopes, see usage, revoke
+export default function ApiTokenList() {
+  const auth = useAuth();
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState(30);
+  const [created, setCreated] = useState(null); // { name, token }, shown once
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function load() {
+    try {
+      const [tokensRes, scopesRes] = await Promise.all([auth.api.get('/tokens'), auth.api.get('/tokens/scopes')]);
+      setTokens(tokensRes.data.tokens || []);
+      setScopes(scopesRes.data.scopes || []);
+      setError('');
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load API tokens');
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  function toggleScope(id) {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id]));
+  }
+
+  async function createToken(e) {
+    e.preventDefault();
+    if (!name.trim() || selected.length === 0) {
+      setError('Give the token a name and at least one scope.');
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    try {
+      const res = await auth.api.post('/tokens', {
+        name: name.trim(),
+        scopes: selected,
+        expiresInDays: expiresInDays || undefined,
+      });
+      setCreated({ name: res.data.apiToken.name, token: res.data.token });
+      setName('');
+      setSelected([]);
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to create token');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function revoke(token) {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+    setBusy(true);
+    try {
+      await auth.api.delete(`/tokens/${token.id}`);
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to revoke token');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div className="label">API tokens</div>
+      <div className="small" style={{ color: 'var(--muted)', marginBottom: 8 }}>
+        For scripts and integrations. Send as <code>Authorization: Bearer &lt;token&gt;</code>.
+      </div>
+      {error ? <div className="error small" style={{ marginBottom: 8 }}>{error}</div> : null}
+
+      {created ? (
+        <div className="ok" style={{ marginBottom: 8 }}>
+          <div className="small">Copy the token for "{created.name}" now; it won't be shown again.</div>
+          <div className="row" style={{ gap: 8, marginTop: 4 }}>
+            <input className="input" readOnly value={created.token} onFocus={(e) => e.target.select()} />
+            <button type="button" className="button secondary" onClick={() => navigator.clipboard?.writeText(created.token)}>
+              Copy
+            </button>
+            <button type="button" className="button secondary" onClick={() => setCreated(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginBottom: 8 }}>
+        {tokens.map((t) => (
+          <div key={t.id} className="row" style={{ justifyContent: 'space-between', alignItems: 'center' }}>
+            <div>
+              <div>
+                {t.name} <code className="small">{t.prefix}…</code>
+                {t.status !== 'active' ? <span className="small"> · {t.status}</span> : null}
+              </div>
+              <div className="small" style={{ color: 'var(--muted)' }}>
+                {t.scopes.join(', ')}
+                {' · '}
+                {t.expiresAt ? `Expires ${new Date(t.expiresAt).toLocaleDateString()}` : 'No expiry'}
+                {' · '}
+                {t.lastUsedAt ? `Last used ${new Date(t.lastUsedAt).toLocaleString()}` : 'Never used'}
+              </div>
+            </div>
+            {t.status === 'active' ? (
+              <button type="button" className="button secondary" disabled={busy} onClick={() => revoke(t)}>
+                Revoke
+              </button>
+            ) : null}
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={createToken} className="grid">
+        <input
+          className="input"
+          value={name}
+          maxLength={60}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Token name, e.g. Deploy bot"
+        />
+        <div>
+          {scopes.map((scope) => (
+            <label key={scope.id} className="small" style={{ display: 'block' }}>
+              <input type="checkbox" checked={selected.includes(scope.id)} onChange={() => toggleScope(scope.id)} />{' '}
+              <code>{scope.id}</code> – {scope.description}
+            </label>
+          ))}
+        </div>
+        <div className="row" style={{ gap: 8, alignItems: 'center' }}>
+          <span className="small">Expires</span>
+          <select className="input" value={expiresInDays} onChange={(e) => setExpiresInDays(Number(e.target.value))}>
+            {EXPIRY_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+          <button type="submit" className="button secondary" disabled={busy}>
+            Create token
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
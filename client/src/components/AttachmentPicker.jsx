@@ -0,0 +1,56 @@
+import React, { useRef } from 'react';
+
+// Attach button plus the files waiting to be sent, for a chat composer
+export default function AttachmentPicker({ attachments, disabled = false }) {
+  const inputRef = useRef(null);
+
+  return (
+    <>
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          attachments.addFiles(e.target.files);
+          e.target.value = '';
+        }}
+      />
+      <button
+        className="button"
+        type="button"
+        title="Attach files"
+        disabled={disabled || attachments.uploading}
+        onClick={() => inputRef.current?.click()}
+      >
+        {attachments.uploading ? '...' : '📎'}
+      </button>
+    </>
+  );
+}
+
+export function PendingAttachmentList({ attachments }) {
+  if (!attachments.pending.length && !attachments.error) return null;
+
+  return (
+    <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', padding: '8px 12px 0' }}>
+      {attachments.error ? <div className="error small">{attachments.error}</div> : null}
+      {attachments.pending.map((a) => (
+        <span
+          key={a.id}
+          className="small"
+          style={{ padding: '4px 8px', borderRadius: 8, border: '1px solid var(--border)', background: 'var(--panel)' }}
+        >
+          {a.filename || a.type}
+          <button
+            type="button"
+            onClick={() => attachments.remove(a.id)}
+            style={{ marginLeft: 6, background: 'none', border: 'none', color: 'inherit', cursor: 'pointer' }}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,264 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../state/auth.jsx';
+
+// Bot accounts owned by the signed-in user: create, pick events, rotate the
+// token, and add them to groups and rooms
+export default function BotList() {
+  const auth = useAuth();
+  const [bots, setBots] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [form, setForm] = useState({ displayName: '', description: '', webhookUrl: '', events: [] });
+  const [secret, setSecret] = useState(null); // { botName, token }, shown once
+  const [targets, setTargets] = useState({}); // botId -> { groupId, roomId }
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function load() {
+    try {
+      const [botsRes, eventsRes, groupsRes] = await Promise.all([
+        auth.api.get('/bots'),
+        auth.api.get('/bots/events'),
+        auth.api.get(`/groups?userId=${auth.user.id}&limit=100`),
+      ]);
+      setBots(botsRes.data.bots || []);
+      setEvents(eventsRes.data.events || []);
+      setGroups(groupsRes.data.groups || []);
+      setError('');
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load bots');
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  async function run(action, fallback) {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.error || fallback);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function toggleEvent(list, id) {
+    return list.includes(id) ? list.filter((e) => e !== id) : [...list, id];
+  }
+
+  function target(botId) {
+    return targets[botId] || { groupId: '', roomId: '' };
+  }
+
+  function setTarget(botId, patch) {
+    setTargets((prev) => ({ ...prev, [botId]: { ...target(botId), ...patch } }));
+  }
+
+  function createBot(e) {
+    e.preventDefault();
+    if (!form.displayName.trim()) {
+      setError('Give the bot a name.');
+      return;
+    }
+    run(async () => {
+      const res = await auth.api.post('/bots', { ...form, displayName: form.displayName.trim() });
+      setSecret({ botName: res.data.bot.displayName, token: res.data.token });
+      setForm({ displayName: '', description: '', webhookUrl: '', events: [] });
+    }, 'Failed to create bot');
+  }
+
+  function updateEvents(bot, id) {
+    run(() => auth.api.patch(`/bots/${bot.id}`, { events: toggleEvent(bot.events, id) }), 'Failed to update bot');
+  }
+
+  function updateWebhook(bot, webhookUrl) {
+    if (webhookUrl === bot.webhookUrl) return;
+    run(() => auth.api.patch(`/bots/${bot.id}`, { webhookUrl }), 'Failed to update webhook');
+  }
+
+  function rotateToken(bot) {
+    if (!window.confirm(`Issue a new token for ${bot.displayName}? The current one stops working.`)) return;
+    run(async () => {
+      const res = await auth.api.post(`/bots/${bot.id}/token`);
+      setSecret({ botName: bot.displayName, token: res.data.token });
+    }, 'Failed to issue token');
+  }
+
+  function deleteBot(bot) {
+    if (!window.confirm(`Delete ${bot.displayName}? It will be removed from every group and room.`)) return;
+    run(() => auth.api.delete(`/bots/${bot.id}`), 'Failed to delete bot');
+  }
+
+  function addToGroup(bot) {
+    const { groupId } = target(bot.id);
+    if (!groupId) return;
+    run(() => auth.api.post(`/bots/${bot.id}/groups/${groupId}`), 'Failed to add bot to group');
+  }
+
+  function addToRoom(bot) {
+    const roomId = target(bot.id).roomId.trim();
+    if (!roomId) return;
+    run(async () => {
+      await auth.api.post(`/bots/${bot.id}/rooms/${encodeURIComponent(roomId)}`);
+      setTarget(bot.id, { roomId: '' });
+    }, 'Failed to add bot to room');
+  }
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div className="label">Bots</div>
+      <div className="small" style={{ color: 'var(--muted)', marginBottom: 8 }}>
+        Bots post through the API with their own token and get events over Socket.IO (<code>bot:event</code>) or a
+        signed webhook.
+      </div>
+      {error ? <div className="error small" style={{ marginBottom: 8 }}>{error}</div> : null}
+
+      {secret ? (
+        <div className="ok" style={{ marginBottom: 8 }}>
+          <div className="small">Copy the token for {secret.botName} now; it won't be shown again.</div>
+          <div className="row" style={{ gap: 8, marginTop: 4 }}>
+            <input className="input" readOnly value={secret.token} onFocus={(e) => e.target.select()} />
+            <button type="button" className="button secondary" onClick={() => navigator.clipboard?.writeText(secret.token)}>
+              Copy
+            </button>
+            <button type="button" className="button secondary" onClick={() => setSecret(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 12, marginBottom: 8 }}>
+        {bots.map((bot) => (
+          <div key={bot.id} className="card" style={{ padding: 10 }}>
+            <div className="row" style={{ justifyContent: 'space-between', alignItems: 'center' }}>
+              <div>
+                {bot.displayName} <span className="badge">Bot</span>
+                <div className="small" style={{ color: 'var(--muted)' }}>
+                  {bot.description || 'No description'}
+                  {' · '}
+                  {bot.tokenPrefix ? <code>{bot.tokenPrefix}…</code> : 'No token'}
+                  {' · '}
+                  {bot.lastActiveAt ? `Last active ${new Date(bot.lastActiveAt).toLocaleString()}` : 'Never used'}
+                </div>
+              </div>
+              <div className="row" style={{ gap: 8 }}>
+                <button type="button" className="button secondary" disabled={busy} onClick={() => rotateToken(bot)}>
+                  New token
+                </button>
+                <button type="button" className="button secondary" disabled={busy} onClick={() => deleteBot(bot)}>
+                  Delete
+                </button>
+              </div>
+            </div>
+
+            <div style={{ marginTop: 6 }}>
+              {events.map((ev) => (
+                <label key={ev.id} className="small" style={{ marginRight: 12 }} title={ev.description}>
+                  <input
+                    type="checkbox"
+                    checked={bot.events.includes(ev.id)}
+                    disabled={busy}
+                    onChange={() => updateEvents(bot, ev.id)}
+                  />{' '}
+                  <code>{ev.id}</code>
+                </label>
+              ))}
+            </div>
+
+            <div className="row" style={{ gap: 8, marginTop: 6, alignItems: 'center' }}>
+              <input
+                className="input"
+                defaultValue={bot.webhookUrl}
+                placeholder="Webhook URL (optional)"
+                onBlur={(e) => updateWebhook(bot, e.target.value.trim())}
+              />
+            </div>
+            {bot.webhookUrl ? (
+              <div className="small" style={{ color: 'var(--muted)', marginTop: 4 }}>
+                Signing secret: <code>{bot.webhookSecret}</code>
+              </div>
+            ) : null}
+
+            <div className="small" style={{ marginTop: 6 }}>
+              Groups: {bot.groups.length ? bot.groups.map((g) => g.name).join(', ') : 'none'}
+              {' · '}
+              Rooms: {bot.rooms.length ? bot.rooms.join(', ') : 'none'}
+            </div>
+            <div className="row" style={{ gap: 8, marginTop: 6 }}>
+              <select
+                className="input"
+                value={target(bot.id).groupId}
+                onChange={(e) => setTarget(bot.id, { groupId: e.target.value })}
+              >
+                <option value="">Add to group…</option>
+                {groups
+                  .filter((g) => !bot.groups.some((bg) => bg.id === g._id))
+                  .map((g) => (
+                    <option key={g._id} value={g._id}>{g.name}</option>
+                  ))}
+              </select>
+              <button type="button" className="button secondary" disabled={busy} onClick={() => addToGroup(bot)}>
+                Add
+              </button>
+              <input
+                className="input"
+                value={target(bot.id).roomId}
+                onChange={(e) => setTarget(bot.id, { roomId: e.target.value })}
+                placeholder="Room id"
+              />
+              <button type="button" className="button secondary" disabled={busy} onClick={() => addToRoom(bot)}>
+                Add
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={createBot} className="grid">
+        <input
+          className="input"
+          value={form.displayName}
+          maxLength={40}
+          onChange={(e) => setForm({ ...form, displayName: e.target.value })}
+          placeholder="Bot name"
+        />
+        <input
+          className="input"
+          value={form.description}
+          maxLength={300}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          placeholder="What it does (optional)"
+        />
+        <input
+          className="input"
+          value={form.webhookUrl}
+          onChange={(e) => setForm({ ...form, webhookUrl: e.target.value })}
+          placeholder="Webhook URL (optional)"
+        />
+        <div>
+          {events.map((ev) => (
+            <label key={ev.id} className="small" style={{ display: 'block' }}>
+              <input
+                type="checkbox"
+                checked={form.events.includes(ev.id)}
+                onChange={() => setForm({ ...form, events: toggleEvent(form.events, ev.id) })}
+              />{' '}
+              <code>{ev.id}</code> – {ev.description}
+            </label>
+          ))}
+        </div>
+        <div>
+          <button type="submit" className="button secondary" disabled={busy}>
+            Create bot
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
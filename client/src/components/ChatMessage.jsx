@@ -2,11 +2,16 @@ import React, { useState } from 'react';
 import Avatar from './Avatar.jsx';
 import { formatTime } from '../lib/time.js';
 import UserProfileModal from './UserProfileModal.jsx';
+import MessageAttachments from './MessageAttachments.jsx';
+import MessageText, { mentionsUser } from './MessageText.jsx';
+import { useAuth } from '../state/auth.jsx';
 
-export default function ChatMessage({ msg }) {
+export default function ChatMessage({ msg, highlighted = false, isPinned = false, onTogglePin }) {
   const userId = msg?.from?.id;
   const displayName = msg?.from?.displayName || 'Unknown';
   const [showModal, setShowModal] = useState(false);
+  const auth = useAuth();
+  const mentioned = mentionsUser(msg, auth.user);
 
   const profileUser = {
     id: userId,
@@ -20,7 +25,7 @@ export default function ChatMessage({ msg }) {
 
   return (
     <>
-      <div className="msg">
+      <div className={`msg${highlighted ? ' highlighted' : ''}${mentioned ? ' mentioned' : ''}`} id={msg?.id ? `msg-${msg.id}` : undefined}>
         <div
           style={{ cursor: 'pointer' }}
           onClick={() => setShowModal(true)}
@@ -30,9 +35,26 @@ export default function ChatMessage({ msg }) {
         <div className="bubble">
           <div className="meta">
             <div className="name">{displayName}</div>
+            {msg?.from?.isBot ? <span className="badge" title="Automated account">Bot</span> : null}
             <div className="time">{formatTime(msg?.createdAt)}</div>
+            {isPinned ? <div className="time" title="Pinned">📌</div> : null}
+            {onTogglePin ? (
+              <button
+                type="button"
+                className="time"
+                style={{ background: 'none', border: 'none', cursor: 'pointer', padding: 0 }}
+                onClick={() => onTogglePin(msg.id, !isPinned)}
+              >
+                {isPinned ? 'Unpin' : 'Pin'}
+              </button>
+            ) : null}
           </div>
-          <div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{msg?.text}</div>
+          {msg?.text ? (
+            <div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+              <MessageText text={msg.text} user={auth.user} />
+            </div>
+          ) : null}
+          <MessageAttachments attachments={msg?.attachments} />
         </div>
       </div>
       {showModal && (
@@ -0,0 +1,286 @@
+import React, { useEffect, useState } from 'react';
+import { api } from '../lib/api.js';
+
+const STATUS_COLORS = {
+  succeeded: 'var(--ok)',
+  failed: 'var(--danger)',
+  retrying: '#f5a623',
+  pending: 'var(--muted)',
+};
+
+function DeliveryLog({ deliveries }) {
+  const [openId, setOpenId] = useState(null);
+
+  if (deliveries.length === 0) {
+    return <div className="small" style={{ color: 'var(--muted)' }}>No deliveries yet.</div>;
+  }
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+      {deliveries.map((d) => {
+        const last = d.attempts[d.attempts.length - 1];
+        return (
+          <div key={d.id} className="small">
+            <button
+              type="button"
+              onClick={() => setOpenId(openId === d.id ? null : d.id)}
+              style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', padding: 0, textAlign: 'left' }}
+            >
+              <span style={{ color: STATUS_COLORS[d.status], fontWeight: 600 }}>{d.status}</span>
+              {' · '}
+              <code>{d.eventType}</code>
+              {' · '}
+              {new Date(d.createdAt).toLocaleString()}
+              {' · '}
+              {d.attempts.length} attempt{d.attempts.length === 1 ? '' : 's'}
+              {last?.error ? ` · ${last.error}` : last?.responseStatus ? ` · ${last.responseStatus}` : ''}
+              {d.nextAttemptAt ? ` · next try ${new Date(d.nextAttemptAt).toLocaleTimeString()}` : ''}
+            </button>
+            {openId === d.id ? (
+              <div style={{ margin: '4px 0 8px 12px' }}>
+                {d.attempts.map((a, i) => (
+                  <div key={i}>
+                    {new Date(a.at).toLocaleString()} · {a.responseStatus ?? 'no response'} · {a.durationMs} ms
+                    {a.error ? ` · ${a.error}` : ''}
+                  </div>
+                ))}
+                <pre style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', fontSize: 11, marginTop: 4 }}>
+                  {JSON.stringify(d.payload, null, 2)}
+                </pre>
+              </div>
+            ) : null}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Outgoing webhooks for a group: subscriptions, test events and delivery logs
+export default function GroupWebhooks({ groupId, isAdmin }) {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [deliveries, setDeliveries] = useState({}); // webhookId -> deliveries, when the log is open
+  const [form, setForm] = useState({ url: '', description: '', events: [] });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function load() {
+    try {
+      const response = await api.get(`/groups/${groupId}/webhooks`);
+      setWebhooks(response.data.webhooks || []);
+      setEvents(response.data.events || []);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load webhooks');
+    }
+  }
+
+  useEffect(() => {
+    if (isAdmin && groupId) load();
+  }, [groupId, isAdmin]);
+
+  async function loadDeliveries(webhookId) {
+    const response = await api.get(`/groups/${groupId}/webhooks/${webhookId}/deliveries`);
+    setDeliveries((prev) => ({ ...prev, [webhookId]: response.data.deliveries || [] }));
+  }
+
+  async function run(action, fallback) {
+    setBusy(true);
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+      await load();
+    } catch (err) {
+      setError(err.response?.data?.error || fallback);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function toggle(list, id) {
+    return list.includes(id) ? list.filter((e) => e !== id) : [...list, id];
+  }
+
+  function createWebhook(e) {
+    e.preventDefault();
+    if (!form.url.trim() || form.events.length === 0) {
+      setError('Enter a URL and pick at least one event.');
+      return;
+    }
+    run(async () => {
+      await api.post(`/groups/${groupId}/webhooks`, { ...form, url: form.url.trim() });
+      setForm({ url: '', description: '', events: [] });
+      setSuccess('Webhook added');
+    }, 'Failed to add webhook');
+  }
+
+  function update(hook, patch) {
+    run(() => api.patch(`/groups/${groupId}/webhooks/${hook.id}`, patch), 'Failed to update webhook');
+  }
+
+  function sendTest(hook) {
+    run(async () => {
+      const response = await api.post(`/groups/${groupId}/webhooks/${hook.id}/test`);
+      const { delivery } = response.data;
+      const last = delivery.attempts[delivery.attempts.length - 1];
+      if (delivery.status === 'succeeded') {
+        setSuccess(`Test event delivered (${last.responseStatus}, ${last.durationMs} ms)`);
+      } else {
+        setError(`Test event failed: ${last?.error || 'no response'}`);
+      }
+      if (deliveries[hook.id]) await loadDeliveries(hook.id);
+    }, 'Failed to send test event');
+  }
+
+  function rotateSecret(hook) {
+    if (!window.confirm('Generate a new signing secret? The receiver must be updated to accept it.')) return;
+    run(() => api.post(`/groups/${groupId}/webhooks/${hook.id}/secret`), 'Failed to rotate secret');
+  }
+
+  function remove(hook) {
+    if (!window.confirm(`Delete the webhook for ${hook.url}? Its delivery log is deleted too.`)) return;
+    run(() => api.delete(`/groups/${groupId}/webhooks/${hook.id}`), 'Failed to delete webhook');
+  }
+
+  function toggleLog(hook) {
+    if (deliveries[hook.id]) {
+      setDeliveries((prev) => {
+        const next = { ...prev };
+        delete next[hook.id];
+        return next;
+      });
+      return;
+    }
+    loadDeliveries(hook.id).catch((err) => setError(err.response?.data?.error || 'Failed to load deliveries'));
+  }
+
+  if (!isAdmin) {
+    return <div className="small">Only group admins can manage webhooks.</div>;
+  }
+
+  return (
+    <div>
+      <h2 style={{ fontSize: 20, fontWeight: 'bold', marginBottom: 8 }}>Webhooks</h2>
+      <p className="small" style={{ color: 'var(--muted)', marginBottom: 16 }}>
+        Group events are POSTed as JSON, signed with the webhook's secret in <code>X-Webhook-Signature</code>{' '}
+        (HMAC-SHA256 of <code>timestamp.body</code>). Failed deliveries are retried with backoff.
+      </p>
+      {error ? <div className="error" style={{ marginBottom: 12 }}>{error}</div> : null}
+      {success ? <div className="ok" style={{ marginBottom: 12 }}>{success}</div> : null}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 12, marginBottom: 24 }}>
+        {webhooks.map((hook) => (
+          <div key={hook.id} className="card" style={{ padding: 12 }}>
+            <div className="row" style={{ justifyContent: 'space-between', alignItems: 'center', gap: 8 }}>
+              <div style={{ minWidth: 0 }}>
+                <div style={{ wordBreak: 'break-all' }}>
+                  {hook.url} {!hook.isActive ? <span className="badge">Paused</span> : null}
+                </div>
+                <div className="small" style={{ color: 'var(--muted)' }}>
+                  {hook.description ? `${hook.description} · ` : ''}
+                  {hook.lastDeliveryAt
+                    ? `Last delivery ${new Date(hook.lastDeliveryAt).toLocaleString()} (${hook.lastStatus})`
+                    : 'No deliveries yet'}
+                </div>
+              </div>
+              <div className="row" style={{ gap: 6, flexWrap: 'wrap' }}>
+                <button type="button" className="button secondary" disabled={busy} onClick={() => sendTest(hook)}>
+                  Send test event
+                </button>
+                <button type="button" className="button secondary" onClick={() => toggleLog(hook)}>
+                  {deliveries[hook.id] ? 'Hide log' : 'Delivery log'}
+                </button>
+                <button
+                  type="button"
+                  className="button secondary"
+                  disabled={busy}
+                  onClick={() => update(hook, { isActive: !hook.isActive })}
+                >
+                  {hook.isActive ? 'Pause' : 'Resume'}
+                </button>
+                <button type="button" className="button secondary" disabled={busy} onClick={() => remove(hook)}>
+                  Delete
+                </button>
+              </div>
+            </div>
+
+            <div style={{ marginTop: 8 }}>
+              {events.map((ev) => (
+                <label key={ev.id} className="small" style={{ marginRight: 12 }} title={ev.description}>
+                  <input
+                    type="checkbox"
+                    checked={hook.events.includes(ev.id)}
+                    disabled={busy || (hook.events.length === 1 && hook.events.includes(ev.id))}
+                    onChange={() => update(hook, { events: toggle(hook.events, ev.id) })}
+                  />{' '}
+                  <code>{ev.id}</code>
+                </label>
+              ))}
+            </div>
+
+            <div className="small" style={{ marginTop: 8 }}>
+              Secret: <code>{hook.secret}</code>{' '}
+              <button
+                type="button"
+                onClick={() => navigator.clipboard?.writeText(hook.secret)}
+                style={{ background: 'none', border: 'none', color: 'var(--accent)', cursor: 'pointer', padding: 0 }}
+              >
+                Copy
+              </button>
+              {' · '}
+              <button
+                type="button"
+                onClick={() => rotateSecret(hook)}
+                style={{ background: 'none', border: 'none', color: 'var(--accent)', cursor: 'pointer', padding: 0 }}
+              >
+                Rotate
+              </button>
+            </div>
+
+            {deliveries[hook.id] ? (
+              <div style={{ marginTop: 8 }}>
+                <DeliveryLog deliveries={deliveries[hook.id]} />
+              </div>
+            ) : null}
+          </div>
+        ))}
+      </div>
+
+      <h3 style={{ fontSize: 16, fontWeight: 600, marginBottom: 12 }}>Add a webhook</h3>
+      <form onSubmit={createWebhook} className="grid">
+        <input
+          className="input"
+          value={form.url}
+          onChange={(e) => setForm({ ...form, url: e.target.value })}
+          placeholder="https://example.com/hooks/group"
+        />
+        <input
+          className="input"
+          value={form.description}
+          maxLength={200}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          placeholder="Description (optional)"
+        />
+        <div>
+          {events.map((ev) => (
+            <label key={ev.id} className="small" style={{ display: 'block' }}>
+              <input
+                type="checkbox"
+                checked={form.events.includes(ev.id)}
+                onChange={() => setForm({ ...form, events: toggle(form.events, ev.id) })}
+              />{' '}
+              <code>{ev.id}</code> – {ev.description}
+            </label>
+          ))}
+        </div>
+        <div>
+          <button type="submit" className="button" disabled={busy}>
+            Add webhook
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import React, { useEffect, useState } from 'react';
+import { api } from '../lib/api.js';
+
+const EMPTY_FORM = { displayName: '', avatarUrl: '', room: '', rateLimit: 30 };
+
+// Incoming webhooks for a group: URLs that scripts POST messages to
+export default function IncomingWebhooks({ groupId, isAdmin }) {
+  const [webhooks, setWebhooks] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [secret, setSecret] = useState(null); // { name, url }, shown once
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function load() {
+    try {
+      const response = await api.get(`/groups/${groupId}/incoming-webhooks`);
+      setWebhooks(response.data.webhooks || []);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load incoming webhooks');
+    }
+  }
+
+  useEffect(() => {
+    if (isAdmin && groupId) load();
+  }, [groupId, isAdmin]);
+
+  async function run(action, fallback) {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      await load();
+    } catch (err) {
+      setError(err.response?.data?.error || fallback);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function createWebhook(e) {
+    e.preventDefault();
+    if (!form.displayName.trim()) {
+      setError('Give the webhook a display name.');
+      return;
+    }
+    run(async () => {
+      const response = await api.post(`/groups/${groupId}/incoming-webhooks`, {
+        ...form,
+        displayName: form.displayName.trim(),
+        rateLimit: Number(form.rateLimit),
+      });
+      setSecret({ name: response.data.webhook.displayName, url: response.data.url });
+      setForm(EMPTY_FORM);
+    }, 'Failed to add webhook');
+  }
+
+  function update(hook, patch) {
+    run(() => api.patch(`/groups/${groupId}/incoming-webhooks/${hook.id}`, patch), 'Failed to update webhook');
+  }
+
+  function updateField(hook, field, value) {
+    if (value === hook[field]) return;
+    update(hook, { [field]: value });
+  }
+
+  function rotateUrl(hook) {
+    if (!window.confirm(`Issue a new URL for ${hook.displayName}? The current one stops working.`)) return;
+    run(async () => {
+      const response = await api.post(`/groups/${groupId}/incoming-webhooks/${hook.id}/token`);
+      setSecret({ name: hook.displayName, url: response.data.url });
+    }, 'Failed to issue a new URL');
+  }
+
+  function remove(hook) {
+    if (!window.confirm(`Delete ${hook.displayName}? Messages it posted stay in the chat.`)) return;
+    run(() => api.delete(`/groups/${groupId}/incoming-webhooks/${hook.id}`), 'Failed to delete webhook');
+  }
+
+  if (!isAdmin) return null;
+
+  return (
+    <div style={{ marginTop: 32 }}>
+      <h2 style={{ fontSize: 20, fontWeight: 'bold', marginBottom: 8 }}>Incoming webhooks</h2>
+      <p className="small" style={{ color: 'var(--muted)', marginBottom: 16 }}>
+        POST JSON like <code>{'{"text": "Build passed"}'}</code> to the webhook's URL to post in the group. Files go in{' '}
+        <code>attachments</code> as <code>{'[{"filename": "...", "content": "<base64>"}]'}</code>.
+      </p>
+      {error ? <div className="error" style={{ marginBottom: 12 }}>{error}</div> : null}
+
+      {secret ? (
+        <div className="ok" style={{ marginBottom: 12 }}>
+          <div className="small">Copy the URL for {secret.name} now; it won't be shown again.</div>
+          <div className="row" style={{ gap: 8, marginTop: 4 }}>
+            <input className="input" readOnly value={secret.url} onFocus={(e) => e.target.select()} />
+            <button type="button" className="button secondary" onClick={() => navigator.clipboard?.writeText(secret.url)}>
+              Copy
+            </button>
+            <button type="button" className="button secondary" onClick={() => setSecret(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 12, marginBottom: 24 }}>
+        {webhooks.map((hook) => (
+          <div key={hook.id} className="card" style={{ padding: 12 }}>
+            <div className="row" style={{ justifyContent: 'space-between', alignItems: 'center', gap: 8 }}>
+              <div className="row" style={{ gap: 8, alignItems: 'center', minWidth: 0 }}>
+                {hook.avatarUrl ? (
+                  <img src={hook.avatarUrl} alt="" style={{ width: 28, height: 28, borderRadius: '50%', objectFit: 'cover' }} />
+                ) : null}
+                <div>
+                  {hook.displayName} <span className="badge">Bot</span>{' '}
+                  {!hook.isActive ? <span className="badge">Paused</span> : null}
+                  <div className="small" style={{ color: 'var(--muted)' }}>
+                    <code>…/{hook.id}/{hook.prefix}…</code>
+                    {' · '}
+                    {hook.messageCount} message{hook.messageCount === 1 ? '' : 's'}
+                    {' · '}
+                    {hook.lastUsedAt ? `Last used ${new Date(hook.lastUsedAt).toLocaleString()}` : 'Never used'}
+                  </div>
+                </div>
+              </div>
+              <div className="row" style={{ gap: 6, flexWrap: 'wrap' }}>
+                <button type="button" className="button secondary" disabled={busy} onClick={() => rotateUrl(hook)}>
+                  New URL
+                </button>
+                <button
+                  type="button"
+                  className="button secondary"
+                  disabled={busy}
+                  onClick={() => update(hook, { isActive: !hook.isActive })}
+                >
+                  {hook.isActive ? 'Pause' : 'Resume'}
+                </button>
+                <button type="button" className="button secondary" disabled={busy} onClick={() => remove(hook)}>
+                  Delete
+                </button>
+              </div>
+            </div>
+
+            <div className="row" style={{ gap: 8, marginTop: 8 }}>
+              <input
+                className="input"
+                defaultValue={hook.displayName}
+                maxLength={40}
+                placeholder="Display name"
+                onBlur={(e) => e.target.value.trim() && updateField(hook, 'displayName', e.target.value.trim())}
+              />
+              <input
+                className="input"
+                defaultValue={hook.avatarUrl}
+                placeholder="Avatar URL"
+                onBlur={(e) => updateField(hook, 'avatarUrl', e.target.value.trim())}
+              />
+              <input
+                className="input"
+                defaultValue={hook.room}
+                maxLength={100}
+                placeholder="Room (optional)"
+                onBlur={(e) => updateField(hook, 'room', e.target.value.trim())}
+              />
+              <label className="small" style={{ whiteSpace: 'nowrap' }}>
+                <input
+                  className="input"
+                  type="number"
+                  min={1}
+                  max={120}
+                  defaultValue={hook.rateLimit}
+                  style={{ width: 70 }}
+                  onBlur={(e) => updateField(hook, 'rateLimit', Number(e.target.value))}
+                />{' '}
+                / min
+              </label>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <h3 style={{ fontSize: 16, fontWeight: 600, marginBottom: 12 }}>Add an incoming webhook</h3>
+      <form onSubmit={createWebhook} className="grid">
+        <input
+          className="input"
+          value={form.displayName}
+          maxLength={40}
+          onChange={(e) => setForm({ ...form, displayName: e.target.value })}
+          placeholder="Display name, e.g. CI"
+        />
+        <input
+          className="input"
+          value={form.avatarUrl}
+          onChange={(e) => setForm({ ...form, avatarUrl: e.target.value })}
+          placeholder="Avatar URL (optional)"
+        />
+        <input
+          className="input"
+          value={form.room}
+          maxLength={100}
+          onChange={(e) => setForm({ ...form, room: e.target.value })}
+          placeholder="Room (optional, the main chat if empty)"
+        />
+        <label className="small">
+          Messages per minute{' '}
+          <input
+            className="input"
+            type="number"
+            min={1}
+            max={120}
+            value={form.rateLimit}
+            style={{ width: 80 }}
+            onChange={(e) => setForm({ ...form, rateLimit: e.target.value })}
+          />
+        </label>
+        <div>
+          <button type="submit" className="button" disabled={busy}>
+            Add incoming webhook
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../state/auth.jsx';
+
+// Social login providers: which are linked to this account, link or unlink
+export default function LinkedAccounts() {
+  const auth = useAuth();
+  const [accounts, setAccounts] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [passwordSet, setPasswordSet] = useState(true);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function load() {
+    try {
+      const res = await auth.api.get('/oidc/accounts');
+      setAccounts(res.data.accounts || []);
+      setProviders(res.data.providers || []);
+      setPasswordSet(res.data.passwordSet !== false);
+      setError('');
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load linked accounts');
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  async function link(provider) {
+    setBusy(true);
+    setError('');
+    try {
+      await auth.startOAuth(provider.id, 'link');
+    } catch (err) {
+      setError(err?.response?.data?.error || `Could not reach ${provider.name}`);
+      setBusy(false);
+    }
+  }
+
+  async function unlink(account) {
+    if (!window.confirm(`Unlink ${account.name}? You won't be able to sign in with it anymore.`)) return;
+    setBusy(true);
+    try {
+      await auth.api.delete(`/oidc/accounts/${encodeURIComponent(account.provider)}`);
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to unlink account');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (providers.length === 0 && accounts.length === 0) return null;
+
+  const linked = new Set(accounts.map((a) => a.provider));
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div className="label">Linked accounts</div>
+      {error ? <div className="error small" style={{ marginBottom: 8 }}>{error}</div> : null}
+      {!passwordSet ? (
+        <div className="small" style={{ color: 'var(--muted)', marginBottom: 8 }}>
+          Your account has no password yet. Use "Forgot password?" on the login page to set one.
+        </div>
+      ) : null}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+        {accounts.map((a) => (
+          <div key={a.provider} className="row" style={{ justifyContent: 'space-between', alignItems: 'center' }}>
+            <div>
+              <div>{a.name}</div>
+              <div className="small" style={{ color: 'var(--muted)' }}>
+                {a.email ? `${a.email} · ` : ''}Linked {new Date(a.linkedAt).toLocaleDateString()}
+              </div>
+            </div>
+            <button type="button" className="button secondary" disabled={busy} onClick={() => unlink(a)}>
+              Unlink
+            </button>
+          </div>
+        ))}
+
+        {providers.filter((p) => !linked.has(p.id)).map((p) => (
+          <div key={p.id} className="row" style={{ justifyContent: 'space-between', alignItems: 'center' }}>
+            <div>{p.name}</div>
+            <button type="button" className="button secondary" disabled={busy} onClick={() => link(p)}>
+              Link
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
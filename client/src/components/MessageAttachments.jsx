@@ -0,0 +1,73 @@
+import React from 'react';
+import { resolveUrl } from '../lib/url.js';
+
+function formatSize(bytes) {
+  const n = Number(bytes) || 0;
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function FileCard({ attachment, url }) {
+  return (
+    <a
+      href={url}
+      target="_blank"
+      rel="noreferrer"
+      download={attachment.filename || true}
+      style={{
+        display: 'flex',
+        gap: 10,
+        alignItems: 'center',
+        padding: '8px 10px',
+        borderRadius: 8,
+        border: '1px solid var(--border)',
+        background: 'var(--panel)',
+        color: 'inherit',
+        textDecoration: 'none',
+      }}
+    >
+      <span style={{ fontSize: 20 }}>📄</span>
+      <span style={{ minWidth: 0 }}>
+        <div style={{ fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          {attachment.filename || 'File'}
+        </div>
+        <div className="small" style={{ color: 'var(--muted)' }}>
+          {formatSize(attachment.size)}{attachment.mimeType ? ` · ${attachment.mimeType}` : ''}
+        </div>
+      </span>
+    </a>
+  );
+}
+
+export default function MessageAttachments({ attachments }) {
+  if (!attachments?.length) return null;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 6 }}>
+      {attachments.map((a, i) => {
+        const url = resolveUrl(a.url);
+        const key = `${a.url}-${i}`;
+
+        if (a.type === 'image') {
+          return (
+            <a key={key} href={url} target="_blank" rel="noreferrer">
+              <img
+                src={url}
+                alt={a.filename || 'image'}
+                style={{ maxWidth: 280, maxHeight: 280, borderRadius: 8, display: 'block' }}
+              />
+            </a>
+          );
+        }
+        if (a.type === 'audio') {
+          return <audio key={key} src={url} controls style={{ maxWidth: 280 }} />;
+        }
+        if (a.type === 'video') {
+          return <video key={key} src={url} controls style={{ maxWidth: 320, borderRadius: 8 }} />;
+        }
+        return <FileCard key={key} attachment={a} url={url} />;
+      })}
+    </div>
+  );
+}
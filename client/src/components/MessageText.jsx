@@ -0,0 +1,43 @@
+import React from 'react';
+
+// Same syntax the server resolves: @name, @"Display Name", @<userId>, @here, @everyone
+const MENTION_PATTERN = /(^|[^\w@])(@(?:"[^"\n]{1,50}"|[\w.-]{1,50}))/g;
+
+function mentionTarget(token) {
+  const raw = token.slice(1);
+  return (raw.startsWith('"') ? raw.slice(1, -1) : raw.replace(/[.-]+$/, '')).trim().toLowerCase();
+}
+
+// True when the message mentions `user` by id or @everyone
+export function mentionsUser(msg, user) {
+  const myId = String(user?._id || user?.id || '');
+  if (!myId) return false;
+  return Boolean(msg?.mentionsEveryone) || (msg?.mentions || []).includes(myId);
+}
+
+// Message text with @mentions picked out; the ones meaning `user` stand out
+export default function MessageText({ text, user }) {
+  const value = String(text || '');
+  const myId = String(user?._id || user?.id || '').toLowerCase();
+  const myName = String(user?.displayName || '').toLowerCase();
+
+  const parts = [];
+  let pos = 0;
+  for (const match of value.matchAll(MENTION_PATTERN)) {
+    const start = match.index + match[1].length;
+    const token = match[2];
+    const target = mentionTarget(token);
+    const isMe = target === myId || target === myName || target === 'here' || target === 'everyone';
+
+    if (start > pos) parts.push(value.slice(pos, start));
+    parts.push(
+      <span key={start} className={`mention${isMe ? ' mention-me' : ''}`}>
+        {token}
+      </span>
+    );
+    pos = start + token.length;
+  }
+  parts.push(value.slice(pos));
+
+  return <>{parts}</>;
+}
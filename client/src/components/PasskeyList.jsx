@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../state/auth.jsx';
+import { createPasskey, passkeyErrorMessage, passkeysSupported } from '../lib/webauthn.js';
+
+// Passkeys on this account: add, rename and remove
+export default function PasskeyList() {
+  const auth = useAuth();
+  const [passkeys, setPasskeys] = useState([]);
+  const [name, setName] = useState('');
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function load() {
+    try {
+      const res = await auth.api.get('/webauthn/credentials');
+      setPasskeys(res.data.passkeys || []);
+      setError('');
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load passkeys');
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  async function addPasskey() {
+    setBusy(true);
+    setError('');
+    try {
+      const options = await auth.api.post('/webauthn/register/options');
+      const credential = await createPasskey(options.data.options);
+      await auth.api.post('/webauthn/register', { name: name.trim() || undefined, credential });
+      setName('');
+      await load();
+    } catch (err) {
+      setError(passkeyErrorMessage(err, 'Failed to add passkey'));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function saveName() {
+    if (!renaming?.name.trim()) return;
+    setBusy(true);
+    try {
+      await auth.api.patch(`/webauthn/credentials/${renaming.id}`, { name: renaming.name.trim() });
+      setRenaming(null);
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to rename passkey');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function remove(passkey) {
+    if (!window.confirm(`Remove the passkey "${passkey.name}"?`)) return;
+    setBusy(true);
+    try {
+      await auth.api.delete(`/webauthn/credentials/${passkey.id}`);
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to remove passkey');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div className="label">Passkeys</div>
+      <div className="small" style={{ color: 'var(--muted)', marginBottom: 8 }}>
+        Sign in with your fingerprint, face or security key instead of a password, or use one in place of an
+        authentication code.
+      </div>
+      {error ? <div className="error small" style={{ marginBottom: 8 }}>{error}</div> : null}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginBottom: 8 }}>
+        {passkeys.map((p) => (
+          <div key={p.id} className="row" style={{ justifyContent: 'space-between', alignItems: 'center' }}>
+            {renaming?.id === p.id ? (
+              <div className="row" style={{ gap: 8 }}>
+                <input
+                  className="input"
+                  value={renaming.name}
+                  maxLength={60}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                />
+                <button type="button" className="button" disabled={busy} onClick={saveName}>Save</button>
+                <button type="button" className="button secondary" onClick={() => setRenaming(null)}>Cancel</button>
+              </div>
+            ) : (
+              <>
+                <div>
+                  <div>
+                    {p.name}
+                    {p.backedUp ? <span className="small"> · synced</span> : null}
+                  </div>
+                  <div className="small" style={{ color: 'var(--muted)' }}>
+                    Added {new Date(p.createdAt).toLocaleDateString()}
+                    {' · '}
+                    {p.lastUsedAt ? `Last used ${new Date(p.lastUsedAt).toLocaleString()}` : 'Never used'}
+                  </div>
+                </div>
+                <div className="row" style={{ gap: 8 }}>
+                  <button type="button" className="button secondary" disabled={busy} onClick={() => setRenaming({ id: p.id, name: p.name })}>
+                    Rename
+                  </button>
+                  <button type="button" className="button secondary" disabled={busy} onClick={() => remove(p)}>
+                    Remove
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {passkeysSupported() ? (
+        <div className="row" style={{ gap: 8 }}>
+          <input
+            className="input"
+            value={name}
+            maxLength={60}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name, e.g. Work laptop"
+          />
+          <button type="button" className="button secondary" disabled={busy} onClick={addPasskey}>
+            Add a passkey
+          </button>
+        </div>
+      ) : (
+        <div className="small">This browser doesn't support passkeys.</div>
+      )}
+    </div>
+  );
+}
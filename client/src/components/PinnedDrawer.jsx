@@ -0,0 +1,45 @@
+import React from 'react';
+import { useAuth } from '../state/auth.jsx';
+import MessageText from './MessageText.jsx';
+import { formatTime } from '../lib/time.js';
+
+// Pinned messages for the open chat; `onJump(pin)` scrolls the history to one
+export default function PinnedDrawer({ pinned, onJump, onClose }) {
+  const auth = useAuth();
+
+  return (
+    <div className="card" style={{ margin: '0 16px 12px 16px', maxHeight: 260, overflow: 'auto' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <strong>📌 Pinned messages</strong>
+        <button className="button" type="button" onClick={onClose}>Close</button>
+      </div>
+
+      {pinned.error ? <div className="error small" style={{ marginBottom: 8 }}>{pinned.error}</div> : null}
+
+      {pinned.pins.length === 0 ? (
+        <div className="small" style={{ color: 'var(--muted)' }}>Nothing pinned yet.</div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+          {pinned.pins.map((p) => (
+            <div key={p.id} className="bubble" style={{ maxWidth: '100%' }}>
+              <div className="meta">
+                <div className="name">{p.from?.displayName || 'Unknown'}</div>
+                <div className="time">{formatTime(p.createdAt)}</div>
+                {p.room ? <div className="time">#{p.room}</div> : null}
+              </div>
+              <div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                {p.text ? <MessageText text={p.text} user={auth.user} /> : <em>Attachment</em>}
+              </div>
+              <div style={{ display: 'flex', gap: 8, marginTop: 6 }}>
+                <button className="button" type="button" onClick={() => onJump(p)}>Jump</button>
+                {pinned.canPin ? (
+                  <button className="button" type="button" onClick={() => pinned.togglePin(p.id, false)}>Unpin</button>
+                ) : null}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
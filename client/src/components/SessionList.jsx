@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../state/auth.jsx';
+
+function describeDevice(session) {
+  const ua = session.userAgent || '';
+  const browser = /edg\//i.test(ua) ? 'Edge'
+    : /chrome\//i.test(ua) ? 'Chrome'
+    : /firefox\//i.test(ua) ? 'Firefox'
+    : /safari\//i.test(ua) ? 'Safari'
+    : 'Unknown browser';
+  const os = /windows/i.test(ua) ? 'Windows'
+    : /android/i.test(ua) ? 'Android'
+    : /iphone|ipad/i.test(ua) ? 'iOS'
+    : /mac os/i.test(ua) ? 'macOS'
+    : /linux/i.test(ua) ? 'Linux'
+    : '';
+  return os ? `${browser} on ${os}` : browser;
+}
+
+// Devices signed in to this account, with remote sign-out
+export default function SessionList() {
+  const auth = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function load() {
+    try {
+      const res = await auth.api.get('/sessions');
+      setSessions(res.data.sessions || []);
+      setError('');
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load sessions');
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  async function revoke(session) {
+    if (session.current) {
+      auth.logout();
+      return;
+    }
+    setBusy(true);
+    try {
+      await auth.api.delete(`/sessions/${encodeURIComponent(session.id)}`);
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to sign out device');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function revokeOthers() {
+    setBusy(true);
+    try {
+      await auth.api.delete('/sessions', { params: { keepCurrent: true } });
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to sign out other devices');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div className="label">Signed-in devices</div>
+      {error ? <div className="error small" style={{ marginBottom: 8 }}>{error}</div> : null}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginBottom: 8 }}>
+        {sessions.map((s) => (
+          <div key={s.id} className="row" style={{ justifyContent: 'space-between', alignItems: 'center' }}>
+            <div>
+              <div>
+                {describeDevice(s)} <span className="small">({s.deviceType})</span>
+                {s.current ? <strong className="small"> · This device</strong> : null}
+              </div>
+              <div className="small" style={{ color: 'var(--muted)' }}>
+                {s.ip ? `${s.ip} · ` : ''}Last active {new Date(s.lastActive).toLocaleString()}
+              </div>
+            </div>
+            <button type="button" className="button secondary" disabled={busy} onClick={() => revoke(s)}>
+              Sign out
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {sessions.length > 1 ? (
+        <button type="button" className="button secondary" disabled={busy} onClick={revokeOthers}>
+          Sign out all other devices
+        </button>
+      ) : null}
+    </div>
+  );
+}
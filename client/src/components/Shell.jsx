@@ -25,9 +25,13 @@ export default function Shell({ children }) {
                 <Link to="/profile">Profile</Link>
                 <Link to="/public">Public Chat</Link>
                 <Link to="/friends">Friends</Link>
+                <Link to="/conversations">Conversations</Link>
+                <Link to="/message-requests">Requests</Link>
                 <Link to="/random">Random Chat</Link>
                 <Link to="/groups">My Groups</Link>
                 <Link to="/explore">Explore</Link>
+                <Link to="/search">Search</Link>
+                <Link to="/mentions">Mentions</Link>
                 <Link to="/settings">Settings</Link>
                 <button
                   onClick={() => {
@@ -1,5 +1,9 @@
 import axios from 'axios';
 import { API_BASE_URL } from './config.js';
+import { getAccessToken, refreshSession } from './session.js';
+
+// Requests that answer 401 for a wrong password or code, not an expired token
+const NO_REFRESH = /^\/?(auth\/(login|register|refresh)|2fa\/(verify|backup-code|passkey)|webauthn\/login)/;
 
 export function createApiClient(getToken) {
   const api = axios.create({
@@ -15,8 +19,23 @@ export function createApiClient(getToken) {
     return config;
   });
 
+  // Access tokens are short-lived: on a 401, refresh once and retry
+  api.interceptors.response.use(undefined, async (error) => {
+    const config = error?.config;
+    if (error?.response?.status !== 401 || !config || config._retried || NO_REFRESH.test(config.url || '')) {
+      throw error;
+    }
+
+    config._retried = true;
+    const token = await refreshSession();
+    if (!token) throw error;
+
+    config.headers.Authorization = `Bearer ${token}`;
+    return api(config);
+  });
+
   return api;
 }
 
 // Create default API client
-export const api = createApiClient(() => localStorage.getItem('token'));
+export const api = createApiClient(getAccessToken);
@@ -0,0 +1,7 @@
+// What to call a multi-person DM: its name, or the other people in it
+export function conversationTitle(conversation, myId) {
+  if (!conversation) return '';
+  if (conversation.name) return conversation.name;
+  const others = (conversation.participants || []).filter((p) => String(p.id) !== String(myId));
+  return others.map((p) => p.displayName).join(', ') || 'Just you';
+}
@@ -0,0 +1,23 @@
+// Link into the chat a message belongs to, scrolled to that message.
+// Takes the location fields the search and mentions APIs return.
+export function messageLink(item) {
+  const message = encodeURIComponent(item.id);
+  if (item.kind === 'private') {
+    return `/private/${item.withUserId}?message=${message}`;
+  }
+  if (item.kind === 'conversation') {
+    return `/conversations/${item.conversationId}?message=${message}`;
+  }
+  if (item.kind === 'group') {
+    const room = item.room ? `room=${encodeURIComponent(item.room)}&` : '';
+    return `/groups/${item.groupId}?${room}message=${message}`;
+  }
+  return `/public?room=${encodeURIComponent(item.roomId)}&message=${message}`;
+}
+
+export function messageContext(item) {
+  if (item.kind === 'private') return 'Direct message';
+  if (item.kind === 'conversation') return 'Conversation';
+  if (item.kind === 'group') return `${item.groupName || 'Group'}${item.room ? ` - ${item.room}` : ''}`;
+  return `#${item.roomId}`;
+}
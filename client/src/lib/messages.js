@@ -0,0 +1,7 @@
+// Appends messages that are not already in the list (live events and
+// reconnect catch-up can deliver the same message twice).
+export function mergeMessages(prev, incoming) {
+  const seen = new Set(prev.map((m) => m.id));
+  const fresh = incoming.filter((m) => m.id && !seen.has(m.id));
+  return fresh.length > 0 ? [...prev, ...fresh] : prev;
+}
@@ -0,0 +1,89 @@
+import axios from 'axios';
+import { API_BASE_URL } from './config.js';
+
+// Access and refresh tokens for this browser. The access token is short-lived;
+// refreshSession() swaps the refresh token for a new pair. Tabs share
+// localStorage, so refreshing takes a lock and skips the request if another
+// tab already rotated the token.
+
+const TOKEN_KEY = 'mg_token';
+const LEGACY_TOKEN_KEY = 'token'; // still read by a few pages
+const REFRESH_KEY = 'mg_refresh';
+
+const listeners = new Set();
+
+export function getAccessToken() {
+  return localStorage.getItem(TOKEN_KEY) || '';
+}
+
+export function getRefreshToken() {
+  return localStorage.getItem(REFRESH_KEY) || '';
+}
+
+function notify() {
+  const token = getAccessToken();
+  listeners.forEach((listener) => listener(token));
+}
+
+export function storeTokens({ token, refreshToken }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(LEGACY_TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+  notify();
+}
+
+export function clearTokens() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(LEGACY_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+  notify();
+}
+
+// Called with the new access token ('' once signed out), including changes
+// made in other tabs. Returns an unsubscribe function.
+export function onTokensChange(listener) {
+  listeners.add(listener);
+  const onStorage = (e) => {
+    if (e.key === TOKEN_KEY || e.key === null) listener(getAccessToken());
+  };
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+function withLock(fn) {
+  if (navigator.locks?.request) return navigator.locks.request('mg_refresh', fn);
+  return fn();
+}
+
+let pending = null;
+
+// Resolves to a fresh access token, or null when the session is gone (the
+// tokens are cleared then, which signs the app out)
+export function refreshSession() {
+  if (pending) return pending;
+
+  const seen = getRefreshToken();
+  pending = withLock(async () => {
+    const current = getRefreshToken();
+    if (!current) return null;
+    if (current !== seen) return getAccessToken();
+
+    try {
+      const res = await axios.post(`${API_BASE_URL ? `${API_BASE_URL}/api` : '/api'}/auth/refresh`, {
+        refreshToken: current,
+      });
+      storeTokens(res.data);
+      return res.data.token;
+    } catch (err) {
+      if (err?.response?.status === 401) clearTokens();
+      return null;
+    }
+  }).finally(() => {
+    pending = null;
+  });
+
+  return pending;
+}
@@ -1,10 +1,51 @@
 import { io } from 'socket.io-client';
 import { SOCKET_URL } from './config.js';
+import { clearTokens, getAccessToken, refreshSession } from './session.js';
 
+// `token` is only a fallback: every (re)connect sends the current access
+// token, and an expired one is refreshed once before giving up
 export function createSocket(token) {
-  return io(SOCKET_URL || undefined, {
+  const socket = io(SOCKET_URL || undefined, {
     autoConnect: true,
     transports: ['websocket'],
-    auth: { token },
+    auth: (cb) => cb({ token: getAccessToken() || token }),
   });
+
+  let refreshed = false;
+  socket.on('connect', () => {
+    refreshed = false;
+  });
+  socket.on('connect_error', async (err) => {
+    if (err?.message !== 'unauthorized' || refreshed) return;
+    refreshed = true;
+    if (await refreshSession()) socket.connect();
+  });
+
+  // This device was signed out from somewhere else
+  socket.on('session:revoked', () => clearTokens());
+
+  return socket;
+}
+
+function emitWithAck(socket, event, payload) {
+  return new Promise((resolve) => socket.emit(event, payload, resolve));
+}
+
+// Fetches every message missed since `cursor` (the last message id seen),
+// following the server's pages until it has nothing more.
+export async function syncSince(socket, { cursor, rooms = [] }) {
+  const messages = [];
+  let next = cursor;
+  for (;;) {
+    const res = await emitWithAck(socket, 'sync:since', { cursor: next, rooms });
+    if (!res?.ok) throw new Error(res?.error || 'Failed to sync messages');
+    messages.push(...res.messages);
+    next = res.cursor;
+    if (!res.hasMore) return { messages, cursor: next };
+  }
+}
+
+export function confirmDelivered(socket, messageIds) {
+  const ids = messageIds.filter(Boolean);
+  if (ids.length > 0) socket?.emit('message:delivered', { messageIds: ids });
 }
@@ -0,0 +1,54 @@
+import { useLayoutEffect, useRef, useState } from 'react';
+
+// Infinite scroll-back for a chat history list.
+// `fetchOlder(cursor)` must resolve to the server envelope
+// ({ messages, nextCursor }); older messages are prepended and the list keeps
+// its scroll position. Call `reset(nextCursor)` after loading the first page.
+export function useHistoryPager({ messages, setMessages, fetchOlder }) {
+  const containerRef = useRef(null);
+  const anchorRef = useRef(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+
+  useLayoutEffect(() => {
+    const el = containerRef.current;
+    const anchor = anchorRef.current;
+    if (!el || !anchor) return;
+    el.scrollTop = el.scrollHeight - anchor.scrollHeight + anchor.scrollTop;
+    anchorRef.current = null;
+  }, [messages]);
+
+  async function loadOlder() {
+    if (!nextCursor || loadingOlder) return;
+    setLoadingOlder(true);
+    try {
+      const data = await fetchOlder(nextCursor);
+      const el = containerRef.current;
+      if (el) anchorRef.current = { scrollHeight: el.scrollHeight, scrollTop: el.scrollTop };
+
+      const older = data.messages || [];
+      setMessages((prev) => {
+        const seen = new Set(prev.map((m) => m.id));
+        return [...older.filter((m) => !seen.has(m.id)), ...prev];
+      });
+      setNextCursor(data.nextCursor || null);
+    } finally {
+      setLoadingOlder(false);
+    }
+  }
+
+  function onScroll(e) {
+    if (e.currentTarget.scrollTop < 60) {
+      loadOlder().catch(() => {});
+    }
+  }
+
+  return {
+    containerRef,
+    onScroll,
+    loadOlder,
+    loadingOlder,
+    hasOlder: Boolean(nextCursor),
+    reset: (cursor) => setNextCursor(cursor || null),
+  };
+}
@@ -0,0 +1,36 @@
+import { useEffect, useRef, useState } from 'react';
+
+const MAX_PAGES = 20;
+
+// Scrolls a chat history to `messageId` (e.g. from a search result link),
+// paging back through `pager` until the message is loaded. Gives up after
+// MAX_PAGES pages. Returns the id to highlight once found.
+export function useJumpToMessage({ messageId, messages, pager }) {
+  const [highlightId, setHighlightId] = useState('');
+  const foundRef = useRef('');
+  const pagesRef = useRef(0);
+
+  useEffect(() => {
+    pagesRef.current = 0;
+  }, [messageId]);
+
+  useEffect(() => {
+    if (!messageId || foundRef.current === messageId || messages.length === 0) return;
+
+    if (messages.some((m) => m.id === messageId)) {
+      foundRef.current = messageId;
+      setHighlightId(messageId);
+      setTimeout(() => {
+        document.getElementById(`msg-${messageId}`)?.scrollIntoView({ block: 'center' });
+      }, 50);
+      return;
+    }
+
+    if (pager.hasOlder && !pager.loadingOlder && pagesRef.current < MAX_PAGES) {
+      pagesRef.current += 1;
+      pager.loadOlder().catch(() => {});
+    }
+  }, [messageId, messages, pager.hasOlder, pager.loadingOlder]);
+
+  return highlightId;
+}
@@ -0,0 +1,40 @@
+import { useState } from 'react';
+
+// Files picked in a composer, uploaded straight away so the send itself only
+// carries their ids. `context` says which chat they are for, e.g.
+// { context: 'group', groupId } - uploads are only valid in that chat.
+export function usePendingAttachments({ api, context }) {
+  const [pending, setPending] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  async function addFiles(files) {
+    setError('');
+    setUploading(true);
+    try {
+      for (const file of Array.from(files || [])) {
+        const form = new FormData();
+        form.append('file', file);
+        for (const [key, value] of Object.entries(context)) {
+          form.append(key, value);
+        }
+        const res = await api.post('/attachments', form);
+        setPending((prev) => [...prev, res.data.attachment]);
+      }
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to upload file');
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  return {
+    pending,
+    uploading,
+    error,
+    addFiles,
+    ids: pending.map((a) => a.id),
+    remove: (id) => setPending((prev) => prev.filter((a) => a.id !== id)),
+    clear: () => setPending([]),
+  };
+}
@@ -0,0 +1,55 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// Pinned messages for one chat. `path` is the pins endpoint for it, e.g.
+// `/pins/group/<groupId>`; the list reloads when it changes. Feed the
+// message:pinned / message:unpinned socket events to `applyPin`.
+export function usePinnedMessages({ api, path }) {
+  const [pins, setPins] = useState([]);
+  const [canPin, setCanPin] = useState(false);
+  const [error, setError] = useState('');
+
+  async function reload() {
+    if (!path) return;
+    try {
+      const res = await api.get(path);
+      setPins(res.data.pins || []);
+      setCanPin(Boolean(res.data.canPin));
+      setError('');
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load pinned messages');
+    }
+  }
+
+  useEffect(() => {
+    setPins([]);
+    reload();
+  }, [path]);
+
+  const applyPin = useCallback((pinned, message) => {
+    if (!message?.id) return;
+    setPins((prev) => {
+      const rest = prev.filter((p) => p.id !== message.id);
+      return pinned ? [message, ...rest] : rest;
+    });
+  }, []);
+
+  async function togglePin(messageId, pinned) {
+    setError('');
+    try {
+      const res = pinned ? await api.post(`/pins/${messageId}`) : await api.delete(`/pins/${messageId}`);
+      applyPin(pinned, res.data.message);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to update pin');
+    }
+  }
+
+  return {
+    pins,
+    canPin,
+    error,
+    pinnedIds: new Set(pins.map((p) => p.id)),
+    applyPin,
+    togglePin,
+    reload,
+  };
+}
@@ -0,0 +1,77 @@
+// Browser side of passkeys. The server sends options with binary fields as
+// base64url strings; these helpers turn them into ArrayBuffers for the
+// WebAuthn API and turn the resulting credential back into JSON.
+
+export function passkeysSupported() {
+  return typeof window !== 'undefined' && Boolean(window.PublicKeyCredential && navigator.credentials);
+}
+
+function toBuffer(base64url) {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
+
+function toBase64url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function credentialDescriptors(list = []) {
+  return list.map((c) => ({ ...c, id: toBuffer(c.id) }));
+}
+
+// Runs navigator.credentials.create() with options from /webauthn/register/options
+export async function createPasskey(options) {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: toBuffer(options.challenge),
+      user: { ...options.user, id: toBuffer(options.user.id) },
+      excludeCredentials: credentialDescriptors(options.excludeCredentials),
+    },
+  });
+
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64url(credential.response.clientDataJSON),
+      attestationObject: toBase64url(credential.response.attestationObject),
+      transports: credential.response.getTransports?.() || [],
+    },
+  };
+}
+
+// Runs navigator.credentials.get() with options from a login or 2FA step
+export async function getPasskey(options) {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: toBuffer(options.challenge),
+      allowCredentials: credentialDescriptors(options.allowCredentials),
+    },
+  });
+
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64url(credential.response.clientDataJSON),
+      authenticatorData: toBase64url(credential.response.authenticatorData),
+      signature: toBase64url(credential.response.signature),
+      userHandle: credential.response.userHandle ? toBase64url(credential.response.userHandle) : null,
+    },
+  };
+}
+
+// The browser rejects with NotAllowedError when the user closes the prompt
+export function passkeyErrorMessage(err, fallback) {
+  if (err?.name === 'NotAllowedError') return 'Passkey request was cancelled or timed out.';
+  if (err?.name === 'InvalidStateError') return 'This passkey is already registered.';
+  return err?.response?.data?.error || fallback;
+}
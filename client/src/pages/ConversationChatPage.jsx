@@ -0,0 +1,384 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../state/auth.jsx';
+import { createSocket, syncSince, confirmDelivered } from '../lib/socket.js';
+import { mergeMessages } from '../lib/messages.js';
+import { useHistoryPager } from '../lib/useHistoryPager.js';
+import { useJumpToMessage } from '../lib/useJumpToMessage.js';
+import { usePendingAttachments } from '../lib/usePendingAttachments.js';
+import { usePinnedMessages } from '../lib/usePinnedMessages.js';
+import { conversationTitle } from '../lib/conversations.js';
+import ChatMessage from '../components/ChatMessage.jsx';
+import AttachmentPicker, { PendingAttachmentList } from '../components/AttachmentPicker.jsx';
+import PinnedDrawer from '../components/PinnedDrawer.jsx';
+
+// Adds a read receipt to every message up to `messageId` that `userId`
+// didn't send (ids sort by time)
+function applyRead(messages, { messageId, userId, readAt }) {
+  return messages.map((m) => {
+    if (m.id > messageId || String(m.from?.id) === String(userId)) return m;
+    if ((m.readBy || []).some((r) => r.userId === userId)) return m;
+    return { ...m, readBy: [...(m.readBy || []), { userId, readAt }] };
+  });
+}
+
+export default function ConversationChatPage() {
+  const { conversationId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const auth = useAuth();
+  const nav = useNavigate();
+  const myId = String(auth.user?._id || auth.user?.id);
+
+  const [conversation, setConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [text, setText] = useState('');
+  const [error, setError] = useState('');
+  const [typingUsers, setTypingUsers] = useState({});
+  const [showPins, setShowPins] = useState(false);
+
+  const [friends, setFriends] = useState([]);
+  const [showAdd, setShowAdd] = useState(false);
+  const [picked, setPicked] = useState([]);
+  const [renaming, setRenaming] = useState(false);
+  const [newName, setNewName] = useState('');
+
+  const socketRef = useRef(null);
+  const messagesRef = useRef([]);
+  const endRef = useRef(null);
+  const typingTimeoutRef = useRef(null);
+
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  const pager = useHistoryPager({
+    messages,
+    setMessages,
+    fetchOlder: async (before) => {
+      const res = await auth.api.get(`/conversations/${conversationId}/messages`, { params: { before } });
+      return res.data;
+    },
+  });
+
+  const highlightId = useJumpToMessage({ messageId: searchParams.get('message'), messages, pager });
+
+  const attachments = usePendingAttachments({ api: auth.api, context: { context: 'conversation', conversationId } });
+
+  useEffect(() => {
+    attachments.clear();
+  }, [conversationId]);
+
+  const pinned = usePinnedMessages({ api: auth.api, path: `/pins/conversation/${encodeURIComponent(conversationId)}` });
+
+  function jumpToMessage(item) {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.set('message', item.id);
+      return next;
+    });
+  }
+
+  function scrollToBottom() {
+    endRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  function markRead(s, list) {
+    const last = [...list].reverse().find((m) => String(m.from?.id) !== myId);
+    if (last) s?.emit('conversation:read', { conversationId, messageId: last.id });
+  }
+
+  async function load() {
+    setError('');
+    try {
+      const [c, h] = await Promise.all([
+        auth.api.get(`/conversations/${conversationId}`),
+        auth.api.get(`/conversations/${conversationId}/messages`),
+      ]);
+      const history = h.data.messages || [];
+      setConversation(c.data.conversation);
+      setMessages(history);
+      pager.reset(h.data.nextCursor);
+      confirmDelivered(socketRef.current, history.filter((m) => String(m.from?.id) !== myId).map((m) => m.id));
+      setTimeout(scrollToBottom, 0);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load conversation');
+    }
+  }
+
+  useEffect(() => {
+    setMessages([]);
+    setTypingUsers({});
+    load();
+    auth.api
+      .get('/friends/list')
+      .then((res) => setFriends(res.data.friends || []))
+      .catch(() => setFriends([]));
+  }, [conversationId]);
+
+  // Messages come to our user channel; typing and reads need the
+  // conversation channel, which is re-joined on every (re)connect
+  useEffect(() => {
+    const s = createSocket(auth.token);
+    socketRef.current = s;
+
+    const isHere = (msg) => String(msg.conversationId) === String(conversationId);
+
+    s.on('connect', async () => {
+      s.emit('conversation:join', { conversationId }, (res) => {
+        if (res?.ok) markRead(s, messagesRef.current);
+      });
+
+      const last = messagesRef.current[messagesRef.current.length - 1];
+      if (!last?.id) return;
+      try {
+        const { messages: missed } = await syncSince(s, { cursor: last.id });
+        setMessages((prev) => mergeMessages(prev, missed.filter((m) => m.kind === 'conversation' && isHere(m))));
+        setTimeout(scrollToBottom, 0);
+      } catch (err) {
+        setError(err.message);
+      }
+    });
+
+    s.on('conversation:message', (msg) => {
+      if (!isHere(msg)) return;
+      setMessages((prev) => mergeMessages(prev, [msg]));
+      setTypingUsers((prev) => {
+        const next = { ...prev };
+        delete next[msg.from?.id];
+        return next;
+      });
+      if (String(msg.from?.id) !== myId) {
+        confirmDelivered(s, [msg.id]);
+        s.emit('conversation:read', { conversationId, messageId: msg.id });
+      }
+      setTimeout(scrollToBottom, 0);
+    });
+
+    s.on('conversation:typing', (data) => {
+      if (!isHere(data)) return;
+      setTypingUsers((prev) => {
+        const next = { ...prev };
+        if (data.isTyping) next[data.userId] = data.displayName;
+        else delete next[data.userId];
+        return next;
+      });
+    });
+
+    s.on('conversation:read', (data) => {
+      if (isHere(data)) setMessages((prev) => applyRead(prev, data));
+    });
+
+    s.on('message:pinned', ({ message }) => {
+      if (message && isHere(message)) pinned.applyPin(true, message);
+    });
+
+    s.on('message:unpinned', ({ message }) => {
+      if (message && isHere(message)) pinned.applyPin(false, message);
+    });
+
+    s.on('conversation:updated', ({ conversation: updated }) => {
+      if (updated.id === conversationId) setConversation(updated);
+    });
+
+    s.on('conversation:removed', (data) => {
+      if (isHere(data)) nav('/conversations');
+    });
+
+    s.on('connect_error', () => {
+      setError('Socket connection failed.');
+    });
+
+    return () => {
+      s.emit('conversation:leave', { conversationId });
+      s.disconnect();
+      socketRef.current = null;
+    };
+  }, [conversationId]);
+
+  function stopTyping() {
+    clearTimeout(typingTimeoutRef.current);
+    typingTimeoutRef.current = null;
+    socketRef.current?.emit('conversation:typing', { conversationId, isTyping: false });
+  }
+
+  function onChangeText(e) {
+    setText(e.target.value);
+    if (!typingTimeoutRef.current) {
+      socketRef.current?.emit('conversation:typing', { conversationId, isTyping: true });
+    }
+    clearTimeout(typingTimeoutRef.current);
+    typingTimeoutRef.current = setTimeout(stopTyping, 3000);
+  }
+
+  function onSend(e) {
+    e.preventDefault();
+    const t = text.trim();
+    if (!t && attachments.ids.length === 0) return;
+    stopTyping();
+    socketRef.current?.emit('conversation:message', { conversationId, text: t, attachmentIds: attachments.ids }, (res) => {
+      if (!res?.ok) return setError(res?.error || 'Failed to send message');
+      setMessages((prev) => mergeMessages(prev, [res.message]));
+      attachments.clear();
+    });
+    setText('');
+  }
+
+  async function rename(e) {
+    e.preventDefault();
+    setError('');
+    try {
+      const res = await auth.api.patch(`/conversations/${conversationId}`, { name: newName.trim() });
+      setConversation(res.data.conversation);
+      setRenaming(false);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to rename');
+    }
+  }
+
+  async function addPeople(e) {
+    e.preventDefault();
+    setError('');
+    try {
+      const res = await auth.api.post(`/conversations/${conversationId}/participants`, { userIds: picked });
+      setConversation(res.data.conversation);
+      setPicked([]);
+      setShowAdd(false);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to add people');
+    }
+  }
+
+  async function leave() {
+    if (!window.confirm('Leave this conversation? You will lose access to its messages.')) return;
+    try {
+      await auth.api.post(`/conversations/${conversationId}/leave`);
+      nav('/conversations');
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to leave');
+    }
+  }
+
+  const participantIds = useMemo(
+    () => new Set((conversation?.participants || []).map((p) => p.id)),
+    [conversation]
+  );
+  const addable = friends.filter((f) => !participantIds.has(f.id));
+
+  // "Seen by" under the latest message, for everyone but its sender
+  const lastMessage = messages[messages.length - 1];
+  const seenBy = (lastMessage?.readBy || [])
+    .filter((r) => r.userId !== myId)
+    .map((r) => conversation?.participants.find((p) => p.id === r.userId)?.displayName)
+    .filter(Boolean);
+
+  return (
+    <div className="card">
+      <div className="form">
+        <div className="row" style={{ alignItems: 'center', justifyContent: 'space-between' }}>
+          <div>
+            <h2 style={{ marginTop: 0, marginBottom: 4 }}>{conversationTitle(conversation, myId) || 'Conversation'}</h2>
+            <div className="small">{(conversation?.participants || []).map((p) => p.displayName).join(', ')}</div>
+          </div>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <button className="button" type="button" onClick={() => setShowPins((v) => !v)}>
+              📌 {pinned.pins.length}
+            </button>
+            <button
+              className="button secondary"
+              type="button"
+              onClick={() => {
+                setNewName(conversation?.name || '');
+                setRenaming((v) => !v);
+              }}
+            >
+              Rename
+            </button>
+            <button className="button secondary" type="button" onClick={() => setShowAdd((v) => !v)}>
+              Add people
+            </button>
+            <button className="button danger" type="button" onClick={leave}>Leave</button>
+            <Link to="/conversations" style={{ textDecoration: 'none' }}>
+              <span className="button secondary">Back</span>
+            </Link>
+          </div>
+        </div>
+
+        {showPins ? <PinnedDrawer pinned={pinned} onJump={jumpToMessage} onClose={() => setShowPins(false)} /> : null}
+
+        {renaming ? (
+          <form className="row" style={{ marginTop: 12 }} onSubmit={rename}>
+            <input
+              className="input"
+              value={newName}
+              maxLength={100}
+              placeholder="Leave empty to use everyone's names"
+              onChange={(e) => setNewName(e.target.value)}
+            />
+            <button className="button" type="submit">Save</button>
+          </form>
+        ) : null}
+
+        {showAdd ? (
+          <form style={{ marginTop: 12 }} onSubmit={addPeople}>
+            {addable.length === 0 ? <div className="small">All your friends are already here.</div> : null}
+            <div className="grid">
+              {addable.map((f) => (
+                <label key={f.id} className="row" style={{ alignItems: 'center', gap: 8 }}>
+                  <input
+                    type="checkbox"
+                    checked={picked.includes(f.id)}
+                    onChange={() =>
+                      setPicked((list) => (list.includes(f.id) ? list.filter((x) => x !== f.id) : [...list, f.id]))
+                    }
+                  />
+                  <span>{f.displayName}</span>
+                </label>
+              ))}
+            </div>
+            <button className="button" type="submit" disabled={picked.length === 0} style={{ marginTop: 8 }}>
+              Add
+            </button>
+          </form>
+        ) : null}
+
+        {error ? <div className="error" style={{ marginTop: 12 }}>{error}</div> : null}
+
+        <div style={{ height: 12 }} />
+
+        <div className="card chat">
+          <div className="messages" ref={pager.containerRef} onScroll={pager.onScroll}>
+            {pager.loadingOlder ? (
+              <div className="small" style={{ textAlign: 'center', color: 'var(--muted)' }}>Loading older messages...</div>
+            ) : null}
+            {messages.map((m) => (
+              <ChatMessage
+                key={m.id || m.createdAt}
+                msg={m}
+                highlighted={m.id === highlightId}
+                isPinned={pinned.pinnedIds.has(m.id)}
+                onTogglePin={pinned.canPin ? pinned.togglePin : undefined}
+              />
+            ))}
+            {seenBy.length > 0 ? (
+              <div className="small" style={{ textAlign: 'right', color: 'var(--muted)' }}>Seen by {seenBy.join(', ')}</div>
+            ) : null}
+            <div ref={endRef} />
+          </div>
+
+          {Object.keys(typingUsers).length > 0 && (
+            <div className="small" style={{ padding: '0 12px', color: 'var(--muted)' }}>
+              {Object.values(typingUsers).join(', ')} {Object.keys(typingUsers).length === 1 ? 'is' : 'are'} typing...
+            </div>
+          )}
+
+          <PendingAttachmentList attachments={attachments} />
+          <form className="composer" onSubmit={onSend}>
+            <AttachmentPicker attachments={attachments} />
+            <input className="input" value={text} onChange={onChangeText} placeholder="Write a message" />
+            <button className="button" type="submit">Send</button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../state/auth.jsx';
+import { createSocket } from '../lib/socket.js';
+import { formatTime } from '../lib/time.js';
+import { conversationTitle } from '../lib/conversations.js';
+
+export default function ConversationsPage() {
+  const auth = useAuth();
+  const nav = useNavigate();
+  const myId = auth.user?._id || auth.user?.id;
+
+  const [conversations, setConversations] = useState([]);
+  const [friends, setFriends] = useState([]);
+  const [picked, setPicked] = useState([]);
+  const [name, setName] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  async function load() {
+    setLoading(true);
+    setError('');
+    try {
+      const [c, f] = await Promise.all([auth.api.get('/conversations'), auth.api.get('/friends/list')]);
+      setConversations(c.data.conversations || []);
+      setFriends(f.data.friends || []);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load conversations');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // Keep the list ordered by latest activity as messages arrive
+  useEffect(() => {
+    const s = createSocket(auth.token);
+
+    s.on('conversation:message', (msg) => {
+      setConversations((list) => {
+        const current = list.find((c) => c.id === msg.conversationId);
+        if (!current) return list;
+        const fromOther = String(msg.from?.id) !== String(myId);
+        const updated = {
+          ...current,
+          lastMessage: msg,
+          lastMessageAt: msg.createdAt,
+          unreadCount: current.unreadCount + (fromOther ? 1 : 0),
+        };
+        return [updated, ...list.filter((c) => c.id !== msg.conversationId)];
+      });
+    });
+
+    s.on('conversation:updated', ({ conversation }) => {
+      setConversations((list) => {
+        const current = list.find((c) => c.id === conversation.id);
+        if (!current) return [conversation, ...list];
+        return list.map((c) =>
+          c.id === conversation.id ? { ...c, name: conversation.name, participants: conversation.participants } : c
+        );
+      });
+    });
+
+    s.on('conversation:removed', ({ conversationId }) => {
+      setConversations((list) => list.filter((c) => c.id !== conversationId));
+    });
+
+    return () => {
+      s.disconnect();
+    };
+  }, [auth.token]);
+
+  function togglePick(id) {
+    setPicked((list) => (list.includes(id) ? list.filter((x) => x !== id) : [...list, id]));
+  }
+
+  async function create(e) {
+    e.preventDefault();
+    setError('');
+    try {
+      const res = await auth.api.post('/conversations', { participantIds: picked, name: name.trim() });
+      nav(`/conversations/${res.data.conversation.id}`);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to start conversation');
+    }
+  }
+
+  return (
+    <div className="grid grid-2">
+      <div className="card" style={{ overflow: 'auto' }}>
+        <h2 style={{ marginTop: 0 }}>Conversations</h2>
+
+        {error ? <div className="error" style={{ marginBottom: 12 }}>{error}</div> : null}
+        {loading ? <div className="small" style={{ color: 'var(--muted)' }}>Loading...</div> : null}
+        {!loading && conversations.length === 0 ? (
+          <div className="small" style={{ color: 'var(--muted)' }}>No conversations yet.</div>
+        ) : null}
+
+        <div className="grid">
+          {conversations.map((c) => (
+            <Link
+              key={c.id}
+              to={`/conversations/${c.id}`}
+              style={{
+                textDecoration: 'none',
+                color: 'inherit',
+                padding: '10px 12px',
+                border: '1px solid var(--border)',
+                borderRadius: 12,
+                background: 'rgba(255,255,255,0.05)',
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: 8 }}>
+                <div style={{ fontWeight: 800 }}>{conversationTitle(c, myId)}</div>
+                {c.unreadCount > 0 ? <span className="badge">{c.unreadCount}</span> : null}
+              </div>
+              <div className="small" style={{ color: 'var(--muted)' }}>
+                {c.lastMessage
+                  ? `${c.lastMessage.from?.displayName}: ${c.lastMessage.text} · ${formatTime(c.lastMessage.createdAt)}`
+                  : `${c.participants.length} people`}
+              </div>
+            </Link>
+          ))}
+        </div>
+      </div>
+
+      <div className="card">
+        <form className="form" onSubmit={create}>
+          <h2 style={{ marginTop: 0 }}>New conversation</h2>
+          <div className="small" style={{ color: 'var(--muted)' }}>
+            Pick at least two friends. For one, use a private chat.
+          </div>
+
+          <label className="label">Name (optional)</label>
+          <input className="input" value={name} maxLength={100} onChange={(e) => setName(e.target.value)} />
+
+          <div className="label">People</div>
+          {friends.length === 0 ? <div className="small">No friends yet.</div> : null}
+          <div className="grid">
+            {friends.map((f) => (
+              <label key={f.id} className="row" style={{ alignItems: 'center', gap: 8 }}>
+                <input type="checkbox" checked={picked.includes(f.id)} onChange={() => togglePick(f.id)} />
+                <span>{f.displayName}</span>
+              </label>
+            ))}
+          </div>
+
+          <button className="button" type="submit" disabled={picked.length < 2}>Start conversation</button>
+        </form>
+      </div>
+    </div>
+  );
+}
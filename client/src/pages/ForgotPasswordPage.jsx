@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../state/auth.jsx';
+
+export default function ForgotPasswordPage() {
+  const auth = useAuth();
+
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [ok, setOk] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setError('');
+    setOk('');
+
+    if (!email.trim()) {
+      setError('Please enter your email.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await auth.api.post('/auth/forgot-password', { email: email.trim() });
+      setOk(res.data.message);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="form">
+        <h2 style={{ marginTop: 0 }}>Forgot password</h2>
+
+        {error ? <div className="error" style={{ marginBottom: 12 }}>{error}</div> : null}
+        {ok ? <div className="ok" style={{ marginBottom: 12 }}>{ok}</div> : null}
+
+        <form onSubmit={onSubmit} className="grid">
+          <div>
+            <div className="label">Email</div>
+            <input className="input" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="you@example.com" />
+          </div>
+
+          <button className="button" disabled={loading} type="submit">
+            {loading ? 'Sending…' : 'Send reset link'}
+          </button>
+
+          <div className="small">
+            Remembered it? <Link to="/login">Login</Link>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
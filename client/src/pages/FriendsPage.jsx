@@ -1,6 +1,7 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../state/auth.jsx';
+import { createSocket } from '../lib/socket.js';
 import Avatar from '../components/Avatar.jsx';
 import UserProfileModal from '../components/UserProfileModal.jsx';
 
@@ -51,6 +52,7 @@ export default function FriendsPage() {
   const [ok, setOk] = useState('');
 
   const friendIds = useMemo(() => new Set(friends.map((f) => f.id)), [friends]);
+  const requestedIds = useMemo(() => new Set(outgoing.map((r) => r.to.id)), [outgoing]);
 
   async function loadAll() {
     setError('');
@@ -69,6 +71,32 @@ export default function FriendsPage() {
     loadAll();
   }, []);
 
+  // Requests and friendships change from the other side too
+  useEffect(() => {
+    const s = createSocket(auth.token);
+    const dropById = (id) => (list) => list.filter((r) => r.id !== id);
+    const addFriend = (friend) => setFriends((list) => [...list.filter((f) => f.id !== friend.id), friend]);
+
+    s.on('friend:request', ({ request }) => {
+      setIncoming((list) => [request, ...list.filter((r) => r.id !== request.id)]);
+    });
+    s.on('friend:request_cancelled', ({ requestId }) => setIncoming(dropById(requestId)));
+    s.on('friend:request_rejected', ({ requestId }) => setOutgoing(dropById(requestId)));
+    s.on('friend:accepted', ({ requestId, friend }) => {
+      setOutgoing(dropById(requestId));
+      addFriend(friend);
+    });
+    s.on('friend:added', ({ friend }) => {
+      setIncoming((list) => list.filter((r) => r.from.id !== friend.id));
+      addFriend(friend);
+    });
+    s.on('friend:removed', ({ userId }) => setFriends((list) => list.filter((f) => f.id !== userId)));
+
+    return () => {
+      s.disconnect();
+    };
+  }, [auth.token]);
+
   async function doSearch() {
     setError('');
     setOk('');
@@ -110,6 +138,31 @@ export default function FriendsPage() {
     }
   }
 
+  async function cancel(requestId) {
+    setError('');
+    setOk('');
+    try {
+      await auth.api.post('/friends/cancel', { requestId });
+      setOk('Request cancelled.');
+      await loadAll();
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to cancel');
+    }
+  }
+
+  async function unfriend(friend) {
+    if (!window.confirm(`Remove ${friend.displayName} from your friends?`)) return;
+    setError('');
+    setOk('');
+    try {
+      await auth.api.post('/friends/unfriend', { userId: friend.id });
+      setOk('Friend removed.');
+      await loadAll();
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to remove friend');
+    }
+  }
+
   async function reject(requestId) {
     setError('');
     setOk('');
@@ -138,9 +191,12 @@ export default function FriendsPage() {
                 key={f.id}
                 user={f}
                 right={
-                  <Link to={`/private/${f.id}`} style={{ textDecoration: 'none' }}>
-                    <span className="button secondary">Message</span>
-                  </Link>
+                  <div className="row">
+                    <Link to={`/private/${f.id}`} style={{ textDecoration: 'none' }}>
+                      <span className="button secondary">Message</span>
+                    </Link>
+                    <button className="button danger" onClick={() => unfriend(f)}>Unfriend</button>
+                  </div>
                 }
               />
             ))}
@@ -167,8 +223,15 @@ export default function FriendsPage() {
                   right={
                     friendIds.has(u.id) ? (
                       <span className="badge">Friend</span>
+                    ) : requestedIds.has(u.id) ? (
+                      <span className="badge">Requested</span>
                     ) : (
-                      <button className="button secondary" onClick={() => sendRequest(u.id)}>Add</button>
+                      <div className="row">
+                        <Link to={`/private/${u.id}`} style={{ textDecoration: 'none' }}>
+                          <span className="button secondary">Message</span>
+                        </Link>
+                        <button className="button secondary" onClick={() => sendRequest(u.id)}>Add</button>
+                      </div>
                     )
                   }
                 />
@@ -207,7 +270,16 @@ export default function FriendsPage() {
                 {outgoing.length === 0 ? <div className="small">None</div> : null}
                 <div className="grid" style={{ marginTop: 8 }}>
                   {outgoing.map((r) => (
-                    <UserRow key={r.id} user={r.to} right={<span className="badge">Pending</span>} />
+                    <UserRow
+                      key={r.id}
+                      user={r.to}
+                      right={
+                        <div className="row">
+                          <span className="badge">Pending</span>
+                          <button className="button secondary" onClick={() => cancel(r.id)}>Cancel</button>
+                        </div>
+                      }
+                    />
                   ))}
                 </div>
               </div>
@@ -1,14 +1,25 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../state/auth.jsx';
 import { api } from '../lib/api.js';
+import { createSocket, syncSince, confirmDelivered } from '../lib/socket.js';
+import { mergeMessages } from '../lib/messages.js';
+import { useHistoryPager } from '../lib/useHistoryPager.js';
+import { useJumpToMessage } from '../lib/useJumpToMessage.js';
+import { usePendingAttachments } from '../lib/usePendingAttachments.js';
+import { usePinnedMessages } from '../lib/usePinnedMessages.js';
 import Avatar from '../components/Avatar.jsx';
+import MessageAttachments from '../components/MessageAttachments.jsx';
+import MessageText, { mentionsUser } from '../components/MessageText.jsx';
+import AttachmentPicker, { PendingAttachmentList } from '../components/AttachmentPicker.jsx';
+import PinnedDrawer from '../components/PinnedDrawer.jsx';
 
 const DEFAULT_GROUP_ROOMS = ['general', 'announcements', 'random', 'media'];
 
 export default function GroupChatPage() {
   const { groupId } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const auth = useAuth();
   
   const [group, setGroup] = useState(null);
@@ -16,7 +27,7 @@ export default function GroupChatPage() {
   const [loading, setLoading] = useState(true);
   const [newMessage, setNewMessage] = useState('');
   const [sending, setSending] = useState(false);
-  const [activeRoom, setActiveRoom] = useState('');
+  const [activeRoom, setActiveRoom] = useState(searchParams.get('room') || '');
   const [customRoom, setCustomRoom] = useState('');
   const [categories, setCategories] = useState([]);
   const [contextMenu, setContextMenu] = useState({
@@ -27,9 +38,28 @@ export default function GroupChatPage() {
   });
   const [editingRoom, setEditingRoom] = useState(null);
   const [editingCategory, setEditingCategory] = useState(null);
+  const [typingUsers, setTypingUsers] = useState({});
+  const [sendError, setSendError] = useState('');
+  const [showPins, setShowPins] = useState(false);
   
+  const pinned = usePinnedMessages({ api, path: `/pins/group/${groupId}` });
+
+  function jumpToMessage(item) {
+    if (item.room && item.room !== activeRoom) setActiveRoom(item.room);
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (item.room) next.set('room', item.room);
+      next.set('message', item.id);
+      return next;
+    });
+  }
+
   const messagesEndRef = useRef(null);
   const messageInputRef = useRef(null);
+  const socketRef = useRef(null);
+  const activeRoomRef = useRef('');
+  const messagesRef = useRef([]);
+  const typingTimeoutRef = useRef(null);
 
   useEffect(() => {
     fetchGroup();
@@ -40,9 +70,97 @@ export default function GroupChatPage() {
   }, [groupId, activeRoom]);
 
   useEffect(() => {
-    scrollToBottom();
+    activeRoomRef.current = activeRoom;
+    setTypingUsers({});
+  }, [activeRoom]);
+
+  useEffect(() => {
+    messagesRef.current = messages;
   }, [messages]);
 
+  // Live group channel: messages, typing and read receipts
+  useEffect(() => {
+    const s = createSocket(auth.token);
+    socketRef.current = s;
+
+    const isInActiveRoom = (msg) =>
+      String(msg.groupId) === String(groupId) && (msg.room || '') === (activeRoomRef.current || '');
+
+    // Re-join on every (re)connect, the server forgets channels on disconnect,
+    // then catch up on anything sent while we were offline
+    s.on('connect', async () => {
+      s.emit('group:join', { groupId });
+
+      const last = messagesRef.current[messagesRef.current.length - 1];
+      if (!last?.id) return;
+      try {
+        const { messages: missed } = await syncSince(s, { cursor: last.id });
+        setMessages((prev) => mergeMessages(prev, missed.filter((m) => m.kind === 'group' && isInActiveRoom(m))));
+      } catch (error) {
+        console.error('Error syncing group messages:', error);
+      }
+    });
+
+    s.on('group:message', (msg) => {
+      if (String(msg.groupId) !== String(groupId)) return;
+      confirmDelivered(s, [msg.id]);
+      if (!isInActiveRoom(msg)) return;
+      setMessages((prev) => mergeMessages(prev, [msg]));
+      setTypingUsers((prev) => {
+        const next = { ...prev };
+        delete next[msg.from.id];
+        return next;
+      });
+      s.emit('group:read', { groupId, messageId: msg.id });
+    });
+
+    s.on('message:pinned', ({ message }) => {
+      if (String(message?.groupId) === String(groupId)) pinned.applyPin(true, message);
+    });
+
+    s.on('message:unpinned', ({ message }) => {
+      if (String(message?.groupId) === String(groupId)) pinned.applyPin(false, message);
+    });
+
+    s.on('group:typing', (data) => {
+      if (String(data.groupId) !== String(groupId)) return;
+      if ((data.room || '') !== (activeRoomRef.current || '')) return;
+      setTypingUsers((prev) => {
+        const next = { ...prev };
+        if (data.isTyping) next[data.userId] = data.displayName;
+        else delete next[data.userId];
+        return next;
+      });
+    });
+
+    return () => {
+      s.emit('group:leave', { groupId });
+      s.disconnect();
+      socketRef.current = null;
+    };
+  }, [groupId]);
+
+  // Follow new messages at the bottom, but not when older history is prepended
+  const lastMessageId = messages[messages.length - 1]?.id;
+  useEffect(() => {
+    scrollToBottom();
+  }, [lastMessageId]);
+
+  const pager = useHistoryPager({
+    messages,
+    setMessages,
+    fetchOlder: async (before) => {
+      const response = await api.get(`/groups/${groupId}/messages`, {
+        params: { room: activeRoomRef.current, before },
+      });
+      return response.data;
+    },
+  });
+
+  const highlightId = useJumpToMessage({ messageId: searchParams.get('message'), messages, pager });
+
+  const attachments = usePendingAttachments({ api, context: { context: 'group', groupId } });
+
   // Inline editing handlers
   const handleInlineEditRoom = (roomData) => {
     setEditingRoom(roomData);
@@ -339,98 +457,56 @@ export default function GroupChatPage() {
 
   const fetchMessages = async () => {
     try {
-      console.log('Fetching messages for group:', groupId, 'room:', activeRoom);
-      const response = await api.get(`/groups/${groupId}/messages?room=${activeRoom}`);
-      console.log('Messages response:', response.data);
+      const response = await api.get(`/groups/${groupId}/messages`, {
+        params: { room: activeRoom },
+      });
       setMessages(response.data.messages || []);
+      pager.reset(response.data.nextCursor);
     } catch (error) {
       console.error('Error fetching messages:', error);
-      // Try alternative endpoint
-      try {
-        console.log('Trying alternative messages endpoint...');
-        const response = await api.get(`/groups/${groupId}/chat?room=${activeRoom}`);
-        console.log('Alternative messages response:', response.data);
-        setMessages(response.data.messages || response.data || []);
-      } catch (altError) {
-        console.error('Alternative messages endpoint failed:', altError);
-        // Don't show error on load, just set empty messages
-        setMessages([]);
-      }
+      // Don't show error on load, just set empty messages
+      setMessages([]);
     } finally {
       setLoading(false);
     }
   };
 
-  const sendMessage = async (e) => {
+  const stopTyping = () => {
+    clearTimeout(typingTimeoutRef.current);
+    typingTimeoutRef.current = null;
+    socketRef.current?.emit('group:typing', { groupId, room: activeRoom, isTyping: false });
+  };
+
+  const handleMessageChange = (e) => {
+    setNewMessage(e.target.value);
+
+    if (!typingTimeoutRef.current) {
+      socketRef.current?.emit('group:typing', { groupId, room: activeRoom, isTyping: true });
+    }
+    clearTimeout(typingTimeoutRef.current);
+    typingTimeoutRef.current = setTimeout(stopTyping, 3000);
+  };
+
+  const sendMessage = (e) => {
     e.preventDefault();
-    if (!newMessage.trim() || sending) return;
+    const text = newMessage.trim();
+    if ((!text && attachments.ids.length === 0) || sending || !socketRef.current) return;
 
     setSending(true);
-    try {
-      console.log('Sending message:', newMessage.trim());
-      console.log('Group ID:', groupId);
-      console.log('Room:', activeRoom);
-      console.log('User ID:', auth.user?._id || auth.user?.id);
-      
-      const response = await api.post(`/groups/${groupId}/messages`, {
-        content: newMessage.trim(),
-        type: 'message',
-        room: activeRoom
-      });
-      
-      console.log('Message sent response:', response.data);
-      
-      // Add message to local state immediately for better UX
-      const tempMessage = {
-        _id: Date.now().toString(),
-        content: newMessage.trim(),
-        room: activeRoom,
-        user: {
-          _id: auth.user?._id || auth.user?.id,
-          displayName: auth.user.displayName,
-          avatarUrl: auth.user.avatarUrl
-        },
-        createdAt: new Date().toISOString(),
-        type: 'message'
-      };
-      
-      setMessages(prev => [...prev, tempMessage]);
+    setSendError('');
+    stopTyping();
+
+    // The server echoes the message back over group:message, so no local copy here
+    socketRef.current.emit('group:message', { groupId, room: activeRoom, text, attachmentIds: attachments.ids }, (res) => {
+      setSending(false);
+      if (!res?.ok) {
+        setSendError(res?.error || 'Failed to send message');
+        return;
+      }
       setNewMessage('');
+      attachments.clear();
       messageInputRef.current?.focus();
-    } catch (error) {
-      console.error('Error sending message:', error);
-      console.error('Error response:', error.response?.data);
-      
-      // Try alternative endpoint if main one fails
-      try {
-        console.log('Trying alternative endpoint...');
-        const response = await api.post(`/groups/${groupId}/chat`, {
-          message: newMessage.trim(),
-          sender: auth.user?._id || auth.user?.id,
-          room: activeRoom
-        });
-        console.log('Alternative response:', response.data);
-        
-        const tempMessage = {
-          _id: Date.now().toString(),
-          content: newMessage.trim(),
-          room: activeRoom,
-          user: {
-            _id: auth.user?._id || auth.user?.id,
-            displayName: auth.user.displayName,
-            avatarUrl: auth.user.avatarUrl
-          },
-          createdAt: new Date().toISOString()
-        };
-        
-        setMessages(prev => [...prev, tempMessage]);
-        setNewMessage('');
-      } catch (altError) {
-        console.error('Alternative endpoint also failed:', altError);
-      }
-    } finally {
-      setSending(false);
-    }
+    });
   };
 
   const leaveGroup = async () => {
@@ -673,6 +749,11 @@ export default function GroupChatPage() {
           </div>
           
           <div style={{ display: 'flex', gap: 8 }}>
+            {isMember ? (
+              <button className="button" type="button" onClick={() => setShowPins((v) => !v)}>
+                📌 {pinned.pins.length}
+              </button>
+            ) : null}
             {isCreator && (
               <>
                 <button
@@ -729,6 +810,10 @@ export default function GroupChatPage() {
           </div>
         </div>
 
+        {showPins && isMember ? (
+          <PinnedDrawer pinned={pinned} onJump={jumpToMessage} onClose={() => setShowPins(false)} />
+        ) : null}
+
         {loading ? (
           <div style={{ padding: 20, textAlign: 'center' }}>
             <div>Loading messages...</div>
@@ -762,107 +847,110 @@ export default function GroupChatPage() {
             <div style={{ height: 12 }} />
 
             <div className="card chat" style={{ margin: '0 16px 16px 16px' }}>
-              <div className="messages">
+              <div className="messages" ref={pager.containerRef} onScroll={pager.onScroll}>
+                {pager.loadingOlder ? <div className="small" style={{ textAlign: 'center', color: 'var(--muted)' }}>Loading older messages...</div> : null}
                 {messages.length === 0 ? (
                   <div style={{ textAlign: 'center', opacity: 0.5, marginTop: 50 }}>
                     No messages in {activeRoom} yet. Start the conversation!
                   </div>
                 ) : (
-                  messages.map((message) => (
-                    <div
-                      key={message._id}
-                      style={{
-                        display: 'flex',
-                        gap: 12,
-                        alignItems: 'flex-start',
-                        alignSelf: (() => {
-                          const messageUserId = typeof message.user === 'object' ? message.user._id || message.user.id : message.user;
-                          const currentUserId = auth.user?._id || auth.user?.id;
-                          return messageUserId === currentUserId ? 'flex-end' : 'flex-start';
-                        })(),
-                        maxWidth: '70%',
-                      }}
-                    >
-                      {(() => {
-                        const messageUserId = typeof message.user === 'object' ? message.user._id || message.user.id : message.user;
-                        const currentUserId = auth.user?._id || auth.user?.id;
-                        return messageUserId !== currentUserId;
-                      })() && (
-                        <Avatar
-                          src={message.user.avatarUrl}
-                          name={message.user.displayName}
-                          size={32}
-                        />
-                      )}
-                      <div>
-                        <div
-                          style={{
-                            background: (() => {
-                              const messageUserId = typeof message.user === 'object' ? message.user._id || message.user.id : message.user;
-                              const currentUserId = auth.user?._id || auth.user?.id;
-                              return messageUserId === currentUserId ? 'var(--accent)' : 'rgba(255,255,255,0.1)';
-                            })(),
-                            color: (() => {
-                              const messageUserId = typeof message.user === 'object' ? message.user._id || message.user.id : message.user;
-                              const currentUserId = auth.user?._id || auth.user?.id;
-                              return messageUserId === currentUserId ? 'white' : 'var(--text)';
-                            })(),
-                            padding: '12px 16px',
-                            borderRadius: 18,
-                            borderBottomLeftRadius: (() => {
-                              const messageUserId = typeof message.user === 'object' ? message.user._id || message.user.id : message.user;
-                              const currentUserId = auth.user?._id || auth.user?.id;
-                              return messageUserId === currentUserId ? 18 : 4;
-                            })(),
-                            borderBottomRightRadius: (() => {
-                              const messageUserId = typeof message.user === 'object' ? message.user._id || message.user.id : message.user;
-                              const currentUserId = auth.user?._id || auth.user?.id;
-                              return messageUserId === currentUserId ? 4 : 18;
-                            })(),
-                          }}
-                        >
-                          {message.content}
-                        </div>
-                        <div style={{
-                          fontSize: 11,
-                          opacity: 0.5,
-                          marginTop: 4,
-                          textAlign: (() => {
-                            const messageUserId = typeof message.user === 'object' ? message.user._id || message.user.id : message.user;
-                            const currentUserId = auth.user?._id || auth.user?.id;
-                            return messageUserId === currentUserId ? 'right' : 'left';
-                          })(),
-                        }}>
-                          {message.user.displayName} • {new Date(message.createdAt).toLocaleTimeString()}
+                  messages.map((message) => {
+                    const isMine = message.from?.id === (auth.user?._id || auth.user?.id);
+                    return (
+                      <div
+                        key={message.id}
+                        id={`msg-${message.id}`}
+                        style={{
+                          display: 'flex',
+                          gap: 12,
+                          alignItems: 'flex-start',
+                          alignSelf: isMine ? 'flex-end' : 'flex-start',
+                          maxWidth: '70%',
+                        }}
+                      >
+                        {!isMine && (
+                          <Avatar
+                            src={message.from?.avatarUrl}
+                            name={message.from?.displayName}
+                            size={32}
+                          />
+                        )}
+                        <div>
+                          {message.text ? (
+                            <div
+                              style={{
+                                background: isMine ? 'var(--accent)' : 'rgba(255,255,255,0.1)',
+                                color: isMine ? 'white' : 'var(--text)',
+                                padding: '12px 16px',
+                                borderRadius: 18,
+                                borderBottomLeftRadius: isMine ? 18 : 4,
+                                borderBottomRightRadius: isMine ? 4 : 18,
+                                whiteSpace: 'pre-wrap',
+                                wordBreak: 'break-word',
+                                outline: message.id === highlightId || mentionsUser(message, auth.user) ? '2px solid var(--accent)' : 'none',
+                                outlineOffset: 2,
+                              }}
+                            >
+                              <MessageText text={message.text} user={auth.user} />
+                            </div>
+                          ) : null}
+                          <MessageAttachments attachments={message.attachments} />
+                          <div style={{
+                            fontSize: 11,
+                            opacity: 0.5,
+                            marginTop: 4,
+                            textAlign: isMine ? 'right' : 'left',
+                          }}>
+                            {message.from?.displayName}
+                            {message.from?.isBot ? <span className="badge" style={{ marginLeft: 4 }}>Bot</span> : null}
+                            {' • '}{new Date(message.createdAt).toLocaleTimeString()}
+                            {pinned.pinnedIds.has(message.id) ? ' • 📌' : ''}
+                            {pinned.canPin ? (
+                              <button
+                                type="button"
+                                onClick={() => pinned.togglePin(message.id, !pinned.pinnedIds.has(message.id))}
+                                style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', fontSize: 11, padding: '0 4px' }}
+                              >
+                                {pinned.pinnedIds.has(message.id) ? 'Unpin' : 'Pin'}
+                              </button>
+                            ) : null}
+                          </div>
                         </div>
+                        {isMine && (
+                          <Avatar
+                            src={message.from?.avatarUrl}
+                            name={message.from?.displayName}
+                            size={32}
+                          />
+                        )}
                       </div>
-                      {(() => {
-                        const messageUserId = typeof message.user === 'object' ? message.user._id || message.user.id : message.user;
-                        const currentUserId = auth.user?._id || auth.user?.id;
-                        return messageUserId === currentUserId;
-                      })() && (
-                        <Avatar
-                          src={message.user.avatarUrl}
-                          name={message.user.displayName}
-                          size={32}
-                        />
-                      )}
-                    </div>
-                  ))
+                    );
+                  })
                 )}
                 <div ref={messagesEndRef} />
               </div>
 
+              {Object.keys(typingUsers).length > 0 && (
+                <div className="small" style={{ padding: '0 12px', color: 'var(--muted)' }}>
+                  {Object.values(typingUsers).join(', ')} {Object.keys(typingUsers).length === 1 ? 'is' : 'are'} typing...
+                </div>
+              )}
+              {sendError ? <div className="error" style={{ margin: '0 12px' }}>{sendError}</div> : null}
+
+              <PendingAttachmentList attachments={attachments} />
               <form className="composer" onSubmit={sendMessage}>
+                {group?.allowFileSharing !== false ? (
+                  <AttachmentPicker attachments={attachments} disabled={sending} />
+                ) : null}
                 <input
                   ref={messageInputRef}
                   className="input"
                   value={newMessage}
-                  onChange={(e) => setNewMessage(e.target.value)}
+                  onChange={handleMessageChange}
                   placeholder={`Message ${activeRoom}...`}
                   disabled={sending}
                 />
-                <button className="button" type="submit" disabled={!newMessage.trim() || sending}>
+                <button className="button" type="submit" disabled={(!newMessage.trim() && attachments.ids.length === 0) || sending}>
                   {sending ? '...' : 'Send'}
                 </button>
               </form>
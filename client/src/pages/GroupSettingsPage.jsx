@@ -3,6 +3,8 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../state/auth.jsx';
 import { api } from '../lib/api.js';
 import GroupInvites from '../components/GroupInvites.jsx';
+import GroupWebhooks from '../components/GroupWebhooks.jsx';
+import IncomingWebhooks from '../components/IncomingWebhooks.jsx';
 
 export default function GroupSettingsPage() {
   const { groupId } = useParams();
@@ -529,6 +531,20 @@ export default function GroupSettingsPage() {
         >
           Rooms
         </button>
+        <button
+          onClick={() => setActiveTab('webhooks')}
+          style={{
+            background: activeTab === 'webhooks' ? 'var(--primary)' : 'transparent',
+            color: activeTab === 'webhooks' ? 'white' : 'var(--text)',
+            border: 'none',
+            padding: '12px 20px',
+            cursor: 'pointer',
+            fontWeight: 600,
+            borderBottom: activeTab === 'webhooks' ? '2px solid var(--primary)' : '2px solid transparent',
+          }}
+        >
+          Webhooks
+        </button>
       </div>
 
       {/* Tab Content */}
@@ -716,6 +732,13 @@ export default function GroupSettingsPage() {
         <GroupInvites groupId={groupId} isAdmin={isAdmin} />
       )}
 
+      {activeTab === 'webhooks' && (
+        <div>
+          <GroupWebhooks groupId={groupId} isAdmin={isAdmin} />
+          <IncomingWebhooks groupId={groupId} isAdmin={isAdmin} />
+        </div>
+      )}
+
       {activeTab === 'rooms' && (
         <div>
           <h2 style={{ fontSize: 20, fontWeight: 'bold', marginBottom: 20 }}>
@@ -1,16 +1,44 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../state/auth.jsx';
+import { passkeyErrorMessage, passkeysSupported } from '../lib/webauthn.js';
+
+// Throttled sign-ins (429) say how long to wait
+function loginErrorMessage(err, fallback) {
+  const retryAfter = err?.response?.data?.retryAfter;
+  if (err?.response?.status === 429 && retryAfter) {
+    const wait = retryAfter < 90 ? `${retryAfter} seconds` : `${Math.ceil(retryAfter / 60)} minutes`;
+    return `Too many failed attempts. Try again in ${wait}.`;
+  }
+  return err?.response?.data?.error || fallback;
+}
 
 export default function LoginPage() {
   const auth = useAuth();
   const nav = useNavigate();
+  const location = useLocation();
 
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
+  const [providers, setProviders] = useState([]);
+
+  // Second step for accounts with 2FA. A social login that needs it arrives
+  // here from /oauth/callback with the challenge in the location state.
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || '');
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [methods, setMethods] = useState(location.state?.methods || []);
+
+  useEffect(() => {
+    auth.api
+      .get('/oidc/providers')
+      .then((res) => setProviders(res.data.providers || []))
+      .catch(() => setProviders([]));
+  }, []);
+
   async function onSubmit(e) {
     e.preventDefault();
     setError('');
@@ -22,15 +50,155 @@ export default function LoginPage() {
 
     setLoading(true);
     try {
-      await auth.login(email.trim(), password);
+      const result = await auth.login(email.trim(), password);
+      if (result.challengeToken) {
+        setChallengeToken(result.challengeToken);
+        setMethods(result.methods);
+        setCode('');
+        return;
+      }
+      nav('/public');
+    } catch (err) {
+      setError(loginErrorMessage(err, 'Login failed'));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function onSubmitCode(e) {
+    e.preventDefault();
+    setError('');
+
+    if (!code.trim()) {
+      setError(useBackupCode ? 'Enter one of your backup codes.' : 'Enter the 6-digit code from your authenticator app.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await auth.verifyTwoFactor(challengeToken, code.trim(), useBackupCode ? 'backup_code' : 'totp');
+      nav('/public');
+    } catch (err) {
+      // The challenge only lasts a few minutes; start over once it's gone
+      if (err?.response?.status === 401) {
+        setChallengeToken('');
+        setPassword('');
+      }
+      setError(loginErrorMessage(err, 'Verification failed'));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function onProviderLogin(provider) {
+    setError('');
+    setLoading(true);
+    try {
+      await auth.startOAuth(provider.id);
+    } catch (err) {
+      setError(err?.response?.data?.error || `Could not reach ${provider.name}`);
+      setLoading(false);
+    }
+  }
+
+  async function onPasskeyLogin() {
+    setError('');
+    setLoading(true);
+    try {
+      await auth.loginWithPasskey();
       nav('/public');
     } catch (err) {
-      setError(err?.response?.data?.error || 'Login failed');
+      setError(passkeyErrorMessage(err, 'Passkey sign-in failed'));
     } finally {
       setLoading(false);
     }
   }
 
+  async function onPasskeySecondFactor() {
+    setError('');
+    setLoading(true);
+    try {
+      await auth.verifyTwoFactor(challengeToken, null, 'passkey');
+      nav('/public');
+    } catch (err) {
+      if (err?.response?.status === 401) {
+        setChallengeToken('');
+        setPassword('');
+      }
+      setError(passkeyErrorMessage(err, 'Verification failed'));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function cancelChallenge() {
+    setChallengeToken('');
+    setCode('');
+    setError('');
+    setUseBackupCode(false);
+  }
+
+  if (challengeToken) {
+    return (
+      <div className="card">
+        <div className="form">
+          <h2 style={{ marginTop: 0 }}>Two-factor authentication</h2>
+
+          {error ? <div className="error" style={{ marginBottom: 12 }}>{error}</div> : null}
+
+          <form onSubmit={onSubmitCode} className="grid">
+            <div>
+              <div className="label">{useBackupCode ? 'Backup code' : 'Authentication code'}</div>
+              <input
+                className="input"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder={useBackupCode ? 'XXXX-XXXX' : '123456'}
+                inputMode={useBackupCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                maxLength={useBackupCode ? 16 : 6}
+                autoFocus
+              />
+            </div>
+
+            <button className="button" disabled={loading} type="submit">
+              {loading ? 'Verifying…' : 'Verify'}
+            </button>
+
+            {methods.includes('passkey') && passkeysSupported() ? (
+              <button className="button secondary" disabled={loading} type="button" onClick={onPasskeySecondFactor}>
+                Use a passkey instead
+              </button>
+            ) : null}
+
+            <div className="small" style={{ display: 'flex', gap: 12 }}>
+              <a
+                href="#"
+                onClick={(e) => {
+                  e.preventDefault();
+                  setUseBackupCode((v) => !v);
+                  setCode('');
+                  setError('');
+                }}
+              >
+                {useBackupCode ? 'Use authenticator app' : 'Use a backup code'}
+              </a>
+              <a
+                href="#"
+                onClick={(e) => {
+                  e.preventDefault();
+                  cancelChallenge();
+                }}
+              >
+                Back to login
+              </a>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="card">
       <div className="form">
@@ -53,8 +221,27 @@ export default function LoginPage() {
             {loading ? 'Signing in…' : 'Login'}
           </button>
 
-          <div className="small">
-            No account? <Link to="/register">Register</Link>
+          {passkeysSupported() ? (
+            <button className="button secondary" disabled={loading} type="button" onClick={onPasskeyLogin}>
+              Sign in with a passkey
+            </button>
+          ) : null}
+
+          {providers.map((provider) => (
+            <button
+              key={provider.id}
+              className="button secondary"
+              disabled={loading}
+              type="button"
+              onClick={() => onProviderLogin(provider)}
+            >
+              Continue with {provider.name}
+            </button>
+          ))}
+
+          <div className="small" style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>No account? <Link to="/register">Register</Link></span>
+            <Link to="/forgot-password">Forgot password?</Link>
           </div>
         </form>
       </div>
@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../state/auth.jsx';
+import Avatar from '../components/Avatar.jsx';
+import MessageText from '../components/MessageText.jsx';
+import { formatTime } from '../lib/time.js';
+import { messageContext, messageLink } from '../lib/messageLinks.js';
+
+export default function MentionsPage() {
+  const auth = useAuth();
+
+  const [mentions, setMentions] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  async function loadPage(page = 1) {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await auth.api.get('/mentions', { params: { page } });
+      setMentions(res.data.mentions || []);
+      setPagination(res.data.pagination || null);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load mentions');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadPage(1);
+  }, []);
+
+  return (
+    <div className="card" style={{ height: '100%', overflow: 'auto' }}>
+      <h2 style={{ marginTop: 0 }}>Mentions</h2>
+
+      {error ? <div className="error" style={{ marginBottom: 12 }}>{error}</div> : null}
+
+      {loading ? <div className="small" style={{ color: 'var(--muted)' }}>Loading...</div> : null}
+
+      {!loading && mentions.length === 0 ? (
+        <div className="small" style={{ color: 'var(--muted)' }}>Nobody has mentioned you yet.</div>
+      ) : null}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 10 }}>
+        {mentions.map((m) => (
+          <Link key={m.id} to={messageLink(m)} className="msg" style={{ textDecoration: 'none', color: 'inherit' }}>
+            <Avatar src={m.from?.avatarUrl} name={m.from?.displayName} />
+            <div className="bubble" style={{ flex: 1 }}>
+              <div className="meta">
+                <div className="name">{m.from?.displayName || 'Unknown'}</div>
+                <div className="time">{messageContext(m)} · {formatTime(m.createdAt)}</div>
+              </div>
+              <div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                {m.text ? <MessageText text={m.text} user={auth.user} /> : <em>Sent an attachment</em>}
+              </div>
+            </div>
+          </Link>
+        ))}
+      </div>
+
+      {pagination && pagination.pages > 1 ? (
+        <div style={{ display: 'flex', gap: 10, alignItems: 'center', marginTop: 16 }}>
+          <button className="button" disabled={loading || pagination.page <= 1} onClick={() => loadPage(pagination.page - 1)}>
+            Previous
+          </button>
+          <span className="small">Page {pagination.page} of {pagination.pages}</span>
+          <button className="button" disabled={loading || pagination.page >= pagination.pages} onClick={() => loadPage(pagination.page + 1)}>
+            Next
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../state/auth.jsx';
+import { createSocket } from '../lib/socket.js';
+import { formatTime } from '../lib/time.js';
+import Avatar from '../components/Avatar.jsx';
+
+// Scores at or above this get a warning; the server refuses much worse
+const SPAM_WARNING_SCORE = 0.3;
+
+export default function MessageRequestsPage() {
+  const auth = useAuth();
+  const nav = useNavigate();
+
+  const [showIgnored, setShowIgnored] = useState(false);
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [ok, setOk] = useState('');
+
+  async function load() {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await auth.api.get('/message-requests', { params: showIgnored ? { status: 'ignored' } : {} });
+      setRequests(res.data.requests || []);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load message requests');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, [showIgnored]);
+
+  useEffect(() => {
+    const s = createSocket(auth.token);
+    const drop = (requestId) => setRequests((list) => list.filter((r) => r.id !== requestId));
+
+    s.on('message_request:new', (request) => {
+      if (!showIgnored) setRequests((list) => [request, ...list.filter((r) => r.id !== request.id)]);
+    });
+    s.on('message_request:closed', ({ requestId }) => drop(requestId));
+
+    return () => {
+      s.disconnect();
+    };
+  }, [auth.token, showIgnored]);
+
+  async function run(fn, fallback) {
+    setError('');
+    setOk('');
+    try {
+      await fn();
+    } catch (err) {
+      setError(err?.response?.data?.error || fallback);
+    }
+  }
+
+  function accept(r) {
+    return run(async () => {
+      await auth.api.post(`/message-requests/${r.id}/accept`);
+      nav(`/private/${r.from.id}`);
+    }, 'Failed to accept');
+  }
+
+  function ignore(r) {
+    return run(async () => {
+      await auth.api.post(`/message-requests/${r.id}/ignore`);
+      setRequests((list) => list.filter((x) => x.id !== r.id));
+      setOk(`Ignored ${r.from.displayName}. They won't be told.`);
+    }, 'Failed to ignore');
+  }
+
+  function block(r, { report }) {
+    const what = report ? 'Block and report' : 'Block';
+    if (!window.confirm(`${what} ${r.from.displayName}?`)) return;
+    return run(async () => {
+      await auth.api.post('/moderation/block', { userId: r.from.id, reason: 'Message request' });
+      if (report) {
+        await auth.api.post('/moderation/report', {
+          category: 'message',
+          reportedUser: r.from.id,
+          reportedMessage: r.message?.id,
+          reason: 'spam',
+          description: 'Unwanted message request',
+        });
+      }
+      setRequests((list) => list.filter((x) => x.id !== r.id));
+      setOk(report ? `Blocked and reported ${r.from.displayName}.` : `Blocked ${r.from.displayName}.`);
+    }, 'Failed to block');
+  }
+
+  return (
+    <div className="card" style={{ height: '100%', overflow: 'auto' }}>
+      <div className="row" style={{ alignItems: 'center', justifyContent: 'space-between' }}>
+        <h2 style={{ marginTop: 0 }}>Message requests</h2>
+        <button className="button secondary" onClick={() => setShowIgnored((v) => !v)}>
+          {showIgnored ? 'Show new' : 'Show ignored'}
+        </button>
+      </div>
+
+      <div className="small" style={{ color: 'var(--muted)', marginBottom: 12 }}>
+        People who aren't your friends can send you one message. They can't send more until you accept.
+      </div>
+
+      {error ? <div className="error" style={{ marginBottom: 12 }}>{error}</div> : null}
+      {ok ? <div className="ok" style={{ marginBottom: 12 }}>{ok}</div> : null}
+
+      {loading ? <div className="small" style={{ color: 'var(--muted)' }}>Loading...</div> : null}
+
+      {!loading && requests.length === 0 ? (
+        <div className="small" style={{ color: 'var(--muted)' }}>
+          {showIgnored ? 'No ignored requests.' : 'No message requests.'}
+        </div>
+      ) : null}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 10 }}>
+        {requests.map((r) => (
+          <div key={r.id} className="msg">
+            <Avatar src={r.from.avatarUrl} name={r.from.displayName} />
+            <div className="bubble" style={{ flex: 1 }}>
+              <div className="meta">
+                <div className="name">{r.from.displayName}</div>
+                <div className="time">{formatTime(r.createdAt)}</div>
+              </div>
+              {r.spamScore >= SPAM_WARNING_SCORE ? (
+                <div className="small" style={{ color: 'var(--danger)' }}>This may be spam.</div>
+              ) : null}
+              <div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{r.message?.text}</div>
+              <div className="row" style={{ marginTop: 8 }}>
+                <button className="button" onClick={() => accept(r)}>Accept</button>
+                {!showIgnored ? (
+                  <button className="button secondary" onClick={() => ignore(r)}>Ignore</button>
+                ) : null}
+                <button className="button danger" onClick={() => block(r, { report: false })}>Block</button>
+                <button className="button danger" onClick={() => block(r, { report: true })}>Block &amp; report</button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../state/auth.jsx';
+
+// Where OpenID Connect providers send the browser back to
+export default function OAuthCallbackPage() {
+  const auth = useAuth();
+  const nav = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState('');
+  // The code works once, so don't post twice when effects re-run
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (sent.current) return;
+    sent.current = true;
+
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+    if (searchParams.get('error') || !code || !state) {
+      setError(searchParams.get('error') === 'access_denied' ? 'Sign-in was cancelled.' : 'Sign-in failed.');
+      return;
+    }
+
+    // Only finish a sign-in this tab started; a link from someone else
+    // would sign us into their account
+    const binding = auth.takeOAuthBinding(state);
+    if (!binding) {
+      setError('This sign-in was not started here. Please try again.');
+      return;
+    }
+
+    auth
+      .completeOAuth(code, state, binding)
+      .then((result) => {
+        if (result.linked) {
+          nav('/settings', { replace: true, state: { tab: 'account', ok: `${result.linked.name} account linked.` } });
+        } else if (result.challengeToken) {
+          nav('/login', { replace: true, state: result });
+        } else {
+          nav('/public', { replace: true });
+        }
+      })
+      .catch((err) => {
+        setError(err?.response?.data?.error || 'Sign-in failed.');
+      });
+  }, []);
+
+  return (
+    <div className="card">
+      <div className="form">
+        <h2 style={{ marginTop: 0 }}>Signing in</h2>
+        {error ? (
+          <>
+            <div className="error" style={{ marginBottom: 12 }}>{error}</div>
+            <div className="small">
+              {auth.isAuthed ? <Link to="/settings">Back to settings</Link> : <Link to="/login">Back to login</Link>}
+            </div>
+          </>
+        ) : (
+          <div className="small">Finishing sign-in…</div>
+        )}
+      </div>
+    </div>
+  );
+}
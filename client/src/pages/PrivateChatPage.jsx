@@ -1,23 +1,69 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
-import { Link, useParams } from 'react-router-dom';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../state/auth.jsx';
-import { createSocket } from '../lib/socket.js';
+import { createSocket, syncSince, confirmDelivered } from '../lib/socket.js';
+import { mergeMessages } from '../lib/messages.js';
+import { useHistoryPager } from '../lib/useHistoryPager.js';
+import { useJumpToMessage } from '../lib/useJumpToMessage.js';
+import { usePendingAttachments } from '../lib/usePendingAttachments.js';
+import { usePinnedMessages } from '../lib/usePinnedMessages.js';
 import ChatMessage from '../components/ChatMessage.jsx';
+import AttachmentPicker, { PendingAttachmentList } from '../components/AttachmentPicker.jsx';
+import PinnedDrawer from '../components/PinnedDrawer.jsx';
 
 export default function PrivateChatPage() {
   const { friendId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const auth = useAuth();
 
   const [friends, setFriends] = useState([]);
   const friend = useMemo(() => friends.find((f) => f.id === friendId), [friends, friendId]);
+  // Someone who isn't a friend, talked to through a message request
+  const [peer, setPeer] = useState(null);
+  const [requestPending, setRequestPending] = useState(false);
 
   const [messages, setMessages] = useState([]);
   const [text, setText] = useState('');
   const [error, setError] = useState('');
+  const [showPins, setShowPins] = useState(false);
 
   const socketRef = useRef(null);
+  const messagesRef = useRef([]);
   const endRef = useRef(null);
 
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  const pager = useHistoryPager({
+    messages,
+    setMessages,
+    fetchOlder: async (before) => {
+      const res = await auth.api.get(`/messages/private/${encodeURIComponent(friendId)}`, {
+        params: { before },
+      });
+      return res.data;
+    },
+  });
+
+  const highlightId = useJumpToMessage({ messageId: searchParams.get('message'), messages, pager });
+
+  const attachments = usePendingAttachments({ api: auth.api, context: { context: 'private', toUserId: friendId } });
+
+  useEffect(() => {
+    attachments.clear();
+  }, [friendId]);
+
+  const pinned = usePinnedMessages({ api: auth.api, path: `/pins/private/${encodeURIComponent(friendId)}` });
+
+  function jumpToMessage(item) {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.set('message', item.id);
+      return next;
+    });
+  }
+
   function scrollToBottom() {
     endRef.current?.scrollIntoView({ behavior: 'smooth' });
   }
@@ -31,9 +77,18 @@ export default function PrivateChatPage() {
     setError('');
     try {
       const res = await auth.api.get(`/messages/private/${encodeURIComponent(friendId)}`);
-      setMessages(res.data.messages || []);
+      const history = res.data.messages || [];
+      setMessages(history);
+      pager.reset(res.data.nextCursor);
+      confirmDelivered(socketRef.current, history.filter((m) => String(m?.from?.id) === String(friendId)).map((m) => m.id));
       setTimeout(scrollToBottom, 0);
     } catch (err) {
+      // Nothing to show yet with someone who isn't a friend; the first
+      // message goes out as a message request
+      if (err?.response?.status === 403) {
+        setMessages([]);
+        return;
+      }
       setError(err?.response?.data?.error || 'Failed to load messages');
     }
   }
@@ -44,18 +99,62 @@ export default function PrivateChatPage() {
     });
   }, []);
 
+  useEffect(() => {
+    setPeer(null);
+    setRequestPending(false);
+    auth.api
+      .get(`/users/${encodeURIComponent(friendId)}`)
+      .then((res) => setPeer(res.data.user || null))
+      .catch(() => {});
+    auth.api
+      .get('/message-requests/sent')
+      .then((res) => setRequestPending((res.data.requests || []).some((r) => r.toUserId === friendId)))
+      .catch(() => {});
+  }, [friendId]);
+
   useEffect(() => {
     const s = createSocket(auth.token);
     socketRef.current = s;
 
-    s.on('private:message', (msg) => {
+    function isInThisChat(msg) {
       const toId = String(msg.toUserId || '');
       const fromId = String(msg?.from?.id || '');
-      if (toId !== String(friendId) && fromId !== String(friendId)) return;
-      setMessages((prev) => [...prev, msg]);
+      return toId === String(friendId) || fromId === String(friendId);
+    }
+
+    s.on('private:message', (msg) => {
+      if (!isInThisChat(msg)) return;
+      setMessages((prev) => mergeMessages(prev, [msg]));
+      if (String(msg?.from?.id) === String(friendId)) confirmDelivered(s, [msg.id]);
       setTimeout(scrollToBottom, 0);
     });
 
+    s.on('message_request:accepted', ({ userId }) => {
+      if (String(userId) === String(friendId)) setRequestPending(false);
+    });
+
+    s.on('message:pinned', ({ message }) => {
+      if (message && isInThisChat(message)) pinned.applyPin(true, message);
+    });
+
+    s.on('message:unpinned', ({ message }) => {
+      if (message && isInThisChat(message)) pinned.applyPin(false, message);
+    });
+
+    // After a reconnect, fetch the messages we missed while offline
+    s.on('connect', async () => {
+      const last = messagesRef.current[messagesRef.current.length - 1];
+      if (!last?.id) return;
+      try {
+        const { messages: missed } = await syncSince(s, { cursor: last.id });
+        const inChat = missed.filter((m) => m.kind === 'private' && isInThisChat(m));
+        setMessages((prev) => mergeMessages(prev, inChat));
+        setTimeout(scrollToBottom, 0);
+      } catch (err) {
+        setError(err.message);
+      }
+    });
+
 
     s.on('connect_error', () => {
       setError('Socket connection failed.');
@@ -74,8 +173,12 @@ export default function PrivateChatPage() {
   function onSend(e) {
     e.preventDefault();
     const t = text.trim();
-    if (!t) return;
-    socketRef.current?.emit('private:message', { toUserId: friendId, text: t });
+    if (!t && attachments.ids.length === 0) return;
+    socketRef.current?.emit('private:message', { toUserId: friendId, text: t, attachmentIds: attachments.ids }, (res) => {
+      if (!res?.ok) return setError(res?.error || 'Failed to send message');
+      if (res.request) setRequestPending(true);
+      attachments.clear();
+    });
     setText('');
   }
 
@@ -86,28 +189,49 @@ export default function PrivateChatPage() {
         <div className="row" style={{ alignItems: 'center', justifyContent: 'space-between' }}>
           <div>
             <h2 style={{ marginTop: 0, marginBottom: 4 }}>Private chat</h2>
-            <div className="small">{friend ? `Talking to ${friend.displayName}` : 'Friend'}</div>
+            <div className="small">
+              {friend || peer ? `Talking to ${(friend || peer).displayName}` : 'Friend'}
+            </div>
           </div>
           <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <button className="button" type="button" onClick={() => setShowPins((v) => !v)}>
+              📌 {pinned.pins.length}
+            </button>
             <Link to="/friends" style={{ textDecoration: 'none' }}>
               <span className="button secondary">Back</span>
             </Link>
           </div>
         </div>
 
+        {showPins ? <PinnedDrawer pinned={pinned} onJump={jumpToMessage} onClose={() => setShowPins(false)} /> : null}
+
         {error ? <div className="error" style={{ marginTop: 12 }}>{error}</div> : null}
+        {requestPending ? (
+          <div className="small" style={{ marginTop: 12, color: 'var(--muted)' }}>
+            Message request sent. You can send more once they accept it.
+          </div>
+        ) : null}
 
         <div style={{ height: 12 }} />
 
         <div className="card chat">
-          <div className="messages">
+          <div className="messages" ref={pager.containerRef} onScroll={pager.onScroll}>
+            {pager.loadingOlder ? <div className="small" style={{ textAlign: 'center', color: 'var(--muted)' }}>Loading older messages...</div> : null}
             {messages.map((m) => (
-              <ChatMessage key={m.id || m.createdAt} msg={m} />
+              <ChatMessage
+                key={m.id || m.createdAt}
+                msg={m}
+                highlighted={m.id === highlightId}
+                isPinned={pinned.pinnedIds.has(m.id)}
+                onTogglePin={pinned.canPin ? pinned.togglePin : undefined}
+              />
             ))}
             <div ref={endRef} />
           </div>
 
+          <PendingAttachmentList attachments={attachments} />
           <form className="composer" onSubmit={onSend}>
+            <AttachmentPicker attachments={attachments} />
             <input className="input" value={text} onChange={(e) => setText(e.target.value)} placeholder="Write a message" />
             <button className="button" type="submit">Send</button>
           </form>
@@ -1,22 +1,34 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../state/auth.jsx';
-import { createSocket } from '../lib/socket.js';
+import { createSocket, syncSince } from '../lib/socket.js';
+import { mergeMessages } from '../lib/messages.js';
+import { useHistoryPager } from '../lib/useHistoryPager.js';
+import { useJumpToMessage } from '../lib/useJumpToMessage.js';
+import { usePendingAttachments } from '../lib/usePendingAttachments.js';
+import { usePinnedMessages } from '../lib/usePinnedMessages.js';
 import ChatMessage from '../components/ChatMessage.jsx';
+import AttachmentPicker, { PendingAttachmentList } from '../components/AttachmentPicker.jsx';
+import PinnedDrawer from '../components/PinnedDrawer.jsx';
 
 const DEFAULT_ROOMS = ['general', 'gaming', 'music', 'study'];
 
 export default function PublicChatPage() {
   const auth = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkedRoom = searchParams.get('room') || '';
 
-  const [roomId, setRoomId] = useState('general');
-  const [customRoom, setCustomRoom] = useState('');
+  const [roomId, setRoomId] = useState(DEFAULT_ROOMS.includes(linkedRoom) ? linkedRoom : 'general');
+  const [customRoom, setCustomRoom] = useState(DEFAULT_ROOMS.includes(linkedRoom) ? '' : linkedRoom);
   const [messages, setMessages] = useState([]);
   const [text, setText] = useState('');
   const [error, setError] = useState('');
   const [roomUsers, setRoomUsers] = useState([]);
+  const [showPins, setShowPins] = useState(false);
 
   const socketRef = useRef(null);
   const activeRoomRef = useRef('general');
+  const messagesRef = useRef([]);
   const endRef = useRef(null);
 
   const activeRoom = useMemo(() => {
@@ -28,6 +40,35 @@ export default function PublicChatPage() {
     endRef.current?.scrollIntoView({ behavior: 'smooth' });
   }
 
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  const pager = useHistoryPager({
+    messages,
+    setMessages,
+    fetchOlder: async (before) => {
+      const res = await auth.api.get(`/messages/public/${encodeURIComponent(activeRoomRef.current)}`, {
+        params: { before },
+      });
+      return res.data;
+    },
+  });
+
+  const highlightId = useJumpToMessage({ messageId: searchParams.get('message'), messages, pager });
+
+  const attachments = usePendingAttachments({ api: auth.api, context: { context: 'public', roomId: activeRoom } });
+
+  const pinned = usePinnedMessages({ api: auth.api, path: `/pins/public/${encodeURIComponent(activeRoom)}` });
+
+  function jumpToMessage(item) {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.set('message', item.id);
+      return next;
+    });
+  }
+
   useEffect(() => {
     const s = createSocket(auth.token);
     socketRef.current = s;
@@ -36,12 +77,37 @@ export default function PublicChatPage() {
       setError('Socket connection failed.');
     });
 
+    // Rejoin after a reconnect and pull in whatever was said while we were away
+    s.on('connect', async () => {
+      const room = activeRoomRef.current;
+      s.emit('public:join', { roomId: room });
+
+      const last = messagesRef.current[messagesRef.current.length - 1];
+      if (!last?.id) return;
+      try {
+        const { messages: missed } = await syncSince(s, { cursor: last.id, rooms: [room] });
+        const inRoom = missed.filter((m) => m.kind === 'public' && String(m.roomId) === String(room));
+        setMessages((prev) => mergeMessages(prev, inRoom));
+        setTimeout(scrollToBottom, 0);
+      } catch (err) {
+        setError(err.message);
+      }
+    });
+
     s.on('public:message', (msg) => {
       if (String(msg.roomId) !== String(activeRoomRef.current)) return;
-      setMessages((prev) => [...prev, msg]);
+      setMessages((prev) => mergeMessages(prev, [msg]));
       setTimeout(scrollToBottom, 0);
     });
 
+    s.on('message:pinned', ({ message }) => {
+      if (String(message?.roomId) === String(activeRoomRef.current)) pinned.applyPin(true, message);
+    });
+
+    s.on('message:unpinned', ({ message }) => {
+      if (String(message?.roomId) === String(activeRoomRef.current)) pinned.applyPin(false, message);
+    });
+
     s.on('public:users', (data) => {
       if (String(data.roomId) === String(activeRoomRef.current)) {
         setRoomUsers(data.users || []);
@@ -71,6 +137,7 @@ export default function PublicChatPage() {
     try {
       const res = await auth.api.get(`/messages/public/${encodeURIComponent(r)}`);
       setMessages(res.data.messages || []);
+      pager.reset(res.data.nextCursor);
       setTimeout(scrollToBottom, 0);
     } catch (err) {
       setError(err?.response?.data?.error || 'Failed to load messages');
@@ -81,6 +148,7 @@ export default function PublicChatPage() {
     const s = socketRef.current;
     if (!s) return;
     activeRoomRef.current = activeRoom;
+    attachments.clear();
     s.emit('public:join', { roomId: activeRoom });
     s.emit('public:getUsers', { roomId: activeRoom });
     loadRoomHistory(activeRoom);
@@ -91,9 +159,12 @@ export default function PublicChatPage() {
     setError('');
 
     const t = text.trim();
-    if (!t) return;
+    if (!t && attachments.ids.length === 0) return;
 
-    socketRef.current?.emit('public:message', { roomId: activeRoom, text: t });
+    socketRef.current?.emit('public:message', { roomId: activeRoom, text: t, attachmentIds: attachments.ids }, (res) => {
+      if (!res?.ok) return setError(res?.error || 'Failed to send message');
+      attachments.clear();
+    });
     setText('');
   }
 
@@ -151,24 +222,40 @@ export default function PublicChatPage() {
       <div className="card" style={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 12, padding: '0 16px' }}>
           <h2 style={{ margin: 0 }}>#{activeRoom}</h2>
-          <div className="small" style={{ color: 'var(--muted)' }}>
-            {activeRoom === roomId ? 'Default Room' : 'Custom Room'}
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+            <button className="button" type="button" onClick={() => setShowPins((v) => !v)}>
+              📌 {pinned.pins.length}
+            </button>
+            <div className="small" style={{ color: 'var(--muted)' }}>
+              {activeRoom === roomId ? 'Default Room' : 'Custom Room'}
+            </div>
           </div>
         </div>
 
+        {showPins ? <PinnedDrawer pinned={pinned} onJump={jumpToMessage} onClose={() => setShowPins(false)} /> : null}
+
         {error ? <div className="error" style={{ marginBottom: 12, margin: '0 16px 12px 16px' }}>{error}</div> : null}
 
         <div style={{ height: 12 }} />
 
         <div className="card chat" style={{ margin: '0 16px 16px 16px' }}>
-          <div className="messages">
+          <div className="messages" ref={pager.containerRef} onScroll={pager.onScroll}>
+            {pager.loadingOlder ? <div className="small" style={{ textAlign: 'center', color: 'var(--muted)' }}>Loading older messages...</div> : null}
             {messages.map((m) => (
-              <ChatMessage key={m.id || m.createdAt} msg={m} />
+              <ChatMessage
+                key={m.id || m.createdAt}
+                msg={m}
+                highlighted={m.id === highlightId}
+                isPinned={pinned.pinnedIds.has(m.id)}
+                onTogglePin={pinned.canPin ? pinned.togglePin : undefined}
+              />
             ))}
             <div ref={endRef} />
           </div>
 
+          <PendingAttachmentList attachments={attachments} />
           <form className="composer" onSubmit={onSend}>
+            <AttachmentPicker attachments={attachments} />
             <input className="input" value={text} onChange={(e) => setText(e.target.value)} placeholder={`Message #${activeRoom}`} />
             <button className="button" type="submit">Send</button>
           </form>
@@ -27,6 +27,13 @@ export default function RandomChatPage() {
       setError('Socket connection failed.');
     });
 
+    s.on('error', ({ event, error: message } = {}) => {
+      if (!String(event || '').startsWith('random:')) return;
+      setError(message || 'Something went wrong.');
+      // Queueing failed, so we're not waiting for anyone
+      if (event !== 'random:message') setStatus('idle');
+    });
+
     s.on('random:queued', () => {
       setStatus('queued');
       setPartner(null);
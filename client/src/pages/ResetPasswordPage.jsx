@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../state/auth.jsx';
+
+export default function ResetPasswordPage() {
+  const auth = useAuth();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters.');
+      return;
+    }
+    if (password !== confirm) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await auth.api.post('/auth/reset-password', { token, password });
+      // Every session was revoked, including this browser's
+      auth.setSession('', null);
+      setDone(true);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (!token || done) {
+    return (
+      <div className="card">
+        <div className="form">
+          <h2 style={{ marginTop: 0 }}>Reset password</h2>
+          {done
+            ? <div className="ok" style={{ marginBottom: 12 }}>Your password has been reset.</div>
+            : <div className="error" style={{ marginBottom: 12 }}>This reset link is incomplete.</div>}
+          <div className="small">
+            {done ? <Link to="/login">Login</Link> : <Link to="/forgot-password">Request a new link</Link>}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <div className="form">
+        <h2 style={{ marginTop: 0 }}>Reset password</h2>
+
+        {error ? <div className="error" style={{ marginBottom: 12 }}>{error}</div> : null}
+
+        <form onSubmit={onSubmit} className="grid">
+          <div>
+            <div className="label">New password (min 6)</div>
+            <input className="input" type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="••••••••" />
+          </div>
+
+          <div>
+            <div className="label">Confirm new password</div>
+            <input className="input" type="password" value={confirm} onChange={(e) => setConfirm(e.target.value)} placeholder="••••••••" />
+          </div>
+
+          <button className="button" disabled={loading} type="submit">
+            {loading ? 'Saving…' : 'Set new password'}
+          </button>
+
+          <div className="small">
+            Link expired? <Link to="/forgot-password">Request a new one</Link>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
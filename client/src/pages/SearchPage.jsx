@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../state/auth.jsx';
+import Avatar from '../components/Avatar.jsx';
+import { formatTime } from '../lib/time.js';
+import { messageContext, messageLink } from '../lib/messageLinks.js';
+
+const KINDS = [
+  { value: '', label: 'Everywhere' },
+  { value: 'public', label: 'Public rooms' },
+  { value: 'private', label: 'Direct messages' },
+  { value: 'group', label: 'Groups' },
+];
+
+const CONTENT_TYPES = ['', 'text', 'image', 'video', 'audio', 'file', 'poll', 'location'];
+
+function Snippet({ snippet }) {
+  const parts = [];
+  let pos = 0;
+  (snippet?.highlights || []).forEach(([start, end], i) => {
+    if (start > pos) parts.push(snippet.text.slice(pos, start));
+    parts.push(<mark key={i}>{snippet.text.slice(start, end)}</mark>);
+    pos = end;
+  });
+  parts.push((snippet?.text || '').slice(pos));
+  return <div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{parts}</div>;
+}
+
+export default function SearchPage() {
+  const auth = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const [q, setQ] = useState(searchParams.get('q') || '');
+  const [kind, setKind] = useState('');
+  const [contentType, setContentType] = useState('');
+  const [since, setSince] = useState('');
+  const [until, setUntil] = useState('');
+
+  const [results, setResults] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  async function runSearch(page = 1) {
+    const query = q.trim();
+    if (!query) return;
+
+    setLoading(true);
+    setError('');
+    try {
+      const params = { q: query, page };
+      if (kind) params.kind = kind;
+      if (contentType) params.contentType = contentType;
+      if (since) params.since = since;
+      if (until) params.until = `${until}T23:59:59`;
+
+      const res = await auth.api.get('/search/messages', { params });
+      setResults(res.data.results || []);
+      setPagination(res.data.pagination || null);
+      setSearchParams({ q: query });
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function onSubmit(e) {
+    e.preventDefault();
+    runSearch(1);
+  }
+
+  return (
+    <div className="card" style={{ height: '100%', overflow: 'auto' }}>
+      <h2 style={{ marginTop: 0 }}>Search messages</h2>
+
+      <form className="form" onSubmit={onSubmit}>
+        <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap' }}>
+          <input
+            className="input"
+            style={{ flex: 1, minWidth: 200 }}
+            value={q}
+            onChange={(e) => setQ(e.target.value)}
+            placeholder="Search your chats..."
+          />
+          <button className="button" type="submit" disabled={loading}>
+            {loading ? 'Searching...' : 'Search'}
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap', alignItems: 'center' }}>
+          <select className="input" value={kind} onChange={(e) => setKind(e.target.value)}>
+            {KINDS.map((k) => (
+              <option key={k.value} value={k.value}>{k.label}</option>
+            ))}
+          </select>
+          <select className="input" value={contentType} onChange={(e) => setContentType(e.target.value)}>
+            {CONTENT_TYPES.map((t) => (
+              <option key={t} value={t}>{t ? t : 'Any content'}</option>
+            ))}
+          </select>
+          <label className="small">
+            From <input className="input" type="date" value={since} onChange={(e) => setSince(e.target.value)} />
+          </label>
+          <label className="small">
+            To <input className="input" type="date" value={until} onChange={(e) => setUntil(e.target.value)} />
+          </label>
+        </div>
+      </form>
+
+      {error ? <div className="error" style={{ marginTop: 12 }}>{error}</div> : null}
+
+      <div style={{ marginTop: 16, display: 'flex', flexDirection: 'column', gap: 10 }}>
+        {pagination && results.length === 0 ? (
+          <div className="small" style={{ color: 'var(--muted)' }}>No messages found.</div>
+        ) : null}
+
+        {results.map((r) => (
+          <Link
+            key={r.id}
+            to={messageLink(r)}
+            className="msg"
+            style={{ textDecoration: 'none', color: 'inherit' }}
+          >
+            <Avatar src={r.from?.avatarUrl} name={r.from?.displayName} />
+            <div className="bubble" style={{ flex: 1 }}>
+              <div className="meta">
+                <div className="name">{r.from?.displayName || 'Unknown'}</div>
+                <div className="time">{messageContext(r)} · {formatTime(r.createdAt)}</div>
+              </div>
+              <Snippet snippet={r.snippet} />
+            </div>
+          </Link>
+        ))}
+      </div>
+
+      {pagination && pagination.pages > 1 ? (
+        <div style={{ display: 'flex', gap: 10, alignItems: 'center', marginTop: 16 }}>
+          <button className="button" disabled={loading || pagination.page <= 1} onClick={() => runSearch(pagination.page - 1)}>
+            Previous
+          </button>
+          <span className="small">Page {pagination.page} of {pagination.pages}</span>
+          <button className="button" disabled={loading || pagination.page >= pagination.pages} onClick={() => runSearch(pagination.page + 1)}>
+            Next
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -1,13 +1,21 @@
 import React, { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
 import { useAuth } from '../state/auth.jsx';
+import SessionList from '../components/SessionList.jsx';
+import PasskeyList from '../components/PasskeyList.jsx';
+import LinkedAccounts from '../components/LinkedAccounts.jsx';
+import ApiTokenList from '../components/ApiTokenList.jsx';
+import BotList from '../components/BotList.jsx';
 
 export default function SettingsPage() {
   const auth = useAuth();
+  // Pages that send the user here (e.g. after linking a provider) can pick the tab and a message
+  const location = useLocation();
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
-  const [ok, setOk] = useState('');
-  const [activeTab, setActiveTab] = useState('privacy');
+  const [ok, setOk] = useState(location.state?.ok || '');
+  const [activeTab, setActiveTab] = useState(location.state?.tab || 'privacy');
 
   const [settings, setSettings] = useState({
     // Privacy Settings
@@ -15,6 +23,8 @@ export default function SettingsPage() {
     showAgeGender: true,
     allowRandomChat: true,
     friendRequestPreference: 'anyone',
+    allowTagging: true,
+    allowMentions: true,
 
     // Notification Settings
     messageNotifications: true,
@@ -119,6 +129,17 @@ export default function SettingsPage() {
     console.log('Account deletion requested - needs proper UI implementation');
   }
 
+  async function resendVerification() {
+    setError('');
+    setOk('');
+    try {
+      await auth.api.post('/auth/resend-verification');
+      setOk(`Verification email sent to ${auth.user?.email}`);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to send verification email');
+    }
+  }
+
   async function exportData() {
     try {
       const res = await auth.api.get('/auth/export-data');
@@ -226,6 +247,28 @@ export default function SettingsPage() {
                   <option value="no_one">No one can send requests</option>
                 </select>
               </div>
+
+              <div style={{ marginBottom: 16 }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={settings.allowTagging}
+                    onChange={(e) => updateSetting('allowTagging', e.target.checked)}
+                  />
+                  Allow others to @mention me
+                </label>
+              </div>
+
+              <div style={{ marginBottom: 16 }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={settings.allowMentions}
+                    onChange={(e) => updateSetting('allowMentions', e.target.checked)}
+                  />
+                  Notify me when I'm mentioned
+                </label>
+              </div>
             </div>
           )}
 
@@ -403,8 +446,32 @@ export default function SettingsPage() {
               <div style={{ marginBottom: 16 }}>
                 <div className="label">Logged in as</div>
                 <div>{auth.user?.email}</div>
+                {auth.user?.emailVerified === false ? (
+                  <div className="small" style={{ marginTop: 4 }}>
+                    Not verified ·{' '}
+                    <a
+                      href="#"
+                      onClick={(e) => {
+                        e.preventDefault();
+                        resendVerification();
+                      }}
+                    >
+                      Resend verification email
+                    </a>
+                  </div>
+                ) : null}
               </div>
 
+              <SessionList />
+
+              <PasskeyList />
+
+              <LinkedAccounts />
+
+              <ApiTokenList />
+
+              <BotList />
+
               <div style={{ marginBottom: 16 }}>
                 <button 
                   type="button" 
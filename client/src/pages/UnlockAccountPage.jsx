@@ -0,0 +1,45 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../state/auth.jsx';
+
+// The link from the "account locked" email
+export default function UnlockAccountPage() {
+  const auth = useAuth();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [status, setStatus] = useState(token ? 'unlocking' : 'error');
+  const [error, setError] = useState(token ? '' : 'This unlock link is incomplete.');
+  // Tokens work once, so don't post twice when effects re-run
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (!token || sent.current) return;
+    sent.current = true;
+
+    auth.api
+      .post('/auth/unlock', { token })
+      .then(() => setStatus('unlocked'))
+      .catch((err) => {
+        setStatus('error');
+        setError(err?.response?.data?.error || 'Failed to unlock account');
+      });
+  }, [token]);
+
+  return (
+    <div className="card">
+      <div className="form">
+        <h2 style={{ marginTop: 0 }}>Unlock account</h2>
+
+        {status === 'unlocking' ? <div className="small">Unlocking…</div> : null}
+        {status === 'unlocked' ? <div className="ok" style={{ marginBottom: 12 }}>Your account is unlocked, you can sign in again.</div> : null}
+        {status === 'error' ? <div className="error" style={{ marginBottom: 12 }}>{error}</div> : null}
+
+        <div className="small" style={{ display: 'flex', justifyContent: 'space-between' }}>
+          <Link to="/login">Login</Link>
+          <Link to="/forgot-password">Reset your password</Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../state/auth.jsx';
+
+export default function VerifyEmailPage() {
+  const auth = useAuth();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete.');
+  // Tokens work once, so don't post twice when effects re-run
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (!token || sent.current) return;
+    sent.current = true;
+
+    auth.api
+      .post('/auth/verify-email', { token })
+      .then(() => {
+        setStatus('verified');
+        if (auth.isAuthed) auth.refreshMe().catch(() => {});
+      })
+      .catch((err) => {
+        setStatus('error');
+        setError(err?.response?.data?.error || 'Failed to verify email');
+      });
+  }, [token]);
+
+  return (
+    <div className="card">
+      <div className="form">
+        <h2 style={{ marginTop: 0 }}>Verify email</h2>
+
+        {status === 'verifying' ? <div className="small">Verifying…</div> : null}
+        {status === 'verified' ? <div className="ok" style={{ marginBottom: 12 }}>Your email address is confirmed.</div> : null}
+        {status === 'error' ? <div className="error" style={{ marginBottom: 12 }}>{error}</div> : null}
+
+        <div className="small">
+          {auth.isAuthed ? <Link to="/settings">Back to settings</Link> : <Link to="/login">Login</Link>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,30 +1,38 @@
-import React, { createContext, useContext, useMemo, useState } from 'react';
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
 import { createApiClient } from '../lib/api.js';
+import { clearTokens, getAccessToken, onTokensChange, storeTokens } from '../lib/session.js';
+import { getPasskey } from '../lib/webauthn.js';
 
 const AuthContext = createContext(null);
 
-const TOKEN_KEY = 'mg_token';
 const USER_KEY = 'mg_user';
+// The provider sign-in this tab started: { state, binding }
+const OAUTH_KEY = 'mg_oauth';
 
 export function AuthProvider({ children }) {
-  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY) || '');
+  const [token, setToken] = useState(() => getAccessToken());
   const [user, setUser] = useState(() => {
     const raw = localStorage.getItem(USER_KEY);
     return raw ? JSON.parse(raw) : null;
   });
 
-  const api = useMemo(() => createApiClient(() => token), [token]);
+  // Always sends the latest token, so refreshes don't need a new client
+  const api = useMemo(() => createApiClient(getAccessToken), []);
 
-  function setSession(nextToken, nextUser) {
+  // Follow refreshes, and sign-outs from other tabs or revoked sessions
+  useEffect(() => onTokensChange((next) => {
+    setToken(next);
+    if (!next) {
+      setUser(null);
+      localStorage.removeItem(USER_KEY);
+    }
+  }), []);
+
+  function setSession(nextToken, nextUser, refreshToken) {
+    if (nextToken) storeTokens({ token: nextToken, refreshToken });
+    else clearTokens();
     setToken(nextToken || '');
     setUser(nextUser || null);
-    if (nextToken) {
-      localStorage.setItem(TOKEN_KEY, nextToken);
-      localStorage.setItem('token', nextToken); // Also save under 'token' key for compatibility
-    } else {
-      localStorage.removeItem(TOKEN_KEY);
-      localStorage.removeItem('token'); // Also remove from 'token' key
-    }
     if (nextUser) localStorage.setItem(USER_KEY, JSON.stringify(nextUser));
     else localStorage.removeItem(USER_KEY);
   }
@@ -33,23 +41,84 @@ export function AuthProvider({ children }) {
     if (!token) return null;
     const res = await api.get('/auth/me');
     const u = res.data.user;
-    setSession(token, u);
+    setSession(getAccessToken(), u);
     return u;
   }
 
+  // Resolves to { user } once signed in, or { challengeToken, methods } when
+  // the account has 2FA on and a code has to go to verifyTwoFactor next
   async function login(email, password) {
     const res = await api.post('/auth/login', { email, password });
-    setSession(res.data.token, res.data.user);
+    if (res.data.twoFactorRequired) {
+      return { challengeToken: res.data.challengeToken, methods: res.data.methods || [] };
+    }
+    setSession(res.data.token, res.data.user, res.data.refreshToken);
+    return { user: res.data.user };
+  }
+
+  // method is 'totp' (authenticator app code), 'backup_code' or 'passkey'
+  // (no code; the browser asks for the passkey)
+  async function verifyTwoFactor(challengeToken, code, method = 'totp') {
+    let res;
+    if (method === 'passkey') {
+      const options = await api.post('/2fa/passkey/options', { challengeToken });
+      const credential = await getPasskey(options.data.options);
+      res = await api.post('/2fa/passkey', { challengeToken, credential });
+    } else if (method === 'backup_code') {
+      res = await api.post('/2fa/backup-code', { challengeToken, code });
+    } else {
+      res = await api.post('/2fa/verify', { challengeToken, token: code });
+    }
+    setSession(res.data.token, res.data.user, res.data.refreshToken);
     return res.data.user;
   }
 
+  // Passwordless sign-in with a passkey saved in the browser or on a device
+  async function loginWithPasskey() {
+    const options = await api.post('/webauthn/login/options');
+    const credential = await getPasskey(options.data.options);
+    const res = await api.post('/webauthn/login', { credential });
+    setSession(res.data.token, res.data.user, res.data.refreshToken);
+    return res.data.user;
+  }
+
+  // Sends the browser to an OpenID Connect provider; it comes back to
+  // /oauth/callback. mode 'link' adds the provider to the signed-in account.
+  async function startOAuth(provider, mode = 'login') {
+    const res = await api.post(`/oidc/${encodeURIComponent(provider)}/start`, { mode });
+    sessionStorage.setItem(OAUTH_KEY, JSON.stringify({ state: res.data.state, binding: res.data.binding }));
+    window.location.assign(res.data.url);
+  }
+
+  // The binding for `state` if this tab started that sign-in, else ''.
+  // Read once: a second callback can't reuse it.
+  function takeOAuthBinding(state) {
+    const raw = sessionStorage.getItem(OAUTH_KEY);
+    sessionStorage.removeItem(OAUTH_KEY);
+    const pending = raw ? JSON.parse(raw) : null;
+    return pending?.state && pending.state === state ? pending.binding : '';
+  }
+
+  // Resolves like login(), or to { linked } when a provider was linked
+  async function completeOAuth(code, state, binding) {
+    const res = await api.post('/oidc/callback', { code, state, binding });
+    if (res.data.linked) return { linked: res.data.linked };
+    if (res.data.twoFactorRequired) {
+      return { challengeToken: res.data.challengeToken, methods: res.data.methods || [] };
+    }
+    setSession(res.data.token, res.data.user, res.data.refreshToken);
+    return { user: res.data.user };
+  }
+
   async function register(email, password, displayName) {
     const res = await api.post('/auth/register', { email, password, displayName });
-    setSession(res.data.token, res.data.user);
+    setSession(res.data.token, res.data.user, res.data.refreshToken);
     return res.data.user;
   }
 
   function logout() {
+    // Revoke this device's session server-side; sign out locally regardless
+    if (token) api.post('/auth/logout', null, { headers: { Authorization: `Bearer ${token}` } }).catch(() => {});
     setSession('', null);
   }
 
@@ -59,6 +128,11 @@ export function AuthProvider({ children }) {
     api,
     isAuthed: Boolean(token),
     login,
+    verifyTwoFactor,
+    loginWithPasskey,
+    startOAuth,
+    takeOAuthBinding,
+    completeOAuth,
     register,
     refreshMe,
     logout,
@@ -0,0 +1,177 @@
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// A stand-in OpenID Connect provider for trying social login locally.
+// Run `npm run mock-oidc`, then start the API with:
+//
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:4010
+//   OIDC_MOCK_CLIENT_ID=meet-and-greet
+//   OIDC_MOCK_CLIENT_SECRET=mock-secret
+//   OIDC_MOCK_NAME=Mock provider
+//
+// The authorize page lets you type whatever identity you want to sign in as.
+
+const PORT = Number(process.env.MOCK_OIDC_PORT || 4010);
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'meet-and-greet';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+const codes = new Map(); // code -> { claims, nonce, codeChallenge, redirectUri, expiresAt }
+const accessTokens = new Map(); // token -> claims
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+  });
+}
+
+function subjectFor(email) {
+  return crypto.createHash('sha256').update(email).digest('hex').slice(0, 24);
+}
+
+function authorizePage(params) {
+  const hidden = [...params].map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}">`).join('');
+  return `<!doctype html>
+<html><body style="font-family:system-ui;max-width:420px;margin:40px auto">
+<h2>Mock OpenID provider</h2>
+<p>Sign in to <b>${escapeHtml(params.get('client_id'))}</b> as:</p>
+<form method="post" action="/authorize">
+${hidden}
+<p><label>Email<br><input name="email" value="alice@example.com" style="width:100%"></label></p>
+<p><label>Name<br><input name="name" value="Alice Example" style="width:100%"></label></p>
+<p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+<p><button type="submit">Continue</button> <button type="submit" name="deny" value="1">Deny</button></p>
+</form>
+</body></html>`;
+}
+
+function redirectWith(res, redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+  res.writeHead(302, { Location: url.toString() });
+  res.end();
+}
+
+function clientAuthenticated(req, form) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+    return id === CLIENT_ID && secret === CLIENT_SECRET;
+  }
+  return form.get('client_id') === CLIENT_ID && form.get('client_secret') === CLIENT_SECRET;
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, ISSUER);
+
+  if (url.pathname === '/.well-known/openid-configuration') {
+    return sendJson(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      scopes_supported: ['openid', 'email', 'profile'],
+    });
+  }
+
+  if (url.pathname === '/jwks') {
+    return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+  }
+
+  if (url.pathname === '/authorize' && req.method === 'GET') {
+    if (url.searchParams.get('client_id') !== CLIENT_ID) return sendJson(res, 400, { error: 'unauthorized_client' });
+    if (url.searchParams.get('code_challenge_method') !== 'S256') {
+      return sendJson(res, 400, { error: 'invalid_request', error_description: 'PKCE (S256) is required' });
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end(authorizePage(url.searchParams));
+  }
+
+  if (url.pathname === '/authorize' && req.method === 'POST') {
+    const form = await readBody(req);
+    const redirectUri = form.get('redirect_uri');
+    const state = form.get('state') || '';
+    if (form.get('deny')) return redirectWith(res, redirectUri, { error: 'access_denied', state });
+
+    const email = (form.get('email') || '').trim().toLowerCase();
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      claims: {
+        sub: subjectFor(email),
+        email,
+        email_verified: form.get('email_verified') === 'true',
+        name: form.get('name') || '',
+      },
+      nonce: form.get('nonce') || undefined,
+      codeChallenge: form.get('code_challenge'),
+      redirectUri,
+      expiresAt: Date.now() + 60 * 1000,
+    });
+    return redirectWith(res, redirectUri, { code, state });
+  }
+
+  if (url.pathname === '/token' && req.method === 'POST') {
+    const form = await readBody(req);
+    if (!clientAuthenticated(req, form)) return sendJson(res, 401, { error: 'invalid_client' });
+
+    const grant = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    const verifier = form.get('code_verifier') || '';
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.get('redirect_uri') || challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    accessTokens.set(accessToken, grant.claims);
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: KID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: '5m',
+    });
+    return sendJson(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  }
+
+  if (url.pathname === '/userinfo') {
+    const claims = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+    return claims ? sendJson(res, 200, claims) : sendJson(res, 401, { error: 'invalid_token' });
+  }
+
+  sendJson(res, 404, { error: 'not_found' });
+}
+
+http
+  .createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      console.error(error);
+      sendJson(res, 500, { error: 'server_error' });
+    });
+  })
+  .listen(PORT, () => {
+    console.log(`Mock OIDC provider at ${ISSUER} (client ${CLIENT_ID} / ${CLIENT_SECRET})`);
+  });
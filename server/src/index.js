@@ -13,6 +13,8 @@ import { authRouter } from './routes/auth.js';
 import { profileRouter } from './routes/profile.js';
 import { friendsRouter } from './routes/friends.js';
 import { messagesRouter } from './routes/messages.js';
+import { messageRequestsRouter } from './routes/messageRequests.js';
+import { conversationsRouter } from './routes/conversations.js';
 import { usersRouter } from './routes/users.js';
 import { settingsRouter } from './routes/settings.js';
 import { reactionsRouter } from './routes/reactions.js';
@@ -21,6 +23,7 @@ import { threadingRouter } from './routes/threading.js';
 import { notificationsRouter } from './routes/notifications.js';
 import { themeRouter } from './routes/theme.js';
 import { groupsRouter } from './routes/groups.js';
+import { groupWebhooksRouter } from './routes/groupWebhooks.js';
 import { moderationRouter } from './routes/moderation.js';
 import { twoFactorRouter } from './routes/twoFactor.js';
 import { roomsRouter } from './routes/rooms.js';
@@ -34,7 +37,21 @@ import { rolesRouter } from './routes/roles.js';
 import { expirationRouter } from './routes/expiration.js';
 import { encryptionRouter } from './routes/encryption.js';
 import { bulkMessageRouter } from './routes/bulkMessage.js';
+import { searchRouter } from './routes/search.js';
+import { attachmentsRouter } from './routes/attachments.js';
+import { mentionsRouter } from './routes/mentions.js';
+import { pinsRouter } from './routes/pins.js';
+import { jobsRouter } from './routes/jobs.js';
+import { sessionsRouter } from './routes/sessions.js';
+import { webauthnRouter } from './routes/webauthn.js';
+import { oidcRouter } from './routes/oidc.js';
+import { apiTokensRouter } from './routes/apiTokens.js';
+import { botsRouter } from './routes/bots.js';
+import { hooksRouter } from './routes/hooks.js';
 import { attachSocketServer } from './socket/index.js';
+import { setRealtimeServer } from './lib/realtime.js';
+import { registerScheduledJobs } from './lib/scheduledJobs.js';
+import { startJobRunner } from './lib/jobs.js';
 
 dotenv.config();
 
@@ -55,10 +72,6 @@ app.use(cors({
   credentials: false,
 }));
 
-app.use(express.json({ limit: '200kb' }));
-app.use(express.urlencoded({ extended: true }));
-app.use(cookieParser());
-
 app.use(
   rateLimit({
     windowMs: 60 * 1000,
@@ -68,6 +81,13 @@ app.use(
   })
 );
 
+// Incoming webhooks read their own, larger bodies, and only once the URL's
+// token checks out; mounted ahead of the global parser for that
+app.use('/api/hooks', hooksRouter);
+app.use(express.json({ limit: '200kb' }));
+app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+
 app.use('/uploads', express.static(path.resolve('uploads')));
 
 app.get('/api/health', (req, res) => {
@@ -75,9 +95,13 @@ app.get('/api/health', (req, res) => {
 });
 
 app.use('/api/auth', authRouter);
+app.use('/api/webauthn', webauthnRouter);
+app.use('/api/oidc', oidcRouter);
 app.use('/api/profile', profileRouter);
 app.use('/api/friends', friendsRouter);
 app.use('/api/messages', messagesRouter);
+app.use('/api/message-requests', messageRequestsRouter);
+app.use('/api/conversations', conversationsRouter);
 app.use('/api/users', usersRouter);
 app.use('/api/settings', settingsRouter);
 app.use('/api/reactions', reactionsRouter);
@@ -86,6 +110,7 @@ app.use('/api/threads', threadingRouter);
 app.use('/api/notifications', notificationsRouter);
 app.use('/api/theme', themeRouter);
 app.use('/api/groups', groupsRouter);
+app.use('/api/groups', groupWebhooksRouter);
 app.use('/api/moderation', moderationRouter);
 app.use('/api/2fa', twoFactorRouter);
 app.use('/api/rooms', roomsRouter);
@@ -99,6 +124,14 @@ app.use('/api/roles', rolesRouter);
 app.use('/api/expiration', expirationRouter);
 app.use('/api/encryption', encryptionRouter);
 app.use('/api/bulk', bulkMessageRouter);
+app.use('/api/search', searchRouter);
+app.use('/api/attachments', attachmentsRouter);
+app.use('/api/mentions', mentionsRouter);
+app.use('/api/pins', pinsRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/sessions', sessionsRouter);
+app.use('/api/tokens', apiTokensRouter);
+app.use('/api/bots', botsRouter);
 
 const clientDistPath = path.resolve('../client/dist');
 const clientIndexPath = path.join(clientDistPath, 'index.html');
@@ -112,7 +145,15 @@ if (fs.existsSync(clientIndexPath)) {
 }
 
 await connectDb();
-attachSocketServer(server, { clientOrigin: CLIENT_ORIGIN });
+const io = attachSocketServer(server, { clientOrigin: CLIENT_ORIGIN });
+setRealtimeServer(io);
+
+// Instances started with JOB_RUNNER=off only serve requests; they can still
+// queue jobs for the others to run
+await registerScheduledJobs();
+if (process.env.JOB_RUNNER !== 'off') {
+  startJobRunner();
+}
 
 server.listen(PORT, () => {
   // no logs
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+
+import { User } from '../models/User.js';
+import { appUrl, sendMail } from './mail/index.js';
+
+// Single-use tokens mailed to the account owner. Only a hash is stored, and
+// consuming a token clears it in the same update, so a link works once.
+const KINDS = {
+  passwordReset: {
+    tokenField: 'passwordResetToken',
+    expiresField: 'passwordResetExpires',
+    lifetime: 60 * 60 * 1000,
+  },
+  emailVerification: {
+    tokenField: 'emailVerificationToken',
+    expiresField: 'emailVerificationExpires',
+    lifetime: 48 * 60 * 60 * 1000,
+  },
+  accountUnlock: {
+    tokenField: 'unlockToken',
+    expiresField: 'unlockExpires',
+    lifetime: 24 * 60 * 60 * 1000,
+  },
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Issues a new token of `kind` for the user, replacing any earlier one
+export async function createAccountToken(user, kind) {
+  const { tokenField, expiresField, lifetime } = KINDS[kind];
+  const token = crypto.randomBytes(32).toString('hex');
+  const expires = new Date(Date.now() + lifetime);
+
+  await User.updateOne({ _id: user._id }, { $set: { [tokenField]: hashToken(token), [expiresField]: expires } });
+  user[tokenField] = hashToken(token);
+  user[expiresField] = expires;
+  return token;
+}
+
+// Returns the user the token belongs to and uses it up, or null when the
+// token is unknown, already used or expired
+export async function consumeAccountToken(kind, token) {
+  if (!token) return null;
+  const { tokenField, expiresField } = KINDS[kind];
+
+  return User.findOneAndUpdate(
+    { [tokenField]: hashToken(token), [expiresField]: { $gt: new Date() } },
+    { $set: { [tokenField]: '' }, $unset: { [expiresField]: 1 } },
+    { new: true }
+  );
+}
+
+export async function sendPasswordResetEmail(user) {
+  const token = await createAccountToken(user, 'passwordReset');
+  return sendMail({
+    to: user.email,
+    template: 'passwordReset',
+    vars: {
+      displayName: user.displayName,
+      url: appUrl(`/reset-password?token=${token}`),
+      expiresInMinutes: KINDS.passwordReset.lifetime / 60000,
+    },
+  });
+}
+
+export async function sendVerificationEmail(user) {
+  const token = await createAccountToken(user, 'emailVerification');
+  return sendMail({
+    to: user.email,
+    template: 'verifyEmail',
+    vars: {
+      displayName: user.displayName,
+      url: appUrl(`/verify-email?token=${token}`),
+    },
+  });
+}
+
+export async function sendUnlockEmail(user, { lockedMinutes, failures }) {
+  const token = await createAccountToken(user, 'accountUnlock');
+  return sendMail({
+    to: user.email,
+    template: 'accountLocked',
+    vars: {
+      displayName: user.displayName,
+      url: appUrl(`/unlock-account?token=${token}`),
+      resetUrl: appUrl('/forgot-password'),
+      lockedMinutes,
+      failures,
+    },
+  });
+}
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+
+import { ApiToken } from '../models/ApiToken.js';
+
+// Personal access tokens: `mgp_<secret>`, sent as a Bearer token like a
+// session JWT. A token can only reach routes that name one of its scopes
+// (see requireScope in middleware/requireAuth.js); everything else, such as
+// account settings or creating more tokens, needs a real session.
+export const TOKEN_PREFIX = 'mgp_';
+
+export const SCOPES = {
+  'profile:read': 'Read your profile and other users\' public profiles',
+  'messages:read': 'Read messages, mentions, pins and search',
+  'messages:write': 'Send, edit, react to and pin messages, and run polls',
+  'groups:admin': 'Create groups and manage their settings, members and invites',
+};
+
+const MAX_TOKENS = 25;
+// lastUsedAt is only written when older than this, not on every request
+const TOUCH_INTERVAL = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function isApiToken(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+// Returns { apiToken, token } (the secret is only ever shown here) or { status, error }
+export async function createApiToken(user, { name, scopes, expiresInDays }) {
+  const active = await ApiToken.countDocuments({
+    user: user._id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+  if (active >= MAX_TOKENS) {
+    return { status: 400, error: `You can have at most ${MAX_TOKENS} active tokens` };
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+  const apiToken = await ApiToken.create({
+    user: user._id,
+    name,
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    tokenHash: hashToken(token),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+  });
+
+  user.auditLog.push({
+    action: 'api_token_created',
+    details: `Token "${name}" created with ${apiToken.scopes.join(', ')}`,
+    timestamp: new Date(),
+  });
+  await user.save();
+
+  return { apiToken, token };
+}
+
+// The live token for a Bearer value, or null when unknown, revoked or expired
+export async function findApiToken(token) {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token), revokedAt: null });
+  if (!apiToken) return null;
+  if (apiToken.expiresAt && apiToken.expiresAt <= new Date()) return null;
+  return apiToken;
+}
+
+export async function touchApiToken(apiToken, ip) {
+  if (apiToken.lastUsedAt && Date.now() - apiToken.lastUsedAt.getTime() < TOUCH_INTERVAL) return;
+  await ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip || '' } });
+}
+
+export function hasScopes(apiToken, scopes) {
+  return scopes.every((scope) => apiToken.scopes.includes(scope));
+}
+
+export function serializeApiToken(apiToken) {
+  const expired = Boolean(apiToken.expiresAt && apiToken.expiresAt <= new Date());
+  return {
+    id: String(apiToken._id),
+    name: apiToken.name,
+    prefix: apiToken.prefix,
+    scopes: apiToken.scopes,
+    createdAt: apiToken.createdAt,
+    expiresAt: apiToken.expiresAt || null,
+    lastUsedAt: apiToken.lastUsedAt || null,
+    lastUsedIp: apiToken.lastUsedIp || '',
+    status: apiToken.revokedAt ? 'revoked' : expired ? 'expired' : 'active',
+  };
+}
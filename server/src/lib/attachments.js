@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+import { Attachment } from '../models/Attachment.js';
+import { getStorage } from './storage/index.js';
+
+// Hard cap for any upload; per-chat limits (Group.maxFileSize) sit below it
+export const MAX_UPLOAD_SIZE = 25 * 1024 * 1024;
+// Limit for public rooms, DMs and conversations, which have no setting of their own
+export const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+export const MAX_ATTACHMENTS = 10;
+// Uploads never sent with a message are removed this long after upload
+export const UNCLAIMED_ATTACHMENT_GRACE = 24 * 60 * 60 * 1000;
+const PURGE_BATCH = 500;
+
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'audio/mpeg': '.mp3',
+  'audio/ogg': '.ogg',
+  'audio/wav': '.wav',
+  'audio/flac': '.flac',
+  'audio/mp4': '.m4a',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/quicktime': '.mov',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'text/plain': '.txt',
+  'application/octet-stream': '.bin',
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((b, i) => buffer[offset + i] === b);
+}
+
+function ascii(value) {
+  return [...value].map((c) => c.charCodeAt(0));
+}
+
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample);
+    return true;
+  } catch {
+    // A multi-byte character cut off at the end of the sample is still text
+    return sample.length === 8192;
+  }
+}
+
+// The file's real type, from its leading bytes. The client's claimed type and
+// the file name are never trusted.
+export function sniffMimeType(buffer) {
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(buffer, ascii('RIFF'))) {
+    if (startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+    if (startsWith(buffer, ascii('WAVE'), 8)) return 'audio/wav';
+  }
+  if (startsWith(buffer, ascii('%PDF-'))) return 'application/pdf';
+  if (startsWith(buffer, ascii('ID3'))) return 'audio/mpeg';
+  if (buffer.length > 1 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return 'audio/mpeg';
+  if (startsWith(buffer, ascii('OggS'))) return 'audio/ogg';
+  if (startsWith(buffer, ascii('fLaC'))) return 'audio/flac';
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'video/webm';
+  if (startsWith(buffer, ascii('ftyp'), 4)) {
+    const brand = buffer.subarray(8, 12).toString('latin1');
+    if (brand === 'M4A ') return 'audio/mp4';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) return 'application/zip';
+  if (looksLikeText(buffer)) return 'text/plain';
+  return 'application/octet-stream';
+}
+
+export function attachmentType(mimeType) {
+  const [major] = mimeType.split('/');
+  if (major === 'image' || major === 'audio' || major === 'video') return major;
+  return 'file';
+}
+
+// Message.contentType for a set of attachments: their shared type, else 'file'
+export function contentTypeFor(attachments) {
+  if (!attachments.length) return 'text';
+  const types = new Set(attachments.map((a) => a.type));
+  return types.size === 1 ? attachments[0].type : 'file';
+}
+
+function cleanFilename(name) {
+  return String(name || '')
+    .replace(/[\\/\0\r\n]/g, '_')
+    .trim()
+    .slice(0, 200);
+}
+
+// Sniffs, stores and records an upload for the given chat. `target` is one of
+// { context: 'public', roomId }, { context: 'private', toUser },
+// { context: 'group', groupId } or { context: 'conversation', conversationId }.
+// The caller has already checked the limits.
+export async function storeAttachment({ userId, target, file }) {
+  const mimeType = sniffMimeType(file.buffer);
+  const key = `attachments/${crypto.randomBytes(16).toString('hex')}${EXTENSIONS[mimeType] || '.bin'}`;
+
+  const storage = getStorage();
+  const saved = await storage.save({ key, buffer: file.buffer, mimeType });
+
+  return Attachment.create({
+    uploader: userId,
+    ...target,
+    type: attachmentType(mimeType),
+    mimeType,
+    filename: cleanFilename(file.originalname),
+    size: file.size,
+    storage: storage.name,
+    storageKey: saved.key,
+    url: saved.url,
+  });
+}
+
+// Looks up the caller's unsent uploads for this chat. Returns
+// { attachments } or { error } when an id is unknown, already sent, or was
+// uploaded for a different chat.
+export async function findPendingAttachments(userId, ids, target) {
+  if (ids === undefined || ids === null) return { attachments: [] };
+  if (!Array.isArray(ids) || ids.length > MAX_ATTACHMENTS) {
+    return { error: `Up to ${MAX_ATTACHMENTS} attachments per message` };
+  }
+
+  const unique = [...new Set(ids.map(String))];
+  if (!unique.every((id) => mongoose.isValidObjectId(id))) {
+    return { error: 'Invalid attachment' };
+  }
+  if (unique.length === 0) return { attachments: [] };
+
+  const docs = await Attachment.find({
+    _id: { $in: unique },
+    uploader: userId,
+    message: null,
+    ...target,
+  });
+  if (docs.length !== unique.length) {
+    return { error: 'Attachment not found' };
+  }
+
+  // Keep the order the client sent them in
+  const byId = new Map(docs.map((d) => [String(d._id), d]));
+  return { attachments: unique.map((id) => byId.get(id)) };
+}
+
+export function toMessageAttachments(attachments) {
+  return attachments.map((a) => ({
+    type: a.type,
+    url: a.url,
+    filename: a.filename,
+    size: a.size,
+    mimeType: a.mimeType,
+  }));
+}
+
+export async function claimAttachments(attachments, messageId) {
+  if (!attachments.length) return;
+  await Attachment.updateMany(
+    { _id: { $in: attachments.map((a) => a._id) }, message: null },
+    { $set: { message: messageId } }
+  );
+}
+
+export function serializeAttachments(msg) {
+  return toMessageAttachments(msg.attachments || []);
+}
+
+// Removes the stored files of messages that are being deleted for good
+export async function purgeAttachments(messageIds) {
+  if (!messageIds.length) return 0;
+
+  const attachments = await Attachment.find({ message: { $in: messageIds } });
+  const storage = getStorage();
+  for (const a of attachments) {
+    try {
+      await storage.remove(a.storageKey);
+    } catch (error) {
+      console.error(`Error removing attachment ${a.storageKey}:`, error);
+    }
+  }
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map((a) => a._id) } });
+  return attachments.length;
+}
+
+// Job handler for `attachments.purge`: removes uploads that were never sent.
+// Each record is deleted before its file, and only while still unsent, so an
+// upload sent at the last moment keeps its file.
+export async function purgeUnclaimedAttachments() {
+  const cutoff = new Date(Date.now() - UNCLAIMED_ATTACHMENT_GRACE);
+  const stale = await Attachment.find({ message: null, createdAt: { $lt: cutoff } }).limit(PURGE_BATCH);
+
+  const storage = getStorage();
+  let purged = 0;
+  for (const a of stale) {
+    const deleted = await Attachment.findOneAndDelete({ _id: a._id, message: null });
+    if (!deleted) continue;
+    purged += 1;
+    try {
+      await storage.remove(a.storageKey);
+    } catch (error) {
+      console.error(`Error removing attachment ${a.storageKey}:`, error);
+    }
+  }
+  return { purged };
+}
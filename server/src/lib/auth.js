@@ -1,22 +1,43 @@
 import jwt from 'jsonwebtoken';
 
-export function signToken(user) {
+function jwtSecret() {
   const secret = process.env.JWT_SECRET;
   if (!secret) throw new Error('Missing JWT_SECRET');
+  return secret;
+}
 
+// Short-lived access token for one device session (`sid`). Clients renew it
+// with their refresh token at /auth/refresh; see lib/sessions.js.
+export function signToken(user, sessionId) {
   return jwt.sign(
     {
       sub: String(user._id),
+      sid: sessionId,
       email: user.email,
       displayName: user.displayName,
     },
-    secret,
-    { expiresIn: '7d' }
+    jwtSecret(),
+    { expiresIn: '15m' }
   );
 }
 
+// Access tokens only; challenge tokens are rejected here
 export function verifyToken(token) {
-  const secret = process.env.JWT_SECRET;
-  if (!secret) throw new Error('Missing JWT_SECRET');
-  return jwt.verify(token, secret);
+  const payload = jwt.verify(token, jwtSecret());
+  if (payload?.purpose) throw new Error('Not a session token');
+  return payload;
+}
+
+// Issued by /auth/login instead of a session when 2FA is on. It only proves
+// the password was right and is exchanged for a session at /2fa/verify or
+// /2fa/backup-code within five minutes. `challengeId` (its jti) is recorded
+// on the user, and the exchange clears it, so each token works once.
+export function signChallengeToken(user, challengeId) {
+  return jwt.sign({ sub: String(user._id), purpose: '2fa' }, jwtSecret(), { expiresIn: '5m', jwtid: challengeId });
+}
+
+export function verifyChallengeToken(token) {
+  const payload = jwt.verify(token, jwtSecret());
+  if (payload?.purpose !== '2fa') throw new Error('Not a challenge token');
+  return payload;
 }
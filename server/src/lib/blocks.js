@@ -0,0 +1,43 @@
+import { User } from '../models/User.js';
+
+// Blocking works both ways: once either user blocks the other, neither can
+// message, friend, follow, mention, react or reply to the other, they are
+// never matched in random chat, and each other's messages in shared rooms and
+// groups are left out of history and live delivery. The blocker's profile
+// and presence are hidden from the blocked user (see lib/privacy.js).
+// Every channel asks here instead of reading User.blockedUsers itself.
+
+export const BLOCKED_REASON = 'You cannot interact with this user';
+
+// Whether either of the two users blocked the other
+export async function isBlockedBetween(userId, otherUserId) {
+  if (!userId || !otherUserId || String(userId) === String(otherUserId)) return false;
+  const found = await User.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId },
+    ],
+  });
+  return Boolean(found);
+}
+
+// Everyone the user blocked or was blocked by
+export async function blockedUserIds(userId) {
+  if (!userId) return [];
+  const [me, blockedBy] = await Promise.all([
+    User.findById(userId).select('blockedUsers'),
+    User.find({ blockedUsers: userId }).select('_id'),
+  ]);
+
+  const ids = new Map();
+  for (const id of [...(me?.blockedUsers || []), ...blockedBy.map((u) => u._id)]) {
+    ids.set(String(id), id);
+  }
+  return [...ids.values()];
+}
+
+// Query filter that leaves out messages from users blocked either way
+export async function hideBlockedSenders(userId) {
+  const ids = await blockedUserIds(userId);
+  return ids.length > 0 ? { from: { $nin: ids } } : {};
+}
@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+
+import { ApiToken } from '../models/ApiToken.js';
+import { Group } from '../models/Group.js';
+import { User } from '../models/User.js';
+import { createApiToken } from './apiTokens.js';
+import { channels, disconnect, realtime } from './realtime.js';
+import { scheduleJob } from './jobs.js';
+import { generateWebhookSecret, postWebhook } from './webhooks.js';
+
+// Bot accounts: User documents flagged `isBot` and owned by a human. A bot
+// signs in with an API token (never a password or session) and posts through
+// the same REST routes as everyone else, so group permissions, bans and room
+// slow mode apply to it too. It only posts where it was added: groups it is
+// a member of, and Room documents listed in `bot.rooms`.
+//
+// Events it subscribed to arrive as `bot:event` on its own socket channel
+// (connect with the token as `auth.token`) and, when it has a webhook URL, as
+// signed POSTs (see lib/webhooks.js), retried by the job runner.
+export const BOT_EVENTS = {
+  'message.created': 'A message was posted in one of its rooms or groups',
+  'member.joined': 'Someone joined one of its rooms or groups',
+  'reaction.added': 'Someone reacted to a message in one of its rooms or groups',
+};
+
+// Bots never start private chats or message requests
+export const BOT_DM_REASON = 'Bots cannot send private messages';
+
+const BOT_SCOPES = ['profile:read', 'messages:read', 'messages:write'];
+const MAX_BOTS = 10;
+
+export function isBotInRoom(user, roomId) {
+  return (user?.bot?.rooms || []).includes(String(roomId));
+}
+
+export function findOwnedBot(owner, botId) {
+  return User.findOne({ _id: botId, isBot: true, 'bot.owner': owner._id });
+}
+
+// Revokes the bot's current token and issues a new one. Returns the secret.
+export async function issueBotToken(bot) {
+  await ApiToken.updateMany({ user: bot._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  disconnect(channels.user(String(bot._id)));
+
+  const { token } = await createApiToken(bot, { name: 'Bot token', scopes: BOT_SCOPES });
+  return token;
+}
+
+// Returns { bot, token } or { status, error }
+export async function createBot(owner, { displayName, description = '', events = [], webhookUrl = '' }) {
+  if (owner.isBot) return { status: 403, error: 'Bots cannot own bots' };
+
+  const count = await User.countDocuments({ isBot: true, 'bot.owner': owner._id });
+  if (count >= MAX_BOTS) return { status: 400, error: `You can have at most ${MAX_BOTS} bots` };
+
+  const bot = await User.create({
+    // Never mailed; .invalid can't be registered by anyone
+    email: `bot-${crypto.randomBytes(12).toString('hex')}@bots.invalid`,
+    passwordHash: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+    passwordSet: false,
+    displayName,
+    isBot: true,
+    bot: {
+      owner: owner._id,
+      description,
+      events: [...new Set(events)],
+      webhookUrl,
+      webhookSecret: generateWebhookSecret(),
+    },
+    allowRandomChat: false,
+    allowFriendRequests: false,
+    friendRequestPreference: 'no_one',
+    allowPrivateMessages: false,
+  });
+
+  owner.auditLog.push({
+    action: 'bot_created',
+    details: `Bot "${displayName}" created`,
+    timestamp: new Date(),
+  });
+  await owner.save();
+
+  return { bot, token: await issueBotToken(bot) };
+}
+
+export async function deleteBot(owner, bot) {
+  await ApiToken.updateMany({ user: bot._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  disconnect(channels.user(String(bot._id)));
+
+  const groups = await Group.find({ 'members.user': bot._id });
+  for (const group of groups) {
+    group.members = group.members.filter((m) => String(m.user) !== String(bot._id));
+    group.memberCount = Math.max(group.memberCount - 1, 0);
+    await group.save();
+  }
+  await User.deleteOne({ _id: bot._id });
+
+  owner.auditLog.push({
+    action: 'bot_deleted',
+    details: `Bot "${bot.displayName}" deleted`,
+    timestamp: new Date(),
+  });
+  await owner.save();
+}
+
+export async function serializeBot(bot) {
+  const [groups, apiToken] = await Promise.all([
+    Group.find({ 'members.user': bot._id }).select('name'),
+    ApiToken.findOne({ user: bot._id, revokedAt: null }).select('prefix lastUsedAt'),
+  ]);
+
+  return {
+    id: String(bot._id),
+    displayName: bot.displayName,
+    avatarUrl: bot.avatarUrl,
+    description: bot.bot?.description || '',
+    events: bot.bot?.events || [],
+    webhookUrl: bot.bot?.webhookUrl || '',
+    webhookSecret: bot.bot?.webhookSecret || '',
+    rooms: bot.bot?.rooms || [],
+    groups: groups.map((g) => ({ id: String(g._id), name: g.name })),
+    tokenPrefix: apiToken?.prefix || '',
+    lastActiveAt: apiToken?.lastUsedAt || null,
+    createdAt: bot.createdAt,
+  };
+}
+
+async function dispatchBotEvent(type, { group, roomId, actorId, data }) {
+  const query = { isBot: true, 'bot.events': type };
+  let context;
+  if (group) {
+    const memberIds = (group.members || []).map((m) => m.user?._id || m.user);
+    query._id = { $in: memberIds, $nin: group.bannedUsers || [] };
+    context = { groupId: String(group._id) };
+  } else {
+    query['bot.rooms'] = String(roomId);
+    context = { roomId: String(roomId) };
+  }
+
+  const bots = await User.find(query).select('_id bot');
+  for (const bot of bots) {
+    // A bot doesn't hear about its own actions
+    if (String(bot._id) === String(actorId)) continue;
+
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date(), ...context, data };
+    realtime.toUser(bot._id, 'bot:event', event);
+    if (bot.bot.webhookUrl) {
+      await scheduleJob('bot.webhook', { botId: String(bot._id), event });
+    }
+  }
+}
+
+// Tells the bots in a group (`group`) or public room (`roomId`) that
+// subscribed to `type`. Runs in the background, like mention notifications.
+export function emitBotEvent(type, { group = null, roomId = '', actorId = null, data = {} }) {
+  if (!group && !roomId) return;
+  dispatchBotEvent(type, { group, roomId, actorId, data }).catch((error) => {
+    console.error(`Error dispatching ${type} to bots:`, error);
+  });
+}
+
+// Job handler for `bot.webhook`. Throwing makes the job runner retry with
+// backoff; a bot that was deleted or dropped its webhook is skipped.
+export async function deliverBotWebhook({ botId, event }) {
+  const bot = await User.findOne({ _id: botId, isBot: true }).select('bot');
+  if (!bot?.bot?.webhookUrl || !(bot.bot.events || []).includes(event?.type)) {
+    return { skipped: true };
+  }
+
+  const { status, durationMs } = await postWebhook(bot.bot.webhookUrl, bot.bot.webhookSecret, event);
+  if (status < 200 || status >= 300) {
+    throw new Error(`Webhook answered ${status}`);
+  }
+  return { status, durationMs };
+}
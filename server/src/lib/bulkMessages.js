@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+
+import { Message } from '../models/Message.js';
+import { User } from '../models/User.js';
+import { notificationService } from '../services/notificationService.js';
+import { PermanentJobError, scheduleJob } from './jobs.js';
+
+// Delivers an announcement to the given recipients. `data` is a parsed
+// bulkMessageSchema body. Safe to run twice for the same bulkMessageId:
+// recipients who already got it are skipped, so a retried job doesn't
+// send duplicates. Returns the counts, or { status, error }.
+export async function sendBulkMessage({ senderId, data, bulkMessageId = crypto.randomUUID() }) {
+  const sender = await User.findById(senderId);
+  if (!sender) {
+    return { status: 404, error: 'Sender not found' };
+  }
+
+  // Validate recipients
+  const validRecipients = await User.find({
+    _id: { $in: data.recipients },
+    isBanned: false,
+  });
+
+  if (validRecipients.length !== data.recipients.length) {
+    return { status: 400, error: 'Some recipients are invalid or banned' };
+  }
+
+  // Filter recipients based on delivery method
+  let finalRecipients = validRecipients;
+  if (data.deliveryMethod === 'online') {
+    finalRecipients = validRecipients.filter(user => user.onlineStatus === 'online');
+  } else if (data.deliveryMethod === 'offline') {
+    finalRecipients = validRecipients.filter(user => user.onlineStatus === 'offline');
+  }
+
+  const alreadySent = new Set(
+    (await Message.distinct('to', { 'systemMessageData.bulkMessageId': bulkMessageId })).map(String)
+  );
+
+  // Create messages for each recipient
+  const messages = [];
+
+  for (const recipient of finalRecipients) {
+    if (alreadySent.has(String(recipient._id))) continue;
+
+    const message = new Message({
+      kind: 'announcement',
+      from: senderId,
+      to: recipient._id,
+      text: data.message,
+      contentType: 'text',
+      attachments: data.attachments,
+      priority: data.priority,
+      isSystemMessage: true,
+      systemMessageType: 'bulk_message',
+      systemMessageData: {
+        bulkMessageId,
+        messageType: data.messageType,
+        totalRecipients: finalRecipients.length,
+        deliveryMethod: data.deliveryMethod,
+      },
+    });
+
+    await message.save();
+    messages.push(message);
+
+    // Send notification to recipient
+    await notificationService.createNotification({
+      recipient: recipient._id,
+      sender: senderId,
+      type: 'announcement',
+      title: 'System Announcement',
+      message: data.message,
+      data: {
+        messageId: message._id,
+        messageType: data.messageType,
+        priority: data.priority,
+      },
+      channels: {
+        inApp: true,
+        push: recipient.pushNotifications,
+      },
+      priority: data.priority,
+    });
+  }
+
+  // Log the bulk message
+  sender.auditLog.push({
+    action: 'bulk_message_sent',
+    details: `Sent bulk message to ${finalRecipients.length} recipients. Type: ${data.messageType}`,
+    timestamp: new Date(),
+  });
+  await sender.save();
+
+  return {
+    bulkMessageId,
+    totalRecipients: finalRecipients.length,
+    messagesSent: messages.length,
+  };
+}
+
+export function scheduleBulkMessage({ senderId, data, runAt }) {
+  const bulkMessageId = crypto.randomUUID();
+  return scheduleJob('bulk.send', { senderId: String(senderId), data, bulkMessageId }, {
+    runAt,
+    uniqueKey: `bulk.send:${bulkMessageId}`,
+    maxAttempts: 3,
+    createdBy: senderId,
+  });
+}
+
+// Job handler for `bulk.send`. A sender or recipients that don't check out
+// won't on the next attempt either, so those fail the job straight away.
+export async function sendScheduledBulkMessage({ senderId, data, bulkMessageId }) {
+  const result = await sendBulkMessage({ senderId, data, bulkMessageId });
+  if (result.error) throw new PermanentJobError(result.error);
+  return result;
+}
@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+
+import { Message } from '../models/Message.js';
+import { Room } from '../models/Room.js';
+import { User } from '../models/User.js';
+import { realtime } from './realtime.js';
+import { serializeMessage } from './messageDelivery.js';
+import {
+  DEFAULT_MAX_FILE_SIZE,
+  claimAttachments,
+  contentTypeFor,
+  findPendingAttachments,
+  toMessageAttachments,
+} from './attachments.js';
+import { notifyMentions, resolveMentions } from './mentions.js';
+import { BOT_DM_REASON, emitBotEvent, isBotInRoom } from './bots.js';
+import { BLOCKED_REASON, blockedUserIds, isBlockedBetween } from './blocks.js';
+import {
+  acceptMessageRequest,
+  findMessageRequest,
+  hasAcceptedMessageRequest,
+  sendMessageRequest,
+} from './messageRequests.js';
+
+// Public room and DM sends, shared by the REST routes and the socket server.
+// Group messages live in groupChat.js.
+
+export async function areFriends(userId, otherUserId) {
+  const me = await User.findById(userId).select('friends');
+  return (me?.friends || []).some((id) => String(id) === String(otherUserId));
+}
+
+// Friends can always DM each other; anyone else once a message request
+// between the two was accepted (see messageRequests.js)
+export async function canDirectMessage(userId, otherUserId) {
+  if (await areFriends(userId, otherUserId)) return true;
+  return hasAcceptedMessageRequest(userId, otherUserId);
+}
+
+// Public rooms are free-form names. Rooms created through /api/rooms are also
+// Room documents, keyed by their id, and carry their own settings.
+export async function checkPublicAttachments(roomId) {
+  const room = mongoose.isValidObjectId(roomId) ? await Room.findById(roomId) : null;
+  if (room && !room.allowFileSharing) {
+    return { allowed: false, reason: 'File sharing is disabled in this room' };
+  }
+  return { allowed: true, maxFileSize: DEFAULT_MAX_FILE_SIZE };
+}
+
+function isRoomModerator(room, userId) {
+  return String(room.creator) === String(userId) || (room.moderators || []).some((id) => String(id) === String(userId));
+}
+
+// Who may post in a public room right now: bots only where they were added,
+// no one once a temporary Room document has expired, and Room documents with
+// slow mode make everyone but their moderators wait `slowMode` seconds
+// between messages
+async function checkPublicSend(user, roomId) {
+  if (user.isBot && !isBotInRoom(user, roomId)) {
+    return { allowed: false, reason: 'Bots can only post in rooms they were added to' };
+  }
+
+  const room = mongoose.isValidObjectId(roomId)
+    ? await Room.findById(roomId).select('creator moderators slowMode isTemporary expiresAt isExpired')
+    : null;
+  // The room.expire job may not have run yet
+  if (room?.isExpired || (room?.isTemporary && room.expiresAt <= new Date())) {
+    return { allowed: false, reason: 'Room has expired' };
+  }
+  if (!room?.slowMode || isRoomModerator(room, user._id)) return { allowed: true };
+
+  const last = await Message.findOne({ kind: 'public', roomId, from: user._id }).sort({ _id: -1 }).select('createdAt');
+  const wait = last ? Math.ceil(room.slowMode - (Date.now() - last.createdAt.getTime()) / 1000) : 0;
+  if (wait > 0) {
+    return { allowed: false, reason: `Slow mode is on, wait ${wait}s before sending again` };
+  }
+  return { allowed: true };
+}
+
+// Returns { message, payload } or { error }
+export async function createPublicMessage({ user, roomId, text, attachmentIds }) {
+  const check = await checkPublicSend(user, roomId);
+  if (!check.allowed) return { error: check.reason };
+
+  const { attachments, error } = await findPendingAttachments(user._id, attachmentIds, {
+    context: 'public',
+    roomId,
+  });
+  if (error) return { error };
+
+  if (attachments.length > 0) {
+    const check = await checkPublicAttachments(roomId);
+    if (!check.allowed) return { error: check.reason };
+  }
+
+  const mentioned = await resolveMentions({ kind: 'public', text, sender: user });
+
+  const message = await Message.create({
+    kind: 'public',
+    roomId,
+    from: user._id,
+    text,
+    contentType: contentTypeFor(attachments),
+    attachments: toMessageAttachments(attachments),
+    mentions: mentioned.mentions,
+  });
+  await claimAttachments(attachments, message._id);
+  await message.populate('from', '_id displayName avatarUrl isBot');
+
+  const payload = serializeMessage(message);
+  realtime.toRoom(roomId, 'public:message', payload, { exceptUsers: await blockedUserIds(user._id) });
+  notifyMentions(message, user, mentioned.notify);
+  emitBotEvent('message.created', { roomId, actorId: user._id, data: { message: payload } });
+
+  return { message, payload };
+}
+
+// Returns { message, payload } or { status, error }. To someone the user
+// can't DM yet this sends a message request instead, and `request` is set.
+// Bots post in rooms and groups only, never privately.
+export async function createPrivateMessage({ user, toUserId, text, attachmentIds }) {
+  if (user.isBot) return { status: 403, error: BOT_DM_REASON };
+  if (await isBlockedBetween(user._id, toUserId)) return { status: 403, error: BLOCKED_REASON };
+
+  const toUser = mongoose.isValidObjectId(toUserId) ? await User.findById(toUserId) : null;
+  if (!toUser) return { status: 404, error: 'User not found' };
+
+  if (!(await canDirectMessage(user._id, toUser._id))) {
+    // Replying to their request accepts it
+    const theirs = await findMessageRequest(toUser._id, user._id);
+    if (!theirs || theirs.status === 'blocked') {
+      return sendMessageRequest({ sender: user, recipient: toUser, text, attachmentIds });
+    }
+    await acceptMessageRequest(theirs);
+  }
+
+  const { attachments, error } = await findPendingAttachments(user._id, attachmentIds, {
+    context: 'private',
+    toUser: toUser._id,
+  });
+  if (error) return { error };
+
+  const participants = [user._id, toUser._id];
+  const mentioned = await resolveMentions({ kind: 'private', text, sender: user, participants });
+
+  const message = await Message.create({
+    kind: 'private',
+    participants,
+    from: user._id,
+    to: toUser._id,
+    text,
+    contentType: contentTypeFor(attachments),
+    attachments: toMessageAttachments(attachments),
+    mentions: mentioned.mentions,
+  });
+  await claimAttachments(attachments, message._id);
+  await message.populate('from', '_id displayName avatarUrl isBot');
+
+  const payload = serializeMessage(message);
+  // Both user channels, so the sender's other tabs stay in sync too
+  realtime.toMessage(message, 'private:message', payload);
+  notifyMentions(message, user, mentioned.notify);
+
+  return { message, payload };
+}
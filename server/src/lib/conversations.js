@@ -0,0 +1,202 @@
+import mongoose from 'mongoose';
+
+import { Conversation } from '../models/Conversation.js';
+import { Message } from '../models/Message.js';
+import { User } from '../models/User.js';
+import { channels, leaveChannel, realtime } from './realtime.js';
+import { serializeMessage } from './messageDelivery.js';
+import { canDirectMessage } from './chatMessages.js';
+import { blockedUserIds, isBlockedBetween } from './blocks.js';
+import { claimAttachments, contentTypeFor, findPendingAttachments, toMessageAttachments } from './attachments.js';
+import { notifyMentions, resolveMentions } from './mentions.js';
+
+// Multi-person DMs, shared by the REST routes and the socket server. Anyone
+// in a conversation can add people they could DM themselves, rename it, or
+// leave. Messages go to every participant's user channel;
+// typing and read receipts use the conversation channel, which sockets join
+// while the conversation is open.
+
+export const MAX_CONVERSATION_PARTICIPANTS = 10;
+
+const PARTICIPANT_FIELDS = '_id displayName avatarUrl';
+
+export function isParticipant(conversation, userId) {
+  return (conversation?.participants || []).some((p) => String(p?._id || p) === String(userId));
+}
+
+// The conversation, if `userId` is in it
+export async function findConversation(conversationId, userId) {
+  if (!mongoose.isValidObjectId(conversationId)) return null;
+  const conversation = await Conversation.findById(conversationId);
+  return isParticipant(conversation, userId) ? conversation : null;
+}
+
+export function serializeConversation(conversation, { lastMessage = null, unreadCount = 0 } = {}) {
+  return {
+    id: String(conversation._id),
+    name: conversation.name,
+    participants: (conversation.participants || []).map((p) => ({
+      id: String(p._id || p),
+      displayName: p.displayName,
+      avatarUrl: p.avatarUrl,
+    })),
+    createdBy: String(conversation.createdBy),
+    lastMessageAt: conversation.lastMessageAt,
+    createdAt: conversation.createdAt,
+    lastMessage: lastMessage ? serializeMessage(lastMessage) : null,
+    unreadCount,
+  };
+}
+
+// Messages others sent that the user hasn't read yet
+export function countUnread(conversationId, userId) {
+  return Message.countDocuments({
+    kind: 'conversation',
+    conversationId,
+    from: { $ne: userId },
+    'readBy.user': { $ne: userId },
+    isDeleted: false,
+  });
+}
+
+// Tells everyone in the conversation about its current name and participants
+async function publishConversation(conversation) {
+  await conversation.populate('participants', PARTICIPANT_FIELDS);
+  realtime.toUsers(conversation.participants.map((p) => p._id), 'conversation:updated', {
+    conversation: serializeConversation(conversation),
+  });
+}
+
+const TOO_MANY = { status: 400, error: `Conversations can have up to ${MAX_CONVERSATION_PARTICIPANTS} people` };
+
+// The people `user` may bring into a conversation with `current` people in
+// it: anyone they can DM (see chatMessages.js), with no block either way.
+// Returns { users } or { status, error }.
+async function checkInvitees(user, userIds, current) {
+  const ids = [...new Set((userIds || []).map(String))].filter((id) => id !== String(user._id));
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) return { status: 400, error: 'Invalid user' };
+  if (current + ids.length > MAX_CONVERSATION_PARTICIPANTS) return TOO_MANY;
+
+  const users = await User.find({ _id: { $in: ids } }).select(PARTICIPANT_FIELDS);
+  if (users.length !== ids.length) return { status: 404, error: 'User not found' };
+
+  for (const invitee of users) {
+    const allowed =
+      !(await isBlockedBetween(user._id, invitee._id)) && (await canDirectMessage(user._id, invitee._id));
+    if (!allowed) {
+      return { status: 403, error: `You can't add ${invitee.displayName} to a conversation` };
+    }
+  }
+  return { users };
+}
+
+// Returns { conversation } or { status, error }
+export async function createConversation(user, { participantIds, name = '' }) {
+  const check = await checkInvitees(user, participantIds, 1);
+  if (check.error) return check;
+  if (check.users.length < 2) {
+    return { status: 400, error: 'Pick at least two people; use a private chat for one' };
+  }
+
+  const conversation = await Conversation.create({
+    name,
+    participants: [user._id, ...check.users.map((u) => u._id)],
+    createdBy: user._id,
+  });
+  await publishConversation(conversation);
+
+  return { conversation };
+}
+
+// Returns { conversation } or { status, error }
+export async function addParticipants(conversation, user, userIds) {
+  const newIds = (userIds || []).filter((id) => !isParticipant(conversation, id));
+  if (newIds.length === 0) return { status: 400, error: 'Everyone is already in this conversation' };
+
+  const check = await checkInvitees(user, newIds, conversation.participants.length);
+  if (check.error) return check;
+
+  conversation.participants.push(...check.users.map((u) => u._id));
+  await conversation.save();
+  await publishConversation(conversation);
+
+  return { conversation };
+}
+
+export async function renameConversation(conversation, name) {
+  conversation.name = name;
+  await conversation.save();
+  await publishConversation(conversation);
+  return { conversation };
+}
+
+// The user stops getting messages and loses access to the history. The last
+// one out leaves the messages behind with nobody able to read them.
+export async function leaveConversation(conversation, userId) {
+  conversation.participants = conversation.participants.filter((p) => String(p?._id || p) !== String(userId));
+  await conversation.save();
+
+  leaveChannel(channels.user(String(userId)), channels.conversation(String(conversation._id)));
+  realtime.toUser(userId, 'conversation:removed', { conversationId: String(conversation._id) });
+  if (conversation.participants.length > 0) await publishConversation(conversation);
+}
+
+// Returns { message, payload } or { error }
+export async function createConversationMessage({ conversation, user, text, attachmentIds }) {
+  const { attachments, error } = await findPendingAttachments(user._id, attachmentIds, {
+    context: 'conversation',
+    conversationId: conversation._id,
+  });
+  if (error) return { error };
+
+  const mentioned = await resolveMentions({
+    kind: 'conversation',
+    text,
+    sender: user,
+    participants: conversation.participants,
+  });
+
+  const message = await Message.create({
+    kind: 'conversation',
+    conversationId: conversation._id,
+    participants: conversation.participants,
+    from: user._id,
+    text,
+    contentType: contentTypeFor(attachments),
+    attachments: toMessageAttachments(attachments),
+    mentions: mentioned.mentions,
+  });
+  await claimAttachments(attachments, message._id);
+
+  conversation.lastMessageAt = message.createdAt;
+  await conversation.save();
+
+  await message.populate('from', '_id displayName avatarUrl isBot');
+
+  const payload = serializeMessage(message);
+  realtime.toUsers(conversation.participants, 'conversation:message', payload, {
+    exceptUsers: await blockedUserIds(user._id),
+  });
+  notifyMentions(message, user, mentioned.notify);
+
+  return { message, payload };
+}
+
+// Marks everything others sent up to `messageId` as read by the user.
+// Returns when it happened, or null if there was nothing new.
+export async function markConversationRead(conversation, userId, messageId) {
+  if (!mongoose.isValidObjectId(messageId)) return null;
+
+  const readAt = new Date();
+  const result = await Message.updateMany(
+    {
+      kind: 'conversation',
+      conversationId: conversation._id,
+      _id: { $lte: new mongoose.Types.ObjectId(messageId) },
+      from: { $ne: userId },
+      'readBy.user': { $ne: userId },
+    },
+    { $push: { readBy: { user: userId, readAt } } }
+  );
+  return result.modifiedCount > 0 ? readAt : null;
+}
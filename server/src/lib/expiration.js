@@ -0,0 +1,60 @@
+import { Message } from '../models/Message.js';
+import { Group } from '../models/Group.js';
+import { purgeAttachments } from './attachments.js';
+
+// Message clean-up run by the scheduler (see lib/scheduledJobs.js) and by the
+// manual admin endpoints in routes/expiration.js.
+
+const DELETE_BATCH_SIZE = 500;
+
+// Deletes matching messages and their stored files, in batches
+async function deleteMessages(query) {
+  let deleted = 0;
+  for (;;) {
+    const ids = (await Message.find(query).select('_id').limit(DELETE_BATCH_SIZE)).map((m) => m._id);
+    if (ids.length === 0) break;
+
+    await purgeAttachments(ids);
+    const result = await Message.deleteMany({ _id: { $in: ids } });
+    deleted += result.deletedCount;
+    if (ids.length < DELETE_BATCH_SIZE) break;
+  }
+  return deleted;
+}
+
+// Flags messages whose expiresAt has passed
+export async function markExpiredMessages() {
+  const result = await Message.updateMany(
+    {
+      expiresAt: { $exists: true, $lte: new Date() },
+      isExpired: false,
+    },
+    { isExpired: true }
+  );
+  return result.modifiedCount;
+}
+
+export function deleteExpiredMessages() {
+  return deleteMessages({ isExpired: true });
+}
+
+// Job handler for `messages.expire`
+export async function expireMessages() {
+  const marked = await markExpiredMessages();
+  const deleted = await deleteExpiredMessages();
+  return { marked, deleted };
+}
+
+// Job handler for `groups.retention`: drops group messages older than each
+// group's messageRetentionDays (0 keeps them forever)
+export async function applyGroupRetention() {
+  const groups = await Group.find({ messageRetentionDays: { $gt: 0 } }).select('_id messageRetentionDays');
+
+  let deleted = 0;
+  for (const group of groups) {
+    const cutoff = new Date(Date.now() - group.messageRetentionDays * 24 * 60 * 60 * 1000);
+    deleted += await deleteMessages({ kind: 'group', groupId: group._id, createdAt: { $lt: cutoff } });
+  }
+
+  return { groups: groups.length, deleted };
+}
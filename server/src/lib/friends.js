@@ -0,0 +1,70 @@
+import { User } from '../models/User.js';
+import { FriendRequest } from '../models/FriendRequest.js';
+import { BLOCKED_REASON, isBlockedBetween } from './blocks.js';
+
+// Who may send whom a friend request. The recipient decides through
+// allowFriendRequests (off = nobody) and friendRequestPreference:
+//   anyone              every signed-in user
+//   friends_of_friends  users with at least one friend in common
+//   no_one              nobody
+// After a rejection the sender has to wait out a cooldown before asking
+// the same person again.
+
+export const FRIEND_REQUEST_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+
+export function isFriendOf(user, otherUserId) {
+  return (user?.friends || []).some((id) => String(id?._id || id) === String(otherUserId));
+}
+
+// Whether any of `user`'s friends is also friends with `otherUserId`
+export async function hasMutualFriend(user, otherUserId) {
+  if (!user?.friends?.length) return false;
+  const found = await User.exists({ _id: { $in: user.friends }, friends: otherUserId });
+  return Boolean(found);
+}
+
+// Checks whether `fromUser` may send `toUser` a friend request, given the
+// existing request between them (either direction) if any.
+// Returns { status, error } when not.
+export async function checkFriendRequest(fromUser, toUser, { existing, reverse } = {}) {
+  if (String(fromUser._id) === String(toUser._id)) return { status: 400, error: 'Invalid request' };
+  if (toUser.isBot) return { status: 403, error: 'Bots do not accept friend requests' };
+  if (await isBlockedBetween(fromUser._id, toUser._id)) return { status: 403, error: BLOCKED_REASON };
+  if (isFriendOf(fromUser, toUser._id)) return { status: 409, error: 'Already friends' };
+
+  if (existing?.status === 'pending') return { status: 409, error: 'Request already exists' };
+  if (reverse?.status === 'pending') {
+    return { status: 409, error: 'This user already sent you a friend request' };
+  }
+
+  if (existing?.status === 'rejected') {
+    const retryAt = (existing.respondedAt || existing.updatedAt).getTime() + FRIEND_REQUEST_COOLDOWN_MS;
+    if (retryAt > Date.now()) {
+      return { status: 429, error: 'You can send this user another request later', retryAt: new Date(retryAt) };
+    }
+  }
+
+  if (!toUser.allowFriendRequests || toUser.friendRequestPreference === 'no_one') {
+    return { status: 403, error: 'This user is not accepting friend requests' };
+  }
+  if (toUser.friendRequestPreference === 'friends_of_friends' && !(await hasMutualFriend(toUser, fromUser._id))) {
+    return { status: 403, error: 'This user only accepts requests from friends of friends' };
+  }
+
+  return {};
+}
+
+// Removes the friendship both ways along with any requests between the two,
+// so either can ask again later
+export async function removeFriendship(userId, otherUserId) {
+  await Promise.all([
+    User.updateOne({ _id: userId }, { $pull: { friends: otherUserId } }),
+    User.updateOne({ _id: otherUserId }, { $pull: { friends: userId } }),
+    FriendRequest.deleteMany({
+      $or: [
+        { from: userId, to: otherUserId },
+        { from: otherUserId, to: userId },
+      ],
+    }),
+  ]);
+}
@@ -0,0 +1,153 @@
+import { Message } from '../models/Message.js';
+import { realtime } from './realtime.js';
+import {
+  DEFAULT_MAX_FILE_SIZE,
+  MAX_UPLOAD_SIZE,
+  claimAttachments,
+  contentTypeFor,
+  findPendingAttachments,
+  serializeAttachments,
+  toMessageAttachments,
+} from './attachments.js';
+import { notifyMentions, resolveMentions, serializeMentions } from './mentions.js';
+import { emitBotEvent } from './bots.js';
+import { emitGroupEvent } from './groupWebhooks.js';
+import { blockedUserIds } from './blocks.js';
+
+// Shared group chat rules, used by both the REST routes and the socket server.
+
+export function findGroupMember(group, userId) {
+  return (group?.members || []).find((m) => String(m.user?._id || m.user) === String(userId));
+}
+
+export function isGroupBanned(group, userId) {
+  return (group?.bannedUsers || []).some((id) => String(id) === String(userId));
+}
+
+export function isGroupAdmin(group, userId) {
+  if (!group) return false;
+  if (String(group.creator?._id || group.creator) === String(userId)) return true;
+  if ((group.admins || []).some((id) => String(id?._id || id) === String(userId))) return true;
+  return findGroupMember(group, userId)?.role === 'admin';
+}
+
+export function isGroupModerator(group, userId) {
+  return isGroupAdmin(group, userId) || findGroupMember(group, userId)?.role === 'moderator';
+}
+
+// Admins and moderators hold every permission. Regular members use their own
+// permission list when one is set, otherwise the group's default custom role.
+// A group that defines neither grants members everything.
+export function hasGroupPermission(group, userId, permission) {
+  const member = findGroupMember(group, userId);
+  if (!member) return false;
+  if (isGroupModerator(group, userId)) return true;
+
+  if (member.permissions?.length) {
+    return member.permissions.includes(permission);
+  }
+
+  const defaultRole = (group.customRoles || []).find((r) => r.isDefault);
+  if (defaultRole) {
+    return (defaultRole.permissions || []).includes(permission);
+  }
+
+  return true;
+}
+
+export function canReadGroup(group, userId) {
+  return Boolean(findGroupMember(group, userId)) && !isGroupBanned(group, userId);
+}
+
+export function checkGroupSend(group, userId) {
+  if (!group) return { allowed: false, reason: 'Group not found' };
+  if (isGroupBanned(group, userId)) return { allowed: false, reason: 'You are banned from this group' };
+  if (!findGroupMember(group, userId)) return { allowed: false, reason: 'Access denied' };
+  if (group.isArchived) return { allowed: false, reason: 'Group is archived' };
+  if (group.isFrozen && !isGroupModerator(group, userId)) return { allowed: false, reason: 'Group is frozen' };
+  if (!hasGroupPermission(group, userId, 'send_messages')) {
+    return { allowed: false, reason: 'You do not have permission to send messages' };
+  }
+  return { allowed: true };
+}
+
+// On top of checkGroupSend: the group allows files and the member may post them
+export function checkGroupAttachments(group, userId) {
+  if (!group.allowFileSharing) return { allowed: false, reason: 'File sharing is disabled in this group' };
+  if (!hasGroupPermission(group, userId, 'attach_files')) {
+    return { allowed: false, reason: 'You do not have permission to share files' };
+  }
+  return { allowed: true, maxFileSize: Math.min(group.maxFileSize || DEFAULT_MAX_FILE_SIZE, MAX_UPLOAD_SIZE) };
+}
+
+export function serializeGroupMessage(msg) {
+  const from = msg.from || {};
+  return {
+    id: String(msg._id),
+    groupId: String(msg.groupId),
+    room: msg.roomId || '',
+    text: msg.text,
+    contentType: msg.contentType,
+    attachments: serializeAttachments(msg),
+    ...serializeMentions(msg),
+    createdAt: msg.createdAt,
+    from: {
+      id: String(from._id || from),
+      displayName: from.displayName,
+      avatarUrl: from.avatarUrl,
+      isBot: Boolean(from.isBot),
+    },
+  };
+}
+
+// Persists a message that already passed checkGroupSend and fans it out.
+// Returns { error } when the attachments can't be sent here.
+export async function createGroupMessage({ group, user, text, room = '', attachmentIds }) {
+  const { attachments, error } = await findPendingAttachments(user._id, attachmentIds, {
+    context: 'group',
+    groupId: group._id,
+  });
+  if (error) return { error };
+
+  if (attachments.length > 0) {
+    const check = checkGroupAttachments(group, user._id);
+    if (!check.allowed) return { error: check.reason };
+  }
+
+  const mentioned = await resolveMentions({
+    kind: 'group',
+    text,
+    sender: user,
+    group,
+    canBroadcast: isGroupAdmin(group, user._id),
+  });
+
+  const message = await Message.create({
+    kind: 'group',
+    groupId: group._id,
+    roomId: room,
+    from: user._id,
+    text,
+    contentType: contentTypeFor(attachments),
+    attachments: toMessageAttachments(attachments),
+    mentions: mentioned.mentions,
+    mentionsEveryone: mentioned.mentionsEveryone,
+  });
+  await claimAttachments(attachments, message._id);
+
+  group.lastActivity = new Date();
+  group.messageCount += 1;
+  await group.save();
+
+  await message.populate('from', 'displayName avatarUrl isBot');
+
+  const payload = serializeGroupMessage(message);
+  realtime.toGroup(group._id, 'group:message', payload, { exceptUsers: await blockedUserIds(user._id) });
+
+  // In the background: a large @everyone shouldn't hold up the send
+  notifyMentions(message, user, mentioned.notify);
+  emitBotEvent('message.created', { group, actorId: user._id, data: { message: payload } });
+  emitGroupEvent(group._id, 'message.created', { message: payload });
+
+  return { message, payload };
+}
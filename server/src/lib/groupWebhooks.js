@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+
+import { GroupWebhook } from '../models/GroupWebhook.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { retryDelay, scheduleJob } from './jobs.js';
+import { WebhookTargetError, generateWebhookSecret, postWebhook } from './webhooks.js';
+
+// Outgoing webhooks for group activity. Each event is recorded as a
+// WebhookDelivery per subscribed webhook and sent by a `group.webhook` job;
+// a failed send (no answer, or not 2xx) is retried with the job runner's
+// backoff until WEBHOOK_MAX_ATTEMPTS. Every attempt is kept in the delivery log.
+export const GROUP_WEBHOOK_EVENTS = {
+  'message.created': 'A message was posted in the group',
+  'member.joined': 'Someone joined the group',
+  'member.left': 'Someone left or was removed from the group',
+  'poll.closed': 'A poll in the group closed',
+  'report.created': 'Something in the group was reported',
+};
+
+export const MAX_WEBHOOKS = 10;
+// The first try plus retries after 30s, 1m, 2m, 4m and 8m
+export const WEBHOOK_MAX_ATTEMPTS = 6;
+const LOG_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+function buildEvent(groupId, type, data) {
+  return {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    createdAt: new Date().toISOString(),
+    groupId: String(groupId),
+    data,
+  };
+}
+
+function newDelivery(hook, event) {
+  return new WebhookDelivery({
+    webhook: hook._id,
+    group: hook.group,
+    eventId: event.id,
+    eventType: event.type,
+    payload: event,
+    expiresAt: new Date(Date.now() + LOG_RETENTION),
+  });
+}
+
+async function queueDeliveries(groupId, type, data) {
+  const hooks = await GroupWebhook.find({ group: groupId, isActive: true, events: type });
+  if (hooks.length === 0) return;
+
+  const event = buildEvent(groupId, type, data);
+  for (const hook of hooks) {
+    const delivery = await newDelivery(hook, event).save();
+    await scheduleJob('group.webhook', { deliveryId: String(delivery._id) });
+  }
+}
+
+// Sends `type` to the group's webhooks that subscribed to it. Runs in the
+// background so a slow database never holds up the action that caused it.
+export function emitGroupEvent(groupId, type, data = {}) {
+  if (!groupId) return;
+  queueDeliveries(groupId, type, data).catch((error) => {
+    console.error(`Error queueing ${type} webhooks:`, error);
+  });
+}
+
+// One POST, recorded on the delivery (not saved). Returns { ok, retry }:
+// a URL that points somewhere webhooks may not go isn't worth retrying.
+async function attemptDelivery(hook, delivery) {
+  const at = new Date();
+  let attempt;
+  let retry = true;
+  try {
+    const { status, durationMs } = await postWebhook(hook.url, hook.secret, delivery.payload);
+    const ok = status >= 200 && status < 300;
+    attempt = { at, responseStatus: status, durationMs, error: ok ? '' : `Receiver answered ${status}` };
+  } catch (error) {
+    retry = !(error instanceof WebhookTargetError);
+    const reason = error?.name === 'TimeoutError' ? 'Timed out' : error?.code || error?.message || 'Request failed';
+    attempt = { at, durationMs: Date.now() - at.getTime(), error: String(reason).slice(0, 300) };
+  }
+
+  delivery.attempts.push(attempt);
+  await GroupWebhook.updateOne(
+    { _id: hook._id },
+    { $set: { lastDeliveryAt: at, lastStatus: attempt.error ? 'failed' : 'succeeded' } }
+  );
+  return { ok: !attempt.error, retry };
+}
+
+// Job handler for `group.webhook`. Throws on failure so the job runner
+// retries it; the delivery says when the next attempt is due. A URL that
+// isn't allowed fails the delivery straight away.
+export async function deliverGroupWebhook({ deliveryId }, job) {
+  const delivery = await WebhookDelivery.findById(deliveryId);
+  if (!delivery || delivery.status === 'succeeded' || delivery.status === 'failed') return { skipped: true };
+
+  const hook = await GroupWebhook.findById(delivery.webhook);
+  if (!hook?.isActive) {
+    delivery.status = 'failed';
+    delivery.attempts.push({ at: new Date(), error: 'Webhook was disabled or deleted' });
+    delivery.nextAttemptAt = undefined;
+    await delivery.save();
+    return { skipped: true };
+  }
+
+  const { ok, retry } = await attemptDelivery(hook, delivery);
+  const lastAttempt = !retry || job.attempts >= job.maxAttempts;
+  delivery.status = ok ? 'succeeded' : lastAttempt ? 'failed' : 'retrying';
+  delivery.nextAttemptAt = ok || lastAttempt ? undefined : new Date(Date.now() + retryDelay(job.attempts));
+  await delivery.save();
+
+  if (!ok && retry) throw new Error(delivery.attempts[delivery.attempts.length - 1].error);
+  return { status: delivery.status };
+}
+
+// Sends a `webhook.test` event right away, once, whatever the webhook
+// subscribed to. Returns the delivery.
+export async function sendTestEvent(hook, user) {
+  const event = buildEvent(hook.group, 'webhook.test', {
+    message: 'This is a test event',
+    webhookId: String(hook._id),
+    sentBy: { id: String(user._id), displayName: user.displayName },
+  });
+
+  const delivery = newDelivery(hook, event);
+  const { ok } = await attemptDelivery(hook, delivery);
+  delivery.status = ok ? 'succeeded' : 'failed';
+  return delivery.save();
+}
+
+export async function createGroupWebhook(group, user, { url, description = '', events }) {
+  return GroupWebhook.create({
+    group: group._id,
+    url,
+    description,
+    events: [...new Set(events)],
+    secret: generateWebhookSecret(),
+    createdBy: user._id,
+  });
+}
+
+export function rotateWebhookSecret(hook) {
+  hook.secret = generateWebhookSecret();
+  return hook.save();
+}
+
+export async function deleteGroupWebhook(hook) {
+  await WebhookDelivery.deleteMany({ webhook: hook._id });
+  await GroupWebhook.deleteOne({ _id: hook._id });
+}
+
+export function serializeWebhook(hook) {
+  return {
+    id: String(hook._id),
+    url: hook.url,
+    description: hook.description,
+    events: hook.events,
+    secret: hook.secret,
+    isActive: hook.isActive,
+    lastDeliveryAt: hook.lastDeliveryAt || null,
+    lastStatus: hook.lastStatus || '',
+    createdAt: hook.createdAt,
+  };
+}
+
+export function serializeDelivery(delivery) {
+  return {
+    id: String(delivery._id),
+    eventId: delivery.eventId,
+    eventType: delivery.eventType,
+    status: delivery.status,
+    attempts: delivery.attempts.map((a) => ({
+      at: a.at,
+      responseStatus: a.responseStatus ?? null,
+      error: a.error || '',
+      durationMs: a.durationMs,
+    })),
+    nextAttemptAt: delivery.nextAttemptAt || null,
+    payload: delivery.payload,
+    createdAt: delivery.createdAt,
+  };
+}
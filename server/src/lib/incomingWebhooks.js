@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+
+import { IncomingWebhook } from '../models/IncomingWebhook.js';
+import { Group } from '../models/Group.js';
+import { User } from '../models/User.js';
+import { MAX_ATTACHMENTS, storeAttachment } from './attachments.js';
+import { checkGroupAttachments, checkGroupSend, createGroupMessage } from './groupChat.js';
+import { appUrl } from './mail/index.js';
+
+// Incoming webhooks let scripts and CI post into a group without an account:
+// POST JSON to /api/hooks/<id>/<token>. Each webhook posts as its own bot
+// user, a member of the group, so its messages go through createGroupMessage
+// like any other (live delivery, history, mentions, outgoing webhooks) and
+// group bans, frozen groups and send permissions apply to it. Removing that
+// member from the group stops the webhook until it is added back.
+export const MAX_INCOMING_WEBHOOKS = 10;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newToken() {
+  const token = crypto.randomBytes(30).toString('base64url');
+  return { token, prefix: token.slice(0, 6), tokenHash: hashToken(token) };
+}
+
+export function incomingWebhookUrl(hook, token) {
+  return appUrl(`/api/hooks/${hook._id}/${token}`);
+}
+
+// The active webhook for this id and token, or null
+export async function findIncomingWebhook(webhookId, token) {
+  const hook = await IncomingWebhook.findOne({ _id: webhookId, isActive: true });
+  if (!hook || typeof token !== 'string') return null;
+
+  const expected = Buffer.from(hook.tokenHash, 'hex');
+  const actual = Buffer.from(hashToken(token), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? hook : null;
+}
+
+// Returns { hook, url } (the token is only in this url) or { status, error }
+export async function createIncomingWebhook(group, user, { displayName, avatarUrl = '', room = '', rateLimit }) {
+  const count = await IncomingWebhook.countDocuments({ group: group._id });
+  if (count >= MAX_INCOMING_WEBHOOKS) {
+    return { status: 400, error: `A group can have at most ${MAX_INCOMING_WEBHOOKS} incoming webhooks` };
+  }
+
+  const hookId = new IncomingWebhook()._id;
+  const sender = await User.create({
+    email: `webhook-${crypto.randomBytes(12).toString('hex')}@bots.invalid`,
+    passwordHash: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+    passwordSet: false,
+    displayName,
+    avatarUrl,
+    isBot: true,
+    bot: { incomingWebhook: hookId, description: `Incoming webhook for ${group.name}` },
+    allowRandomChat: false,
+    allowFriendRequests: false,
+    friendRequestPreference: 'no_one',
+    allowPrivateMessages: false,
+  });
+
+  group.members.push({ user: sender._id, joinedAt: new Date(), role: 'member' });
+  group.memberCount += 1;
+  await group.save();
+
+  const { token, prefix, tokenHash } = newToken();
+  const hook = await IncomingWebhook.create({
+    _id: hookId,
+    group: group._id,
+    room,
+    sender: sender._id,
+    prefix,
+    tokenHash,
+    rateLimit,
+    createdBy: user._id,
+  });
+  hook.sender = sender;
+
+  return { hook, url: incomingWebhookUrl(hook, token) };
+}
+
+// Replaces the token; the old URL stops working. Returns the new URL.
+export async function rotateIncomingWebhookToken(hook) {
+  const { token, prefix, tokenHash } = newToken();
+  hook.prefix = prefix;
+  hook.tokenHash = tokenHash;
+  await hook.save();
+  return incomingWebhookUrl(hook, token);
+}
+
+// Its sender goes too, like a deleted bot; messages it already posted stay
+export async function deleteIncomingWebhook(hook) {
+  const senderId = String(hook.sender?._id || hook.sender);
+  const group = await Group.findById(hook.group);
+  if (group) {
+    const before = group.members.length;
+    group.members = group.members.filter((m) => String(m.user) !== senderId);
+    group.memberCount = Math.max(group.memberCount - (before - group.members.length), 0);
+    await group.save();
+  }
+  await User.deleteOne({ _id: senderId, isBot: true, 'bot.incomingWebhook': hook._id });
+  await IncomingWebhook.deleteOne({ _id: hook._id });
+}
+
+// Decodes and stores base64 attachments as the webhook's sender.
+// Returns { attachmentIds } or { status, error }.
+async function storeWebhookAttachments(group, sender, files) {
+  if (files.length === 0) return { attachmentIds: [] };
+  if (files.length > MAX_ATTACHMENTS) {
+    return { status: 400, error: `Up to ${MAX_ATTACHMENTS} attachments per message` };
+  }
+
+  const check = checkGroupAttachments(group, sender._id);
+  if (!check.allowed) return { status: 403, error: check.reason };
+
+  const buffers = files.map((f) => Buffer.from(f.content, 'base64'));
+  if (buffers.some((b) => b.length === 0)) return { status: 400, error: 'Attachment is empty or not base64' };
+  if (buffers.some((b) => b.length > check.maxFileSize)) {
+    return { status: 413, error: 'File is too large', maxFileSize: check.maxFileSize };
+  }
+
+  const attachmentIds = [];
+  for (const [i, buffer] of buffers.entries()) {
+    const attachment = await storeAttachment({
+      userId: sender._id,
+      target: { context: 'group', groupId: group._id },
+      file: { buffer, originalname: files[i].filename, size: buffer.length },
+    });
+    attachmentIds.push(String(attachment._id));
+  }
+  return { attachmentIds };
+}
+
+// Posts `text` and `attachments` ([{ filename, content }], base64) as the
+// webhook. Returns { payload } or { status, error }.
+export async function postIncomingMessage(hook, { text, attachments = [] }) {
+  const [group, sender] = await Promise.all([Group.findById(hook.group), User.findById(hook.sender)]);
+  if (!group || !sender) return { status: 404, error: 'Webhook not found' };
+
+  const send = checkGroupSend(group, sender._id);
+  if (!send.allowed) return { status: 403, error: send.reason };
+
+  const stored = await storeWebhookAttachments(group, sender, attachments);
+  if (stored.error) return stored;
+
+  const result = await createGroupMessage({
+    group,
+    user: sender,
+    text,
+    room: hook.room,
+    attachmentIds: stored.attachmentIds,
+  });
+  if (result.error) return { status: 400, error: result.error };
+
+  await IncomingWebhook.updateOne(
+    { _id: hook._id },
+    { $set: { lastUsedAt: new Date() }, $inc: { messageCount: 1 } }
+  );
+  return { payload: result.payload };
+}
+
+// Expects `sender` populated
+export function serializeIncomingWebhook(hook) {
+  return {
+    id: String(hook._id),
+    displayName: hook.sender?.displayName || '',
+    avatarUrl: hook.sender?.avatarUrl || '',
+    senderId: String(hook.sender?._id || hook.sender),
+    room: hook.room,
+    prefix: hook.prefix,
+    rateLimit: hook.rateLimit,
+    isActive: hook.isActive,
+    lastUsedAt: hook.lastUsedAt || null,
+    messageCount: hook.messageCount,
+    createdAt: hook.createdAt,
+  };
+}
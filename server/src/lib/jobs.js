@@ -0,0 +1,249 @@
+import os from 'os';
+import crypto from 'crypto';
+
+import { Job } from '../models/Job.js';
+
+// Mongo-backed background jobs.
+//   defineJob(name, handler)            what a job name does; handler(payload, job)
+//   scheduleJob(name, payload, opts)    queue a run, optionally at `runAt`
+//   scheduleRecurring(name, every)      one repeating job per name
+//   startJobRunner() / stopJobRunner()  the polling loop
+// Every instance can run the loop. A job is claimed with one atomic update,
+// so only one instance runs it. The running instance keeps extending the
+// claim; once it stops (a worker that died mid-run) the claim lapses after
+// LOCK_TIME and another instance picks the job up.
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const POLL_INTERVAL = 5000;
+const LOCK_TIME = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+// Thrown by a handler when trying again can't help, e.g. invalid input. The
+// job fails right away instead of using up its retries.
+export class PermanentJobError extends Error {}
+
+const definitions = new Map();
+let lockTime = LOCK_TIME;
+
+export function defineJob(name, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  definitions.set(name, { handler, maxAttempts });
+}
+
+// 30s, 1m, 2m, 4m ... capped at an hour
+export function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+}
+
+// Queues a job. With a `uniqueKey`, scheduling again while the job is still
+// waiting moves it to the new time instead of adding a second one; once it
+// has started, a new job is queued.
+export async function scheduleJob(name, payload = {}, { runAt = new Date(), uniqueKey, maxAttempts, createdBy } = {}) {
+  const attempts = maxAttempts ?? definitions.get(name)?.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+
+  if (!uniqueKey) {
+    return Job.create({ name, payload, runAt, maxAttempts: attempts, createdBy });
+  }
+
+  try {
+    return await Job.findOneAndUpdate(
+      { uniqueKey, status: 'queued' },
+      {
+        $set: { payload, runAt },
+        $setOnInsert: { name, uniqueKey, maxAttempts: attempts, createdBy },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another instance inserted the same key first
+    if (error?.code === 11000) return Job.findOne({ uniqueKey, status: 'queued' });
+    throw error;
+  }
+}
+
+// Keeps a single repeating job for `name`, shared by every instance
+export async function scheduleRecurring(name, every, payload = {}) {
+  const uniqueKey = `recurring:${name}`;
+
+  // May be mid-run on another instance, in which case it isn't queued
+  const existing = await Job.findOneAndUpdate(
+    { uniqueKey, status: { $in: ['queued', 'running'] } },
+    { $set: { repeatEvery: every, payload } },
+    { new: true }
+  );
+  if (existing) return existing;
+
+  try {
+    return await Job.create({ name, uniqueKey, payload, repeatEvery: every });
+  } catch (error) {
+    if (error?.code === 11000) return Job.findOne({ uniqueKey, status: 'queued' });
+    throw error;
+  }
+}
+
+// Cancels a job that hasn't started yet. Returns whether one was cancelled.
+export async function cancelJob(uniqueKey) {
+  const result = await Job.updateOne(
+    { uniqueKey, status: 'queued' },
+    { $set: { status: 'cancelled', finishedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function claimNextJob() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      name: { $in: [...definitions.keys()] },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + lockTime),
+        lastRunAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+// Updates only apply while we still hold the lock
+function ownLock(job) {
+  return { _id: job._id, status: 'running', lockedBy: WORKER_ID };
+}
+
+// Extends the lock every third of lockTime while the handler runs. Returns a
+// function that stops it.
+function holdLock(job) {
+  const timer = setInterval(async () => {
+    try {
+      const result = await Job.updateOne(ownLock(job), { $set: { lockedUntil: new Date(Date.now() + lockTime) } });
+      if (result.matchedCount === 0) {
+        clearInterval(timer);
+        console.error(`Job ${job.name} (${job._id}) lost its lock to another worker`);
+      }
+    } catch (error) {
+      console.error(`Error extending lock on job ${job.name} (${job._id}):`, error);
+    }
+  }, lockTime / 3);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+// Records the outcome of a run and releases the lock. Going back to the
+// queue can clash with a newer queued job for the same key; the newer one wins.
+// If another worker has taken the job over, its run is left alone and this
+// outcome is dropped.
+async function releaseJob(job, set) {
+  const update = { $set: { ...set, lockedBy: '' }, $unset: { lockedUntil: 1 } };
+  let result;
+  try {
+    result = await Job.updateOne(ownLock(job), update);
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    result = await Job.updateOne(ownLock(job), {
+      ...update,
+      $set: { ...update.$set, status: 'cancelled', finishedAt: new Date() },
+    });
+  }
+  if (result.matchedCount === 0) {
+    console.error(`Job ${job.name} (${job._id}) finished after losing its lock; outcome not recorded`);
+  }
+}
+
+async function completeJob(job, result) {
+  const now = new Date();
+  const update = job.repeatEvery > 0
+    ? { status: 'queued', runAt: new Date(now.getTime() + job.repeatEvery), attempts: 0, lastError: '' }
+    : { status: 'completed', finishedAt: now };
+
+  await releaseJob(job, { ...update, result: result ?? null, completedAt: now });
+}
+
+async function failJob(job, error) {
+  const now = new Date();
+  const lastError = String(error?.message || error).slice(0, 1000);
+
+  const permanent = error instanceof PermanentJobError;
+
+  let update;
+  if (job.attempts < job.maxAttempts && !permanent) {
+    update = { status: 'queued', runAt: new Date(now.getTime() + retryDelay(job.attempts)) };
+  } else if (job.repeatEvery > 0) {
+    // Recurring jobs never give up, they try again next interval
+    update = { status: 'queued', runAt: new Date(now.getTime() + job.repeatEvery), attempts: 0, failedAt: now };
+  } else {
+    update = { status: 'failed', failedAt: now, finishedAt: now };
+  }
+
+  await releaseJob(job, { ...update, lastError });
+}
+
+async function runJob(job) {
+  // Taken over from a worker that crashed on the last attempt
+  if (job.attempts > job.maxAttempts) {
+    return failJob(job, new Error(job.lastError || 'Worker stopped while running the job'));
+  }
+
+  const { handler } = definitions.get(job.name);
+  const releaseLock = holdLock(job);
+  let result;
+  try {
+    result = await handler(job.payload || {}, job);
+  } catch (error) {
+    releaseLock();
+    console.error(`Job ${job.name} (${job._id}) failed:`, error);
+    return failJob(job, error);
+  }
+  releaseLock();
+  await completeJob(job, result);
+}
+
+let timer = null;
+let ticking = false;
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    for (let i = 0; i < BATCH_SIZE && timer; i++) {
+      const job = await claimNextJob();
+      if (!job) break;
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Job runner error:', error);
+  } finally {
+    ticking = false;
+  }
+}
+
+// `lockTime` is how long a claim lasts without being extended
+export function startJobRunner({ pollInterval = POLL_INTERVAL, lockTime: lock = LOCK_TIME } = {}) {
+  if (timer) return;
+  lockTime = lock;
+  timer = setInterval(tick, pollInterval);
+  timer.unref?.();
+  tick();
+}
+
+export function stopJobRunner() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export function getJobRunnerStatus() {
+  return {
+    workerId: WORKER_ID,
+    running: Boolean(timer),
+    jobs: [...definitions.keys()],
+  };
+}
@@ -0,0 +1,125 @@
+import { AuthThrottle } from '../models/AuthThrottle.js';
+import { User } from '../models/User.js';
+import { sendUnlockEmail } from './accountTokens.js';
+
+// Brute-force protection for password and 2FA checks. Failures are counted
+// per account (by email) and per IP. After a few free attempts every failure
+// makes the key wait twice as long as the last; past a limit the key is
+// locked for a while, and a locked account is mailed an unlock link.
+// Requests that arrive while a key is blocked are refused without checking
+// the credentials, so they don't count.
+const POLICIES = {
+  account: { freeAttempts: 3, lockAfter: 10, lockFor: 30 * 60 * 1000 },
+  ip: { freeAttempts: 10, lockAfter: 100, lockFor: 60 * 60 * 1000 },
+};
+const MAX_BACKOFF = 15 * 60 * 1000;
+const FORGET_AFTER = 24 * 60 * 60 * 1000;
+
+function throttleKeys(req, email) {
+  const keys = [{ policy: 'ip', key: `ip:${req.ip}` }];
+  if (email) keys.push({ policy: 'account', key: `account:${String(email).toLowerCase()}` });
+  return keys;
+}
+
+function blockFor(policy, failures) {
+  const { freeAttempts, lockAfter, lockFor } = POLICIES[policy];
+  if (failures >= lockAfter) return { ms: lockFor, locked: true };
+  if (failures <= freeAttempts) return { ms: 0, locked: false };
+  return { ms: Math.min(1000 * 2 ** (failures - freeAttempts - 1), MAX_BACKOFF), locked: false };
+}
+
+// Returns { blocked: false } or { blocked: true, retryAfter } (seconds)
+export async function checkThrottle(req, email) {
+  const entries = await AuthThrottle.find({
+    key: { $in: throttleKeys(req, email).map((k) => k.key) },
+    blockedUntil: { $gt: new Date() },
+  });
+  if (entries.length === 0) return { blocked: false };
+
+  const until = Math.max(...entries.map((e) => e.blockedUntil.getTime()));
+  return { blocked: true, retryAfter: Math.ceil((until - Date.now()) / 1000) };
+}
+
+// `user` is the account behind `email` when there is one
+export async function recordFailure(req, email, user = null) {
+  const now = new Date();
+
+  for (const { policy, key } of throttleKeys(req, email)) {
+    // A lockout that has run its course wipes the slate, or the first
+    // failure after it would lock the key again straight away
+    await AuthThrottle.updateOne(
+      { key, lockedAt: { $ne: null }, blockedUntil: { $lte: now } },
+      { $set: { failures: 0 }, $unset: { lockedAt: 1, blockedUntil: 1 } }
+    );
+
+    const entry = await AuthThrottle.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + FORGET_AFTER) } },
+      { upsert: true, new: true }
+    );
+
+    const block = blockFor(policy, entry.failures);
+    if (block.ms === 0) continue;
+    await AuthThrottle.updateOne(
+      { _id: entry._id },
+      { $set: { blockedUntil: new Date(now.getTime() + block.ms), lockedAt: block.locked ? now : entry.lockedAt } }
+    );
+
+    if (!block.locked) continue;
+    const lockedMinutes = block.ms / 60000;
+    if (policy === 'ip') {
+      console.warn(`Sign-in from ${req.ip} locked for ${lockedMinutes} minutes after ${entry.failures} failures`);
+    } else if (user) {
+      await onAccountLocked(req, user, { lockedMinutes, failures: entry.failures });
+    }
+  }
+}
+
+async function onAccountLocked(req, user, { lockedMinutes, failures }) {
+  user.auditLog.push({
+    action: 'account_locked',
+    ip: req.ip || '',
+    userAgent: String(req.get?.('user-agent') || '').slice(0, 300),
+    details: `Sign-in locked for ${lockedMinutes} minutes after ${failures} failed attempts`,
+    timestamp: new Date(),
+  });
+  await user.save();
+
+  sendUnlockEmail(user, { lockedMinutes, failures }).catch((error) => {
+    console.error('Error sending unlock email:', error);
+  });
+}
+
+// A full sign-in succeeded: the account starts over. The IP doesn't, or one
+// working password in a stuffing list would reset the count for the rest.
+export async function recordSuccess(req, email) {
+  await AuthThrottle.deleteOne({ key: `account:${String(email).toLowerCase()}` });
+}
+
+// Lifts an account lockout (unlock link, password reset)
+export async function unlockAccount(user, { req = null, reason = 'Unlocked by email link' } = {}) {
+  const { deletedCount } = await AuthThrottle.deleteOne({ key: `account:${user.email}` });
+  if (!deletedCount) return false;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $push: {
+        auditLog: {
+          action: 'account_unlocked',
+          ip: req?.ip || '',
+          details: reason,
+          timestamp: new Date(),
+        },
+      },
+    }
+  );
+  return true;
+}
+
+// The one answer for a blocked key, whatever the reason and whether or not
+// the account exists
+export function sendThrottled(res, { retryAfter }) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'Too many failed attempts, please try again later', retryAfter });
+}
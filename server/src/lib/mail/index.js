@@ -0,0 +1,35 @@
+import { createFileTransport, createMemoryTransport } from './outbox.js';
+import { createSmtpTransport } from './smtp.js';
+import { renderTemplate } from './templates.js';
+
+// How outgoing mail is delivered. Every transport implements
+//   send({ from, to, subject, text, html }) -> { messageId }
+// SMTP is used when SMTP_HOST is set; otherwise mail is written to
+// ./mail-outbox so links can be followed in development.
+export function createMailTransport({
+  driver = process.env.MAIL_DRIVER || (process.env.SMTP_HOST ? 'smtp' : 'file'),
+} = {}) {
+  if (driver === 'smtp') return createSmtpTransport();
+  if (driver === 'file') return createFileTransport({ dir: process.env.MAIL_OUTBOX_DIR || undefined });
+  if (driver === 'memory') return createMemoryTransport();
+  throw new Error(`Unknown mail driver: ${driver}`);
+}
+
+let transport = null;
+
+export function getMailTransport() {
+  if (!transport) transport = createMailTransport();
+  return transport;
+}
+
+// Link into the client app, e.g. appUrl('/reset-password?token=...')
+export function appUrl(path) {
+  const origin = process.env.APP_URL || process.env.CLIENT_ORIGIN || 'http://localhost:5173';
+  return `${origin.replace(/\/+$/, '')}${path}`;
+}
+
+export async function sendMail({ to, template, vars }) {
+  const { subject, text, html } = renderTemplate(template, vars);
+  const from = process.env.MAIL_FROM || 'Meet&Greet <no-reply@localhost>';
+  return getMailTransport().send({ from, to, subject, text, html });
+}
@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+
+// Builds an RFC 5322 message with text and HTML alternatives. Header values
+// are stripped of line breaks so user input can't add headers.
+
+function clean(value) {
+  return String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+function encodeHeader(value) {
+  const text = clean(value);
+  return /^[ -~]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function base64Body(text) {
+  return Buffer.from(String(text ?? ''), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+export function addressOf(value) {
+  const text = clean(value);
+  const match = text.match(/<([^>]+)>/);
+  return (match ? match[1] : text).trim();
+}
+
+export function buildMessage({ from, to, subject, text, html }) {
+  const boundary = `mg-${crypto.randomBytes(12).toString('hex')}`;
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+
+  const headers = [
+    `From: ${encodeHeader(from)}`,
+    `To: ${clean(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+  ];
+
+  const parts = [];
+  if (text) parts.push({ type: 'text/plain', body: text });
+  if (html) parts.push({ type: 'text/html', body: html });
+
+  let body;
+  if (parts.length === 1) {
+    headers.push(`Content-Type: ${parts[0].type}; charset=utf-8`, 'Content-Transfer-Encoding: base64');
+    body = base64Body(parts[0].body);
+  } else {
+    headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+    body = parts
+      .map((p) => `--${boundary}\r\nContent-Type: ${p.type}; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n${base64Body(p.body)}`)
+      .join('') + `--${boundary}--\r\n`;
+  }
+
+  return { messageId, raw: `${headers.join('\r\n')}\r\n\r\n${body}` };
+}
@@ -0,0 +1,37 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { buildMessage } from './message.js';
+
+// Mail that never leaves the machine, for development and tests.
+//   file    one .eml per message under `dir`, openable in any mail client
+//   memory  kept in `transport.outbox`, newest last
+export function createFileTransport({ dir = path.resolve('mail-outbox') } = {}) {
+  return {
+    name: 'file',
+
+    async send(mail) {
+      const { messageId, raw } = buildMessage(mail);
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${messageId.slice(1, 9)}.eml`);
+      await fs.writeFile(file, raw);
+      console.log(`Mail to ${mail.to} written to ${file}`);
+      return { messageId };
+    },
+  };
+}
+
+export function createMemoryTransport({ limit = 100 } = {}) {
+  const outbox = [];
+  return {
+    name: 'memory',
+    outbox,
+
+    async send(mail) {
+      const { messageId, raw } = buildMessage(mail);
+      outbox.push({ ...mail, messageId, raw, sentAt: new Date() });
+      if (outbox.length > limit) outbox.shift();
+      return { messageId };
+    },
+  };
+}
@@ -0,0 +1,149 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+
+import { addressOf, buildMessage } from './message.js';
+
+// A small SMTP client: one connection per message, STARTTLS when the server
+// offers it (or implicit TLS on port 465), AUTH PLAIN or LOGIN when a user
+// is configured.
+
+// Collects server replies, which may span several "250-" lines
+function createReplyReader() {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiters = [];
+
+  function flush() {
+    while (replies.length && waiters.length) waiters.shift().resolve(replies.shift());
+    if (failure) while (waiters.length) waiters.shift().reject(failure);
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line);
+      if (line.length < 4 || line[3] === ' ') {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    flush();
+  }
+
+  function onError(error) {
+    failure = failure || error;
+    flush();
+  }
+  const onClose = () => onError(new Error('SMTP connection closed'));
+
+  return {
+    attach(socket) {
+      socket.on('data', onData);
+      socket.on('error', onError);
+      socket.on('close', onClose);
+    },
+    detach(socket) {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    },
+    read() {
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        flush();
+      });
+    },
+  };
+}
+
+function connect({ host, port, secure, timeout }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once('error', reject);
+  });
+}
+
+// Lines starting with "." are doubled so they can't end the DATA block early
+function dotStuff(raw) {
+  return raw.replace(/^\./gm, '..');
+}
+
+export function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT || 587),
+  secure = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : Number(process.env.SMTP_PORT) === 465,
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  timeout = 30 * 1000,
+} = {}) {
+  if (!host) throw new Error('Missing SMTP_HOST');
+
+  async function send(mail) {
+    const { messageId, raw } = buildMessage(mail);
+    const reader = createReplyReader();
+    let socket = await connect({ host, port, secure, timeout });
+    reader.attach(socket);
+
+    async function command(line, expected) {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await reader.read();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP ${reply.code}: ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    }
+
+    try {
+      await command(null, [220]);
+      let hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+      if (!secure && hello.lines.some((l) => /STARTTLS/i.test(l))) {
+        await command('STARTTLS', [220]);
+        reader.detach(socket);
+        socket = await upgrade(socket, host);
+        reader.attach(socket);
+        hello = await command(`EHLO ${os.hostname()}`, [250]);
+      }
+
+      if (user) {
+        const auth = hello.lines.find((l) => /AUTH/i.test(l)) || '';
+        if (/PLAIN/i.test(auth) || !/LOGIN/i.test(auth)) {
+          await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, [235]);
+        } else {
+          await command('AUTH LOGIN', [334]);
+          await command(Buffer.from(user).toString('base64'), [334]);
+          await command(Buffer.from(pass || '').toString('base64'), [235]);
+        }
+      }
+
+      await command(`MAIL FROM:<${addressOf(mail.from)}>`, [250]);
+      await command(`RCPT TO:<${addressOf(mail.to)}>`, [250, 251]);
+      await command('DATA', [354]);
+      await command(`${dotStuff(raw)}\r\n.`, [250]);
+      await command('QUIT', [221]).catch(() => {});
+
+      return { messageId };
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  return { name: 'smtp', send };
+}
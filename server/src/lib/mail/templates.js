@@ -0,0 +1,93 @@
+// Subject, text and HTML for each kind of mail we send. Values passed in
+// `vars` are escaped before they go into the HTML body.
+
+const APP_NAME = 'Meet&Greet';
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function layout({ heading, paragraphs, action }) {
+  const body = paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n');
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 16px;background:#4f46e5;color:#fff;border-radius:6px;text-decoration:none">${escapeHtml(action.label)}</a></p>`
+    : '';
+  return `<!doctype html>
+<html>
+<body style="font-family:system-ui,sans-serif;line-height:1.5;color:#111">
+<h2>${escapeHtml(heading)}</h2>
+${body}
+${button}
+<p style="color:#666;font-size:12px">${escapeHtml(APP_NAME)}</p>
+</body>
+</html>`;
+}
+
+function plain({ paragraphs, action }) {
+  const lines = [...paragraphs];
+  if (action) lines.push(`${action.label}: ${action.url}`);
+  lines.push(`-- ${APP_NAME}`);
+  return lines.join('\n\n');
+}
+
+const templates = {
+  passwordReset: ({ displayName, url, expiresInMinutes }) => {
+    const content = {
+      heading: 'Reset your password',
+      paragraphs: [
+        `Hi ${displayName || 'there'},`,
+        `Someone asked to reset the password for your ${APP_NAME} account. The link below works once and expires in ${expiresInMinutes} minutes.`,
+        'If this wasn\'t you, you can ignore this email; your password stays the same.',
+      ],
+      action: { label: 'Choose a new password', url },
+    };
+    return { subject: `Reset your ${APP_NAME} password`, content };
+  },
+
+  verifyEmail: ({ displayName, url }) => {
+    const content = {
+      heading: 'Confirm your email address',
+      paragraphs: [
+        `Hi ${displayName || 'there'},`,
+        `Please confirm this is the email address for your ${APP_NAME} account.`,
+      ],
+      action: { label: 'Confirm email', url },
+    };
+    return { subject: `Confirm your email for ${APP_NAME}`, content };
+  },
+
+  accountLocked: ({ displayName, url, resetUrl, lockedMinutes, failures }) => {
+    const content = {
+      heading: 'Sign-in to your account was paused',
+      paragraphs: [
+        `Hi ${displayName || 'there'},`,
+        `After ${failures} failed sign-in attempts, signing in to your ${APP_NAME} account is paused for ${lockedMinutes} minutes.`,
+        'If that was you, use the button below to unlock your account now.',
+        `If it wasn't, someone may be guessing your password. Your account is safe, but consider changing your password: ${resetUrl}`,
+      ],
+      action: { label: 'Unlock my account', url },
+    };
+    return { subject: `Your ${APP_NAME} account was locked`, content };
+  },
+
+  notification: ({ title, message, url }) => {
+    const content = {
+      heading: title,
+      paragraphs: [message].filter(Boolean),
+      action: url ? { label: 'Open', url } : null,
+    };
+    return { subject: title, content };
+  },
+};
+
+export function renderTemplate(name, vars = {}) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown mail template: ${name}`);
+  const { subject, content } = template(vars);
+  return { subject, text: plain(content), html: layout(content) };
+}
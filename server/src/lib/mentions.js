@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+
+import { User } from '../models/User.js';
+import { notificationService } from '../services/notificationService.js';
+import { blockedUserIds } from './blocks.js';
+
+// Mentions in message text:
+//   @name or @"Display Name"   a user, by display name (case-insensitive)
+//   @<userId>                  a user, by id
+//   @here / @everyone          online / all group members, group admins only
+// Only people who can read the message can be mentioned: the other DM or
+// conversation participants, group members, or anyone for public rooms.
+
+const MENTION_PATTERN = /(^|[^\w@])@(?:"([^"\n]{1,50})"|([\w.-]{1,50}))/g;
+const MAX_MENTIONS = 20;
+const RECIPIENT_FIELDS = '_id displayName allowTagging allowMentions pushNotifications emailNotifications';
+
+export function parseMentions(text) {
+  const ids = new Set();
+  const names = new Set();
+  let here = false;
+  let everyone = false;
+
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    const token = match[2] !== undefined ? match[2].trim() : match[3].replace(/[.-]+$/, '');
+    const lower = token.toLowerCase();
+    if (!lower) continue;
+
+    if (lower === 'everyone') everyone = true;
+    else if (lower === 'here') here = true;
+    else if (/^[a-f0-9]{24}$/.test(lower)) ids.add(lower);
+    else names.add(lower);
+  }
+
+  return {
+    ids: [...ids].slice(0, MAX_MENTIONS),
+    names: [...names].slice(0, MAX_MENTIONS),
+    here,
+    everyone,
+  };
+}
+
+function audienceIds(kind, { participants = [], group }) {
+  if (kind === 'private' || kind === 'conversation') return participants.map(String);
+  if (kind === 'group') {
+    const banned = new Set((group?.bannedUsers || []).map(String));
+    return (group?.members || []).map((m) => String(m.user?._id || m.user)).filter((id) => !banned.has(id));
+  }
+  return null;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Named users, skipping names that match more than one person
+async function findNamedUsers(parsed, audience) {
+  const or = [];
+  if (parsed.ids.length) or.push({ _id: { $in: parsed.ids.filter((id) => mongoose.isValidObjectId(id)) } });
+  if (parsed.names.length) {
+    or.push({ displayName: { $in: parsed.names.map((n) => new RegExp(`^${escapeRegex(n)}$`, 'i')) } });
+  }
+  if (or.length === 0) return [];
+
+  const query = { $or: or };
+  if (audience) query._id = { $in: audience };
+  const users = await User.find(query).select(RECIPIENT_FIELDS).limit(MAX_MENTIONS * 5);
+
+  const byName = new Map();
+  for (const u of users) {
+    const key = String(u.displayName || '').toLowerCase();
+    byName.set(key, (byName.get(key) || 0) + 1);
+  }
+
+  return users.filter((u) => {
+    if (parsed.ids.includes(String(u._id))) return true;
+    return byName.get(String(u.displayName || '').toLowerCase()) === 1;
+  });
+}
+
+// Works out who a new message mentions. Returns the ids to store on the
+// message (`mentions`, `mentionsEveryone`) and the users to notify.
+// `canBroadcast` says whether the sender may use @here/@everyone.
+export async function resolveMentions({ kind, text, sender, participants, group, canBroadcast = false }) {
+  const parsed = parseMentions(text);
+  const audience = audienceIds(kind, { participants, group });
+
+  const users = await findNamedUsers(parsed, audience);
+
+  // @here/@everyone only mean something in groups
+  const broadcast = kind === 'group' && canBroadcast && (parsed.here || parsed.everyone);
+  const mentionsEveryone = broadcast && parsed.everyone;
+
+  if (broadcast) {
+    const query = { _id: { $in: audience } };
+    if (!mentionsEveryone) query.onlineStatus = { $in: ['online', 'away'] };
+    users.push(...(await User.find(query).select(RECIPIENT_FIELDS)));
+  }
+
+  const seen = new Set([String(sender._id)]);
+  const blocked = new Set((await blockedUserIds(sender._id)).map(String));
+  const mentioned = [];
+  for (const u of users) {
+    const id = String(u._id);
+    if (seen.has(id)) continue;
+    seen.add(id);
+
+    if (u.allowTagging === false) continue;
+    if (blocked.has(id)) continue;
+    mentioned.push(u);
+  }
+
+  return {
+    // @everyone is stored as a flag rather than one id per member
+    mentions: mentionsEveryone ? [] : mentioned.map((u) => u._id),
+    mentionsEveryone,
+    notify: mentioned.filter((u) => u.allowMentions !== false),
+  };
+}
+
+export async function notifyMentions(message, sender, recipients) {
+  const text = String(message.text || '');
+  const preview = text.length > 100 ? `${text.substring(0, 97)}...` : text || 'Sent an attachment';
+
+  for (const user of recipients) {
+    try {
+      await notificationService.createNotification({
+        recipient: user._id,
+        sender: sender._id,
+        type: 'mention',
+        title: `${sender.displayName} mentioned you`,
+        message: preview,
+        data: {
+          messageId: message._id,
+          groupId: message.groupId,
+          roomId: message.roomId || undefined,
+          conversationId: message.conversationId,
+        },
+        channels: {
+          inApp: true,
+          push: user.pushNotifications,
+          email: user.emailNotifications,
+        },
+      });
+    } catch (error) {
+      console.error('Error sending mention notification:', error);
+    }
+  }
+}
+
+export function serializeMentions(msg) {
+  return {
+    mentions: (msg.mentions || []).map((id) => String(id?._id || id)),
+    mentionsEveryone: Boolean(msg.mentionsEveryone),
+  };
+}
@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+
+import { Message } from '../models/Message.js';
+import { Group } from '../models/Group.js';
+import { Conversation } from '../models/Conversation.js';
+import { serializeGroupMessage } from './groupChat.js';
+import { serializeAttachments } from './attachments.js';
+import { serializeMentions } from './mentions.js';
+import { hideBlockedSenders } from './blocks.js';
+import { hidePendingRequests } from './messageRequests.js';
+
+const SYNC_PAGE_SIZE = 200;
+
+function senderCard(from) {
+  return {
+    id: String(from?._id || from),
+    displayName: from?.displayName,
+    avatarUrl: from?.avatarUrl,
+    isBot: Boolean(from?.isBot),
+  };
+}
+
+// Same payloads the socket server emits live, tagged with `kind`
+export function serializeMessage(msg) {
+  if (msg.kind === 'group') {
+    return { kind: 'group', ...serializeGroupMessage(msg) };
+  }
+
+  if (msg.kind === 'private') {
+    return {
+      kind: 'private',
+      id: String(msg._id),
+      text: msg.text,
+      contentType: msg.contentType,
+      attachments: serializeAttachments(msg),
+      ...serializeMentions(msg),
+      createdAt: msg.createdAt,
+      from: senderCard(msg.from),
+      toUserId: String(msg.to?._id || msg.to),
+    };
+  }
+
+  if (msg.kind === 'conversation') {
+    return {
+      kind: 'conversation',
+      id: String(msg._id),
+      conversationId: String(msg.conversationId),
+      text: msg.text,
+      contentType: msg.contentType,
+      attachments: serializeAttachments(msg),
+      ...serializeMentions(msg),
+      createdAt: msg.createdAt,
+      from: senderCard(msg.from),
+      readBy: (msg.readBy || []).map((r) => ({ userId: String(r.user), readAt: r.readAt })),
+    };
+  }
+
+  return {
+    kind: msg.kind,
+    id: String(msg._id),
+    roomId: msg.roomId,
+    text: msg.text,
+    contentType: msg.contentType,
+    attachments: serializeAttachments(msg),
+    ...serializeMentions(msg),
+    createdAt: msg.createdAt,
+    from: senderCard(msg.from),
+  };
+}
+
+// Where a message lives, for links back into the chat (search, mentions).
+// Expects `groupId` populated with the group name when available.
+export function messageLocation(msg, viewerId) {
+  if (msg.kind === 'group') {
+    return {
+      groupId: String(msg.groupId?._id || msg.groupId),
+      groupName: msg.groupId?.name || '',
+      room: msg.roomId || '',
+    };
+  }
+  if (msg.kind === 'conversation') {
+    return { conversationId: String(msg.conversationId) };
+  }
+  if (msg.kind === 'private') {
+    const other = (msg.participants || []).find((id) => String(id) !== String(viewerId));
+    return { withUserId: String(other || viewerId) };
+  }
+  return { roomId: msg.roomId };
+}
+
+async function memberGroupIds(userId) {
+  const groups = await Group.find({ 'members.user': userId, bannedUsers: { $ne: userId } }).select('_id');
+  return groups.map((g) => g._id);
+}
+
+async function conversationIds(userId) {
+  const conversations = await Conversation.find({ participants: userId }).select('_id');
+  return conversations.map((c) => c._id);
+}
+
+// Records delivery for DMs and group messages the user can read. Public room
+// messages are skipped: anyone can join a room, so the list would never end.
+// Returns the DMs (one-to-one or multi-person) that were newly marked, for
+// sender receipts.
+export async function markDelivered(userId, messageIds) {
+  const ids = (messageIds || []).filter((id) => mongoose.isValidObjectId(id));
+  if (ids.length === 0) return [];
+
+  const [groupIds, convIds] = await Promise.all([memberGroupIds(userId), conversationIds(userId)]);
+  const readable = {
+    _id: { $in: ids },
+    from: { $ne: userId },
+    deliveredTo: { $ne: userId },
+    $or: [
+      { kind: 'private', participants: userId, ...hidePendingRequests(userId) },
+      { kind: 'group', groupId: { $in: groupIds } },
+      { kind: 'conversation', conversationId: { $in: convIds } },
+    ],
+  };
+
+  const newlyDelivered = await Message.find(readable).select('_id kind from');
+  if (newlyDelivered.length === 0) return [];
+
+  await Message.updateMany(
+    { _id: { $in: newlyDelivered.map((m) => m._id) } },
+    { $addToSet: { deliveredTo: userId } }
+  );
+
+  return newlyDelivered.filter((m) => m.kind === 'private' || m.kind === 'conversation');
+}
+
+// Everything the user could read that was created after `cursor` (a message
+// id): their DMs and conversations, their groups, and the public rooms they name. Results are in
+// id order; call again with the returned cursor while `hasMore` is true.
+export async function syncMessagesSince(userId, { cursor, rooms = [] }) {
+  if (!mongoose.isValidObjectId(cursor)) {
+    throw new Error('Invalid cursor');
+  }
+
+  const [groupIds, convIds] = await Promise.all([memberGroupIds(userId), conversationIds(userId)]);
+  const roomIds = rooms.map((r) => String(r || '').trim()).filter(Boolean).slice(0, 50);
+
+  const scopes = [
+    { kind: 'private', participants: userId, ...hidePendingRequests(userId) },
+    { kind: 'group', groupId: { $in: groupIds } },
+    { kind: 'conversation', conversationId: { $in: convIds } },
+  ];
+  if (roomIds.length > 0) {
+    scopes.push({ kind: 'public', roomId: { $in: roomIds } });
+  }
+
+  const messages = await Message.find({
+    _id: { $gt: new mongoose.Types.ObjectId(cursor) },
+    isDeleted: false,
+    $or: scopes,
+    ...(await hideBlockedSenders(userId)),
+  })
+    .sort({ _id: 1 })
+    .limit(SYNC_PAGE_SIZE + 1)
+    .populate('from', '_id displayName avatarUrl isBot');
+
+  const hasMore = messages.length > SYNC_PAGE_SIZE;
+  const page = messages.slice(0, SYNC_PAGE_SIZE);
+
+  return {
+    messages: page.map(serializeMessage),
+    cursor: page.length > 0 ? String(page[page.length - 1]._id) : cursor,
+    hasMore,
+  };
+}
@@ -0,0 +1,252 @@
+import { Message } from '../models/Message.js';
+import { MessageRequest } from '../models/MessageRequest.js';
+import { notificationService } from '../services/notificationService.js';
+import { realtime } from './realtime.js';
+import { serializeMessage } from './messageDelivery.js';
+import { analyzeSpam } from './spam.js';
+import { BOT_DM_REASON } from './bots.js';
+
+// DMs between people who aren't friends start as a message request: the
+// sender gets one text message, which the recipient can accept (the two can
+// then DM freely), ignore (the sender isn't told), or answer by blocking and
+// reporting the sender through /api/moderation. Replying to a request
+// accepts it. Whether a request may be sent at all depends on the
+// recipient's allowPrivateMessages, blocks, a daily cap and a spam score.
+// There is one request per direction: an ignored one can be sent again after
+// a cooldown, and one closed by a block once the block is lifted.
+//
+// The message is a normal private Message flagged `isRequest`; the flag
+// keeps it out of the recipient's history and sync until it is accepted.
+
+export const MAX_MESSAGE_REQUESTS_PER_DAY = 20;
+
+// Requests scoring at least this are refused outright
+export const MESSAGE_REQUEST_SPAM_THRESHOLD = 0.6;
+
+// How long after being ignored a request can be sent again
+export const MESSAGE_REQUEST_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query filter for private messages: leaves out requests others sent the
+// user that haven't been accepted yet
+export function hidePendingRequests(userId) {
+  return { $nor: [{ isRequest: true, from: { $ne: userId } }] };
+}
+
+// The request `fromId` sent `toId`, if any (one per direction)
+export function findMessageRequest(fromId, toId) {
+  return MessageRequest.findOne({ from: fromId, to: toId });
+}
+
+// Whether either user accepted a request from the other
+export async function hasAcceptedMessageRequest(userId, otherUserId) {
+  const found = await MessageRequest.exists({
+    status: 'accepted',
+    $or: [
+      { from: userId, to: otherUserId },
+      { from: otherUserId, to: userId },
+    ],
+  });
+  return Boolean(found);
+}
+
+// 0..1, from the text itself and how the sender has been using requests:
+// brand-new accounts, bursts of requests, and requests that mostly get
+// ignored or blocked all count against them
+export async function scoreMessageRequest(sender, text) {
+  const since = new Date(Date.now() - DAY_MS);
+  const [sentToday, answered, turnedDown] = await Promise.all([
+    MessageRequest.countDocuments({ from: sender._id, createdAt: { $gte: since } }),
+    MessageRequest.countDocuments({ from: sender._id, status: { $ne: 'pending' } }),
+    MessageRequest.countDocuments({ from: sender._id, status: { $in: ['ignored', 'blocked'] } }),
+  ]);
+
+  let score = analyzeSpam(text);
+  if (sender.createdAt && Date.now() - sender.createdAt.getTime() < DAY_MS) score += 0.2;
+  score += 0.3 * (sentToday / MAX_MESSAGE_REQUESTS_PER_DAY);
+  if (answered >= 3) score += 0.4 * (turnedDown / answered);
+  if ((sender.reports || []).some((r) => r.status === 'pending')) score += 0.2;
+
+  return Math.min(1, Math.round(score * 100) / 100);
+}
+
+// Checks whether `sender` may send `recipient` a message request.
+// Returns { status, error } when not, otherwise { spamScore, existing }
+// where `existing` is their earlier request to reopen, if any.
+async function checkMessageRequest(sender, recipient, { text, attachmentIds }) {
+  if (sender.isBot) {
+    return { status: 403, error: BOT_DM_REASON };
+  }
+  if (!recipient.allowPrivateMessages) {
+    return { status: 403, error: 'This user only accepts messages from friends' };
+  }
+  if (Array.isArray(attachmentIds) && attachmentIds.length > 0) {
+    return { status: 400, error: 'Message requests can only contain text' };
+  }
+
+  const existing = await findMessageRequest(sender._id, recipient._id);
+  if (existing?.status === 'pending') {
+    return { status: 409, error: 'Your message request has not been accepted yet' };
+  }
+  if (existing?.status === 'accepted') {
+    return { status: 409, error: 'You can already message this user' };
+  }
+  if (existing?.status === 'ignored') {
+    const retryAt = (existing.respondedAt || existing.updatedAt).getTime() + MESSAGE_REQUEST_COOLDOWN_MS;
+    if (retryAt > Date.now()) {
+      return { status: 429, error: 'You can send this user another request later', retryAt: new Date(retryAt) };
+    }
+  }
+
+  const sentToday = await MessageRequest.countDocuments({
+    from: sender._id,
+    createdAt: { $gte: new Date(Date.now() - DAY_MS) },
+  });
+  if (sentToday >= MAX_MESSAGE_REQUESTS_PER_DAY) {
+    return { status: 429, error: 'You have sent too many message requests today' };
+  }
+
+  const spamScore = await scoreMessageRequest(sender, text);
+  if (spamScore >= MESSAGE_REQUEST_SPAM_THRESHOLD) {
+    return { status: 403, error: 'This message looks like spam and was not sent' };
+  }
+
+  return { spamScore, existing };
+}
+
+// Sends a closed request again with a new message. It is dated now, so it
+// counts towards today's cap and sorts as new. Resolves to null when the
+// request changed in the meantime.
+function reopenMessageRequest(request, message, spamScore) {
+  return MessageRequest.findOneAndUpdate(
+    { _id: request._id, status: request.status },
+    {
+      $set: { status: 'pending', message: message._id, spamScore, createdAt: new Date() },
+      $unset: { respondedAt: 1 },
+    },
+    { new: true, overwriteImmutable: true }
+  );
+}
+
+export function serializeMessageRequest(request) {
+  const from = request.from || {};
+  return {
+    id: String(request._id),
+    status: request.status,
+    from: {
+      id: String(from._id || from),
+      displayName: from.displayName,
+      avatarUrl: from.avatarUrl,
+    },
+    toUserId: String(request.to?._id || request.to),
+    message: request.message?.text !== undefined ? serializeMessage(request.message) : null,
+    spamScore: request.spamScore,
+    createdAt: request.createdAt,
+  };
+}
+
+// Sends `text` as a request, after the checks above.
+// Returns { message, payload, request } or { status, error }.
+export async function sendMessageRequest({ sender, recipient, text, attachmentIds }) {
+  const check = await checkMessageRequest(sender, recipient, { text, attachmentIds });
+  if (check.error) return check;
+
+  const message = await Message.create({
+    kind: 'private',
+    participants: [sender._id, recipient._id],
+    from: sender._id,
+    to: recipient._id,
+    text,
+    isRequest: true,
+  });
+
+  let request = null;
+  try {
+    request = check.existing
+      ? await reopenMessageRequest(check.existing, message, check.spamScore)
+      : await MessageRequest.create({
+          from: sender._id,
+          to: recipient._id,
+          message: message._id,
+          spamScore: check.spamScore,
+        });
+  } catch {
+    // Duplicate key: another request from the same sender got there first
+  }
+  if (!request) {
+    // Lost a race with another request from the same sender
+    await message.deleteOne();
+    return { status: 409, error: 'Your message request has not been accepted yet' };
+  }
+
+  await message.populate('from', '_id displayName avatarUrl isBot');
+  request.from = message.from;
+  request.message = message;
+
+  const payload = serializeMessage(message);
+  const serialized = serializeMessageRequest(request);
+  realtime.toUser(sender._id, 'private:message', payload);
+  realtime.toUser(recipient._id, 'message_request:new', serialized);
+
+  if (recipient.messageNotifications) {
+    notificationService
+      .createNotification({
+        recipient: recipient._id,
+        sender: sender._id,
+        type: 'message',
+        title: 'Message request',
+        message: `${sender.displayName} wants to send you a message`,
+        data: { userId: sender._id, messageRequestId: request._id },
+        channels: {
+          inApp: true,
+          push: recipient.pushNotifications,
+          email: recipient.emailNotifications,
+        },
+      })
+      .catch((error) => {
+        console.error('Error sending message request notification:', error);
+      });
+  }
+
+  return { message, payload, request: serialized };
+}
+
+// Opens the conversation and moves the request message into it
+export async function acceptMessageRequest(request) {
+  request.status = 'accepted';
+  request.respondedAt = new Date();
+  await request.save();
+  await Message.updateOne({ _id: request.message?._id || request.message }, { $set: { isRequest: false } });
+
+  const toId = request.to?._id || request.to;
+  realtime.toUser(request.from?._id || request.from, 'message_request:accepted', {
+    requestId: String(request._id),
+    userId: String(toId),
+  });
+  realtime.toUser(toId, 'message_request:closed', { requestId: String(request._id) });
+}
+
+// Hides the request from the inbox; the sender still sees it as pending
+export async function ignoreMessageRequest(request) {
+  request.status = 'ignored';
+  request.respondedAt = new Date();
+  await request.save();
+
+  realtime.toUser(request.to?._id || request.to, 'message_request:closed', { requestId: String(request._id) });
+}
+
+// Called when either user blocks the other: open requests between them
+// can no longer be accepted
+export async function closeMessageRequestsBetween(userId, otherUserId) {
+  await MessageRequest.updateMany(
+    {
+      status: { $in: ['pending', 'ignored'] },
+      $or: [
+        { from: userId, to: otherUserId },
+        { from: otherUserId, to: userId },
+      ],
+    },
+    { $set: { status: 'blocked', respondedAt: new Date() } }
+  );
+}
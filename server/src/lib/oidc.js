@@ -0,0 +1,332 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+
+import { OAuthState } from '../models/OAuthState.js';
+import { User } from '../models/User.js';
+import { appUrl } from './mail/index.js';
+
+// Sign-in through OpenID Connect providers (authorization code flow with
+// PKCE). Providers are configured through the environment:
+//
+//   OIDC_PROVIDERS=google,mock
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...
+//   OIDC_GOOGLE_NAME=Google            (optional, shown on the button)
+//   OIDC_GOOGLE_SCOPES=openid email profile   (optional)
+//
+// The provider redirects back to the client at /oauth/callback, which posts
+// the code and state to /api/oidc/callback. Starting a sign-in also hands
+// the browser a binding secret it keeps in sessionStorage and sends with the
+// callback, so a callback link started in someone else's browser (login CSRF)
+// is refused.
+
+const STATE_TTL = 10 * 60 * 1000;
+const METADATA_TTL = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'EdDSA'];
+
+const metadataCache = new Map(); // issuer -> { metadata, jwks, fetchedAt }
+
+export function getProvider(id) {
+  const key = String(id || '').toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const enabled = (process.env.OIDC_PROVIDERS || '').split(',').map((p) => p.trim()).filter(Boolean);
+  if (!enabled.includes(id)) return null;
+
+  const issuer = process.env[`OIDC_${key}_ISSUER`];
+  const clientId = process.env[`OIDC_${key}_CLIENT_ID`];
+  if (!issuer || !clientId) return null;
+
+  return {
+    id,
+    name: process.env[`OIDC_${key}_NAME`] || id,
+    issuer: issuer.replace(/\/+$/, ''),
+    clientId,
+    clientSecret: process.env[`OIDC_${key}_CLIENT_SECRET`] || '',
+    scopes: process.env[`OIDC_${key}_SCOPES`] || 'openid email profile',
+  };
+}
+
+export function listProviders() {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map((id) => getProvider(id.trim()))
+    .filter(Boolean)
+    .map((p) => ({ id: p.id, name: p.name }));
+}
+
+function redirectUri() {
+  return appUrl('/oauth/callback');
+}
+
+async function fetchJson(url, options) {
+  const res = await fetch(url, { ...options, signal: AbortSignal.timeout(10 * 1000) });
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    const reason = body?.error_description || body?.error || res.statusText;
+    throw new Error(`${url} answered ${res.status}: ${reason}`);
+  }
+  return body;
+}
+
+async function providerMetadata(provider, { refreshKeys = false } = {}) {
+  let cached = metadataCache.get(provider.issuer);
+  if (!cached || Date.now() - cached.fetchedAt > METADATA_TTL) {
+    const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer?.replace(/\/+$/, '') !== provider.issuer) {
+      throw new Error(`Issuer mismatch for ${provider.id}`);
+    }
+    cached = { metadata, jwks: null, fetchedAt: Date.now() };
+    metadataCache.set(provider.issuer, cached);
+  }
+  if (!cached.jwks || refreshKeys) {
+    cached.jwks = await fetchJson(cached.metadata.jwks_uri);
+  }
+  return cached;
+}
+
+async function signingKey(provider, kid) {
+  let { jwks } = await providerMetadata(provider);
+  let jwk = jwks.keys?.find((k) => k.kid === kid);
+  // Providers rotate keys; an unknown kid means ours are stale
+  if (!jwk) {
+    ({ jwks } = await providerMetadata(provider, { refreshKeys: true }));
+    jwk = jwks.keys?.find((k) => k.kid === kid);
+  }
+  if (!jwk) throw new Error('ID token signed with an unknown key');
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+async function verifyIdToken(provider, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header) throw new Error('Malformed ID token');
+
+  const key = await signingKey(provider, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: [provider.issuer, `${provider.issuer}/`],
+    audience: provider.clientId,
+  });
+  if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+  return claims;
+}
+
+function hashBinding(binding) {
+  return crypto.createHash('sha256').update(String(binding || '')).digest('hex');
+}
+
+// Starts a sign-in (or, with `user`, linking the provider to that account).
+// Returns { url, state, binding }: the provider URL to send the browser to,
+// and what the browser keeps to prove the callback is its own.
+export async function startAuthorization(provider, { user = null } = {}) {
+  const { metadata } = await providerMetadata(provider);
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const binding = crypto.randomBytes(24).toString('base64url');
+
+  await OAuthState.create({
+    state,
+    provider: provider.id,
+    codeVerifier,
+    nonce,
+    bindingHash: hashBinding(binding),
+    user: user?._id,
+    expiresAt: new Date(Date.now() + STATE_TTL),
+  });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri(),
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256',
+  }).toString();
+  return { url: url.toString(), state, binding };
+}
+
+// The state must be looked at before it's used: linking needs a signed-in
+// request, and the caller checks that first
+export function findAuthorizationState(state) {
+  return OAuthState.findOne({ state: String(state || ''), expiresAt: { $gt: new Date() } });
+}
+
+// Exchanges the code from the provider's redirect for verified claims.
+// `binding` must be the one startAuthorization gave the same browser.
+// Returns { provider, claims, linkUserId } or { status, error }.
+export async function completeAuthorization({ code, state, binding }) {
+  const pending = await OAuthState.findOne({ state: String(state || ''), expiresAt: { $gt: new Date() } });
+  if (!pending) return { status: 400, error: 'Sign-in has expired, please try again' };
+  if (pending.bindingHash !== hashBinding(binding)) {
+    return { status: 400, error: 'This sign-in was started in another browser' };
+  }
+  // Used once: a second callback with the same state finds nothing
+  const claimed = await OAuthState.deleteOne({ _id: pending._id });
+  if (claimed.deletedCount === 0) return { status: 400, error: 'Sign-in has expired, please try again' };
+
+  const provider = getProvider(pending.provider);
+  if (!provider) return { status: 400, error: 'Unknown sign-in provider' };
+
+  const { metadata } = await providerMetadata(provider);
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri(),
+    code_verifier: pending.codeVerifier,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (provider.clientSecret && authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    form.set('client_id', provider.clientId);
+    if (provider.clientSecret) form.set('client_secret', provider.clientSecret);
+  }
+
+  let claims;
+  try {
+    const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: form });
+    claims = await verifyIdToken(provider, tokens.id_token, pending.nonce);
+
+    // Some providers only put the profile in userinfo
+    if (metadata.userinfo_endpoint && tokens.access_token && (!claims.email || !claims.name)) {
+      const info = await fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+      });
+      if (info?.sub === claims.sub) claims = { ...info, ...claims };
+    }
+  } catch (error) {
+    console.error(`OIDC sign-in with ${provider.id} failed:`, error.message);
+    return { status: 401, error: `Could not sign in with ${provider.name}` };
+  }
+
+  return { provider, claims, linkUserId: pending.user ? String(pending.user) : null };
+}
+
+function emailVerified(claims) {
+  return Boolean(claims.email) && (claims.email_verified === true || claims.email_verified === 'true');
+}
+
+function identityFor(provider, claims) {
+  return {
+    provider: provider.id,
+    subject: String(claims.sub),
+    email: String(claims.email || '').toLowerCase(),
+    linkedAt: new Date(),
+    lastUsedAt: new Date(),
+  };
+}
+
+// Adds the provider identity to a signed-in user's account.
+// Returns { account } or { status, error }.
+export async function linkIdentity(user, provider, claims) {
+  const owner = await User.findOne({
+    oauthAccounts: { $elemMatch: { provider: provider.id, subject: String(claims.sub) } },
+  });
+  if (owner && String(owner._id) !== String(user._id)) {
+    return { status: 409, error: `This ${provider.name} account is linked to another user` };
+  }
+  if (owner) return { account: owner.oauthAccounts.find((a) => a.provider === provider.id) };
+  if (user.oauthAccounts.some((a) => a.provider === provider.id)) {
+    return { status: 409, error: `Another ${provider.name} account is already linked` };
+  }
+
+  user.oauthAccounts.push(identityFor(provider, claims));
+  user.auditLog.push({
+    action: 'oauth_linked',
+    details: `${provider.name} account linked`,
+    timestamp: new Date(),
+  });
+  await user.save();
+  return { account: user.oauthAccounts[user.oauthAccounts.length - 1] };
+}
+
+// Finds the account for a provider sign-in: one already linked to the
+// identity, else one with the same email (both sides verified), else a new
+// one built from the claims. Returns { user, created } or { status, error }.
+export async function findOrCreateUserFromClaims(provider, claims) {
+  const subject = String(claims.sub);
+  const linked = await User.findOne({ oauthAccounts: { $elemMatch: { provider: provider.id, subject } } });
+  if (linked) {
+    const account = linked.oauthAccounts.find((a) => a.provider === provider.id && a.subject === subject);
+    account.lastUsedAt = new Date();
+    await linked.save();
+    return { user: linked, created: false };
+  }
+
+  if (!emailVerified(claims)) {
+    return { status: 400, error: `${provider.name} did not share a verified email address` };
+  }
+  const email = String(claims.email).toLowerCase();
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    // Linking to an unverified account would hand it to whoever registered
+    // the address first
+    if (!existing.emailVerified) {
+      return {
+        status: 409,
+        error: `An account with this email already exists. Sign in with your password, then link ${provider.name} in Settings.`,
+      };
+    }
+    existing.oauthAccounts.push(identityFor(provider, claims));
+    existing.auditLog.push({
+      action: 'oauth_linked',
+      details: `${provider.name} account linked by verified email`,
+      timestamp: new Date(),
+    });
+    await existing.save();
+    return { user: existing, created: false };
+  }
+
+  const displayName = String(claims.name || claims.preferred_username || claims.given_name || email.split('@')[0])
+    .trim()
+    .slice(0, 40);
+  const user = await User.create({
+    email,
+    // Unusable until the owner sets a password through "Forgot password"
+    passwordHash: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+    passwordSet: false,
+    displayName,
+    avatarUrl: typeof claims.picture === 'string' ? claims.picture : '',
+    emailVerified: true,
+    oauthAccounts: [identityFor(provider, claims)],
+  });
+  return { user, created: true };
+}
+
+// Removes a linked provider, unless it's the only way left to sign in.
+// Returns { ok } or { status, error }.
+export async function unlinkProvider(user, providerId) {
+  const account = user.oauthAccounts.find((a) => a.provider === providerId);
+  if (!account) return { status: 404, error: 'Provider is not linked' };
+
+  const otherWays = user.passwordSet !== false || user.oauthAccounts.length > 1 || user.passkeys?.length > 0;
+  if (!otherWays) {
+    return { status: 400, error: 'Set a password or add a passkey before unlinking your only sign-in method' };
+  }
+
+  user.oauthAccounts.pull(account._id);
+  user.auditLog.push({
+    action: 'oauth_unlinked',
+    details: `${getProvider(providerId)?.name || providerId} account unlinked`,
+    timestamp: new Date(),
+  });
+  await user.save();
+  return { ok: true };
+}
+
+export function serializeLinkedAccount(account) {
+  return {
+    provider: account.provider,
+    name: getProvider(account.provider)?.name || account.provider,
+    email: account.email,
+    linkedAt: account.linkedAt,
+    lastUsedAt: account.lastUsedAt || null,
+  };
+}
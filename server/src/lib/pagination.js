@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import { z } from 'zod';
+
+// Message-id cursors for chat history. Every history endpoint answers with
+// { messages, nextCursor, hasMore }, messages oldest first:
+//   ?before=<id>  older messages (also the default: the latest page)
+//   ?after=<id>   newer messages
+// nextCursor is the id to pass back in the same direction, or null at the end.
+
+const objectId = z.string().refine((v) => mongoose.isValidObjectId(v), 'Invalid cursor');
+
+const cursorQuerySchema = z
+  .object({
+    before: objectId.optional(),
+    after: objectId.optional(),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+  })
+  .refine((q) => !(q.before && q.after), 'Use either before or after, not both');
+
+export function parseCursorQuery(query) {
+  return cursorQuerySchema.safeParse({
+    before: query.before || undefined,
+    after: query.after || undefined,
+    limit: query.limit || undefined,
+  });
+}
+
+export async function paginateMessages(Model, filter, { before, after, limit }, populate = []) {
+  const forward = Boolean(after);
+  const query = { ...filter };
+  if (after) query._id = { $gt: new mongoose.Types.ObjectId(after) };
+  if (before) query._id = { $lt: new mongoose.Types.ObjectId(before) };
+
+  let cursor = Model.find(query)
+    .sort({ _id: forward ? 1 : -1 })
+    .limit(limit + 1);
+  for (const p of populate) {
+    cursor = cursor.populate(...p);
+  }
+
+  const docs = await cursor;
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  if (!forward) page.reverse();
+
+  const edge = forward ? page[page.length - 1] : page[0];
+
+  return {
+    messages: page,
+    nextCursor: hasMore && edge ? String(edge._id) : null,
+    hasMore,
+  };
+}
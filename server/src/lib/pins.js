@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+import { Message } from '../models/Message.js';
+import { Group } from '../models/Group.js';
+import { Room } from '../models/Room.js';
+import { isGroupModerator } from './groupChat.js';
+import { findConversation } from './conversations.js';
+
+// Pins are kept per chat: one public room, one group, one DM, or one
+// multi-person conversation.
+export const PIN_LIMIT = 50;
+
+// The chat a message (or a { kind, roomId, groupId, conversationId,
+// participants } context) belongs to
+export function pinContextFilter(ctx) {
+  if (ctx.kind === 'group') return { kind: 'group', groupId: ctx.groupId };
+  if (ctx.kind === 'conversation') return { kind: 'conversation', conversationId: ctx.conversationId };
+  if (ctx.kind === 'private') return { kind: 'private', participants: { $all: ctx.participants } };
+  return { kind: 'public', roomId: ctx.roomId };
+}
+
+// Who may pin in a chat:
+//   public rooms   site admins/moderators, or the Room's creator and moderators
+//   groups         group admins and moderators
+//   DMs            either participant
+//   conversations  anyone still in the conversation
+export async function checkPinPermission(ctx, user) {
+  const userId = String(user._id);
+
+  if (ctx.kind === 'private') {
+    const isParticipant = (ctx.participants || []).some((id) => String(id) === userId);
+    return isParticipant ? { allowed: true } : { allowed: false, reason: 'Access denied' };
+  }
+
+  if (ctx.kind === 'conversation') {
+    const conversation = await findConversation(ctx.conversationId, userId);
+    return conversation ? { allowed: true } : { allowed: false, reason: 'Access denied' };
+  }
+
+  if (ctx.kind === 'group') {
+    const group = await Group.findById(ctx.groupId);
+    if (!group) return { allowed: false, reason: 'Group not found' };
+    return isGroupModerator(group, userId)
+      ? { allowed: true }
+      : { allowed: false, reason: 'Only group admins and moderators can pin messages' };
+  }
+
+  if (['admin', 'moderator'].includes(user.role)) return { allowed: true };
+
+  const room = mongoose.isValidObjectId(ctx.roomId) ? await Room.findById(ctx.roomId) : null;
+  if (room) {
+    const isRoomModerator =
+      String(room.creator) === userId || (room.moderators || []).some((id) => String(id) === userId);
+    if (isRoomModerator) return { allowed: true };
+  }
+  return { allowed: false, reason: 'Only room moderators can pin messages' };
+}
+
+const PINNED_FIELDS = { pinnedAt: 1, pinnedBy: 1 };
+
+// Returns { message } or { status, error }. Pinning claims the message with a
+// conditional update and then checks the chat is still within PIN_LIMIT,
+// undoing its own pin if not: of several pins racing for the last slot, at
+// most the cap survive. Deleted messages can't be pinned and don't count
+// towards the limit, but can still be unpinned.
+export async function setPinned(message, user, pinned) {
+  if (!pinned) {
+    const unpinned = await Message.findOneAndUpdate(
+      { _id: message._id, isPinned: true },
+      { $set: { isPinned: false }, $unset: PINNED_FIELDS },
+      { new: true }
+    );
+    return { message: unpinned || message };
+  }
+
+  if (message.isDeleted) return { status: 400, error: 'Message was deleted' };
+
+  const pinnedAt = new Date();
+  const claimed = await Message.findOneAndUpdate(
+    { _id: message._id, isPinned: { $ne: true }, isDeleted: false },
+    { $set: { isPinned: true, pinnedAt, pinnedBy: user._id } },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await Message.findById(message._id);
+    if (!current || current.isDeleted) return { status: 400, error: 'Message was deleted' };
+    return { message: current };
+  }
+
+  const count = await Message.countDocuments({ ...pinContextFilter(claimed), isPinned: true, isDeleted: false });
+  if (count > PIN_LIMIT) {
+    await Message.updateOne(
+      { _id: claimed._id, isPinned: true, pinnedAt },
+      { $set: { isPinned: false }, $unset: PINNED_FIELDS }
+    );
+    return { status: 400, error: `You can pin up to ${PIN_LIMIT} messages here` };
+  }
+
+  return { message: claimed };
+}
@@ -0,0 +1,95 @@
+import { Poll } from '../models/Poll.js';
+import { Message } from '../models/Message.js';
+import { notificationService } from '../services/notificationService.js';
+import { realtime } from './realtime.js';
+import { scheduleJob, cancelJob } from './jobs.js';
+import { emitGroupEvent } from './groupWebhooks.js';
+
+export function pollResults(poll) {
+  return {
+    totalVotes: poll.totalVotes,
+    uniqueVoters: poll.uniqueVoters,
+    options: poll.options.map(option => ({
+      text: option.text,
+      votes: option.votes,
+      percentage: poll.totalVotes > 0 ? (option.votes / poll.totalVotes * 100).toFixed(2) : 0,
+    })),
+  };
+}
+
+async function sendPollResultsNotification(poll) {
+  try {
+    // Send notification to poll creator
+    await notificationService.createNotification({
+      recipient: poll.creator,
+      type: 'social',
+      title: 'Poll Results Available',
+      message: `Your poll "${poll.title}" has ended with ${poll.totalVotes} total votes`,
+      data: {
+        pollId: poll._id,
+      },
+      channels: {
+        inApp: true,
+      },
+    });
+  } catch (error) {
+    console.error('Error sending poll results notification:', error);
+  }
+}
+
+// Closes a poll, either by its creator or when endsAt passes. `closedBy` is
+// empty for polls closed by the scheduler. Returns false if already closed.
+export async function closePoll(poll, { closedBy } = {}) {
+  if (poll.isClosed || poll.closedAt) return false;
+
+  poll.isActive = false;
+  poll.isClosed = true;
+  poll.closedAt = new Date();
+  if (closedBy) poll.closedBy = closedBy;
+  await poll.save();
+
+  await cancelJob(`poll.close:${poll._id}`);
+
+  if (poll.context?.type === 'message') {
+    await Message.findByIdAndUpdate(poll.context.id, { 'pollData.isActive': false });
+  }
+
+  const payload = { pollId: String(poll._id), results: pollResults(poll) };
+  if (poll.context?.type === 'group') {
+    realtime.toGroup(poll.context.id, 'poll:closed', payload);
+    emitGroupEvent(poll.context.id, 'poll.closed', {
+      ...payload,
+      title: poll.title,
+      closedAt: poll.closedAt,
+      closedBy: closedBy ? String(closedBy) : null,
+    });
+  }
+  if (poll.context?.type === 'room') realtime.toRoom(poll.context.id, 'poll:closed', payload);
+
+  if (poll.notifyOnClose) {
+    await sendPollResultsNotification(poll);
+  }
+  return true;
+}
+
+export function schedulePollClose(poll) {
+  if (!poll.endsAt) return null;
+  return scheduleJob('poll.close', { pollId: String(poll._id) }, {
+    runAt: poll.endsAt,
+    uniqueKey: `poll.close:${poll._id}`,
+  });
+}
+
+// Job handler for `poll.close`
+export async function closeDuePoll({ pollId }) {
+  const poll = await Poll.findById(pollId);
+  if (!poll || poll.isClosed) return { closed: false };
+
+  // endsAt moved later since the job was queued
+  if (poll.endsAt && poll.endsAt > new Date()) {
+    await schedulePollClose(poll);
+    return { closed: false, rescheduled: poll.endsAt };
+  }
+
+  return { closed: await closePoll(poll) };
+}
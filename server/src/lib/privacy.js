@@ -0,0 +1,104 @@
+// Who may see what of another user's profile and presence. Every route and
+// socket event that shows someone's details to someone else goes through
+// here instead of reading the privacy flags itself. `subject` needs the
+// privacy flags and `friends`; `viewerId` is null for signed-out requests.
+//
+//                    public    friends          private
+//   profile details  anyone    self + friends   self
+//   age and gender   as profile details, when showAgeGender
+//   location         as profile details, when allowLocationSharing
+//   online status    as profile details, when showOnlineStatus;
+//                    'invisible' reads as 'offline'
+//   email            self + friends, when they may see profile details
+//
+// Name and avatar are always visible; chats can't work without them.
+// The user themselves always sees everything, and someone they blocked sees
+// nothing (see lib/blocks.js).
+
+const HIDDEN_PRESENCE = { onlineStatus: 'offline', lastSeen: null };
+
+// 'self', 'blocked' (by the subject), 'friend', 'user' (signed in) or 'anonymous'
+export function viewerRelation(subject, viewerId) {
+  if (!viewerId) return 'anonymous';
+  if (String(subject._id) === String(viewerId)) return 'self';
+  if ((subject.blockedUsers || []).some((id) => String(id) === String(viewerId))) return 'blocked';
+  if ((subject.friends || []).some((f) => String(f?._id || f) === String(viewerId))) return 'friend';
+  return 'user';
+}
+
+export function canViewProfile(subject, viewerId) {
+  const relation = viewerRelation(subject, viewerId);
+  if (relation === 'self') return true;
+  if (relation === 'blocked' || subject.profileVisibility === 'private') return false;
+  if (subject.profileVisibility === 'friends') return relation === 'friend';
+  return true;
+}
+
+export function canViewEmail(subject, viewerId) {
+  const relation = viewerRelation(subject, viewerId);
+  if (relation === 'self') return true;
+  return relation === 'friend' && canViewProfile(subject, viewerId);
+}
+
+export function canViewPresence(subject, viewerId) {
+  if (viewerRelation(subject, viewerId) === 'self') return true;
+  return subject.showOnlineStatus !== false && canViewProfile(subject, viewerId);
+}
+
+// { onlineStatus, lastSeen } as `viewerId` may see them
+export function viewPresence(subject, viewerId) {
+  if (!canViewPresence(subject, viewerId)) return { ...HIDDEN_PRESENCE };
+  if (viewerRelation(subject, viewerId) === 'self') {
+    return { onlineStatus: subject.onlineStatus, lastSeen: subject.lastSeen };
+  }
+  const invisible = subject.onlineStatus === 'invisible';
+  return {
+    onlineStatus: invisible ? 'offline' : subject.onlineStatus,
+    lastSeen: invisible ? null : subject.lastSeen,
+  };
+}
+
+// The profile fields `viewerId` may see. Hidden fields are null (or empty),
+// never missing, so clients can tell "hidden" from "not loaded".
+export function viewProfile(subject, viewerId) {
+  const self = viewerRelation(subject, viewerId) === 'self';
+  const full = canViewProfile(subject, viewerId);
+  const ageGender = full && (self || subject.showAgeGender !== false);
+  const location = full && (self || Boolean(subject.allowLocationSharing));
+
+  return {
+    id: String(subject._id),
+    displayName: subject.displayName,
+    avatarUrl: subject.avatarUrl,
+    isBot: Boolean(subject.isBot),
+    isRestricted: !full,
+    about: full ? subject.about : '',
+    bio: full ? subject.bio : '',
+    interests: full ? subject.interests || [] : [],
+    country: full ? subject.country : '',
+    website: full ? subject.website : '',
+    socialLinks: full ? subject.socialLinks : null,
+    age: ageGender ? subject.age : null,
+    gender: ageGender ? subject.gender : '',
+    location: location ? subject.location : '',
+    ...viewPresence(subject, viewerId),
+  };
+}
+
+// Audit log actions others may see in someone's activity feed. The rest
+// (sign-ins, tokens, passkeys, settings, moderation) is for the user only.
+const PUBLIC_ACTIVITY = new Set(['achievement_earned', 'achievement_awarded', 'user_followed']);
+
+// The audit log entries `viewerId` may see, newest first. Check
+// canViewProfile first; this only filters by kind of entry.
+export function viewActivity(subject, viewerId) {
+  const self = viewerRelation(subject, viewerId) === 'self';
+  return (subject.auditLog || [])
+    .filter((entry) => self || PUBLIC_ACTIVITY.has(entry.action))
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+// What to select when loading a user for viewProfile
+export const PROFILE_FIELDS =
+  'displayName avatarUrl isBot about bio interests country website socialLinks age gender location ' +
+  'onlineStatus lastSeen friends blockedUsers profileVisibility showAgeGender showOnlineStatus allowLocationSharing';
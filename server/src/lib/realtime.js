@@ -0,0 +1,87 @@
+// Realtime event bridge between REST routes and the Socket.IO server.
+// Routes publish through here instead of holding a reference to `io`;
+// publishing is a no-op until index.js registers the server.
+
+let ioServer = null;
+
+// One naming scheme for every socket room:
+//   room:<roomId>       public chat rooms (named rooms and Room documents)
+//   group:<groupId>     group chat
+//   conversation:<id>   sockets showing a multi-person DM (typing, reads)
+//   user:<userId>       every socket a user has open (DMs, personal events)
+//   session:<id>        sockets opened with one device session's tokens
+export const channels = {
+  room: (roomId) => `room:${roomId}`,
+  group: (groupId) => `group:${groupId}`,
+  conversation: (conversationId) => `conversation:${conversationId}`,
+  user: (userId) => `user:${userId}`,
+  session: (sessionId) => `session:${sessionId}`,
+};
+
+// Channels that should see events about a message
+export function channelsForMessage(message) {
+  if (!message) return [];
+
+  if (message.kind === 'group' && message.groupId) {
+    return [channels.group(String(message.groupId))];
+  }
+
+  if (message.kind === 'private' || message.kind === 'conversation') {
+    return (message.participants || []).map((id) => channels.user(String(id?._id || id)));
+  }
+
+  if (message.roomId) {
+    return [channels.room(String(message.roomId))];
+  }
+
+  return [];
+}
+
+export function setRealtimeServer(io) {
+  ioServer = io;
+}
+
+export function getRealtimeServer() {
+  return ioServer;
+}
+
+// `exceptUsers` leaves out every socket of those users, e.g. people who
+// blocked the sender
+export function publish(target, event, payload, { exceptUsers = [] } = {}) {
+  const names = (Array.isArray(target) ? target : [target]).filter(Boolean);
+  if (!ioServer || names.length === 0) return false;
+
+  let operator = ioServer.to(names);
+  if (exceptUsers.length > 0) {
+    operator = operator.except(exceptUsers.map((id) => channels.user(String(id))));
+  }
+  operator.emit(event, payload);
+  return true;
+}
+
+// Takes every socket in `target` out of `channel`, on all instances
+export function leaveChannel(target, channel) {
+  const names = (Array.isArray(target) ? target : [target]).filter(Boolean);
+  if (!ioServer || names.length === 0) return false;
+
+  ioServer.in(names).socketsLeave(channel);
+  return true;
+}
+
+// Closes every socket in the given channels, on all instances
+export function disconnect(target) {
+  const names = (Array.isArray(target) ? target : [target]).filter(Boolean);
+  if (!ioServer || names.length === 0) return false;
+
+  ioServer.in(names).disconnectSockets(true);
+  return true;
+}
+
+export const realtime = {
+  toRoom: (roomId, event, payload, options) => publish(channels.room(String(roomId)), event, payload, options),
+  toGroup: (groupId, event, payload, options) => publish(channels.group(String(groupId)), event, payload, options),
+  toUser: (userId, event, payload) => publish(channels.user(String(userId)), event, payload),
+  toUsers: (userIds, event, payload, options) =>
+    publish((userIds || []).map((id) => channels.user(String(id))), event, payload, options),
+  toMessage: (message, event, payload) => publish(channelsForMessage(message), event, payload),
+};
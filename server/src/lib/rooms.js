@@ -0,0 +1,37 @@
+import { Room } from '../models/Room.js';
+import { User } from '../models/User.js';
+import { realtime } from './realtime.js';
+import { scheduleJob } from './jobs.js';
+
+// Temporary rooms live for a day unless the creator picks another duration
+export const DEFAULT_TEMPORARY_ROOM_HOURS = 24;
+
+export function scheduleRoomExpiry(room) {
+  if (!room.isTemporary || !room.expiresAt) return null;
+  return scheduleJob('room.expire', { roomId: String(room._id) }, {
+    runAt: room.expiresAt,
+    uniqueKey: `room.expire:${room._id}`,
+  });
+}
+
+// Job handler for `room.expire`: closes the room and moves everyone out
+export async function expireRoom({ roomId }) {
+  const room = await Room.findById(roomId);
+  if (!room || room.isExpired || !room.isTemporary || !room.expiresAt) return { expired: false };
+
+  if (room.expiresAt > new Date()) {
+    await scheduleRoomExpiry(room);
+    return { expired: false, rescheduled: room.expiresAt };
+  }
+
+  const occupants = room.currentUsers.map(String);
+  room.isExpired = true;
+  room.currentUsers = [];
+  await room.save();
+
+  await User.updateMany({ _id: { $in: occupants }, currentRoom: String(room._id) }, { $set: { currentRoom: '' } });
+
+  realtime.toRoom(roomId, 'room:expired', { roomId: String(room._id), name: room.name });
+
+  return { expired: true, removedUsers: occupants.length };
+}
@@ -0,0 +1,27 @@
+import { defineJob, scheduleRecurring } from './jobs.js';
+import { sendScheduledBulkMessage } from './bulkMessages.js';
+import { closeDuePoll } from './polls.js';
+import { expireRoom } from './rooms.js';
+import { applyGroupRetention, expireMessages } from './expiration.js';
+import { deliverBotWebhook } from './bots.js';
+import { WEBHOOK_MAX_ATTEMPTS, deliverGroupWebhook } from './groupWebhooks.js';
+import { purgeUnclaimedAttachments } from './attachments.js';
+
+const MINUTE = 60 * 1000;
+
+// Every job the server knows how to run. One-off jobs are queued by the
+// feature that needs them; the recurring ones are set up here.
+export async function registerScheduledJobs() {
+  defineJob('bulk.send', sendScheduledBulkMessage, { maxAttempts: 3 });
+  defineJob('poll.close', closeDuePoll);
+  defineJob('room.expire', expireRoom);
+  defineJob('messages.expire', expireMessages);
+  defineJob('groups.retention', applyGroupRetention);
+  defineJob('bot.webhook', deliverBotWebhook);
+  defineJob('group.webhook', deliverGroupWebhook, { maxAttempts: WEBHOOK_MAX_ATTEMPTS });
+  defineJob('attachments.purge', purgeUnclaimedAttachments);
+
+  await scheduleRecurring('messages.expire', MINUTE);
+  await scheduleRecurring('groups.retention', 60 * MINUTE);
+  await scheduleRecurring('attachments.purge', 60 * MINUTE);
+}
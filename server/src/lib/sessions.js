@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+
+import { User } from '../models/User.js';
+import { signChallengeToken, signToken } from './auth.js';
+import { channels, disconnect, publish } from './realtime.js';
+
+// Device sessions live in User.devices. Each one holds a hashed, rotating
+// refresh token; access tokens are short-lived JWTs naming the session
+// (`sid`), so revoking a session takes effect on the next request.
+//
+// Refresh tokens look like <userId>.<sessionId>.<secret>. Every refresh swaps
+// the secret; presenting the one before it again means the token was copied,
+// and the whole session is revoked.
+
+const REFRESH_TOKEN_DAYS = 30;
+const MAX_SESSIONS = 20;
+// lastActive is only written when older than this, not on every request
+const TOUCH_INTERVAL = 5 * 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+export function deviceTypeFor(userAgent = '') {
+  if (/electron/i.test(userAgent)) return 'desktop';
+  if (/mobile|android|iphone|ipad/i.test(userAgent)) return 'mobile';
+  return 'web';
+}
+
+function requestInfo(req) {
+  return {
+    userAgent: String(req?.get?.('user-agent') || '').slice(0, 300),
+    ip: req?.ip || '',
+  };
+}
+
+function parseRefreshToken(refreshToken) {
+  const [userId, sessionId, secret] = String(refreshToken || '').split('.');
+  if (!userId || !sessionId || !secret) return null;
+  return { userId, sessionId, secret };
+}
+
+export function findActiveSession(user, sessionId) {
+  return (user.devices || []).find((d) => d.deviceId === sessionId && d.isActive) || null;
+}
+
+// Starts a device session and returns what login, register and the 2FA step
+// send back: an access token, a refresh token and the user card.
+// Devices are only ever changed with single atomic updates, never by saving
+// the whole array, so a sign-in can't undo a refresh or a sign-out made
+// meanwhile on another device.
+export async function sessionResponse(user, req) {
+  const sessionId = crypto.randomUUID();
+  const secret = newSecret();
+  const { userAgent, ip } = requestInfo(req);
+
+  // Forget sessions that ended long ago
+  const cutoff = new Date(Date.now() - REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  await User.updateOne({ _id: user._id }, { $pull: { devices: { isActive: false, revokedAt: { $lt: cutoff } } } });
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    {
+      $push: {
+        devices: {
+          deviceId: sessionId,
+          deviceType: deviceTypeFor(userAgent),
+          userAgent,
+          ip,
+          refreshTokenHash: hashSecret(secret),
+          refreshExpiresAt: refreshExpiry(),
+        },
+      },
+      $set: { currentSessionId: sessionId },
+    },
+    { new: true }
+  );
+
+  // Oldest sessions make room once a user has too many
+  const active = (updated?.devices || []).filter((d) => d.isActive && d.deviceId !== sessionId);
+  const dropped = active.length >= MAX_SESSIONS
+    ? active.sort((a, b) => a.lastActive - b.lastActive).slice(0, active.length - MAX_SESSIONS + 1)
+    : [];
+  for (const device of dropped) {
+    if (await endSession(user._id, device.deviceId)) disconnectSession(device.deviceId);
+  }
+
+  return {
+    token: signToken(user, sessionId),
+    refreshToken: `${user._id}.${sessionId}.${secret}`,
+    user: {
+      id: String(user._id),
+      email: user.email,
+      displayName: user.displayName,
+      avatarUrl: user.avatarUrl,
+      emailVerified: Boolean(user.emailVerified),
+    },
+  };
+}
+
+// What a first sign-in factor (password or social login) answers with: a
+// session, or with 2FA on, a challenge to exchange at /api/2fa/* instead
+export async function signInResponse(user, req) {
+  if (user.twoFactorEnabled) {
+    // A newer sign-in replaces any challenge still outstanding
+    const challengeId = crypto.randomUUID();
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorChallengeId: challengeId } });
+    return {
+      twoFactorRequired: true,
+      challengeToken: signChallengeToken(user, challengeId),
+      methods: user.passkeys?.length ? ['totp', 'backup_code', 'passkey'] : ['totp', 'backup_code'],
+    };
+  }
+  return sessionResponse(user, req);
+}
+
+// Swaps a refresh token for a new access/refresh pair.
+// Returns { token, refreshToken } or { status, error }.
+export async function refreshSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { status: 401, error: 'Invalid refresh token' };
+
+  const { userId, sessionId, secret } = parsed;
+  const hash = hashSecret(secret);
+  const nextSecret = newSecret();
+  const now = new Date();
+
+  // Atomic, so two refreshes with the same token can't both succeed
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      devices: {
+        $elemMatch: { deviceId: sessionId, isActive: true, refreshTokenHash: hash, refreshExpiresAt: { $gt: now } },
+      },
+    },
+    {
+      $set: {
+        'devices.$.refreshTokenHash': hashSecret(nextSecret),
+        'devices.$.previousRefreshTokenHash': hash,
+        'devices.$.refreshExpiresAt': refreshExpiry(),
+        'devices.$.lastActive': now,
+        'devices.$.ip': requestInfo(req).ip,
+      },
+    },
+    { new: true }
+  ).catch(() => null);
+
+  if (user) {
+    return {
+      token: signToken(user, sessionId),
+      refreshToken: `${user._id}.${sessionId}.${nextSecret}`,
+    };
+  }
+
+  // An already-used token coming back: someone else has a copy
+  const owner = await User.findOne({
+    _id: userId,
+    devices: { $elemMatch: { deviceId: sessionId, isActive: true, previousRefreshTokenHash: hash } },
+  }).catch(() => null);
+  if (owner) {
+    await revokeSession(owner, sessionId, 'Refresh token reused');
+  }
+
+  return { status: 401, error: 'Session expired, please sign in again' };
+}
+
+// Keeps lastActive roughly current without a write per request
+export async function touchSession(user, sessionId) {
+  const device = findActiveSession(user, sessionId);
+  if (!device || Date.now() - new Date(device.lastActive).getTime() < TOUCH_INTERVAL) return;
+
+  await User.updateOne(
+    { _id: user._id, 'devices.deviceId': sessionId },
+    { $set: { 'devices.$.lastActive': new Date() } }
+  );
+}
+
+// Tells the session's sockets why, then closes them
+function disconnectSession(sessionId) {
+  publish(channels.session(sessionId), 'session:revoked', { sessionId });
+  disconnect(channels.session(sessionId));
+}
+
+// Ends one active session with a positional update. Returns false when it
+// wasn't active any more.
+async function endSession(userId, sessionId) {
+  const result = await User.updateOne(
+    { _id: userId, devices: { $elemMatch: { deviceId: sessionId, isActive: true } } },
+    {
+      $set: {
+        'devices.$.isActive': false,
+        'devices.$.revokedAt': new Date(),
+        'devices.$.refreshTokenHash': '',
+        'devices.$.previousRefreshTokenHash': '',
+      },
+    }
+  );
+  return result.modifiedCount > 0;
+}
+
+export async function revokeSession(user, sessionId, reason = 'Signed out') {
+  if (!(await endSession(user._id, sessionId))) return false;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $push: {
+        auditLog: {
+          action: 'session_revoked',
+          userAgent: findActiveSession(user, sessionId)?.userAgent || '',
+          details: `${reason} (session ${sessionId})`,
+          timestamp: new Date(),
+        },
+      },
+    }
+  );
+
+  disconnectSession(sessionId);
+  return true;
+}
+
+// Signs out every device except `keepSessionId` (pass nothing to sign out all).
+// Returns how many sessions were revoked.
+export async function revokeOtherSessions(user, keepSessionId, reason = 'Signed out') {
+  // Sessions started since `user` was loaded are signed out too
+  const current = await User.findById(user._id);
+  const others = (current?.devices || []).filter((d) => d.isActive && d.deviceId !== keepSessionId);
+
+  const revoked = [];
+  for (const device of others) {
+    if (await endSession(user._id, device.deviceId)) revoked.push(device.deviceId);
+  }
+  if (revoked.length === 0) return 0;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $push: {
+        auditLog: {
+          action: 'sessions_revoked',
+          details: `${reason} (${revoked.length} sessions)`,
+          timestamp: new Date(),
+        },
+      },
+    }
+  );
+
+  for (const sessionId of revoked) disconnectSession(sessionId);
+  return revoked.length;
+}
+
+export function serializeSession(device, currentSessionId) {
+  return {
+    id: device.deviceId,
+    deviceType: device.deviceType,
+    userAgent: device.userAgent,
+    ip: device.ip,
+    createdAt: device.createdAt,
+    lastActive: device.lastActive,
+    current: device.deviceId === currentSessionId,
+  };
+}
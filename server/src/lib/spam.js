@@ -0,0 +1,13 @@
+// Crude content-based spam scoring, shared by report triage and message
+// requests. 0 = no signals, 1 = every signal.
+
+export function analyzeSpam(text) {
+  const spamIndicators = [
+    text.includes('click here'),
+    text.includes('buy now'),
+    text.includes('free money'),
+    text.includes('limited offer'),
+    text.match(/https?:\/\//g)?.length > 2,
+  ];
+  return spamIndicators.filter(Boolean).length / spamIndicators.length;
+}
@@ -0,0 +1,19 @@
+import { createLocalStorage } from './local.js';
+
+// Where uploaded attachments are kept. Every driver implements
+//   save({ key, buffer, mimeType }) -> { key, url }
+//   remove(key)
+// Only local disk ships today; set STORAGE_DRIVER once another one exists.
+export function createStorageDriver({ driver = process.env.STORAGE_DRIVER || 'local' } = {}) {
+  if (driver === 'local') {
+    return createLocalStorage();
+  }
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+let storage = null;
+
+export function getStorage() {
+  if (!storage) storage = createStorageDriver();
+  return storage;
+}
@@ -0,0 +1,28 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Files on local disk, served by the static /uploads route in index.js
+export function createLocalStorage({ root = path.resolve('uploads'), publicPath = '/uploads' } = {}) {
+  function resolveKey(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return file;
+  }
+
+  return {
+    name: 'local',
+
+    async save({ key, buffer }) {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return { key, url: `${publicPath}/${key}` };
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+}
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import speakeasy from 'speakeasy';
+
+import { User } from '../models/User.js';
+
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const TOTP_STEP = 30; // seconds
+
+// Checks a TOTP code and uses it up: the time step it belongs to is recorded
+// on the user, and codes from that step or an earlier one are refused from
+// then on, so a code seen over someone's shoulder can't be replayed.
+export async function verifyTotp(user, token) {
+  if (!user.twoFactorSecret) return false;
+  const time = Math.floor(Date.now() / 1000);
+  const match = speakeasy.totp.verifyDelta({
+    secret: user.twoFactorSecret,
+    encoding: 'base32',
+    token: String(token || ''),
+    time,
+    step: TOTP_STEP,
+    window: 2, // Allow 2 time steps for clock drift
+  });
+  if (!match) return false;
+
+  const step = Math.floor(time / TOTP_STEP) + match.delta;
+  const result = await User.updateOne(
+    // $not also matches accounts from before the field existed
+    { _id: user._id, twoFactorLastStep: { $not: { $gte: step } } },
+    { $set: { twoFactorLastStep: step } }
+  );
+  return result.matchedCount === 1;
+}
+
+function generateBackupCode() {
+  let code = '';
+  for (let i = 0; i < 8; i++) {
+    if (i > 0 && i % 4 === 0) code += '-';
+    code += BACKUP_CODE_CHARS.charAt(crypto.randomInt(BACKUP_CODE_CHARS.length));
+  }
+  return code;
+}
+
+export function generateBackupCodes() {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    codes.push(generateBackupCode());
+  }
+  return codes;
+}
+
+// Codes are shown as XXXX-XXXX but accepted in any case, with or without the dash
+export function hashBackupCode(code) {
+  const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const formatted = normalized.length === 8 ? `${normalized.slice(0, 4)}-${normalized.slice(4)}` : normalized;
+  return crypto.createHash('sha256').update(formatted).digest('hex');
+}
+
+// Uses up a backup code, and the login challenge (lib/auth.js) it answers,
+// in one update, so two requests racing with the same code or challenge
+// can't both succeed. Returns how many codes are left, or null if it doesn't
+// match an unused code or the challenge was already used.
+export async function consumeBackupCode(user, code, challengeId) {
+  const hashedCode = hashBackupCode(code);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, backupCodes: hashedCode, twoFactorChallengeId: challengeId },
+    {
+      $pull: { backupCodes: hashedCode },
+      $set: { twoFactorChallengeId: '' },
+      $push: {
+        auditLog: {
+          action: 'backup_code_used',
+          details: 'Backup code used for 2FA verification',
+          timestamp: new Date(),
+        },
+      },
+    },
+    { new: true, projection: { backupCodes: 1 } }
+  );
+  return updated ? updated.backupCodes.length : null;
+}
@@ -0,0 +1,385 @@
+import crypto from 'crypto';
+import { z } from 'zod';
+
+import { User } from '../models/User.js';
+import { WebAuthnChallenge } from '../models/WebAuthnChallenge.js';
+
+// Passkeys (WebAuthn). We ask authenticators for no attestation, so a new
+// credential is checked against our challenge, origin and RP id but the make
+// of the authenticator isn't. Assertions are checked against the stored
+// public key. ES256, EdDSA and RS256 keys are accepted.
+
+const CHALLENGE_TTL = 5 * 60 * 1000;
+const CEREMONY_TIMEOUT = 60 * 1000;
+const MAX_PASSKEYS = 20;
+const TRANSPORTS = ['usb', 'nfc', 'ble', 'internal', 'hybrid', 'smart-card'];
+
+// COSE algorithm -> the COSE key type it goes with
+const ALGORITHMS = { [-7]: 2, [-8]: 1, [-257]: 3 };
+
+// What the client posts back: the PublicKeyCredential with every binary
+// field base64url-encoded
+const clientDataField = z.string().min(1).max(10000);
+
+export const registrationResponseSchema = z.object({
+  id: z.string().min(1).max(1024),
+  type: z.literal('public-key'),
+  response: z.object({
+    clientDataJSON: clientDataField,
+    attestationObject: z.string().min(1).max(50000),
+    transports: z.array(z.string().max(20)).max(10).optional(),
+  }),
+});
+
+export const authenticationResponseSchema = z.object({
+  id: z.string().min(1).max(1024),
+  type: z.literal('public-key'),
+  response: z.object({
+    clientDataJSON: clientDataField,
+    authenticatorData: z.string().min(1).max(10000),
+    signature: z.string().min(1).max(2000),
+    userHandle: z.string().max(200).nullable().optional(),
+  }),
+});
+
+export function relyingParty() {
+  const origin = new URL(
+    process.env.WEBAUTHN_ORIGIN || process.env.APP_URL || process.env.CLIENT_ORIGIN || 'http://localhost:5173'
+  );
+  return {
+    id: process.env.WEBAUTHN_RP_ID || origin.hostname,
+    name: 'Meet&Greet',
+    origin: origin.origin,
+  };
+}
+
+// Just enough CBOR for attestation objects and COSE keys (definite lengths,
+// no floats). Returns { value, end }.
+function decodeCbor(buffer, offset = 0) {
+  if (offset >= buffer.length) throw new Error('Truncated CBOR');
+  const major = buffer[offset] >> 5;
+  const info = buffer[offset] & 0x1f;
+  let pos = offset + 1;
+
+  if (major === 7) {
+    const simple = { 20: false, 21: true, 22: null, 23: undefined };
+    if (!(info in simple)) throw new Error('Unsupported CBOR value');
+    return { value: simple[info], end: pos };
+  }
+
+  let length;
+  if (info < 24) {
+    length = info;
+  } else if (info === 24) {
+    length = buffer.readUInt8(pos);
+    pos += 1;
+  } else if (info === 25) {
+    length = buffer.readUInt16BE(pos);
+    pos += 2;
+  } else if (info === 26) {
+    length = buffer.readUInt32BE(pos);
+    pos += 4;
+  } else if (info === 27) {
+    length = Number(buffer.readBigUInt64BE(pos));
+    pos += 8;
+  } else {
+    throw new Error('Unsupported CBOR length');
+  }
+
+  switch (major) {
+    case 0:
+      return { value: length, end: pos };
+    case 1:
+      return { value: -1 - length, end: pos };
+    case 2:
+    case 3: {
+      if (pos + length > buffer.length) throw new Error('Truncated CBOR');
+      const bytes = buffer.subarray(pos, pos + length);
+      return { value: major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), end: pos + length };
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeCbor(buffer, pos);
+        items.push(item.value);
+        pos = item.end;
+      }
+      return { value: items, end: pos };
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = decodeCbor(buffer, pos);
+        const item = decodeCbor(buffer, key.end);
+        map.set(key.value, item.value);
+        pos = item.end;
+      }
+      return { value: map, end: pos };
+    }
+    default:
+      // Tags: keep the tagged value
+      return decodeCbor(buffer, pos);
+  }
+}
+
+function parseAuthenticatorData(authData) {
+  if (authData.length < 37) throw new Error('Authenticator data is too short');
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    userPresent: Boolean(flags & 0x01),
+    userVerified: Boolean(flags & 0x04),
+    backedUp: Boolean(flags & 0x10),
+    signCount: authData.readUInt32BE(33),
+  };
+
+  // Attested credential data, present when a credential was just created
+  if (flags & 0x40) {
+    const idLength = authData.readUInt16BE(53);
+    parsed.credentialId = authData.subarray(55, 55 + idLength);
+    parsed.credentialPublicKey = decodeCbor(authData, 55 + idLength).value;
+  }
+  return parsed;
+}
+
+// COSE_Key -> { algorithm, publicKey } with the key as SPKI DER (base64url)
+function importCoseKey(cose) {
+  if (!(cose instanceof Map)) throw new Error('Invalid credential public key');
+  const kty = cose.get(1);
+  const algorithm = cose.get(3);
+  if (ALGORITHMS[algorithm] !== kty) throw new Error('Unsupported passkey algorithm');
+
+  const b64 = (value) => Buffer.from(value).toString('base64url');
+  let jwk;
+  if (kty === 2 && cose.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: b64(cose.get(-2)), y: b64(cose.get(-3)) };
+  } else if (kty === 1 && cose.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: b64(cose.get(-2)) };
+  } else if (kty === 3) {
+    jwk = { kty: 'RSA', n: b64(cose.get(-1)), e: b64(cose.get(-2)) };
+  } else {
+    throw new Error('Unsupported passkey key type');
+  }
+
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  return { algorithm, publicKey: key.export({ type: 'spki', format: 'der' }).toString('base64url') };
+}
+
+function verifySignature(passkey, data, signature) {
+  const key = crypto.createPublicKey({
+    key: Buffer.from(passkey.publicKey, 'base64url'),
+    format: 'der',
+    type: 'spki',
+  });
+  return crypto.verify(passkey.algorithm === -8 ? null : 'sha256', data, key, signature);
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+async function issueChallenge(ceremony, user) {
+  const challenge = crypto.randomBytes(32).toString('base64url');
+  await WebAuthnChallenge.create({
+    challenge,
+    ceremony,
+    user: user?._id,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL),
+  });
+  return challenge;
+}
+
+// Checks clientDataJSON and uses up the challenge it answers.
+// Returns { challenge } (the stored document) or { error }.
+async function takeChallenge(clientDataJSON, type, ceremony) {
+  let clientData;
+  try {
+    clientData = JSON.parse(Buffer.from(clientDataJSON, 'base64url').toString('utf8'));
+  } catch {
+    return { error: 'Invalid client data' };
+  }
+
+  if (clientData?.type !== type) return { error: 'Unexpected WebAuthn response type' };
+  if (clientData.origin !== relyingParty().origin) return { error: 'Passkey response is for another site' };
+
+  const challenge = await WebAuthnChallenge.findOneAndDelete({
+    challenge: String(clientData.challenge || ''),
+    ceremony,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!challenge) return { error: 'Passkey request has expired, please try again' };
+  return { challenge };
+}
+
+function allowCredentials(user) {
+  return (user?.passkeys || []).map((p) => ({
+    type: 'public-key',
+    id: p.credentialId,
+    transports: p.transports?.length ? p.transports : undefined,
+  }));
+}
+
+// Options for navigator.credentials.create(), binary fields as base64url
+export async function registrationOptions(user) {
+  const rp = relyingParty();
+  return {
+    challenge: await issueChallenge('register', user),
+    rp: { id: rp.id, name: rp.name },
+    user: {
+      id: Buffer.from(String(user._id)).toString('base64url'),
+      name: user.email,
+      displayName: user.displayName,
+    },
+    pubKeyCredParams: Object.keys(ALGORITHMS).map((alg) => ({ type: 'public-key', alg: Number(alg) })),
+    timeout: CEREMONY_TIMEOUT,
+    attestation: 'none',
+    excludeCredentials: allowCredentials(user),
+    authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' },
+  };
+}
+
+// Checks a navigator.credentials.create() response and adds the passkey to
+// the user. Returns { passkey } or { status, error }.
+export async function verifyRegistration(user, credential, name) {
+  const taken = await takeChallenge(credential.response.clientDataJSON, 'webauthn.create', 'register');
+  if (taken.error) return { status: 400, error: taken.error };
+  if (String(taken.challenge.user) !== String(user._id)) {
+    return { status: 400, error: 'Passkey request has expired, please try again' };
+  }
+
+  let authData;
+  let key;
+  try {
+    const attestation = decodeCbor(Buffer.from(credential.response.attestationObject, 'base64url')).value;
+    authData = parseAuthenticatorData(attestation.get('authData'));
+    key = importCoseKey(authData.credentialPublicKey);
+  } catch (error) {
+    return { status: 400, error: error.message || 'Invalid passkey response' };
+  }
+
+  if (!authData.rpIdHash.equals(sha256(relyingParty().id))) {
+    return { status: 400, error: 'Passkey was created for another site' };
+  }
+  if (!authData.userPresent) return { status: 400, error: 'Passkey creation was not confirmed' };
+
+  const credentialId = authData.credentialId.toString('base64url');
+  if (credentialId !== credential.id) return { status: 400, error: 'Credential id mismatch' };
+  if (await User.exists({ 'passkeys.credentialId': credentialId })) {
+    return { status: 409, error: 'This passkey is already registered' };
+  }
+  if ((user.passkeys || []).length >= MAX_PASSKEYS) {
+    return { status: 400, error: `You can have at most ${MAX_PASSKEYS} passkeys` };
+  }
+
+  user.passkeys.push({
+    name: name || 'Passkey',
+    credentialId,
+    publicKey: key.publicKey,
+    algorithm: key.algorithm,
+    signCount: authData.signCount,
+    transports: (credential.response.transports || []).filter((t) => TRANSPORTS.includes(t)),
+    backedUp: authData.backedUp,
+  });
+  user.auditLog.push({
+    action: 'passkey_added',
+    details: `Passkey "${name || 'Passkey'}" added`,
+    timestamp: new Date(),
+  });
+  await user.save();
+
+  return { passkey: user.passkeys[user.passkeys.length - 1] };
+}
+
+// Options for navigator.credentials.get(). For passwordless login `user` may
+// be left out, and the browser offers any passkey it has for this site.
+export async function authenticationOptions(ceremony, user = null) {
+  return {
+    challenge: await issueChallenge(ceremony, user),
+    rpId: relyingParty().id,
+    timeout: CEREMONY_TIMEOUT,
+    allowCredentials: allowCredentials(user),
+    // A passkey alone is only two factors when it checked the user
+    userVerification: ceremony === 'login' ? 'required' : 'preferred',
+  };
+}
+
+// Checks a navigator.credentials.get() response. For the '2fa' ceremony pass
+// the user who entered their password. Returns { user, passkey } or
+// { status, error }.
+export async function verifyAuthentication(credential, ceremony, user = null) {
+  const taken = await takeChallenge(credential.response.clientDataJSON, 'webauthn.get', ceremony);
+  if (taken.error) return { status: 400, error: taken.error };
+  if (user && String(taken.challenge.user) !== String(user._id)) {
+    return { status: 400, error: 'Passkey request has expired, please try again' };
+  }
+
+  const owner = user || (await User.findOne({ 'passkeys.credentialId': credential.id }));
+  const passkey = owner?.passkeys.find((p) => p.credentialId === credential.id);
+  if (!passkey) return { status: 401, error: 'This passkey is not registered' };
+
+  let authData;
+  try {
+    authData = parseAuthenticatorData(Buffer.from(credential.response.authenticatorData, 'base64url'));
+  } catch (error) {
+    return { status: 400, error: error.message || 'Invalid passkey response' };
+  }
+
+  if (!authData.rpIdHash.equals(sha256(relyingParty().id))) {
+    return { status: 401, error: 'Passkey is for another site' };
+  }
+  if (!authData.userPresent) return { status: 401, error: 'Passkey sign-in was not confirmed' };
+  if (ceremony === 'login' && !authData.userVerified) {
+    return { status: 401, error: 'Your passkey did not verify you (PIN or biometrics)' };
+  }
+
+  const signed = Buffer.concat([
+    Buffer.from(credential.response.authenticatorData, 'base64url'),
+    sha256(Buffer.from(credential.response.clientDataJSON, 'base64url')),
+  ]);
+  let valid = false;
+  try {
+    valid = verifySignature(passkey, signed, Buffer.from(credential.response.signature, 'base64url'));
+  } catch {
+    valid = false;
+  }
+  if (!valid) return { status: 401, error: 'Passkey signature is invalid' };
+
+  // Counters only go up; a repeat or a step back means a cloned key
+  if ((authData.signCount > 0 || passkey.signCount > 0) && authData.signCount <= passkey.signCount) {
+    owner.auditLog.push({
+      action: 'passkey_counter_mismatch',
+      details: `Passkey "${passkey.name}" sign count went from ${passkey.signCount} to ${authData.signCount}`,
+      timestamp: new Date(),
+    });
+    await owner.save();
+    return { status: 401, error: 'This passkey may have been cloned and was refused' };
+  }
+
+  const now = new Date();
+  await User.updateOne(
+    { _id: owner._id, 'passkeys._id': passkey._id },
+    {
+      $set: {
+        'passkeys.$.signCount': authData.signCount,
+        'passkeys.$.backedUp': authData.backedUp,
+        'passkeys.$.lastUsedAt': now,
+      },
+    }
+  );
+  passkey.signCount = authData.signCount;
+  passkey.backedUp = authData.backedUp;
+  passkey.lastUsedAt = now;
+
+  return { user: owner, passkey };
+}
+
+export function serializePasskey(passkey) {
+  return {
+    id: String(passkey._id),
+    name: passkey.name,
+    backedUp: passkey.backedUp,
+    transports: passkey.transports || [],
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt || null,
+  };
+}
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Outgoing webhook requests. The body is signed with the receiver's secret:
+//
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//
+// Receivers should recompute the signature and reject old timestamps, so a
+// captured request can't be replayed later.
+//
+// Webhook URLs are chosen by users, so requests never go to loopback,
+// link-local (cloud metadata) or private-network addresses. The host is
+// checked when the URL is saved and again on the address each delivery
+// connects to, so a name that later resolves somewhere internal is caught
+// too. Set WEBHOOK_ALLOW_PRIVATE_HOSTS=1 to try webhooks against a local
+// receiver in development. In production only https URLs are accepted.
+const TIMEOUT = 10 * 1000;
+const USER_AGENT = 'MeetAndGreet-Webhooks/1.0';
+
+const BLOCKED = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4], // multicast and reserved, up to 255.255.255.255
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv6');
+}
+
+export class WebhookTargetError extends Error {}
+
+function allowPrivateHosts() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === '1';
+}
+
+// Whether webhooks may not be sent to `address` (an IP literal)
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 rules
+  return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup, failing for blocked addresses. Used as the connection's lookup
+// so the address checked is the address connected to.
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!allowPrivateHosts() && addresses.some((a) => isPrivateAddress(a.address))) {
+      return callback(new WebhookTargetError(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+export function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Why `value` can't be a webhook target, judging by the URL alone, or ''
+function urlProblem(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'Must be an http(s) URL';
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'Must be an http(s) URL';
+  if (url.protocol === 'http:' && process.env.NODE_ENV === 'production') return 'Must be an https URL';
+
+  // IP literals aren't looked up when connecting, so they're checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivateHosts() && (isPrivateAddress(host) || host === 'localhost' || host.endsWith('.localhost'))) {
+    return 'Must not point to a private or local address';
+  }
+  return '';
+}
+
+// The synchronous check, for request schemas
+export function isWebhookUrl(value) {
+  return urlProblem(value) === '';
+}
+
+// The full check for a URL about to be saved: also looks the host up.
+// Returns why the URL can't be used, or ''.
+export async function checkWebhookUrl(value) {
+  const problem = urlProblem(value);
+  if (problem) return problem;
+
+  const { hostname } = new URL(value);
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) return '';
+  try {
+    await new Promise((resolve, reject) => {
+      guardedLookup(hostname, {}, (error) => (error ? reject(error) : resolve()));
+    });
+  } catch (error) {
+    if (error instanceof WebhookTargetError) return 'Must not point to a private or local address';
+    return `Could not find ${hostname}`;
+  }
+  return '';
+}
+
+function send(url, { headers, body }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, { method: 'POST', headers, lookup: guardedLookup }, (res) => {
+      // Drain the body so the socket is released; its content is ignored
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    const timer = setTimeout(() => {
+      const error = new Error('Webhook request timed out');
+      error.name = 'TimeoutError';
+      req.destroy(error);
+    }, TIMEOUT);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// POSTs `event` as JSON, without following redirects. Resolves with
+// { status, durationMs } for any answer (check `status`); rejects when the
+// receiver can't be reached in time, or with a WebhookTargetError when the
+// URL or the address it resolves to isn't allowed.
+export async function postWebhook(url, secret, event) {
+  const problem = urlProblem(url);
+  if (problem) throw new WebhookTargetError(problem);
+
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  const status = await send(new URL(url), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': USER_AGENT,
+      'X-Webhook-Id': event.id,
+      'X-Webhook-Event': event.type,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signWebhook(secret, timestamp, body)}`,
+    },
+    body,
+  });
+
+  return { status, durationMs: Date.now() - started };
+}
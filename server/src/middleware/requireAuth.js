@@ -1,7 +1,12 @@
 import { verifyToken } from '../lib/auth.js';
 import { User } from '../models/User.js';
+import { findActiveSession, touchSession } from '../lib/sessions.js';
+import { findApiToken, hasScopes, isApiToken, touchApiToken } from '../lib/apiTokens.js';
 
-export async function requireAuth(req, res, next) {
+// Accepts a session access token, or a personal access token when the route
+// names the scopes it needs (`scopes`); plain requireAuth routes take
+// sessions only.
+async function authenticate(req, res, next, scopes) {
   try {
     const header = req.headers.authorization || '';
     const [, token] = header.split(' ');
@@ -10,9 +15,32 @@ export async function requireAuth(req, res, next) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
+    if (isApiToken(token)) {
+      const apiToken = await findApiToken(token);
+      if (!apiToken) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      if (!scopes) {
+        return res.status(403).json({ error: 'API tokens cannot be used for this endpoint' });
+      }
+      if (!hasScopes(apiToken, scopes)) {
+        return res.status(403).json({ error: `Token is missing the ${scopes.join(', ')} scope` });
+      }
+
+      const user = await User.findById(apiToken.user);
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      req.user = user;
+      req.apiToken = apiToken;
+      touchApiToken(apiToken, req.ip).catch((error) => console.error('Error updating token activity:', error));
+      return next();
+    }
+
     const payload = verifyToken(token);
     const userId = payload?.sub;
-    if (!userId) {
+    if (!userId || !payload.sid) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
@@ -21,9 +49,36 @@ export async function requireAuth(req, res, next) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
+    // Revoked sessions stop working right away, not when the token expires
+    if (!findActiveSession(user, payload.sid)) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
     req.user = user;
+    req.sessionId = payload.sid;
+    touchSession(user, payload.sid).catch((error) => console.error('Error updating session activity:', error));
     next();
   } catch {
     res.status(401).json({ error: 'Unauthorized' });
   }
 }
+
+export function requireAuth(req, res, next) {
+  return authenticate(req, res, next, null);
+}
+
+// requireAuth that also lets in API tokens holding every one of `scopes`,
+// e.g. requireScope('messages:read')
+export function requireScope(...scopes) {
+  return (req, res, next) => authenticate(req, res, next, scopes);
+}
+
+// For routes signed-out visitors may use too: sets req.user when a session
+// (or an API token holding `scopes`) is sent, and otherwise lets the request
+// through without one
+export function optionalAuth(...scopes) {
+  return (req, res, next) => {
+    if (!req.headers.authorization) return next();
+    return authenticate(req, res, next, scopes.length ? scopes : null);
+  };
+}
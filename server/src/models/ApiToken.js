@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// A personal access token for scripts and integrations. Only a hash of the
+// secret is kept; `prefix` is the start of the token, so users can tell
+// their tokens apart.
+const ApiTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, maxlength: 60 },
+    prefix: { type: String, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    scopes: [{ type: String }],
+    expiresAt: { type: Date }, // unset = never
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String, default: '' },
+    revokedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+ApiTokenSchema.index({ user: 1, createdAt: -1 });
+
+export const ApiToken = mongoose.model('ApiToken', ApiTokenSchema);
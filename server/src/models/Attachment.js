@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// An uploaded file waiting to be sent, or already part of a message.
+// Uploads are bound to the chat they were made for, so a file checked against
+// one group's limits can't be posted somewhere else.
+const AttachmentSchema = new mongoose.Schema(
+  {
+    uploader: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+    // Upload context
+    context: { type: String, enum: ['public', 'private', 'group', 'conversation'], required: true },
+    roomId: { type: String, default: '' },
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' },
+    toUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+
+    // File
+    type: { type: String, enum: ['image', 'video', 'audio', 'file'], required: true },
+    mimeType: { type: String, required: true },
+    filename: { type: String, default: '' },
+    size: { type: Number, required: true },
+    storage: { type: String, required: true },
+    storageKey: { type: String, required: true },
+    url: { type: String, required: true },
+
+    // Set once the attachment is sent
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+  },
+  { timestamps: true }
+);
+
+AttachmentSchema.index({ message: 1, createdAt: 1 });
+
+export const Attachment = mongoose.model('Attachment', AttachmentSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Failed sign-in attempts for one key: `account:<email>` or `ip:<address>`.
+// Accounts are keyed by the email that was typed, whether or not it exists,
+// so throttling looks the same for real and made-up addresses. Forgotten a
+// day after the last failure.
+const AuthThrottleSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date },
+    blockedUntil: { type: Date },
+    lockedAt: { type: Date }, // start of the current lockout, if any
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+AuthThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AuthThrottle = mongoose.model('AuthThrottle', AuthThrottleSchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// An ad-hoc private chat between a few people, lighter than a Group: no
+// roles, rooms or settings. Messages are kind 'conversation' with the
+// participants at send time (see lib/conversations.js).
+const ConversationSchema = new mongoose.Schema(
+  {
+    name: { type: String, default: '', maxlength: 100 },
+    participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    lastMessageAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+ConversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+export const Conversation = mongoose.model('Conversation', ConversationSchema);
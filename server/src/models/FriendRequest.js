@@ -10,6 +10,9 @@ const FriendRequestSchema = new mongoose.Schema(
       default: 'pending',
       index: true,
     },
+    // When the recipient accepted or rejected; rejections start a cooldown
+    // before the sender may ask again (see lib/friends.js)
+    respondedAt: { type: Date },
   },
   { timestamps: true }
 );
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// An outgoing webhook a group admin registered: group events of the chosen
+// types are POSTed to `url`, signed with `secret` (see lib/groupWebhooks.js)
+const GroupWebhookSchema = new mongoose.Schema(
+  {
+    group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    url: { type: String, required: true, maxlength: 500 },
+    description: { type: String, default: '', maxlength: 200 },
+    events: [{ type: String }],
+    secret: { type: String, required: true },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    lastDeliveryAt: { type: Date },
+    lastStatus: { type: String, enum: ['', 'succeeded', 'failed'], default: '' },
+  },
+  { timestamps: true }
+);
+
+GroupWebhookSchema.index({ group: 1, events: 1 });
+
+export const GroupWebhook = mongoose.model('GroupWebhook', GroupWebhookSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// An incoming webhook: anyone holding its URL can post into the group (and
+// optionally one of its rooms) as `sender`, a bot user made for this webhook
+// that carries the display name and avatar. Only a hash of the token is kept
+// (see lib/incomingWebhooks.js).
+const IncomingWebhookSchema = new mongoose.Schema(
+  {
+    group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true, index: true },
+    room: { type: String, default: '', maxlength: 100 },
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    prefix: { type: String, required: true },
+    tokenHash: { type: String, required: true },
+    rateLimit: { type: Number, default: 30, min: 1, max: 120 }, // messages per minute
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    lastUsedAt: { type: Date },
+    messageCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+export const IncomingWebhook = mongoose.model('IncomingWebhook', IncomingWebhookSchema);
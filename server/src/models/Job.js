@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// A unit of background work, run by whichever server instance claims it
+// first (see lib/jobs.js). Recurring jobs are a single document that is put
+// back in the queue after every run.
+export const FINISHED_JOB_TTL_DAYS = 30;
+
+const JobSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    // At most one queued job per key, e.g. `poll.close:<pollId>`
+    uniqueKey: { type: String },
+
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+      default: 'queued',
+    },
+    runAt: { type: Date, default: Date.now },
+    repeatEvery: { type: Number, default: 0 }, // ms, 0 = run once
+
+    // Retries
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    lastError: { type: String, default: '' },
+
+    // Lock held by the instance running the job; a lock past lockedUntil
+    // belongs to a crashed worker and can be taken over
+    lockedBy: { type: String, default: '' },
+    lockedUntil: { type: Date },
+
+    // Results
+    lastRunAt: { type: Date },
+    completedAt: { type: Date },
+    failedAt: { type: Date },
+    result: { type: mongoose.Schema.Types.Mixed },
+    // Set once the job is completed, failed or cancelled for good; such jobs
+    // are deleted FINISHED_JOB_TTL_DAYS later
+    finishedAt: { type: Date },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ status: 1, lockedUntil: 1 });
+JobSchema.index({ name: 1, createdAt: -1 });
+JobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: FINISHED_JOB_TTL_DAYS * 24 * 60 * 60 });
+JobSchema.index(
+  { uniqueKey: 1 },
+  { unique: true, partialFilterExpression: { status: 'queued', uniqueKey: { $type: 'string' } } }
+);
+
+export const Job = mongoose.model('Job', JobSchema);
@@ -2,17 +2,25 @@ import mongoose from 'mongoose';
 
 const MessageSchema = new mongoose.Schema(
   {
-    kind: { type: String, enum: ['public', 'private', 'group', 'announcement'], required: true, index: true },
+    kind: { type: String, enum: ['public', 'private', 'group', 'conversation', 'announcement'], required: true, index: true },
 
     roomId: { type: String, default: '' },
     groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' },
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
 
     participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
 
     from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     to: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
 
-    text: { type: String, required: true },
+    // Attachment-only messages may have no text
+    text: {
+      type: String,
+      default: '',
+      required: function () {
+        return !this.attachments?.length;
+      },
+    },
     
     // Message Content Types
     contentType: { type: String, enum: ['text', 'image', 'video', 'audio', 'file', 'poll', 'location'], default: 'text' },
@@ -24,6 +32,10 @@ const MessageSchema = new mongoose.Schema(
       mimeType: { type: String, default: '' },
     }],
     
+    // Mentions (@everyone is a flag, not one entry per member)
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    mentionsEveryone: { type: Boolean, default: false },
+    
     // Message Threading
     replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
     threadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
@@ -65,6 +77,9 @@ const MessageSchema = new mongoose.Schema(
     isFlagged: { type: Boolean, default: false },
     flagReason: { type: String, default: '' },
     isHidden: { type: Boolean, default: false },
+    // First DM to a non-friend, hidden from them until they accept the
+    // message request (see lib/messageRequests.js)
+    isRequest: { type: Boolean, default: false },
     
     // Polls (for poll messages)
     pollData: {
@@ -90,6 +105,8 @@ const MessageSchema = new mongoose.Schema(
     // Priority & Importance
     priority: { type: String, enum: ['normal', 'high', 'urgent'], default: 'normal' },
     isPinned: { type: Boolean, default: false },
+    pinnedAt: { type: Date },
+    pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     
     // System Messages
     isSystemMessage: { type: Boolean, default: false },
@@ -102,11 +119,20 @@ const MessageSchema = new mongoose.Schema(
 MessageSchema.index({ kind: 1, roomId: 1, createdAt: -1 });
 MessageSchema.index({ kind: 1, participants: 1, createdAt: -1 });
 MessageSchema.index({ groupId: 1, createdAt: -1 });
+// Cursor pagination walks history by _id
+MessageSchema.index({ kind: 1, roomId: 1, _id: -1 });
+MessageSchema.index({ kind: 1, participants: 1, _id: -1 });
+MessageSchema.index({ groupId: 1, roomId: 1, _id: -1 });
+MessageSchema.index({ conversationId: 1, _id: -1 }, { partialFilterExpression: { kind: 'conversation' } });
 MessageSchema.index({ replyTo: 1 });
 MessageSchema.index({ threadId: 1 });
 MessageSchema.index({ from: 1, createdAt: -1 });
 MessageSchema.index({ to: 1, createdAt: -1 });
 MessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 MessageSchema.index({ isDeleted: 1, createdAt: -1 });
+MessageSchema.index({ text: 'text' });
+MessageSchema.index({ mentions: 1, _id: -1 });
+MessageSchema.index({ groupId: 1, mentionsEveryone: 1, _id: -1 });
+MessageSchema.index({ kind: 1, roomId: 1, groupId: 1, pinnedAt: -1 }, { partialFilterExpression: { isPinned: true } });
 
 export const Message = mongoose.model('Message', MessageSchema);
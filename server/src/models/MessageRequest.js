@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// A first DM from someone who isn't a friend (see lib/messageRequests.js).
+// The message itself is a normal private Message flagged `isRequest`, which
+// keeps it out of the recipient's chat until they accept.
+const MessageRequestSchema = new mongoose.Schema(
+  {
+    from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+    // ignored requests look pending to the sender
+    status: { type: String, enum: ['pending', 'accepted', 'ignored', 'blocked'], default: 'pending' },
+    spamScore: { type: Number, default: 0 },
+    respondedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+MessageRequestSchema.index({ from: 1, to: 1 }, { unique: true });
+MessageRequestSchema.index({ to: 1, status: 1, createdAt: -1 });
+MessageRequestSchema.index({ from: 1, createdAt: -1 });
+
+export const MessageRequest = mongoose.model('MessageRequest', MessageRequestSchema);
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// An OpenID Connect sign-in that went off to the provider and hasn't come
+// back yet. `state` is the value round-tripped through the provider; the PKCE
+// verifier and nonce never leave the server. `bindingHash` ties it to the
+// browser that started it, which keeps the binding in sessionStorage. Used
+// once, then deleted.
+const OAuthStateSchema = new mongoose.Schema(
+  {
+    state: { type: String, required: true, unique: true },
+    provider: { type: String, required: true },
+    codeVerifier: { type: String, required: true },
+    nonce: { type: String, required: true },
+    bindingHash: { type: String, required: true },
+    // Set when a signed-in user is linking the provider to their account
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+OAuthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const OAuthState = mongoose.model('OAuthState', OAuthStateSchema);
@@ -24,6 +24,8 @@ const UserSchema = new mongoose.Schema(
     allowFriendRequests: { type: Boolean, default: true },
     showOnlineStatus: { type: Boolean, default: true },
     allowLocationSharing: { type: Boolean, default: false },
+    allowTagging: { type: Boolean, default: true }, // false = can't be @mentioned at all
+    allowMentions: { type: Boolean, default: true }, // false = no mention notifications
 
     // Notification Settings
     messageNotifications: { type: Boolean, default: true },
@@ -59,11 +61,40 @@ const UserSchema = new mongoose.Schema(
     // Security
     twoFactorEnabled: { type: Boolean, default: false },
     twoFactorSecret: { type: String, default: '' },
+    // Last TOTP time step accepted; codes from it or earlier are refused
+    twoFactorLastStep: { type: Number, default: 0 },
+    // The one login challenge (lib/auth.js) that may still be exchanged
+    twoFactorChallengeId: { type: String, default: '' },
     backupCodes: [String],
     passwordResetToken: { type: String, default: '' },
     passwordResetExpires: { type: Date },
     emailVerified: { type: Boolean, default: false },
     emailVerificationToken: { type: String, default: '' },
+    emailVerificationExpires: { type: Date },
+    unlockToken: { type: String, default: '' },
+    unlockExpires: { type: Date },
+    // False for accounts created through a social login until a password is set
+    passwordSet: { type: Boolean, default: true },
+    // Identities at OpenID Connect providers that can sign in to this account
+    oauthAccounts: [{
+      provider: { type: String, required: true },
+      subject: { type: String, required: true },
+      email: { type: String, default: '' },
+      linkedAt: { type: Date, default: Date.now },
+      lastUsedAt: { type: Date },
+    }],
+    // WebAuthn credentials, usable for passwordless login or as a second factor
+    passkeys: [{
+      name: { type: String, default: 'Passkey', maxlength: 60 },
+      credentialId: { type: String, required: true }, // base64url
+      publicKey: { type: String, required: true }, // SPKI DER, base64url
+      algorithm: { type: Number, required: true }, // COSE algorithm id
+      signCount: { type: Number, default: 0 },
+      transports: [String],
+      backedUp: { type: Boolean, default: false },
+      createdAt: { type: Date, default: Date.now },
+      lastUsedAt: { type: Date },
+    }],
 
     // Profile Enhancement
     bio: { type: String, default: '', maxlength: 500 },
@@ -89,6 +120,20 @@ const UserSchema = new mongoose.Schema(
     level: { type: Number, default: 1 },
     experience: { type: Number, default: 0 },
 
+    // Bot accounts are owned by a human and sign in with API tokens only
+    // (see lib/bots.js). The senders of incoming webhooks are bots too, with
+    // no owner or token (see lib/incomingWebhooks.js).
+    isBot: { type: Boolean, default: false },
+    bot: {
+      owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      incomingWebhook: { type: mongoose.Schema.Types.ObjectId, ref: 'IncomingWebhook' },
+      description: { type: String, default: '', maxlength: 300 },
+      events: [String], // subscribed event types, e.g. 'message.created'
+      webhookUrl: { type: String, default: '' },
+      webhookSecret: { type: String, default: '' },
+      rooms: [String], // public rooms it was added to; groups use membership
+    },
+
     // User Role
     role: { type: String, enum: ['user', 'moderator', 'admin'], default: 'user' },
     permissions: [String],
@@ -111,12 +156,22 @@ const UserSchema = new mongoose.Schema(
     }],
 
     // Device & Session Management
+    // One entry per signed-in device; deviceId is the session id carried in
+    // access tokens (see lib/sessions.js)
     devices: [{
       deviceId: { type: String, required: true },
       deviceType: { type: String, enum: ['web', 'mobile', 'desktop'], required: true },
       userAgent: { type: String, default: '' },
+      ip: { type: String, default: '' },
+      createdAt: { type: Date, default: Date.now },
       lastActive: { type: Date, default: Date.now },
       isActive: { type: Boolean, default: true },
+      revokedAt: { type: Date },
+      // Rotating refresh token, stored hashed; the previous one is kept to
+      // spot a stolen token being replayed
+      refreshTokenHash: { type: String, default: '' },
+      previousRefreshTokenHash: { type: String, default: '' },
+      refreshExpiresAt: { type: Date },
     }],
     currentSessionId: { type: String, default: '' },
 
@@ -132,4 +187,12 @@ const UserSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Passkey and social sign-in look the account up by credential or identity
+// Who blocked a given user (lib/blocks.js)
+UserSchema.index({ blockedUsers: 1 });
+UserSchema.index({ 'passkeys.credentialId': 1 });
+UserSchema.index({ 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 });
+UserSchema.index({ 'bot.owner': 1 }, { partialFilterExpression: { isBot: true } });
+UserSchema.index({ 'bot.rooms': 1 }, { partialFilterExpression: { isBot: true } });
+
 export const User = mongoose.model('User', UserSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// A WebAuthn challenge handed to the browser and not yet answered. Verifying
+// a response deletes its challenge, so every challenge is used at most once;
+// unanswered ones are removed by the TTL index.
+const WebAuthnChallengeSchema = new mongoose.Schema(
+  {
+    challenge: { type: String, required: true, unique: true }, // base64url
+    ceremony: { type: String, enum: ['register', 'login', '2fa'], required: true },
+    // Unset for passwordless login, where the passkey tells us who it is
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+WebAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const WebAuthnChallenge = mongoose.model('WebAuthnChallenge', WebAuthnChallengeSchema);
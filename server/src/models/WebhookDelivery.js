@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// One event sent (or being sent) to a group webhook, with every attempt.
+// Kept for 30 days as the webhook's delivery log.
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'GroupWebhook', required: true },
+    group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    eventId: { type: String, required: true },
+    eventType: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: ['pending', 'retrying', 'succeeded', 'failed'], default: 'pending' },
+    attempts: [{
+      at: { type: Date, default: Date.now },
+      responseStatus: { type: Number }, // unset when the receiver wasn't reached
+      error: { type: String, default: '' },
+      durationMs: { type: Number, default: 0 },
+    }],
+    nextAttemptAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
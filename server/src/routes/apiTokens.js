@@ -0,0 +1,76 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { z } from 'zod';
+
+import { requireAuth } from '../middleware/requireAuth.js';
+import { ApiToken } from '../models/ApiToken.js';
+import { SCOPES, createApiToken, serializeApiToken } from '../lib/apiTokens.js';
+
+// Managing personal access tokens. Session only: a token can't mint or
+// revoke tokens.
+export const apiTokensRouter = express.Router();
+
+const createTokenSchema = z.object({
+  name: z.string().trim().min(1).max(60),
+  scopes: z.array(z.enum(Object.keys(SCOPES))).min(1),
+  expiresInDays: z.number().int().min(1).max(365).optional(),
+});
+
+apiTokensRouter.get('/scopes', requireAuth, (req, res) => {
+  res.json({ scopes: Object.entries(SCOPES).map(([id, description]) => ({ id, description })) });
+});
+
+apiTokensRouter.get('/', requireAuth, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(100);
+    res.json({ tokens: tokens.map(serializeApiToken) });
+  } catch (error) {
+    console.error('Error listing API tokens:', error);
+    res.status(500).json({ error: 'Failed to list tokens' });
+  }
+});
+
+// The secret is in this response only; it can't be fetched again
+apiTokensRouter.post('/', requireAuth, async (req, res) => {
+  const parsed = createTokenSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  try {
+    const result = await createApiToken(req.user, parsed.data);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json({ token: result.token, apiToken: serializeApiToken(result.apiToken) });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create token' });
+  }
+});
+
+apiTokensRouter.delete('/:tokenId', requireAuth, async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: mongoose.isValidObjectId(req.params.tokenId) ? req.params.tokenId : null, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!apiToken) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    req.user.auditLog.push({
+      action: 'api_token_revoked',
+      ip: req.ip || '',
+      details: `Token "${apiToken.name}" revoked`,
+      timestamp: new Date(),
+    });
+    await req.user.save();
+
+    res.json({ message: 'Token revoked' });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke token' });
+  }
+});
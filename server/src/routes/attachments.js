@@ -0,0 +1,111 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import { z } from 'zod';
+
+import { requireScope } from '../middleware/requireAuth.js';
+import { Group } from '../models/Group.js';
+import { DEFAULT_MAX_FILE_SIZE, MAX_UPLOAD_SIZE, storeAttachment } from '../lib/attachments.js';
+import { checkGroupAttachments, checkGroupSend } from '../lib/groupChat.js';
+import { canDirectMessage, checkPublicAttachments } from '../lib/chatMessages.js';
+import { findConversation } from '../lib/conversations.js';
+
+export const attachmentsRouter = express.Router();
+
+// Held in memory so the type can be sniffed before anything touches storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+});
+
+const objectId = z.string().refine((v) => mongoose.isValidObjectId(v), 'Invalid id');
+
+const contextSchema = z.discriminatedUnion('context', [
+  z.object({ context: z.literal('public'), roomId: z.string().trim().min(1).max(100) }),
+  z.object({ context: z.literal('private'), toUserId: objectId }),
+  z.object({ context: z.literal('group'), groupId: objectId }),
+  z.object({ context: z.literal('conversation'), conversationId: objectId }),
+]);
+
+// Where the file is going and how big it may be there.
+// Returns { target, maxFileSize } or { status, error }.
+async function resolveUploadTarget(user, ctx) {
+  if (ctx.context === 'public') {
+    const check = await checkPublicAttachments(ctx.roomId);
+    if (!check.allowed) return { status: 403, error: check.reason };
+    return { target: { context: 'public', roomId: ctx.roomId }, maxFileSize: check.maxFileSize };
+  }
+
+  if (ctx.context === 'private') {
+    if (!(await canDirectMessage(user._id, ctx.toUserId))) return { status: 403, error: 'Not friends' };
+    return { target: { context: 'private', toUser: ctx.toUserId }, maxFileSize: DEFAULT_MAX_FILE_SIZE };
+  }
+
+  if (ctx.context === 'conversation') {
+    const conversation = await findConversation(ctx.conversationId, user._id);
+    if (!conversation) return { status: 404, error: 'Conversation not found' };
+    return {
+      target: { context: 'conversation', conversationId: conversation._id },
+      maxFileSize: DEFAULT_MAX_FILE_SIZE,
+    };
+  }
+
+  const group = await Group.findById(ctx.groupId);
+  const send = checkGroupSend(group, user._id);
+  if (!send.allowed) return { status: group ? 403 : 404, error: send.reason };
+
+  const check = checkGroupAttachments(group, user._id);
+  if (!check.allowed) return { status: 403, error: check.reason };
+  return { target: { context: 'group', groupId: group._id }, maxFileSize: check.maxFileSize };
+}
+
+// Upload a file for a chat. Send the returned id as `attachmentIds` with the message.
+attachmentsRouter.post('/', requireScope('messages:write'), (req, res) => {
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: 'File is too large' });
+      }
+      return res.status(400).json({ error: 'Invalid upload' });
+    }
+
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+    const parsed = contextSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid upload context', details: parsed.error.errors });
+    }
+
+    try {
+      const resolved = await resolveUploadTarget(req.user, parsed.data);
+      if (resolved.error) return res.status(resolved.status).json({ error: resolved.error });
+
+      if (req.file.size > resolved.maxFileSize) {
+        return res.status(413).json({
+          error: 'File is too large',
+          maxFileSize: resolved.maxFileSize,
+        });
+      }
+
+      const attachment = await storeAttachment({
+        userId: req.user._id,
+        target: resolved.target,
+        file: req.file,
+      });
+
+      res.status(201).json({
+        attachment: {
+          id: String(attachment._id),
+          type: attachment.type,
+          url: attachment.url,
+          filename: attachment.filename,
+          size: attachment.size,
+          mimeType: attachment.mimeType,
+        },
+      });
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      res.status(500).json({ error: 'Failed to upload attachment' });
+    }
+  });
+});
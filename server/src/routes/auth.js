@@ -1,13 +1,25 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
+import rateLimit from 'express-rate-limit';
 import { z } from 'zod';
 
 import { User } from '../models/User.js';
-import { signToken } from '../lib/auth.js';
-import { requireAuth } from '../middleware/requireAuth.js';
+import { consumeAccountToken, sendPasswordResetEmail, sendVerificationEmail } from '../lib/accountTokens.js';
+import { checkThrottle, recordFailure, recordSuccess, sendThrottled, unlockAccount } from '../lib/loginThrottle.js';
+import { refreshSession, revokeOtherSessions, revokeSession, sessionResponse, signInResponse } from '../lib/sessions.js';
+import { requireAuth, requireScope } from '../middleware/requireAuth.js';
 
 export const authRouter = express.Router();
 
+// Requests that send an email, per IP, so nobody can flood an inbox
+const mailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 5,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many requests, please try again later' },
+});
+
 const registerSchema = z.object({
   email: z.string().email(),
   password: z.string().min(6).max(72),
@@ -36,19 +48,18 @@ authRouter.post('/register', async (req, res) => {
     avatarUrl: '',
   });
 
-  const token = signToken(user);
-
-  res.json({
-    token,
-    user: {
-      id: String(user._id),
-      email: user.email,
-      displayName: user.displayName,
-      avatarUrl: user.avatarUrl,
-    },
+  // Signing up doesn't wait for the mail server
+  sendVerificationEmail(user).catch((error) => {
+    console.error('Error sending verification email:', error);
   });
+
+  res.json(await sessionResponse(user, req));
 });
 
+// Compared against when the email has no account, so a miss takes as long
+// as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
 const loginSchema = z.object({
   email: z.string().email(),
   password: z.string().min(1).max(72),
@@ -60,32 +71,188 @@ authRouter.post('/login', async (req, res) => {
     return res.status(400).json({ error: 'Invalid input' });
   }
 
-  const { email, password } = parsed.data;
+  const email = parsed.data.email.toLowerCase();
+  const { password } = parsed.data;
 
-  const user = await User.findOne({ email: email.toLowerCase() });
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+  const throttle = await checkThrottle(req, email);
+  if (throttle.blocked) {
+    return sendThrottled(res, throttle);
   }
 
-  const ok = await bcrypt.compare(password, user.passwordHash);
-  if (!ok) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+  const user = await User.findOne({ email });
+  const ok = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+  if (!user || !ok) {
+    await recordFailure(req, email, user);
+    return res.status(401).json({ error: 'Invalid email or password' });
   }
 
-  const token = signToken(user);
+  // Until the second factor is in, failed codes keep counting against the
+  // account; a right password alone doesn't reset them
+  if (!user.twoFactorEnabled) await recordSuccess(req, email);
 
-  res.json({
-    token,
-    user: {
-      id: String(user._id),
-      email: user.email,
-      displayName: user.displayName,
-      avatarUrl: user.avatarUrl,
-    },
-  });
+  // With 2FA on, the password only earns a challenge; the session comes from
+  // POST /api/2fa/verify (or /api/2fa/backup-code, /api/2fa/passkey)
+  res.json(await signInResponse(user, req));
+});
+
+const refreshSchema = z.object({
+  refreshToken: z.string().min(1).max(300),
 });
 
-authRouter.get('/me', requireAuth, async (req, res) => {
+// Swap a refresh token for a new access token; the refresh token rotates too
+authRouter.post('/refresh', async (req, res) => {
+  const parsed = refreshSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input' });
+  }
+
+  try {
+    const result = await refreshSession(parsed.data.refreshToken, req);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// Sign out this device
+authRouter.post('/logout', requireAuth, async (req, res) => {
+  await revokeSession(req.user, req.sessionId, 'Signed out');
+  res.json({ message: 'Signed out' });
+});
+
+const forgotPasswordSchema = z.object({
+  email: z.string().email(),
+});
+
+// Mails a reset link. The answer is the same whether or not the address has
+// an account, so this can't be used to find out who is registered.
+authRouter.post('/forgot-password', mailLimiter, async (req, res) => {
+  const parsed = forgotPasswordSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input' });
+  }
+
+  try {
+    const user = await User.findOne({ email: parsed.data.email.toLowerCase() });
+    if (user) await sendPasswordResetEmail(user);
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+  }
+
+  res.json({ message: 'If that address has an account, a reset link is on its way' });
+});
+
+const resetPasswordSchema = z.object({
+  token: z.string().min(1).max(200),
+  password: z.string().min(6).max(72),
+});
+
+authRouter.post('/reset-password', async (req, res) => {
+  const parsed = resetPasswordSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input' });
+  }
+
+  try {
+    const user = await consumeAccountToken('passwordReset', parsed.data.token);
+    if (!user) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+
+    user.passwordHash = await bcrypt.hash(parsed.data.password, 10);
+    user.passwordSet = true;
+    // The link arrived by email, so the address is proven too
+    user.emailVerified = true;
+    user.auditLog.push({
+      action: 'password_reset',
+      ip: req.ip || '',
+      userAgent: String(req.get('user-agent') || '').slice(0, 300),
+      details: 'Password reset by email link',
+      timestamp: new Date(),
+    });
+    await user.save();
+
+    // Every device signed in with the old password is signed out
+    await revokeOtherSessions(user, null, 'Password reset');
+    await unlockAccount(user, { req, reason: 'Unlocked by password reset' });
+
+    res.json({ message: 'Password has been reset, please sign in' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+const unlockSchema = z.object({
+  token: z.string().min(1).max(200),
+});
+
+// The link from the "account locked" email
+authRouter.post('/unlock', async (req, res) => {
+  const parsed = unlockSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input' });
+  }
+
+  try {
+    const user = await consumeAccountToken('accountUnlock', parsed.data.token);
+    if (!user) {
+      return res.status(400).json({ error: 'This unlock link is invalid or has expired' });
+    }
+
+    await unlockAccount(user, { req });
+    res.json({ message: 'Your account is unlocked, you can sign in again' });
+  } catch (error) {
+    console.error('Error unlocking account:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
+const verifyEmailSchema = z.object({
+  token: z.string().min(1).max(200),
+});
+
+authRouter.post('/verify-email', async (req, res) => {
+  const parsed = verifyEmailSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input' });
+  }
+
+  try {
+    const user = await consumeAccountToken('emailVerification', parsed.data.token);
+    if (!user) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    res.json({ message: 'Email verified', emailVerified: true });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+authRouter.post('/resend-verification', requireAuth, mailLimiter, async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.status(400).json({ error: 'Email is already verified' });
+  }
+
+  try {
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+authRouter.get('/me', requireScope('profile:read'), async (req, res) => {
   const user = req.user;
   res.json({
     user: {
@@ -93,6 +260,8 @@ authRouter.get('/me', requireAuth, async (req, res) => {
       email: user.email,
       displayName: user.displayName,
       avatarUrl: user.avatarUrl,
+      emailVerified: Boolean(user.emailVerified),
+      passwordSet: user.passwordSet !== false,
       age: user.age,
       country: user.country,
       gender: user.gender,
@@ -102,9 +271,10 @@ authRouter.get('/me', requireAuth, async (req, res) => {
   });
 });
 
-// Change password
+// Change password. Accounts made through social login have no password of
+// their own yet (passwordSet: false) and set one without `currentPassword`.
 const changePasswordSchema = z.object({
-  currentPassword: z.string().min(1),
+  currentPassword: z.string().min(1).max(72).optional(),
   newPassword: z.string().min(6).max(72),
 });
 
@@ -117,15 +287,27 @@ authRouter.put('/change-password', requireAuth, async (req, res) => {
   const { currentPassword, newPassword } = parsed.data;
   const user = req.user;
 
-  const isValid = await bcrypt.compare(currentPassword, user.passwordHash);
-  if (!isValid) {
-    return res.status(401).json({ error: 'Current password is incorrect' });
-  }
+  try {
+    const hadPassword = user.passwordSet !== false;
+    if (hadPassword) {
+      const isValid = currentPassword ? await bcrypt.compare(currentPassword, user.passwordHash) : false;
+      if (!isValid) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+    }
 
-  const newPasswordHash = await bcrypt.hash(newPassword, 10);
-  await User.findByIdAndUpdate(user._id, { passwordHash: newPasswordHash });
+    user.passwordHash = await bcrypt.hash(newPassword, 10);
+    user.passwordSet = true;
+    await user.save();
 
-  res.json({ message: 'Password changed successfully' });
+    // Anyone signed in with the old password is signed out
+    const revokedSessions = hadPassword ? await revokeOtherSessions(user, req.sessionId, 'Password changed') : 0;
+
+    res.json({ message: hadPassword ? 'Password changed successfully' : 'Password set', revokedSessions });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
 });
 
 // Delete account
@@ -0,0 +1,235 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { z } from 'zod';
+
+import { requireAuth } from '../middleware/requireAuth.js';
+import { Group } from '../models/Group.js';
+import { Room } from '../models/Room.js';
+import { User } from '../models/User.js';
+import { isGroupAdmin } from '../lib/groupChat.js';
+import { checkWebhookUrl } from '../lib/webhooks.js';
+import { emitGroupEvent } from '../lib/groupWebhooks.js';
+import {
+  BOT_EVENTS,
+  createBot,
+  deleteBot,
+  emitBotEvent,
+  findOwnedBot,
+  issueBotToken,
+  serializeBot,
+} from '../lib/bots.js';
+
+// Creating and managing bot accounts. Session only: a bot (or any API token)
+// can't create bots or change where they are added.
+export const botsRouter = express.Router();
+
+// Looks the host up, so these schemas need safeParseAsync
+const webhookUrlSchema = z
+  .string()
+  .trim()
+  .max(500)
+  .superRefine(async (value, ctx) => {
+    const problem = value === '' ? '' : await checkWebhookUrl(value);
+    if (problem) ctx.addIssue({ code: z.ZodIssueCode.custom, message: problem });
+  });
+
+const createBotSchema = z.object({
+  displayName: z.string().trim().min(1).max(40),
+  description: z.string().trim().max(300).default(''),
+  events: z.array(z.enum(Object.keys(BOT_EVENTS))).default([]),
+  webhookUrl: webhookUrlSchema.default(''),
+});
+
+const updateBotSchema = z.object({
+  displayName: z.string().trim().min(1).max(40).optional(),
+  avatarUrl: z.string().trim().max(500).optional(),
+  description: z.string().trim().max(300).optional(),
+  events: z.array(z.enum(Object.keys(BOT_EVENTS))).optional(),
+  webhookUrl: webhookUrlSchema.optional(),
+});
+
+// Loads the signed-in user's bot into req.bot
+async function loadOwnedBot(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.botId)) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+    req.bot = await findOwnedBot(req.user, req.params.botId);
+    if (!req.bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+botsRouter.get('/events', requireAuth, (req, res) => {
+  res.json({ events: Object.entries(BOT_EVENTS).map(([id, description]) => ({ id, description })) });
+});
+
+botsRouter.get('/', requireAuth, async (req, res) => {
+  try {
+    const bots = await User.find({ isBot: true, 'bot.owner': req.user._id }).sort({ createdAt: -1 });
+    res.json({ bots: await Promise.all(bots.map(serializeBot)) });
+  } catch (error) {
+    console.error('Error listing bots:', error);
+    res.status(500).json({ error: 'Failed to list bots' });
+  }
+});
+
+// The token is in this response only; POST /:botId/token issues a new one
+botsRouter.post('/', requireAuth, async (req, res) => {
+  const parsed = await createBotSchema.safeParseAsync(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  try {
+    const result = await createBot(req.user, parsed.data);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json({ bot: await serializeBot(result.bot), token: result.token });
+  } catch (error) {
+    console.error('Error creating bot:', error);
+    res.status(500).json({ error: 'Failed to create bot' });
+  }
+});
+
+botsRouter.patch('/:botId', requireAuth, loadOwnedBot, async (req, res) => {
+  const parsed = await updateBotSchema.safeParseAsync(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  try {
+    const { displayName, avatarUrl, description, events, webhookUrl } = parsed.data;
+    if (displayName !== undefined) req.bot.displayName = displayName;
+    if (avatarUrl !== undefined) req.bot.avatarUrl = avatarUrl;
+    if (description !== undefined) req.bot.bot.description = description;
+    if (events !== undefined) req.bot.bot.events = [...new Set(events)];
+    if (webhookUrl !== undefined) req.bot.bot.webhookUrl = webhookUrl;
+    await req.bot.save();
+
+    res.json({ bot: await serializeBot(req.bot) });
+  } catch (error) {
+    console.error('Error updating bot:', error);
+    res.status(500).json({ error: 'Failed to update bot' });
+  }
+});
+
+// Revokes the current token (disconnecting the bot) and returns a new one
+botsRouter.post('/:botId/token', requireAuth, loadOwnedBot, async (req, res) => {
+  try {
+    const token = await issueBotToken(req.bot);
+    res.json({ token, bot: await serializeBot(req.bot) });
+  } catch (error) {
+    console.error('Error issuing bot token:', error);
+    res.status(500).json({ error: 'Failed to issue token' });
+  }
+});
+
+botsRouter.delete('/:botId', requireAuth, loadOwnedBot, async (req, res) => {
+  try {
+    await deleteBot(req.user, req.bot);
+    res.json({ message: 'Bot deleted' });
+  } catch (error) {
+    console.error('Error deleting bot:', error);
+    res.status(500).json({ error: 'Failed to delete bot' });
+  }
+});
+
+// Adding a bot to a group takes its owner being an admin there
+botsRouter.post('/:botId/groups/:groupId', requireAuth, loadOwnedBot, async (req, res) => {
+  try {
+    const group = mongoose.isValidObjectId(req.params.groupId) ? await Group.findById(req.params.groupId) : null;
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    if (!isGroupAdmin(group, req.user._id)) {
+      return res.status(403).json({ error: 'Only group admins can add bots' });
+    }
+    if (group.members.some((m) => String(m.user) === String(req.bot._id))) {
+      return res.status(400).json({ error: 'Bot is already in this group' });
+    }
+    if (group.bannedUsers.some((id) => String(id) === String(req.bot._id))) {
+      return res.status(403).json({ error: 'This bot is banned from the group' });
+    }
+
+    group.members.push({ user: req.bot._id, joinedAt: new Date(), role: 'member' });
+    group.memberCount += 1;
+    group.lastActivity = new Date();
+    await group.save();
+
+    const card = { id: String(req.bot._id), displayName: req.bot.displayName, isBot: true };
+    emitBotEvent('member.joined', { group, actorId: req.bot._id, data: { user: card } });
+    emitGroupEvent(group._id, 'member.joined', { user: card });
+
+    res.json({ bot: await serializeBot(req.bot) });
+  } catch (error) {
+    console.error('Error adding bot to group:', error);
+    res.status(500).json({ error: 'Failed to add bot to group' });
+  }
+});
+
+botsRouter.delete('/:botId/groups/:groupId', requireAuth, loadOwnedBot, async (req, res) => {
+  try {
+    const group = mongoose.isValidObjectId(req.params.groupId) ? await Group.findById(req.params.groupId) : null;
+    const index = group ? group.members.findIndex((m) => String(m.user) === String(req.bot._id)) : -1;
+    if (index === -1) {
+      return res.status(404).json({ error: 'Bot is not in this group' });
+    }
+
+    group.members.splice(index, 1);
+    group.memberCount = Math.max(group.memberCount - 1, 0);
+    await group.save();
+    emitGroupEvent(group._id, 'member.left', {
+      user: { id: String(req.bot._id), displayName: req.bot.displayName, isBot: true },
+      reason: 'removed',
+      removedBy: String(req.user._id),
+    });
+
+    res.json({ bot: await serializeBot(req.bot) });
+  } catch (error) {
+    console.error('Error removing bot from group:', error);
+    res.status(500).json({ error: 'Failed to remove bot from group' });
+  }
+});
+
+// Rooms created through /api/rooms only; their creator or a moderator adds bots
+botsRouter.post('/:botId/rooms/:roomId', requireAuth, loadOwnedBot, async (req, res) => {
+  try {
+    const room = mongoose.isValidObjectId(req.params.roomId) ? await Room.findById(req.params.roomId) : null;
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const userId = String(req.user._id);
+    const canManage = String(room.creator) === userId || room.moderators.some((id) => String(id) === userId);
+    if (!canManage) {
+      return res.status(403).json({ error: 'Only the room creator or moderators can add bots' });
+    }
+    if (room.bannedUsers.some((id) => String(id) === String(req.bot._id))) {
+      return res.status(403).json({ error: 'This bot is banned from the room' });
+    }
+
+    await User.updateOne({ _id: req.bot._id }, { $addToSet: { 'bot.rooms': String(room._id) } });
+    const bot = await User.findById(req.bot._id);
+    res.json({ bot: await serializeBot(bot) });
+  } catch (error) {
+    console.error('Error adding bot to room:', error);
+    res.status(500).json({ error: 'Failed to add bot to room' });
+  }
+});
+
+botsRouter.delete('/:botId/rooms/:roomId', requireAuth, loadOwnedBot, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.bot._id }, { $pull: { 'bot.rooms': String(req.params.roomId) } });
+    const bot = await User.findById(req.bot._id);
+    res.json({ bot: await serializeBot(bot) });
+  } catch (error) {
+    console.error('Error removing bot from room:', error);
+    res.status(500).json({ error: 'Failed to remove bot from room' });
+  }
+});
@@ -6,6 +6,9 @@ import { Group } from '../models/Group.js';
 import { Room } from '../models/Room.js';
 import { notificationService } from '../services/notificationService.js';
 import { requireAuth } from '../middleware/requireAuth.js';
+import { Job } from '../models/Job.js';
+import { sendBulkMessage, scheduleBulkMessage } from '../lib/bulkMessages.js';
+import { cancelJob } from '../lib/jobs.js';
 
 const router = express.Router();
 
@@ -16,7 +19,7 @@ const bulkMessageSchema = z.object({
   messageType: z.enum(['announcement', 'notification', 'alert', 'update']).default('announcement'),
   priority: z.enum(['low', 'normal', 'high', 'urgent']).default('normal'),
   deliveryMethod: z.enum(['all', 'online', 'offline', 'custom']).default('all'),
-  scheduledTime: z.date().optional(),
+  scheduledTime: z.coerce.date().optional(),
   attachments: z.array(z.object({
     type: z.enum(['image', 'video', 'audio', 'file']),
     url: z.string(),
@@ -40,87 +43,14 @@ router.post('/send', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'Insufficient permissions to send bulk messages' });
     }
 
-    // Validate recipients
-    const validRecipients = await User.find({
-      _id: { $in: bulkData.recipients },
-      isBanned: false,
-    });
-
-    if (validRecipients.length !== bulkData.recipients.length) {
-      return res.status(400).json({ error: 'Some recipients are invalid or banned' });
-    }
-
-    // Filter recipients based on delivery method
-    let finalRecipients = validRecipients;
-    if (bulkData.deliveryMethod === 'online') {
-      finalRecipients = validRecipients.filter(user => 
-        user.onlineStatus === 'online'
-      );
-    } else if (bulkData.deliveryMethod === 'offline') {
-      finalRecipients = validRecipients.filter(user => 
-        user.onlineStatus === 'offline'
-      );
+    const result = await sendBulkMessage({ senderId, data: bulkData });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Create messages for each recipient
-    const messages = [];
-    const bulkMessageId = new Date().getTime().toString();
-
-    for (const recipient of finalRecipients) {
-      const message = new Message({
-        kind: 'announcement',
-        from: senderId,
-        to: recipient._id,
-        text: bulkData.message,
-        contentType: 'text',
-        attachments: bulkData.attachments,
-        priority: bulkData.priority,
-        isSystemMessage: true,
-        systemMessageType: 'bulk_message',
-        systemMessageData: {
-          bulkMessageId,
-          messageType: bulkData.messageType,
-          totalRecipients: finalRecipients.length,
-          deliveryMethod: bulkData.deliveryMethod,
-        },
-      });
-
-      await message.save();
-      messages.push(message);
-
-      // Send notification to recipient
-      await notificationService.createNotification({
-        recipient: recipient._id,
-        sender: senderId,
-        type: 'announcement',
-        title: 'System Announcement',
-        message: bulkData.message,
-        data: {
-          messageId: message._id,
-          messageType: bulkData.messageType,
-          priority: bulkData.priority,
-        },
-        channels: {
-          inApp: true,
-          push: recipient.pushNotifications,
-        },
-        priority: bulkData.priority,
-      });
-    }
-
-    // Log the bulk message
-    sender.auditLog.push({
-      action: 'bulk_message_sent',
-      details: `Sent bulk message to ${finalRecipients.length} recipients. Type: ${bulkData.messageType}`,
-      timestamp: new Date(),
-    });
-    await sender.save();
-
     res.json({
       message: 'Bulk message sent successfully',
-      bulkMessageId,
-      totalRecipients: finalRecipients.length,
-      messagesSent: messages.length,
+      ...result,
     });
   } catch (error) {
     console.error('Error sending bulk message:', error);
@@ -405,12 +335,13 @@ router.post('/schedule', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Scheduled time must be in the future' });
     }
 
-    // Store scheduled message (in production, use a proper job queue)
-    // For now, we'll just return success
+    const job = await scheduleBulkMessage({ senderId, data: bulkData, runAt: scheduledTime });
+
     res.json({
       message: 'Bulk message scheduled successfully',
       scheduledTime,
-      bulkMessageId: new Date().getTime().toString(),
+      bulkMessageId: job.payload.bulkMessageId,
+      jobId: job._id,
     });
   } catch (error) {
     console.error('Error scheduling bulk message:', error);
@@ -418,4 +349,52 @@ router.post('/schedule', requireAuth, async (req, res) => {
   }
 });
 
+// List scheduled bulk messages that haven't gone out yet
+router.get('/scheduled', requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const jobs = await Job.find({ name: 'bulk.send', status: { $in: ['queued', 'running'] } })
+      .sort({ runAt: 1 })
+      .limit(100);
+
+    res.json({
+      scheduled: jobs.map(job => ({
+        jobId: job._id,
+        bulkMessageId: job.payload?.bulkMessageId,
+        status: job.status,
+        scheduledTime: job.runAt,
+        message: job.payload?.data?.message,
+        totalRecipients: job.payload?.data?.recipients?.length || 0,
+        attempts: job.attempts,
+        lastError: job.lastError,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching scheduled bulk messages:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled bulk messages' });
+  }
+});
+
+// Cancel a scheduled bulk message
+router.delete('/schedule/:bulkMessageId', requireAuth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const cancelled = await cancelJob(`bulk.send:${req.params.bulkMessageId}`);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'No pending scheduled message with that id' });
+    }
+
+    res.json({ message: 'Scheduled bulk message cancelled' });
+  } catch (error) {
+    console.error('Error cancelling scheduled bulk message:', error);
+    res.status(500).json({ error: 'Failed to cancel scheduled bulk message' });
+  }
+});
+
 export { router as bulkMessageRouter };
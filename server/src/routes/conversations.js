@@ -0,0 +1,163 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { z } from 'zod';
+
+import { requireScope } from '../middleware/requireAuth.js';
+import { Conversation } from '../models/Conversation.js';
+import { Message } from '../models/Message.js';
+import { parseCursorQuery, paginateMessages } from '../lib/pagination.js';
+import { serializeMessage } from '../lib/messageDelivery.js';
+import { hideBlockedSenders } from '../lib/blocks.js';
+import {
+  MAX_CONVERSATION_PARTICIPANTS,
+  addParticipants,
+  countUnread,
+  createConversation,
+  createConversationMessage,
+  findConversation,
+  leaveConversation,
+  renameConversation,
+  serializeConversation,
+} from '../lib/conversations.js';
+
+export const conversationsRouter = express.Router();
+
+const PARTICIPANT_FIELDS = '_id displayName avatarUrl';
+
+const objectId = z.string().refine((v) => mongoose.isValidObjectId(v), 'Invalid id');
+const nameSchema = z.string().trim().max(100);
+
+const createSchema = z.object({
+  participantIds: z.array(objectId).min(1).max(MAX_CONVERSATION_PARTICIPANTS),
+  name: nameSchema.optional(),
+});
+
+const updateSchema = z.object({
+  name: nameSchema,
+});
+
+const addSchema = z.object({
+  userIds: z.array(objectId).min(1).max(MAX_CONVERSATION_PARTICIPANTS),
+});
+
+// 404 for conversations the caller isn't in, so ids can't be probed
+async function loadConversation(req, res, next) {
+  const conversation = await findConversation(req.params.conversationId, req.user._id);
+  if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+  req.conversation = conversation;
+  next();
+}
+
+// The caller's conversations, most recently active first
+conversationsRouter.get('/', requireScope('messages:read'), async (req, res) => {
+  const conversations = await Conversation.find({ participants: req.user._id })
+    .sort({ lastMessageAt: -1 })
+    .limit(100)
+    .populate('participants', PARTICIPANT_FIELDS);
+
+  const hidden = await hideBlockedSenders(req.user._id);
+  const items = await Promise.all(
+    conversations.map(async (c) => {
+      const [lastMessage, unreadCount] = await Promise.all([
+        Message.findOne({ kind: 'conversation', conversationId: c._id, isDeleted: false, ...hidden })
+          .sort({ _id: -1 })
+          .populate('from', '_id displayName avatarUrl isBot'),
+        countUnread(c._id, req.user._id),
+      ]);
+      return serializeConversation(c, { lastMessage, unreadCount });
+    })
+  );
+
+  res.json({ conversations: items });
+});
+
+conversationsRouter.post('/', requireScope('messages:write'), async (req, res) => {
+  const parsed = createSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+
+  const result = await createConversation(req.user, parsed.data);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+
+  res.status(201).json({ conversation: serializeConversation(result.conversation) });
+});
+
+conversationsRouter.get('/:conversationId', requireScope('messages:read'), loadConversation, async (req, res) => {
+  await req.conversation.populate('participants', PARTICIPANT_FIELDS);
+  const unreadCount = await countUnread(req.conversation._id, req.user._id);
+  res.json({ conversation: serializeConversation(req.conversation, { unreadCount }) });
+});
+
+conversationsRouter.patch('/:conversationId', requireScope('messages:write'), loadConversation, async (req, res) => {
+  const parsed = updateSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+
+  const { conversation } = await renameConversation(req.conversation, parsed.data.name);
+  res.json({ conversation: serializeConversation(conversation) });
+});
+
+conversationsRouter.post(
+  '/:conversationId/participants',
+  requireScope('messages:write'),
+  loadConversation,
+  async (req, res) => {
+    const parsed = addSchema.safeParse(req.body);
+    if (!parsed.success) return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+
+    const result = await addParticipants(req.conversation, req.user, parsed.data.userIds);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ conversation: serializeConversation(result.conversation) });
+  }
+);
+
+conversationsRouter.post('/:conversationId/leave', requireScope('messages:write'), loadConversation, async (req, res) => {
+  await leaveConversation(req.conversation, req.user._id);
+  res.json({ ok: true });
+});
+
+conversationsRouter.get('/:conversationId/messages', requireScope('messages:read'), loadConversation, async (req, res) => {
+  const parsed = parseCursorQuery(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid cursor' });
+
+  const page = await paginateMessages(
+    Message,
+    {
+      kind: 'conversation',
+      conversationId: req.conversation._id,
+      isDeleted: false,
+      ...(await hideBlockedSenders(req.user._id)),
+    },
+    parsed.data,
+    [['from', '_id displayName avatarUrl isBot']]
+  );
+
+  res.json({ ...page, messages: page.messages.map(serializeMessage) });
+});
+
+conversationsRouter.post(
+  '/:conversationId/messages',
+  requireScope('messages:write'),
+  loadConversation,
+  async (req, res) => {
+    const text = String(req.body?.text || '').trim().slice(0, 4000);
+    const attachmentIds = req.body?.attachmentIds;
+    if (!text && !(Array.isArray(attachmentIds) && attachmentIds.length > 0)) {
+      return res.status(400).json({ error: 'Message cannot be empty' });
+    }
+
+    try {
+      const result = await createConversationMessage({
+        conversation: req.conversation,
+        user: req.user,
+        text,
+        attachmentIds,
+      });
+      if (result.error) return res.status(400).json({ error: result.error });
+      res.status(201).json({ message: result.payload });
+    } catch (error) {
+      console.error('Error sending conversation message:', error);
+      res.status(500).json({ error: 'Failed to send message' });
+    }
+  }
+);
@@ -3,6 +3,7 @@ import { z } from 'zod';
 import { Message } from '../models/Message.js';
 import { User } from '../models/User.js';
 import { requireAuth } from '../middleware/requireAuth.js';
+import { deleteExpiredMessages, markExpiredMessages } from '../lib/expiration.js';
 
 const router = express.Router();
 
@@ -161,7 +162,7 @@ router.get('/expired', requireAuth, async (req, res) => {
   }
 });
 
-// Mark expired messages (cleanup job)
+// Mark expired messages now; the messages.expire job also does this every minute
 router.post('/mark-expired', requireAuth, async (req, res) => {
   try {
     const userId = req.user.id;
@@ -172,18 +173,11 @@ router.post('/mark-expired', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    // Find all messages that should be expired
-    const result = await Message.updateMany(
-      {
-        expiresAt: { $exists: true, $lte: new Date() },
-        isExpired: false,
-      },
-      { isExpired: true }
-    );
+    const markedCount = await markExpiredMessages();
 
     res.json({
       message: 'Expired messages marked successfully',
-      markedCount: result.modifiedCount,
+      markedCount,
     });
   } catch (error) {
     console.error('Error marking expired messages:', error);
@@ -191,7 +185,7 @@ router.post('/mark-expired', requireAuth, async (req, res) => {
   }
 });
 
-// Delete expired messages (cleanup job)
+// Delete expired messages now, without waiting for the messages.expire job
 router.post('/delete-expired', requireAuth, async (req, res) => {
   try {
     const userId = req.user.id;
@@ -202,14 +196,11 @@ router.post('/delete-expired', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    // Find and delete expired messages
-    const result = await Message.deleteMany({
-      isExpired: true,
-    });
+    const deletedCount = await deleteExpiredMessages();
 
     res.json({
       message: 'Expired messages deleted successfully',
-      deletedCount: result.deletedCount,
+      deletedCount,
     });
   } catch (error) {
     console.error('Error deleting expired messages:', error);
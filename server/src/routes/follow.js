@@ -2,10 +2,24 @@ import express from 'express';
 import { z } from 'zod';
 import { User } from '../models/User.js';
 import { notificationService } from '../services/notificationService.js';
-import { requireAuth } from '../middleware/requireAuth.js';
+import { optionalAuth, requireAuth } from '../middleware/requireAuth.js';
+import { canViewProfile } from '../lib/privacy.js';
+import { BLOCKED_REASON, isBlockedBetween } from '../lib/blocks.js';
 
 const router = express.Router();
 
+const LISTED_USER_FIELDS = 'displayName avatarUrl karma reputation level friends blockedUsers profileVisibility';
+
+// One entry of a follower/following list; karma and level only when the
+// listed user's profile is visible to the viewer
+function listedUser(user, viewerId) {
+  const entry = { _id: user._id, displayName: user.displayName, avatarUrl: user.avatarUrl };
+  if (canViewProfile(user, viewerId)) {
+    Object.assign(entry, { karma: user.karma, reputation: user.reputation, level: user.level });
+  }
+  return entry;
+}
+
 // Follow a user
 router.post('/:userId/follow', requireAuth, async (req, res) => {
   try {
@@ -31,8 +45,8 @@ router.post('/:userId/follow', requireAuth, async (req, res) => {
     }
 
     // Check if blocked
-    if (userToFollow.blockedUsers.includes(followerId)) {
-      return res.status(403).json({ error: 'Cannot follow this user' });
+    if (await isBlockedBetween(followerId, userId)) {
+      return res.status(403).json({ error: BLOCKED_REASON });
     }
 
     // Check privacy settings
@@ -135,15 +149,16 @@ router.post('/:userId/unfollow', requireAuth, async (req, res) => {
 });
 
 // Get user's followers
-router.get('/:userId/followers', async (req, res) => {
+router.get('/:userId/followers', optionalAuth('profile:read'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { page = 1, limit = 20 } = req.query;
+    const viewerId = req.user?._id;
 
     const user = await User.findById(userId)
       .populate({
         path: 'followers',
-        select: 'displayName avatarUrl karma reputation level',
+        select: LISTED_USER_FIELDS,
         options: {
           skip: (page - 1) * limit,
           limit: parseInt(limit),
@@ -153,11 +168,14 @@ router.get('/:userId/followers', async (req, res) => {
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    if (!canViewProfile(user, viewerId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
     const total = user.followers.length;
 
     res.json({
-      followers: user.followers,
+      followers: user.followers.map((u) => listedUser(u, viewerId)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -172,15 +190,16 @@ router.get('/:userId/followers', async (req, res) => {
 });
 
 // Get user's following
-router.get('/:userId/following', async (req, res) => {
+router.get('/:userId/following', optionalAuth('profile:read'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { page = 1, limit = 20 } = req.query;
+    const viewerId = req.user?._id;
 
     const user = await User.findById(userId)
       .populate({
         path: 'following',
-        select: 'displayName avatarUrl karma reputation level',
+        select: LISTED_USER_FIELDS,
         options: {
           skip: (page - 1) * limit,
           limit: parseInt(limit),
@@ -190,11 +209,14 @@ router.get('/:userId/following', async (req, res) => {
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    if (!canViewProfile(user, viewerId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
     const total = user.following.length;
 
     res.json({
-      following: user.following,
+      following: user.following.map((u) => listedUser(u, viewerId)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -299,7 +321,7 @@ router.get('/suggestions', requireAuth, async (req, res) => {
 });
 
 // Get follow statistics
-router.get('/:userId/stats', async (req, res) => {
+router.get('/:userId/stats', optionalAuth('profile:read'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -307,6 +329,9 @@ router.get('/:userId/stats', async (req, res) => {
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    if (!canViewProfile(user, req.user?._id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
     const stats = {
       followersCount: user.followers.length,
@@ -1,111 +1,163 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { z } from 'zod';
 
 import { requireAuth } from '../middleware/requireAuth.js';
 import { User } from '../models/User.js';
 import { FriendRequest } from '../models/FriendRequest.js';
+import { Notification } from '../models/Notification.js';
+import { notificationService } from '../services/notificationService.js';
+import { realtime } from '../lib/realtime.js';
+import { checkFriendRequest, isFriendOf, removeFriendship } from '../lib/friends.js';
+import { PROFILE_FIELDS, canViewEmail, viewProfile } from '../lib/privacy.js';
+import { BLOCKED_REASON, blockedUserIds, isBlockedBetween } from '../lib/blocks.js';
 
 export const friendsRouter = express.Router();
 
+const PERSON_FIELDS = '_id displayName avatarUrl';
+
+function serializePerson(user) {
+  return {
+    id: String(user._id),
+    displayName: user.displayName,
+    avatarUrl: user.avatarUrl,
+  };
+}
+
+function serializeIncoming(request) {
+  return { id: String(request._id), from: serializePerson(request.from), createdAt: request.createdAt };
+}
+
+function serializeOutgoing(request) {
+  return { id: String(request._id), to: serializePerson(request.to), createdAt: request.createdAt };
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// By display name, or by a full email address. Partial emails don't match,
+// so addresses can't be guessed a letter at a time; the email is only shown
+// to those who may see it anyway.
 friendsRouter.get('/search', requireAuth, async (req, res) => {
-  const q = String(req.query.q || '').trim();
+  const q = String(req.query.q || '').trim().slice(0, 100);
   if (!q) return res.json({ users: [] });
 
-  const users = await User.find({
-    $or: [
-      { email: { $regex: q, $options: 'i' } },
-      { displayName: { $regex: q, $options: 'i' } },
-    ],
-  })
-    .limit(20)
-    .select('_id email displayName avatarUrl country gender age');
-
-  res.json({
-    users: users
-      .filter((u) => String(u._id) !== String(req.user._id))
-      .map((u) => ({
-        id: String(u._id),
-        email: u.email,
-        displayName: u.displayName,
-        avatarUrl: u.avatarUrl,
-        country: u.country,
-        gender: u.gender,
-        age: u.age,
-      })),
-  });
+  try {
+    const hidden = [req.user._id, ...(await blockedUserIds(req.user._id))];
+    const users = await User.find({
+      _id: { $nin: hidden },
+      $or: [
+        { email: q.toLowerCase() },
+        { displayName: { $regex: escapeRegex(q), $options: 'i' } },
+      ],
+    })
+      .limit(20)
+      .select(`_id email ${PROFILE_FIELDS}`);
+
+    res.json({
+      users: users.map((u) => {
+        const { id, displayName, avatarUrl, country, gender, age } = viewProfile(u, req.user._id);
+        return { id, email: canViewEmail(u, req.user._id) ? u.email : '', displayName, avatarUrl, country, gender, age };
+      }),
+    });
+  } catch (error) {
+    console.error('Error searching users:', error);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
 });
 
 friendsRouter.get('/list', requireAuth, async (req, res) => {
-  const me = await User.findById(req.user._id).populate('friends', '_id displayName avatarUrl');
-  const friends = (me?.friends || []).map((f) => ({
-    id: String(f._id),
-    displayName: f.displayName,
-    avatarUrl: f.avatarUrl,
-  }));
-  res.json({ friends });
+  const me = await User.findById(req.user._id).populate('friends', PERSON_FIELDS);
+  res.json({ friends: (me?.friends || []).map(serializePerson) });
 });
 
 const requestSchema = z.object({
   toUserId: z.string().min(1),
 });
 
+// The signed-in user's pending request to someone else
+async function findOutgoing(req, requestId) {
+  if (!mongoose.isValidObjectId(requestId)) return null;
+  return FriendRequest.findOne({ _id: requestId, from: req.user._id, status: 'pending' });
+}
+
+// A pending request someone sent the signed-in user
+async function findIncoming(req, requestId) {
+  if (!mongoose.isValidObjectId(requestId)) return null;
+  return FriendRequest.findOne({ _id: requestId, to: req.user._id, status: 'pending' });
+}
+
 friendsRouter.post('/request', requireAuth, async (req, res) => {
   const parsed = requestSchema.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: 'Invalid input' });
 
   const fromId = req.user._id;
   const toId = parsed.data.toUserId;
+  if (!mongoose.isValidObjectId(toId)) return res.status(404).json({ error: 'User not found' });
 
-  if (String(fromId) === String(toId)) {
-    return res.status(400).json({ error: 'Invalid request' });
-  }
-
-  const toUser = await User.findById(toId);
+  const [me, toUser] = await Promise.all([User.findById(fromId), User.findById(toId)]);
   if (!toUser) return res.status(404).json({ error: 'User not found' });
 
-  const me = await User.findById(fromId);
-  const alreadyFriends = (me.friends || []).some((id) => String(id) === String(toId));
-  if (alreadyFriends) return res.status(409).json({ error: 'Already friends' });
+  const [existing, reverse] = await Promise.all([
+    FriendRequest.findOne({ from: fromId, to: toId }),
+    FriendRequest.findOne({ from: toId, to: fromId }),
+  ]);
 
+  const check = await checkFriendRequest(me, toUser, { existing, reverse });
+  if (check.error) {
+    return res.status(check.status).json({ error: check.error, ...(check.retryAt ? { retryAt: check.retryAt } : {}) });
+  }
+
+  // One document per direction (unique index): an earlier rejected or
+  // accepted request between the two is reopened rather than duplicated
+  let fr = existing;
   try {
-    const fr = await FriendRequest.create({ from: fromId, to: toId, status: 'pending' });
-    res.json({ request: { id: String(fr._id), status: fr.status } });
+    if (fr) {
+      fr.status = 'pending';
+      fr.respondedAt = undefined;
+      await fr.save();
+    } else {
+      fr = await FriendRequest.create({ from: fromId, to: toId, status: 'pending' });
+    }
   } catch {
-    res.status(409).json({ error: 'Request already exists' });
+    return res.status(409).json({ error: 'Request already exists' });
   }
+
+  realtime.toUser(toId, 'friend:request', {
+    request: serializeIncoming({ _id: fr._id, from: me, createdAt: fr.createdAt }),
+  });
+  notificationService.createFriendRequestNotification(fromId, toId).catch((error) => {
+    console.error('Error sending friend request notification:', error);
+  });
+
+  res.json({ request: { id: String(fr._id), status: fr.status } });
 });
 
 friendsRouter.get('/requests', requireAuth, async (req, res) => {
   const incoming = await FriendRequest.find({ to: req.user._id, status: 'pending' })
-    .populate('from', '_id displayName avatarUrl')
+    .populate('from', PERSON_FIELDS)
     .sort({ createdAt: -1 });
 
   const outgoing = await FriendRequest.find({ from: req.user._id, status: 'pending' })
-    .populate('to', '_id displayName avatarUrl')
+    .populate('to', PERSON_FIELDS)
     .sort({ createdAt: -1 });
 
   res.json({
-    incoming: incoming.map((r) => ({
-      id: String(r._id),
-      from: {
-        id: String(r.from._id),
-        displayName: r.from.displayName,
-        avatarUrl: r.from.avatarUrl,
-      },
-      createdAt: r.createdAt,
-    })),
-    outgoing: outgoing.map((r) => ({
-      id: String(r._id),
-      to: {
-        id: String(r.to._id),
-        displayName: r.to.displayName,
-        avatarUrl: r.to.avatarUrl,
-      },
-      createdAt: r.createdAt,
-    })),
+    incoming: incoming.map(serializeIncoming),
+    outgoing: outgoing.map(serializeOutgoing),
   });
 });
 
+// Requests the signed-in user sent that are still waiting for an answer
+friendsRouter.get('/requests/sent', requireAuth, async (req, res) => {
+  const sent = await FriendRequest.find({ from: req.user._id, status: 'pending' })
+    .populate('to', PERSON_FIELDS)
+    .sort({ createdAt: -1 });
+
+  res.json({ requests: sent.map(serializeOutgoing) });
+});
+
 const actionSchema = z.object({
   requestId: z.string().min(1),
 });
@@ -114,36 +166,81 @@ friendsRouter.post('/accept', requireAuth, async (req, res) => {
   const parsed = actionSchema.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: 'Invalid input' });
 
-  const fr = await FriendRequest.findById(parsed.data.requestId);
-  if (!fr || String(fr.to) !== String(req.user._id) || fr.status !== 'pending') {
-    return res.status(404).json({ error: 'Request not found' });
-  }
+  const fr = await findIncoming(req, parsed.data.requestId);
+  if (!fr) return res.status(404).json({ error: 'Request not found' });
+
+  const [fromUser, toUser] = await Promise.all([User.findById(fr.from), User.findById(fr.to)]);
+  if (!fromUser || !toUser) return res.status(404).json({ error: 'Request not found' });
+  if (await isBlockedBetween(fromUser._id, toUser._id)) return res.status(403).json({ error: BLOCKED_REASON });
 
   fr.status = 'accepted';
+  fr.respondedAt = new Date();
   await fr.save();
 
-  const [fromUser, toUser] = await Promise.all([User.findById(fr.from), User.findById(fr.to)]);
+  await Promise.all([
+    User.updateOne({ _id: fromUser._id }, { $addToSet: { friends: toUser._id } }),
+    User.updateOne({ _id: toUser._id }, { $addToSet: { friends: fromUser._id } }),
+  ]);
 
-  if (fromUser && toUser) {
-    if (!fromUser.friends.some((id) => String(id) === String(toUser._id))) fromUser.friends.push(toUser._id);
-    if (!toUser.friends.some((id) => String(id) === String(fromUser._id))) toUser.friends.push(fromUser._id);
-    await Promise.all([fromUser.save(), toUser.save()]);
-  }
+  realtime.toUser(fromUser._id, 'friend:accepted', { requestId: String(fr._id), friend: serializePerson(toUser) });
+  realtime.toUser(toUser._id, 'friend:added', { friend: serializePerson(fromUser) });
+  notificationService.createFriendAcceptedNotification(fromUser._id, toUser._id).catch((error) => {
+    console.error('Error sending friend accepted notification:', error);
+  });
 
-  res.json({ ok: true });
+  res.json({ ok: true, friend: serializePerson(fromUser) });
 });
 
 friendsRouter.post('/reject', requireAuth, async (req, res) => {
   const parsed = actionSchema.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: 'Invalid input' });
 
-  const fr = await FriendRequest.findById(parsed.data.requestId);
-  if (!fr || String(fr.to) !== String(req.user._id) || fr.status !== 'pending') {
-    return res.status(404).json({ error: 'Request not found' });
-  }
+  const fr = await findIncoming(req, parsed.data.requestId);
+  if (!fr) return res.status(404).json({ error: 'Request not found' });
 
   fr.status = 'rejected';
+  fr.respondedAt = new Date();
   await fr.save();
 
+  realtime.toUser(fr.from, 'friend:request_rejected', { requestId: String(fr._id) });
+
+  res.json({ ok: true });
+});
+
+// Withdraws a pending request the signed-in user sent
+friendsRouter.post('/cancel', requireAuth, async (req, res) => {
+  const parsed = actionSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid input' });
+
+  const fr = await findOutgoing(req, parsed.data.requestId);
+  if (!fr) return res.status(404).json({ error: 'Request not found' });
+
+  await fr.deleteOne();
+  await Notification.deleteMany({ recipient: fr.to, sender: fr.from, type: 'friend_request' });
+
+  realtime.toUser(fr.to, 'friend:request_cancelled', { requestId: String(fr._id) });
+
+  res.json({ ok: true });
+});
+
+const unfriendSchema = z.object({
+  userId: z.string().min(1),
+});
+
+friendsRouter.post('/unfriend', requireAuth, async (req, res) => {
+  const parsed = unfriendSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid input' });
+
+  const friendId = parsed.data.userId;
+  const me = await User.findById(req.user._id).select('friends');
+  if (!mongoose.isValidObjectId(friendId) || !isFriendOf(me, friendId)) {
+    return res.status(404).json({ error: 'Friend not found' });
+  }
+
+  await removeFriendship(req.user._id, friendId);
+
+  realtime.toUser(friendId, 'friend:removed', { userId: String(req.user._id) });
+  realtime.toUser(req.user._id, 'friend:removed', { userId: friendId });
+
   res.json({ ok: true });
 });
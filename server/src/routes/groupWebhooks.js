@@ -0,0 +1,293 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import rateLimit from 'express-rate-limit';
+import { z } from 'zod';
+
+import { requireScope } from '../middleware/requireAuth.js';
+import { Group } from '../models/Group.js';
+import { GroupWebhook } from '../models/GroupWebhook.js';
+import { IncomingWebhook } from '../models/IncomingWebhook.js';
+import { User } from '../models/User.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { isGroupAdmin } from '../lib/groupChat.js';
+import { checkWebhookUrl } from '../lib/webhooks.js';
+import {
+  GROUP_WEBHOOK_EVENTS,
+  MAX_WEBHOOKS,
+  createGroupWebhook,
+  deleteGroupWebhook,
+  rotateWebhookSecret,
+  sendTestEvent,
+  serializeDelivery,
+  serializeWebhook,
+} from '../lib/groupWebhooks.js';
+import {
+  createIncomingWebhook,
+  deleteIncomingWebhook,
+  rotateIncomingWebhookToken,
+  serializeIncomingWebhook,
+} from '../lib/incomingWebhooks.js';
+
+// Outgoing and incoming webhooks for a group, managed by its admins.
+// Mounted under /api/groups next to the main groups router.
+export const groupWebhooksRouter = express.Router();
+
+const testLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: 10,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many test events, please wait a minute' },
+});
+
+// Looks the host up, so the schemas using it need safeParseAsync
+const urlSchema = z
+  .string()
+  .trim()
+  .max(500)
+  .superRefine(async (value, ctx) => {
+    const problem = await checkWebhookUrl(value);
+    if (problem) ctx.addIssue({ code: z.ZodIssueCode.custom, message: problem });
+  });
+const eventsSchema = z.array(z.enum(Object.keys(GROUP_WEBHOOK_EVENTS))).min(1);
+
+const createWebhookSchema = z.object({
+  url: urlSchema,
+  description: z.string().trim().max(200).default(''),
+  events: eventsSchema,
+});
+
+const updateWebhookSchema = z.object({
+  url: urlSchema.optional(),
+  description: z.string().trim().max(200).optional(),
+  events: eventsSchema.optional(),
+  isActive: z.boolean().optional(),
+});
+
+const incomingSchema = z.object({
+  displayName: z.string().trim().min(1).max(40),
+  avatarUrl: z.string().trim().max(500).default(''),
+  room: z.string().trim().max(100).default(''),
+  rateLimit: z.number().int().min(1).max(120).default(30),
+});
+
+const updateIncomingSchema = z.object({
+  displayName: z.string().trim().min(1).max(40).optional(),
+  avatarUrl: z.string().trim().max(500).optional(),
+  room: z.string().trim().max(100).optional(),
+  rateLimit: z.number().int().min(1).max(120).optional(),
+  isActive: z.boolean().optional(),
+});
+
+// Loads req.group and, with :webhookId, req.webhook (or req.incoming for
+// :incomingId); admins only
+async function loadAdminGroup(req, res, next) {
+  try {
+    const { groupId, webhookId, incomingId } = req.params;
+    const group = mongoose.isValidObjectId(groupId) ? await Group.findById(groupId) : null;
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    if (!isGroupAdmin(group, req.user._id)) {
+      return res.status(403).json({ error: 'Only group admins can manage webhooks' });
+    }
+    req.group = group;
+
+    if (webhookId !== undefined) {
+      req.webhook = mongoose.isValidObjectId(webhookId)
+        ? await GroupWebhook.findOne({ _id: webhookId, group: group._id })
+        : null;
+      if (!req.webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+    }
+
+    if (incomingId !== undefined) {
+      req.incoming = mongoose.isValidObjectId(incomingId)
+        ? await IncomingWebhook.findOne({ _id: incomingId, group: group._id }).populate('sender', 'displayName avatarUrl')
+        : null;
+      if (!req.incoming) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+const adminOnly = [requireScope('groups:admin'), loadAdminGroup];
+
+groupWebhooksRouter.get('/:groupId/webhooks', adminOnly, async (req, res) => {
+  try {
+    const hooks = await GroupWebhook.find({ group: req.group._id }).sort({ createdAt: -1 });
+    res.json({
+      webhooks: hooks.map(serializeWebhook),
+      events: Object.entries(GROUP_WEBHOOK_EVENTS).map(([id, description]) => ({ id, description })),
+    });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+groupWebhooksRouter.post('/:groupId/webhooks', adminOnly, async (req, res) => {
+  const parsed = await createWebhookSchema.safeParseAsync(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  try {
+    const count = await GroupWebhook.countDocuments({ group: req.group._id });
+    if (count >= MAX_WEBHOOKS) {
+      return res.status(400).json({ error: `A group can have at most ${MAX_WEBHOOKS} webhooks` });
+    }
+
+    const hook = await createGroupWebhook(req.group, req.user, parsed.data);
+    res.status(201).json({ webhook: serializeWebhook(hook) });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+groupWebhooksRouter.patch('/:groupId/webhooks/:webhookId', adminOnly, async (req, res) => {
+  const parsed = await updateWebhookSchema.safeParseAsync(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  try {
+    const { url, description, events, isActive } = parsed.data;
+    if (url !== undefined) req.webhook.url = url;
+    if (description !== undefined) req.webhook.description = description;
+    if (events !== undefined) req.webhook.events = [...new Set(events)];
+    if (isActive !== undefined) req.webhook.isActive = isActive;
+    await req.webhook.save();
+
+    res.json({ webhook: serializeWebhook(req.webhook) });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+groupWebhooksRouter.post('/:groupId/webhooks/:webhookId/secret', adminOnly, async (req, res) => {
+  try {
+    res.json({ webhook: serializeWebhook(await rotateWebhookSecret(req.webhook)) });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate secret' });
+  }
+});
+
+groupWebhooksRouter.delete('/:groupId/webhooks/:webhookId', adminOnly, async (req, res) => {
+  try {
+    await deleteGroupWebhook(req.webhook);
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Sends a `webhook.test` event now and answers with how it went
+groupWebhooksRouter.post('/:groupId/webhooks/:webhookId/test', testLimiter, adminOnly, async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.webhook, req.user);
+    res.json({ delivery: serializeDelivery(delivery) });
+  } catch (error) {
+    console.error('Error sending test event:', error);
+    res.status(500).json({ error: 'Failed to send test event' });
+  }
+});
+
+groupWebhooksRouter.get('/:groupId/webhooks/:webhookId/deliveries', adminOnly, async (req, res) => {
+  try {
+    const deliveries = await WebhookDelivery.find({ webhook: req.webhook._id }).sort({ createdAt: -1 }).limit(50);
+    res.json({ deliveries: deliveries.map(serializeDelivery) });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to list deliveries' });
+  }
+});
+
+groupWebhooksRouter.get('/:groupId/incoming-webhooks', adminOnly, async (req, res) => {
+  try {
+    const hooks = await IncomingWebhook.find({ group: req.group._id })
+      .populate('sender', 'displayName avatarUrl')
+      .sort({ createdAt: -1 });
+    res.json({ webhooks: hooks.map(serializeIncomingWebhook) });
+  } catch (error) {
+    console.error('Error listing incoming webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+// The URL (with its token) is in this response only; POST .../token issues a new one
+groupWebhooksRouter.post('/:groupId/incoming-webhooks', adminOnly, async (req, res) => {
+  const parsed = incomingSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  try {
+    const result = await createIncomingWebhook(req.group, req.user, parsed.data);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json({ webhook: serializeIncomingWebhook(result.hook), url: result.url });
+  } catch (error) {
+    console.error('Error creating incoming webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+groupWebhooksRouter.patch('/:groupId/incoming-webhooks/:incomingId', adminOnly, async (req, res) => {
+  const parsed = updateIncomingSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  try {
+    const { displayName, avatarUrl, room, rateLimit, isActive } = parsed.data;
+    if (room !== undefined) req.incoming.room = room;
+    if (rateLimit !== undefined) req.incoming.rateLimit = rateLimit;
+    if (isActive !== undefined) req.incoming.isActive = isActive;
+    await req.incoming.save();
+
+    // The name and avatar live on the sender, so earlier messages show them too
+    const profile = {};
+    if (displayName !== undefined) profile.displayName = displayName;
+    if (avatarUrl !== undefined) profile.avatarUrl = avatarUrl;
+    if (Object.keys(profile).length > 0) {
+      await User.updateOne({ _id: req.incoming.sender._id }, { $set: profile });
+      Object.assign(req.incoming.sender, profile);
+    }
+
+    res.json({ webhook: serializeIncomingWebhook(req.incoming) });
+  } catch (error) {
+    console.error('Error updating incoming webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+groupWebhooksRouter.post('/:groupId/incoming-webhooks/:incomingId/token', adminOnly, async (req, res) => {
+  try {
+    const url = await rotateIncomingWebhookToken(req.incoming);
+    res.json({ webhook: serializeIncomingWebhook(req.incoming), url });
+  } catch (error) {
+    console.error('Error rotating incoming webhook token:', error);
+    res.status(500).json({ error: 'Failed to issue a new URL' });
+  }
+});
+
+groupWebhooksRouter.delete('/:groupId/incoming-webhooks/:incomingId', adminOnly, async (req, res) => {
+  try {
+    await deleteIncomingWebhook(req.incoming);
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    console.error('Error deleting incoming webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
@@ -4,7 +4,13 @@ import { z } from 'zod';
 import { Group } from '../models/Group.js';
 import { User } from '../models/User.js';
 import { Message } from '../models/Message.js';
-import { requireAuth } from '../middleware/requireAuth.js';
+import { requireAuth, requireScope } from '../middleware/requireAuth.js';
+import { canReadGroup, checkGroupSend, createGroupMessage, serializeGroupMessage } from '../lib/groupChat.js';
+import { parseCursorQuery, paginateMessages } from '../lib/pagination.js';
+import { emitBotEvent } from '../lib/bots.js';
+import { emitGroupEvent } from '../lib/groupWebhooks.js';
+import { hideBlockedSenders } from '../lib/blocks.js';
+import { channels, leaveChannel } from '../lib/realtime.js';
 
 const router = express.Router();
 
@@ -62,13 +68,17 @@ const updateGroupSchema = z.object({
   requireApprovalToJoin: z.boolean().optional(),
 });
 
+function memberCard(user) {
+  return { id: String(user._id), displayName: user.displayName, avatarUrl: user.avatarUrl };
+}
+
 // Test route
 router.get('/test', (req, res) => {
   res.json({ message: 'Groups router is working!' });
 });
 
 // Upload group avatar
-router.post('/:groupId/avatar', requireAuth, upload.single('avatar'), async (req, res) => {
+router.post('/:groupId/avatar', requireScope('groups:admin'), upload.single('avatar'), async (req, res) => {
   try {
     const { groupId } = req.params;
     const userId = req.user.id;
@@ -143,7 +153,7 @@ router.post('/:groupId/avatar', requireAuth, upload.single('avatar'), async (req
 });
 
 // Generate group invite
-router.post('/:groupId/invite', requireAuth, async (req, res) => {
+router.post('/:groupId/invite', requireScope('groups:admin'), async (req, res) => {
   try {
     const { groupId } = req.params;
     const userId = req.user.id;
@@ -256,6 +266,8 @@ router.post('/join/:inviteCode', requireAuth, async (req, res) => {
     invite.uses += 1;
 
     await group.save();
+    emitBotEvent('member.joined', { group, actorId: userId, data: { user: memberCard(req.user) } });
+    emitGroupEvent(group._id, 'member.joined', { user: memberCard(req.user) });
 
     // Add group to user's groups
     await User.findByIdAndUpdate(userId, {
@@ -276,7 +288,7 @@ router.post('/join/:inviteCode', requireAuth, async (req, res) => {
 });
 
 // Get group invites (for admins)
-router.get('/:groupId/invites', requireAuth, async (req, res) => {
+router.get('/:groupId/invites', requireScope('groups:admin'), async (req, res) => {
   try {
     const { groupId } = req.params;
     const userId = req.user.id;
@@ -322,7 +334,7 @@ router.get('/:groupId/invites', requireAuth, async (req, res) => {
 });
 
 // Revoke invite
-router.delete('/:groupId/invites/:inviteCode', requireAuth, async (req, res) => {
+router.delete('/:groupId/invites/:inviteCode', requireScope('groups:admin'), async (req, res) => {
   try {
     const { groupId, inviteCode } = req.params;
     const userId = req.user.id;
@@ -360,7 +372,7 @@ router.delete('/:groupId/invites/:inviteCode', requireAuth, async (req, res) =>
 });
 
 // Create a new group
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireScope('groups:admin'), async (req, res) => {
   try {
     console.log('Group creation request:', req.body);
     console.log('User ID:', req.user.id);
@@ -504,7 +516,7 @@ router.get('/:groupId', async (req, res) => {
 });
 
 // Update group
-router.patch('/:groupId', requireAuth, async (req, res) => {
+router.patch('/:groupId', requireScope('groups:admin'), async (req, res) => {
   try {
     const { groupId } = req.params;
     const updates = updateGroupSchema.parse(req.body);
@@ -601,6 +613,8 @@ router.post('/:groupId/join', requireAuth, async (req, res) => {
     group.lastActivity = new Date();
 
     await group.save();
+    emitBotEvent('member.joined', { group, actorId: userId, data: { user: memberCard(req.user) } });
+    emitGroupEvent(group._id, 'member.joined', { user: memberCard(req.user) });
 
     // Add group to user's groups
     await User.findByIdAndUpdate(userId, {
@@ -642,6 +656,9 @@ router.post('/:groupId/leave', requireAuth, async (req, res) => {
     group.lastActivity = new Date();
 
     await group.save();
+    // Their open sockets stop getting messages, typing and read receipts
+    leaveChannel(channels.user(userId), channels.group(String(group._id)));
+    emitGroupEvent(group._id, 'member.left', { user: memberCard(req.user), reason: 'left' });
 
     // Remove group from user's groups
     await User.findByIdAndUpdate(userId, {
@@ -661,7 +678,7 @@ router.post('/:groupId/leave', requireAuth, async (req, res) => {
 });
 
 // Remove member from group (admin only)
-router.delete('/:groupId/members/:memberId', requireAuth, async (req, res) => {
+router.delete('/:groupId/members/:memberId', requireScope('groups:admin'), async (req, res) => {
   try {
     const { groupId, memberId } = req.params;
     const userId = req.user.id;
@@ -694,6 +711,8 @@ router.delete('/:groupId/members/:memberId', requireAuth, async (req, res) => {
     group.lastActivity = new Date();
 
     await group.save();
+    leaveChannel(channels.user(memberId), channels.group(String(group._id)));
+    emitGroupEvent(group._id, 'member.left', { user: { id: memberId }, reason: 'removed', removedBy: userId });
 
     // Remove group from user's groups
     await User.findByIdAndUpdate(memberId, {
@@ -710,7 +729,7 @@ router.delete('/:groupId/members/:memberId', requireAuth, async (req, res) => {
 });
 
 // Promote member to admin
-router.patch('/:groupId/members/:memberId/promote', requireAuth, async (req, res) => {
+router.patch('/:groupId/members/:memberId/promote', requireScope('groups:admin'), async (req, res) => {
   try {
     const { groupId, memberId } = req.params;
     const userId = req.user.id;
@@ -752,45 +771,37 @@ router.patch('/:groupId/members/:memberId/promote', requireAuth, async (req, res
 });
 
 // Get group messages
-router.get('/:groupId/messages', requireAuth, async (req, res) => {
+router.get('/:groupId/messages', requireScope('messages:read'), async (req, res) => {
   try {
     const { groupId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { room } = req.query;
     const userId = req.user.id;
 
+    const parsed = parseCursorQuery(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
     const group = await Group.findById(groupId);
     if (!group) {
       return res.status(404).json({ error: 'Group not found' });
     }
 
-    // Check if user is a member
-    if (!group.members.some(m => m.user.toString() === userId)) {
+    // Check if user is a member (and not banned)
+    if (!canReadGroup(group, userId)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    const messages = await Message.find({
-      groupId,
-      isDeleted: false,
-    })
-    .populate('from', 'displayName avatarUrl')
-    .populate('replyTo', 'from text createdAt')
-    .sort({ createdAt: -1 })
-    .skip((page - 1) * limit)
-    .limit(parseInt(limit));
+    const query = { groupId, isDeleted: false, ...(await hideBlockedSenders(userId)) };
+    if (room) {
+      query.roomId = String(room);
+    }
 
-    const total = await Message.countDocuments({
-      groupId,
-      isDeleted: false,
-    });
+    const page = await paginateMessages(Message, query, parsed.data, [['from', 'displayName avatarUrl isBot']]);
 
     res.json({
-      messages: messages.reverse(), // Reverse to show oldest first
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit),
-      },
+      ...page,
+      messages: page.messages.map(serializeGroupMessage),
     });
   } catch (error) {
     console.error('Error fetching group messages:', error);
@@ -799,44 +810,36 @@ router.get('/:groupId/messages', requireAuth, async (req, res) => {
 });
 
 // Send message to group
-router.post('/:groupId/messages', requireAuth, async (req, res) => {
+router.post('/:groupId/messages', requireScope('messages:write'), async (req, res) => {
   try {
     const { groupId } = req.params;
-    const { content, type = 'message' } = req.body;
+    const { content, room = '', attachmentIds } = req.body;
     const userId = req.user.id;
 
+    const text = String(content || '').trim().slice(0, 4000);
+    if (!text && !(Array.isArray(attachmentIds) && attachmentIds.length > 0)) {
+      return res.status(400).json({ error: 'Message cannot be empty' });
+    }
+
     const group = await Group.findById(groupId);
     if (!group) {
       return res.status(404).json({ error: 'Group not found' });
     }
 
-    // Check if user is a member
-    if (!group.members.some(m => m.user.toString() === userId)) {
-      return res.status(403).json({ error: 'Access denied' });
+    // Membership, bans, frozen groups and send permission
+    const check = checkGroupSend(group, userId);
+    if (!check.allowed) {
+      return res.status(403).json({ error: check.reason });
     }
 
-    // Create message
-    const message = new Message({
-      kind: 'group',
-      groupId,
-      from: userId,
-      text: content,
-      contentType: 'text',
-    });
-
-    await message.save();
-
-    // Update group activity
-    group.lastActivity = new Date();
-    group.messageCount += 1;
-    await group.save();
-
-    // Populate message data
-    await message.populate('from', 'displayName avatarUrl');
+    // Create message and fan it out to the group channel
+    const result = await createGroupMessage({ group, user: req.user, text, room: String(room), attachmentIds });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
 
     res.status(201).json({
-      message: 'Message sent successfully',
-      message,
+      message: result.payload,
     });
   } catch (error) {
     console.error('Error sending message:', error);
@@ -845,7 +848,7 @@ router.post('/:groupId/messages', requireAuth, async (req, res) => {
 });
 
 // Delete group (disband)
-router.delete('/:groupId', requireAuth, async (req, res) => {
+router.delete('/:groupId', requireScope('groups:admin'), async (req, res) => {
   try {
     console.log('Disband group request:', req.params.groupId);
     console.log('User ID:', req.user.id);
@@ -885,6 +888,7 @@ router.delete('/:groupId', requireAuth, async (req, res) => {
     console.log('Deleting group document...');
     // Delete the group
     await Group.findByIdAndDelete(groupId);
+    leaveChannel(channels.group(groupId), channels.group(groupId));
     console.log('Group deleted');
 
     res.json({
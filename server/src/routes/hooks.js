@@ -0,0 +1,86 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import rateLimit from 'express-rate-limit';
+import { z } from 'zod';
+
+import { findIncomingWebhook, postIncomingMessage } from '../lib/incomingWebhooks.js';
+
+// Incoming webhooks: no session or API token, the URL itself is the secret.
+// Group admins create them under /api/groups/:groupId/incoming-webhooks.
+// Mounted ahead of the global JSON parser: bodies are read here, after the
+// token and rate limit checks, so strangers can't make us parse megabytes.
+export const hooksRouter = express.Router();
+
+// Whole request, so a few base64 attachments fit; each file still has the
+// group's limit
+const BODY_LIMIT = '4mb';
+const jsonBody = express.json({ limit: BODY_LIMIT });
+
+// Each webhook has its own per-minute limit
+const hookLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.incomingWebhook.rateLimit,
+  keyGenerator: (req) => String(req.incomingWebhook._id),
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'This webhook is over its rate limit, please slow down' },
+});
+
+const payloadSchema = z
+  .object({
+    text: z.string().trim().max(4000).default(''),
+    attachments: z
+      .array(
+        z.object({
+          filename: z.string().trim().min(1).max(200),
+          content: z.string().min(1), // base64
+        })
+      )
+      .default([]),
+  })
+  .refine((p) => p.text || p.attachments.length > 0, 'Message cannot be empty');
+
+async function loadHook(req, res, next) {
+  try {
+    const { webhookId, token } = req.params;
+    req.incomingWebhook = mongoose.isValidObjectId(webhookId) ? await findIncomingWebhook(webhookId, token) : null;
+    if (!req.incomingWebhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function readBody(req, res, next) {
+  jsonBody(req, res, (err) => {
+    if (err) {
+      if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Payload is larger than ${BODY_LIMIT}` });
+      }
+      return res.status(400).json({ error: 'Invalid JSON' });
+    }
+    next();
+  });
+}
+
+// Body: { "text": "...", "attachments": [{ "filename": "report.txt", "content": "<base64>" }] }
+hooksRouter.post('/:webhookId/:token', loadHook, hookLimiter, readBody, async (req, res) => {
+  const parsed = payloadSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  try {
+    const result = await postIncomingMessage(req.incomingWebhook, parsed.data);
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+    res.status(201).json({ message: result.payload });
+  } catch (error) {
+    console.error('Error posting from incoming webhook:', error);
+    res.status(500).json({ error: 'Failed to post message' });
+  }
+});
@@ -0,0 +1,181 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { z } from 'zod';
+import { Job } from '../models/Job.js';
+import { requireAuth } from '../middleware/requireAuth.js';
+import { getJobRunnerStatus } from '../lib/jobs.js';
+
+const router = express.Router();
+
+const listSchema = z.object({
+  status: z.enum(['queued', 'running', 'completed', 'failed', 'cancelled']).optional(),
+  name: z.string().max(100).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+}
+
+function serializeJob(job) {
+  return {
+    id: String(job._id),
+    name: job.name,
+    status: job.status,
+    payload: job.payload,
+    uniqueKey: job.uniqueKey || null,
+    runAt: job.runAt,
+    repeatEvery: job.repeatEvery,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    lastError: job.lastError,
+    lockedBy: job.lockedBy || null,
+    lockedUntil: job.lockedUntil || null,
+    lastRunAt: job.lastRunAt || null,
+    completedAt: job.completedAt || null,
+    failedAt: job.failedAt || null,
+    finishedAt: job.finishedAt || null,
+    result: job.result ?? null,
+    createdAt: job.createdAt,
+  };
+}
+
+async function findJob(req, res) {
+  const job = mongoose.isValidObjectId(req.params.jobId) ? await Job.findById(req.params.jobId) : null;
+  if (!job) res.status(404).json({ error: 'Job not found' });
+  return job;
+}
+
+// List jobs, newest first
+router.get('/', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const parsed = listSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid query', details: parsed.error.errors });
+    }
+    const { status, name, page, limit } = parsed.data;
+
+    const query = {};
+    if (status) query.status = status;
+    if (name) query.name = name;
+
+    const jobs = await Job.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Job.countDocuments(query);
+
+    res.json({
+      jobs: jobs.map(serializeJob),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Counts per job name and status, plus what this instance's runner is doing
+router.get('/stats', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const counts = await Job.aggregate([
+      { $group: { _id: { name: '$name', status: '$status' }, count: { $sum: 1 } } },
+      { $sort: { '_id.name': 1, '_id.status': 1 } },
+    ]);
+
+    const overdue = await Job.countDocuments({
+      status: 'queued',
+      runAt: { $lte: new Date(Date.now() - 60 * 1000) },
+    });
+
+    const stuck = await Job.countDocuments({
+      status: 'running',
+      lockedUntil: { $lte: new Date() },
+    });
+
+    res.json({
+      runner: getJobRunnerStatus(),
+      counts: counts.map((c) => ({ name: c._id.name, status: c._id.status, count: c.count })),
+      overdue,
+      stuck,
+    });
+  } catch (error) {
+    console.error('Error fetching job stats:', error);
+    res.status(500).json({ error: 'Failed to fetch job stats' });
+  }
+});
+
+router.get('/:jobId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    res.json({ job: serializeJob(job) });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Queue a failed or cancelled job to run again now
+router.post('/:jobId/retry', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      return res.status(400).json({ error: 'Only failed or cancelled jobs can be retried' });
+    }
+
+    job.status = 'queued';
+    job.runAt = new Date();
+    job.attempts = 0;
+    job.lastError = '';
+    job.finishedAt = undefined;
+
+    try {
+      await job.save();
+    } catch (error) {
+      if (error?.code === 11000) {
+        return res.status(409).json({ error: 'Another job for the same key is already queued' });
+      }
+      throw error;
+    }
+
+    res.json({ job: serializeJob(job) });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+// Cancel a job that hasn't started yet
+router.post('/:jobId/cancel', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const job = await Job.findOneAndUpdate(
+      { _id: mongoose.isValidObjectId(req.params.jobId) ? req.params.jobId : null, status: 'queued' },
+      { $set: { status: 'cancelled', finishedAt: new Date() } },
+      { new: true }
+    );
+    if (!job) {
+      return res.status(404).json({ error: 'No queued job with that id' });
+    }
+
+    res.json({ job: serializeJob(job) });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+export { router as jobsRouter };
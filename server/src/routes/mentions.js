@@ -0,0 +1,89 @@
+import express from 'express';
+import { z } from 'zod';
+import { Message } from '../models/Message.js';
+import { Group } from '../models/Group.js';
+import { Conversation } from '../models/Conversation.js';
+import { requireScope } from '../middleware/requireAuth.js';
+import { messageLocation } from '../lib/messageDelivery.js';
+import { serializeAttachments } from '../lib/attachments.js';
+import { hideBlockedSenders } from '../lib/blocks.js';
+
+const router = express.Router();
+
+const inboxSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+});
+
+// Messages that mention the caller, newest first. Group and conversation
+// mentions only show while the caller is still in them; @everyone respects
+// allowTagging.
+router.get('/', requireScope('messages:read'), async (req, res) => {
+  try {
+    const parsed = inboxSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid query', details: parsed.error.errors });
+    }
+    const { page, limit } = parsed.data;
+    const me = req.user;
+
+    const groups = await Group.find({ 'members.user': me._id, bannedUsers: { $ne: me._id } }).select('_id');
+    const groupIds = groups.map((g) => g._id);
+    const conversations = await Conversation.find({ participants: me._id }).select('_id');
+    const conversationIds = conversations.map((c) => c._id);
+
+    const groupMentions = [{ mentions: me._id }];
+    if (me.allowTagging !== false) {
+      groupMentions.push({ mentionsEveryone: true });
+    }
+
+    const query = {
+      isDeleted: false,
+      isHidden: { $ne: true },
+      $and: [{ from: { $ne: me._id } }, await hideBlockedSenders(me._id)],
+      $or: [
+        { kind: 'public', mentions: me._id },
+        { kind: 'private', mentions: me._id, participants: me._id },
+        { kind: 'group', groupId: { $in: groupIds }, $or: groupMentions },
+        { kind: 'conversation', conversationId: { $in: conversationIds }, mentions: me._id },
+      ],
+    };
+
+    const messages = await Message.find(query)
+      .sort({ _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('from', 'displayName avatarUrl')
+      .populate('groupId', 'name');
+
+    const total = await Message.countDocuments(query);
+
+    res.json({
+      mentions: messages.map((m) => ({
+        id: String(m._id),
+        kind: m.kind,
+        text: m.text,
+        attachments: serializeAttachments(m),
+        mentionsEveryone: Boolean(m.mentionsEveryone),
+        createdAt: m.createdAt,
+        from: {
+          id: String(m.from?._id || m.from),
+          displayName: m.from?.displayName,
+          avatarUrl: m.from?.avatarUrl,
+        },
+        ...messageLocation(m, me.id),
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching mentions:', error);
+    res.status(500).json({ error: 'Failed to fetch mentions' });
+  }
+});
+
+export { router as mentionsRouter };
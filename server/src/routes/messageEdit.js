@@ -2,7 +2,8 @@ import express from 'express';
 import { z } from 'zod';
 import { Message } from '../models/Message.js';
 import { User } from '../models/User.js';
-import { requireAuth } from '../middleware/requireAuth.js';
+import { requireScope } from '../middleware/requireAuth.js';
+import { realtime } from '../lib/realtime.js';
 
 const router = express.Router();
 
@@ -17,7 +18,7 @@ const deleteMessageSchema = z.object({
 });
 
 // Edit message
-router.patch('/:messageId/edit', requireAuth, async (req, res) => {
+router.patch('/:messageId/edit', requireScope('messages:write'), async (req, res) => {
   try {
     const { messageId } = req.params;
     const { text } = editMessageSchema.parse(req.body);
@@ -52,7 +53,7 @@ router.patch('/:messageId/edit', requireAuth, async (req, res) => {
     await message.save();
 
     // Emit socket event for real-time updates
-    req.io.to(message.roomId || message.groupId?.toString()).emit('message_edited', {
+    realtime.toMessage(message, 'message_edited', {
       messageId,
       newText: text,
       isEdited: true,
@@ -74,7 +75,7 @@ router.patch('/:messageId/edit', requireAuth, async (req, res) => {
 });
 
 // Delete message
-router.delete('/:messageId', requireAuth, async (req, res) => {
+router.delete('/:messageId', requireScope('messages:write'), async (req, res) => {
   try {
     const { messageId } = req.params;
     const { reason } = deleteMessageSchema.parse(req.body);
@@ -102,7 +103,7 @@ router.delete('/:messageId', requireAuth, async (req, res) => {
     await logMessageDeletion(messageId, userId, reason);
 
     // Emit socket event for real-time updates
-    req.io.to(message.roomId || message.groupId?.toString()).emit('message_deleted', {
+    realtime.toMessage(message, 'message_deleted', {
       messageId,
       deletedBy: userId,
       deletedAt: message.deletedAt,
@@ -120,7 +121,7 @@ router.delete('/:messageId', requireAuth, async (req, res) => {
 });
 
 // Restore message (for moderators/admins)
-router.post('/:messageId/restore', requireAuth, async (req, res) => {
+router.post('/:messageId/restore', requireScope('messages:write'), async (req, res) => {
   try {
     const { messageId } = req.params;
     const userId = req.user.id;
@@ -148,7 +149,7 @@ router.post('/:messageId/restore', requireAuth, async (req, res) => {
     await message.save();
 
     // Emit socket event
-    req.io.to(message.roomId || message.groupId?.toString()).emit('message_restored', {
+    realtime.toMessage(message, 'message_restored', {
       messageId,
       restoredBy: userId,
       restoredAt: new Date(),
@@ -165,7 +166,7 @@ router.post('/:messageId/restore', requireAuth, async (req, res) => {
 });
 
 // Get message edit history
-router.get('/:messageId/history', requireAuth, async (req, res) => {
+router.get('/:messageId/history', requireScope('messages:read'), async (req, res) => {
   try {
     const { messageId } = req.params;
     const userId = req.user.id;
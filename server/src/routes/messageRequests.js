@@ -0,0 +1,66 @@
+import express from 'express';
+import mongoose from 'mongoose';
+
+import { requireScope } from '../middleware/requireAuth.js';
+import { MessageRequest } from '../models/MessageRequest.js';
+import { hideBlockedSenders } from '../lib/blocks.js';
+import { acceptMessageRequest, ignoreMessageRequest, serializeMessageRequest } from '../lib/messageRequests.js';
+
+export const messageRequestsRouter = express.Router();
+
+const SENDER_FIELDS = '_id displayName avatarUrl isBot';
+
+// The inbox: requests others sent the signed-in user. `?status=ignored`
+// lists the ones they ignored.
+messageRequestsRouter.get('/', requireScope('messages:read'), async (req, res) => {
+  const status = req.query.status === 'ignored' ? 'ignored' : 'pending';
+
+  const requests = await MessageRequest.find({
+    to: req.user._id,
+    status,
+    ...(await hideBlockedSenders(req.user._id)),
+  })
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .populate('from', SENDER_FIELDS)
+    .populate({ path: 'message', populate: { path: 'from', select: SENDER_FIELDS } });
+
+  res.json({ requests: requests.map(serializeMessageRequest) });
+});
+
+// Requests the signed-in user sent that haven't been accepted. Ignored ones
+// read as pending: ignoring someone is silent.
+messageRequestsRouter.get('/sent', requireScope('messages:read'), async (req, res) => {
+  const requests = await MessageRequest.find({ from: req.user._id, status: { $in: ['pending', 'ignored'] } })
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .populate('from', SENDER_FIELDS)
+    .populate({ path: 'message', populate: { path: 'from', select: SENDER_FIELDS } });
+
+  res.json({
+    requests: requests.map((r) => ({ ...serializeMessageRequest(r), status: 'pending' })),
+  });
+});
+
+// A request to the signed-in user that they can still answer
+async function loadIncoming(req, res, next) {
+  const { requestId } = req.params;
+  const request = mongoose.isValidObjectId(requestId)
+    ? await MessageRequest.findOne({ _id: requestId, to: req.user._id, status: { $in: ['pending', 'ignored'] } })
+    : null;
+  if (!request) return res.status(404).json({ error: 'Request not found' });
+
+  req.messageRequest = request;
+  next();
+}
+
+messageRequestsRouter.post('/:requestId/accept', requireScope('messages:write'), loadIncoming, async (req, res) => {
+  await acceptMessageRequest(req.messageRequest);
+  res.json({ ok: true, userId: String(req.messageRequest.from) });
+});
+
+messageRequestsRouter.post('/:requestId/ignore', requireScope('messages:write'), loadIncoming, async (req, res) => {
+  if (req.messageRequest.status === 'ignored') return res.json({ ok: true });
+  await ignoreMessageRequest(req.messageRequest);
+  res.json({ ok: true });
+});
@@ -1,66 +1,121 @@
 import express from 'express';
+import mongoose from 'mongoose';
 
-import { requireAuth } from '../middleware/requireAuth.js';
+import { requireScope } from '../middleware/requireAuth.js';
 import { Message } from '../models/Message.js';
-import { User } from '../models/User.js';
+import { parseCursorQuery, paginateMessages } from '../lib/pagination.js';
+import { serializeAttachments } from '../lib/attachments.js';
+import { serializeMentions } from '../lib/mentions.js';
+import { canDirectMessage, createPublicMessage, createPrivateMessage } from '../lib/chatMessages.js';
+import { hideBlockedSenders } from '../lib/blocks.js';
+import { findMessageRequest, hidePendingRequests } from '../lib/messageRequests.js';
 
 export const messagesRouter = express.Router();
 
-messagesRouter.get('/public/:roomId', requireAuth, async (req, res) => {
+function readSend(body) {
+  const text = String(body?.text || '').trim().slice(0, 4000);
+  const attachmentIds = body?.attachmentIds;
+  const empty = !text && !(Array.isArray(attachmentIds) && attachmentIds.length > 0);
+  return { text, attachmentIds, empty };
+}
+
+function toPayload(m) {
+  return {
+    id: String(m._id),
+    text: m.text,
+    contentType: m.contentType,
+    attachments: serializeAttachments(m),
+    ...serializeMentions(m),
+    createdAt: m.createdAt,
+    from: {
+      id: String(m.from._id),
+      displayName: m.from.displayName,
+      avatarUrl: m.from.avatarUrl,
+      isBot: Boolean(m.from.isBot),
+    },
+  };
+}
+
+messagesRouter.get('/public/:roomId', requireScope('messages:read'), async (req, res) => {
   const roomId = String(req.params.roomId || '').trim();
   if (!roomId) return res.status(400).json({ error: 'Invalid room' });
 
-  const messages = await Message.find({ kind: 'public', roomId })
-    .sort({ createdAt: -1 })
-    .limit(50)
-    .populate('from', '_id displayName avatarUrl');
+  const parsed = parseCursorQuery(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid cursor' });
+
+  const page = await paginateMessages(
+    Message,
+    { kind: 'public', roomId, ...(await hideBlockedSenders(req.user._id)) },
+    parsed.data,
+    [['from', '_id displayName avatarUrl isBot']]
+  );
 
   res.json({
-    messages: messages
-      .reverse()
-      .map((m) => ({
-        id: String(m._id),
-        text: m.text,
-        createdAt: m.createdAt,
-        from: {
-          id: String(m.from._id),
-          displayName: m.from.displayName,
-          avatarUrl: m.from.avatarUrl,
-        },
-      })),
+    ...page,
+    messages: page.messages.map((m) => ({ ...toPayload(m), roomId })),
   });
 });
 
-messagesRouter.get('/private/:friendId', requireAuth, async (req, res) => {
+messagesRouter.get('/private/:friendId', requireScope('messages:read'), async (req, res) => {
   const friendId = String(req.params.friendId || '').trim();
   if (!friendId) return res.status(400).json({ error: 'Invalid friend' });
 
-  const me = await User.findById(req.user._id);
-  const isFriend = (me?.friends || []).some((id) => String(id) === friendId);
-  if (!isFriend) return res.status(403).json({ error: 'Not friends' });
+  const parsed = parseCursorQuery(req.query);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid cursor' });
+
+  // Senders of a message request can see what they sent while they wait
+  const allowed =
+    mongoose.isValidObjectId(friendId) &&
+    ((await canDirectMessage(req.user._id, friendId)) || (await findMessageRequest(req.user._id, friendId)));
+  if (!allowed) return res.status(403).json({ error: 'Not friends' });
 
   const myId = String(req.user._id);
 
-  const messages = await Message.find({
-    kind: 'private',
-    participants: { $all: [myId, friendId] },
-  })
-    .sort({ createdAt: -1 })
-    .limit(50)
-    .populate('from', '_id displayName avatarUrl');
+  const page = await paginateMessages(
+    Message,
+    { kind: 'private', participants: { $all: [myId, friendId] }, ...hidePendingRequests(myId) },
+    parsed.data,
+    [['from', '_id displayName avatarUrl isBot']]
+  );
 
   res.json({
-    messages: messages
-      .reverse()
-      .map((m) => ({
-        id: String(m._id),
-        text: m.text,
-        createdAt: m.createdAt,
-        from: {
-          id: String(m.from._id),
-          displayName: m.from.displayName,
-          avatarUrl: m.from.avatarUrl,
-        },
-      })),
+    ...page,
+    messages: page.messages.map((m) => ({ ...toPayload(m), toUserId: String(m.to) })),
   });
 });
+
+messagesRouter.post('/public/:roomId', requireScope('messages:write'), async (req, res) => {
+  const roomId = String(req.params.roomId || '').trim();
+  if (!roomId) return res.status(400).json({ error: 'Invalid room' });
+
+  const { text, attachmentIds, empty } = readSend(req.body);
+  if (empty) return res.status(400).json({ error: 'Message cannot be empty' });
+
+  try {
+    const result = await createPublicMessage({ user: req.user, roomId, text, attachmentIds });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.status(201).json({ message: result.payload });
+  } catch (error) {
+    console.error('Error sending public message:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+messagesRouter.post('/private/:friendId', requireScope('messages:write'), async (req, res) => {
+  const friendId = String(req.params.friendId || '').trim();
+  if (!friendId) return res.status(400).json({ error: 'Invalid friend' });
+
+  const { text, attachmentIds, empty } = readSend(req.body);
+  if (empty) return res.status(400).json({ error: 'Message cannot be empty' });
+
+  try {
+    const result = await createPrivateMessage({ user: req.user, toUserId: friendId, text, attachmentIds });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error, ...(result.retryAt ? { retryAt: result.retryAt } : {}) });
+    }
+    res.status(201).json({ message: result.payload, ...(result.request ? { request: result.request } : {}) });
+  } catch (error) {
+    console.error('Error sending private message:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
@@ -2,8 +2,12 @@ import express from 'express';
 import { z } from 'zod';
 import { User } from '../models/User.js';
 import { Report } from '../models/Report.js';
+import { FriendRequest } from '../models/FriendRequest.js';
 import { notificationService } from '../services/notificationService.js';
 import { requireAuth } from '../middleware/requireAuth.js';
+import { emitGroupEvent } from '../lib/groupWebhooks.js';
+import { analyzeSpam } from '../lib/spam.js';
+import { closeMessageRequestsBetween } from '../lib/messageRequests.js';
 
 const router = express.Router();
 
@@ -74,6 +78,27 @@ router.post('/block', requireAuth, async (req, res) => {
       await userToBlock.save();
     }
 
+    // And the other way round: the blocked user stops following the blocker
+    if (blocker.followers.includes(userId)) {
+      blocker.followers.pull(userId);
+      await blocker.save();
+    }
+
+    if (userToBlock.following.includes(blockerId)) {
+      userToBlock.following.pull(blockerId);
+      await userToBlock.save();
+    }
+
+    // Pending friend and message requests either way can no longer be accepted
+    await FriendRequest.deleteMany({
+      status: 'pending',
+      $or: [
+        { from: blockerId, to: userId },
+        { from: userId, to: blockerId },
+      ],
+    });
+    await closeMessageRequestsBetween(blockerId, userId);
+
     // Log the block action
     blocker.auditLog.push({
       action: 'user_blocked',
@@ -297,9 +322,11 @@ router.post('/report', requireAuth, async (req, res) => {
     await report.save();
 
     // Auto-analyze content if available
+    let reportedGroupId = reportData.reportedGroup;
     if (reportData.reportedMessage) {
       const Message = (await import('../models/Message.js')).Message;
       const message = await Message.findById(reportData.reportedMessage);
+      if (message?.kind === 'group') reportedGroupId = reportedGroupId || String(message.groupId);
       if (message) {
         // Simple content analysis (could be enhanced with AI/ML)
         const toxicityScore = analyzeToxicity(message.text);
@@ -318,6 +345,18 @@ router.post('/report', requireAuth, async (req, res) => {
     // Notify moderators/admins
     await notifyModerators(report);
 
+    // Group admins' tooling hears about reports in their group, without the reporter
+    if (reportedGroupId) {
+      emitGroupEvent(reportedGroupId, 'report.created', {
+        reportId: String(report._id),
+        category: report.category,
+        reason: report.reason,
+        priority: report.priority,
+        reportedUserId: report.reportedUser ? String(report.reportedUser) : null,
+        reportedMessageId: report.reportedMessage ? String(report.reportedMessage) : null,
+      });
+    }
+
     res.status(201).json({
       message: 'Report submitted successfully',
       report,
@@ -386,18 +425,6 @@ function analyzeToxicity(text) {
   return Math.min(toxicCount / words.length, 1);
 }
 
-function analyzeSpam(text) {
-  // Simple spam analysis
-  const spamIndicators = [
-    text.includes('click here'),
-    text.includes('buy now'),
-    text.includes('free money'),
-    text.includes('limited offer'),
-    text.match(/https?:\/\//g)?.length > 2,
-  ];
-  return spamIndicators.filter(Boolean).length / spamIndicators.length;
-}
-
 function extractCategories(text) {
   const categories = [];
   if (text.includes('http')) categories.push('links');
@@ -0,0 +1,144 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { z } from 'zod';
+
+import { requireAuth } from '../middleware/requireAuth.js';
+import { signInResponse } from '../lib/sessions.js';
+import {
+  completeAuthorization,
+  findAuthorizationState,
+  findOrCreateUserFromClaims,
+  getProvider,
+  linkIdentity,
+  listProviders,
+  serializeLinkedAccount,
+  startAuthorization,
+  unlinkProvider,
+} from '../lib/oidc.js';
+
+// Social login and account linking through OpenID Connect providers
+export const oidcRouter = express.Router();
+
+const oidcLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 30,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many requests, please try again later' },
+});
+
+const startSchema = z.object({
+  mode: z.enum(['login', 'link']).default('login'),
+});
+
+const callbackSchema = z.object({
+  code: z.string().min(1).max(2000),
+  state: z.string().min(1).max(200),
+  binding: z.string().min(1).max(200),
+});
+
+// Linking needs the signed-in user; logging in doesn't
+function authIfLinking(req, res, next) {
+  if (req.body?.mode === 'link') return requireAuth(req, res, next);
+  next();
+}
+
+// Linking has to come from the user who started it. Checked before the state
+// is used up, so a client whose access token expired meanwhile can refresh
+// and retry.
+async function authIfLinkState(req, res, next) {
+  try {
+    const pending = await findAuthorizationState(req.body?.state);
+    if (!pending?.user) return next();
+
+    requireAuth(req, res, () => {
+      if (String(req.user._id) !== String(pending.user)) {
+        return res.status(403).json({ error: 'This link request belongs to another account' });
+      }
+      next();
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+oidcRouter.get('/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// Returns the provider URL for the browser to go to, plus the state and
+// binding the browser keeps until the callback
+oidcRouter.post('/:provider/start', oidcLimiter, authIfLinking, async (req, res) => {
+  const parsed = startSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown sign-in provider' });
+  }
+
+  try {
+    const started = await startAuthorization(provider, { user: parsed.data.mode === 'link' ? req.user : null });
+    res.json(started);
+  } catch (error) {
+    console.error(`Error starting ${provider.id} sign-in:`, error);
+    res.status(502).json({ error: `${provider.name} is not reachable right now` });
+  }
+});
+
+// The client posts the code and state it got back from the provider, with
+// the binding from /start. Answers like /auth/login for sign-ins, or with the
+// linked account when linking.
+oidcRouter.post('/callback', oidcLimiter, authIfLinkState, async (req, res) => {
+  const parsed = callbackSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  try {
+    const result = await completeAuthorization(parsed.data);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    if (result.linkUserId) {
+      const linked = await linkIdentity(req.user, result.provider, result.claims);
+      if (linked.error) {
+        return res.status(linked.status).json({ error: linked.error });
+      }
+      return res.json({ linked: serializeLinkedAccount(linked.account) });
+    }
+
+    const found = await findOrCreateUserFromClaims(result.provider, result.claims);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+    res.json({ ...(await signInResponse(found.user, req)), created: found.created });
+  } catch (error) {
+    console.error('Error completing OIDC sign-in:', error);
+    res.status(500).json({ error: 'Failed to complete sign-in' });
+  }
+});
+
+oidcRouter.get('/accounts', requireAuth, async (req, res) => {
+  res.json({
+    accounts: (req.user.oauthAccounts || []).map(serializeLinkedAccount),
+    providers: listProviders(),
+    passwordSet: req.user.passwordSet !== false,
+  });
+});
+
+oidcRouter.delete('/accounts/:provider', requireAuth, async (req, res) => {
+  try {
+    const result = await unlinkProvider(req.user, req.params.provider);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ message: 'Provider unlinked' });
+  } catch (error) {
+    console.error('Error unlinking provider:', error);
+    res.status(500).json({ error: 'Failed to unlink provider' });
+  }
+});
@@ -0,0 +1,129 @@
+import express from 'express';
+import mongoose from 'mongoose';
+
+import { requireScope } from '../middleware/requireAuth.js';
+import { Message } from '../models/Message.js';
+import { Group } from '../models/Group.js';
+import { realtime } from '../lib/realtime.js';
+import { canReadGroup } from '../lib/groupChat.js';
+import { canDirectMessage } from '../lib/chatMessages.js';
+import { serializeMessage } from '../lib/messageDelivery.js';
+import { findConversation } from '../lib/conversations.js';
+import { PIN_LIMIT, checkPinPermission, pinContextFilter, setPinned } from '../lib/pins.js';
+
+export const pinsRouter = express.Router();
+
+function toPinPayload(m) {
+  return {
+    ...serializeMessage(m),
+    pinnedAt: m.pinnedAt,
+    pinnedBy: m.pinnedBy ? String(m.pinnedBy._id || m.pinnedBy) : null,
+  };
+}
+
+async function listPins(res, ctx, user) {
+  const pins = await Message.find({ ...pinContextFilter(ctx), isPinned: true, isDeleted: false })
+    .sort({ pinnedAt: -1 })
+    .limit(PIN_LIMIT)
+    .populate('from', '_id displayName avatarUrl');
+
+  const permission = await checkPinPermission(ctx, user);
+
+  res.json({
+    pins: pins.map(toPinPayload),
+    limit: PIN_LIMIT,
+    canPin: permission.allowed,
+  });
+}
+
+pinsRouter.get('/public/:roomId', requireScope('messages:read'), async (req, res) => {
+  const roomId = String(req.params.roomId || '').trim();
+  if (!roomId) return res.status(400).json({ error: 'Invalid room' });
+
+  try {
+    await listPins(res, { kind: 'public', roomId }, req.user);
+  } catch (error) {
+    console.error('Error fetching pinned messages:', error);
+    res.status(500).json({ error: 'Failed to fetch pinned messages' });
+  }
+});
+
+pinsRouter.get('/private/:friendId', requireScope('messages:read'), async (req, res) => {
+  const friendId = String(req.params.friendId || '').trim();
+  if (!mongoose.isValidObjectId(friendId) || !(await canDirectMessage(req.user._id, friendId))) {
+    return res.status(403).json({ error: 'Not friends' });
+  }
+
+  try {
+    await listPins(res, { kind: 'private', participants: [req.user._id, friendId] }, req.user);
+  } catch (error) {
+    console.error('Error fetching pinned messages:', error);
+    res.status(500).json({ error: 'Failed to fetch pinned messages' });
+  }
+});
+
+pinsRouter.get('/group/:groupId', requireScope('messages:read'), async (req, res) => {
+  try {
+    const group = mongoose.isValidObjectId(req.params.groupId) ? await Group.findById(req.params.groupId) : null;
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    if (!canReadGroup(group, req.user.id)) return res.status(403).json({ error: 'Access denied' });
+
+    await listPins(res, { kind: 'group', groupId: group._id }, req.user);
+  } catch (error) {
+    console.error('Error fetching pinned messages:', error);
+    res.status(500).json({ error: 'Failed to fetch pinned messages' });
+  }
+});
+
+pinsRouter.get('/conversation/:conversationId', requireScope('messages:read'), async (req, res) => {
+  try {
+    const conversation = await findConversation(req.params.conversationId, req.user._id);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+    await listPins(res, { kind: 'conversation', conversationId: conversation._id }, req.user);
+  } catch (error) {
+    console.error('Error fetching pinned messages:', error);
+    res.status(500).json({ error: 'Failed to fetch pinned messages' });
+  }
+});
+
+async function togglePin(req, res, pinned) {
+  try {
+    const { messageId } = req.params;
+    const found = mongoose.isValidObjectId(messageId) ? await Message.findById(messageId) : null;
+    if (!found) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const permission = await checkPinPermission(found, req.user);
+    if (!permission.allowed) {
+      return res.status(403).json({ error: permission.reason });
+    }
+
+    const result = await setPinned(found, req.user, pinned);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { message } = result;
+    await message.populate('from', '_id displayName avatarUrl');
+    const payload = toPinPayload(message);
+
+    realtime.toMessage(message, pinned ? 'message:pinned' : 'message:unpinned', {
+      messageId: String(message._id),
+      pinnedBy: String(req.user._id),
+      message: payload,
+    });
+
+    res.json({ message: payload, isPinned: pinned });
+  } catch (error) {
+    console.error('Error updating pin:', error);
+    res.status(500).json({ error: 'Failed to update pin' });
+  }
+}
+
+// Pin a message in its room, group, DM or conversation
+pinsRouter.post('/:messageId', requireScope('messages:write'), (req, res) => togglePin(req, res, true));
+
+// Unpin a message
+pinsRouter.delete('/:messageId', requireScope('messages:write'), (req, res) => togglePin(req, res, false));
@@ -4,7 +4,8 @@ import { Poll } from '../models/Poll.js';
 import { Message } from '../models/Message.js';
 import { User } from '../models/User.js';
 import { notificationService } from '../services/notificationService.js';
-import { requireAuth } from '../middleware/requireAuth.js';
+import { requireScope } from '../middleware/requireAuth.js';
+import { closePoll, pollResults, schedulePollClose } from '../lib/polls.js';
 
 const router = express.Router();
 
@@ -38,7 +39,7 @@ const voteSchema = z.object({
 });
 
 // Create a new poll
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireScope('messages:write'), async (req, res) => {
   try {
     const pollData = createPollSchema.parse(req.body);
     const creatorId = req.user.id;
@@ -58,6 +59,7 @@ router.post('/', requireAuth, async (req, res) => {
     });
 
     await poll.save();
+    await schedulePollClose(poll);
 
     // If poll is attached to a message, update the message
     if (pollData.context.type === 'message') {
@@ -106,10 +108,9 @@ router.get('/:pollId', async (req, res) => {
       return res.status(404).json({ error: 'Poll not found' });
     }
 
-    // Check if poll is expired
+    // Close it now if the scheduler hasn't got to it yet
     if (poll.endsAt && new Date() > poll.endsAt) {
-      poll.isActive = false;
-      await poll.save();
+      await closePoll(poll);
     }
 
     // Remove voter info if anonymous poll
@@ -128,7 +129,7 @@ router.get('/:pollId', async (req, res) => {
 });
 
 // Vote on a poll
-router.post('/:pollId/vote', requireAuth, async (req, res) => {
+router.post('/:pollId/vote', requireScope('messages:write'), async (req, res) => {
   try {
     const { pollId } = req.params;
     const { optionIds } = voteSchema.parse(req.body);
@@ -228,7 +229,7 @@ router.post('/:pollId/vote', requireAuth, async (req, res) => {
 });
 
 // Add option to poll (if allowed)
-router.post('/:pollId/options', requireAuth, async (req, res) => {
+router.post('/:pollId/options', requireScope('messages:write'), async (req, res) => {
   try {
     const { pollId } = req.params;
     const { text, color } = req.body;
@@ -277,7 +278,7 @@ router.post('/:pollId/options', requireAuth, async (req, res) => {
 });
 
 // End poll (creator only)
-router.post('/:pollId/end', requireAuth, async (req, res) => {
+router.post('/:pollId/end', requireScope('messages:write'), async (req, res) => {
   try {
     const { pollId } = req.params;
     const userId = req.user.id;
@@ -292,27 +293,12 @@ router.post('/:pollId/end', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'Only poll creator can end the poll' });
     }
 
-    // End the poll
-    poll.isActive = false;
-    poll.closedAt = new Date();
-    poll.closedBy = userId;
-
-    await poll.save();
-
-    // Send notification about poll results
-    await sendPollResultsNotification(poll);
+    // End the poll and notify the creator
+    await closePoll(poll, { closedBy: userId });
 
     res.json({
       message: 'Poll ended successfully',
-      results: {
-        totalVotes: poll.totalVotes,
-        uniqueVoters: poll.uniqueVoters,
-        options: poll.options.map(option => ({
-          text: option.text,
-          votes: option.votes,
-          percentage: poll.totalVotes > 0 ? (option.votes / poll.totalVotes * 100).toFixed(2) : 0,
-        })),
-      },
+      results: pollResults(poll),
     });
   } catch (error) {
     console.error('Error ending poll:', error);
@@ -359,7 +345,7 @@ router.get('/context/:contextType/:contextId', async (req, res) => {
 });
 
 // Add comment to poll
-router.post('/:pollId/comments', requireAuth, async (req, res) => {
+router.post('/:pollId/comments', requireScope('messages:write'), async (req, res) => {
   try {
     const { pollId } = req.params;
     const { text } = req.body;
@@ -454,24 +440,4 @@ async function sendPollNotifications(poll) {
   }
 }
 
-async function sendPollResultsNotification(poll) {
-  try {
-    // Send notification to poll creator
-    await notificationService.createNotification({
-      recipient: poll.creator,
-      type: 'social',
-      title: 'Poll Results Available',
-      message: `Your poll "${poll.title}" has ended with ${poll.totalVotes} total votes`,
-      data: {
-        pollId: poll._id,
-      },
-      channels: {
-        inApp: true,
-      },
-    });
-  } catch (error) {
-    console.error('Error sending poll results notification:', error);
-  }
-}
-
 export { router as pollsRouter };
@@ -1,7 +1,8 @@
 import express from 'express';
 import { z } from 'zod';
 import { User } from '../models/User.js';
-import { requireAuth } from '../middleware/requireAuth.js';
+import { optionalAuth, requireAuth } from '../middleware/requireAuth.js';
+import { canViewProfile, viewActivity, viewPresence, viewProfile, viewerRelation } from '../lib/privacy.js';
 
 const router = express.Router();
 
@@ -37,67 +38,42 @@ const privacySchema = z.object({
 });
 
 // Get public profile
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', optionalAuth('profile:read'), async (req, res) => {
   try {
     const { userId } = req.params;
-    const requestingUserId = req.user?.id;
+    const viewerId = req.user?._id;
 
     const user = await User.findById(userId)
       .select('-passwordHash -twoFactorSecret -backupCodes -passwordResetToken -emailVerificationToken')
-      .populate('friends', 'displayName avatarUrl')
       .populate('followers', 'displayName avatarUrl')
       .populate('following', 'displayName avatarUrl')
       .populate('achievements', 'name icon badgeColor');
 
-    if (!user) {
+    if (!user || viewerRelation(user, viewerId) === 'blocked') {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Check privacy settings
-    const isOwnProfile = userId === requestingUserId;
-    const isFriend = requestingUserId && user.friends.some(friend => friend._id.toString() === requestingUserId);
-    const canViewPrivate = isOwnProfile || isFriend;
-
-    // Build profile based on privacy settings
-    const profile = {
-      id: user._id,
-      displayName: user.displayName,
-      avatarUrl: user.avatarUrl,
-      bio: user.bio,
-      interests: user.interests,
-      location: user.location,
-      website: user.website,
-      socialLinks: user.socialLinks,
-      reputation: user.reputation,
-      karma: user.karma,
-      level: user.level,
-      experience: user.experience,
-      achievements: user.achievements,
-      achievementCount: user.achievements.length,
-      friendsCount: user.friends.length,
-      followersCount: user.followers.length,
-      followingCount: user.following.length,
-      createdAt: user.createdAt,
-      lastSeen: user.lastSeen,
-      onlineStatus: user.onlineStatus,
-    };
-
-    // Add sensitive info based on privacy settings
-    if (user.profileVisibility === 'public' || canViewPrivate) {
-      profile.about = user.about;
-      profile.age = user.showAgeGender ? user.age : null;
-      profile.gender = user.showAgeGender ? user.gender : null;
-      profile.country = user.country;
-    }
-
-    // Add online status if allowed
-    if (user.showOnlineStatus || isOwnProfile) {
-      profile.onlineStatus = user.onlineStatus;
-      profile.lastSeen = user.lastSeen;
+    // Name, avatar and whatever the privacy policy lets this viewer see
+    const profile = viewProfile(user, viewerId);
+
+    if (canViewProfile(user, viewerId)) {
+      Object.assign(profile, {
+        reputation: user.reputation,
+        karma: user.karma,
+        level: user.level,
+        experience: user.experience,
+        achievements: user.achievements,
+        achievementCount: user.achievements.length,
+        friendsCount: user.friends.length,
+        followersCount: user.followers.length,
+        followingCount: user.following.length,
+        createdAt: user.createdAt,
+      });
     }
 
     // Add full friend lists for own profile
-    if (isOwnProfile) {
+    if (viewerRelation(user, viewerId) === 'self') {
+      await user.populate('friends', 'displayName avatarUrl');
       profile.friends = user.friends;
       profile.followers = user.followers;
       profile.following = user.following;
@@ -300,28 +276,25 @@ router.get('/search', async (req, res) => {
 });
 
 // Get profile statistics
-router.get('/:userId/stats', async (req, res) => {
+router.get('/:userId/stats', optionalAuth('profile:read'), async (req, res) => {
   try {
     const { userId } = req.params;
-    const requestingUserId = req.user?.id;
+    const viewerId = req.user?._id;
 
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Check privacy
-    const isOwnProfile = userId === requestingUserId;
-    const isFriend = requestingUserId && user.friends.includes(requestingUserId);
-    const canViewStats = user.profileVisibility === 'public' || isOwnProfile || isFriend;
-
-    if (!canViewStats) {
+    if (!canViewProfile(user, viewerId)) {
       return res.status(403).json({ error: 'Access denied' });
     }
+    const isOwnProfile = viewerRelation(user, viewerId) === 'self';
 
+    const { onlineStatus, lastSeen } = viewPresence(user, viewerId);
     const stats = {
       joinDate: user.createdAt,
-      lastSeen: user.lastSeen,
+      lastSeen,
       friendsCount: user.friends.length,
       followersCount: user.followers.length,
       followingCount: user.following.length,
@@ -330,7 +303,7 @@ router.get('/:userId/stats', async (req, res) => {
       reputation: user.reputation,
       level: user.level,
       experience: user.experience,
-      onlineStatus: user.onlineStatus,
+      onlineStatus,
     };
 
     // Add detailed stats for own profile
@@ -354,7 +327,6 @@ router.get('/:userId/activity', requireAuth, async (req, res) => {
   try {
     const { userId } = req.params;
     const { page = 1, limit = 20 } = req.query;
-    const requestingUserId = req.user.id;
 
     // Check if user can view this profile's activity
     const user = await User.findById(userId);
@@ -362,17 +334,13 @@ router.get('/:userId/activity', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const isOwnProfile = userId === requestingUserId;
-    const isFriend = requestingUserId && user.friends.includes(requestingUserId);
-    const canViewActivity = user.profileVisibility === 'public' || isOwnProfile || isFriend;
-
-    if (!canViewActivity) {
+    if (!canViewProfile(user, req.user._id)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     // Get audit log entries
-    const activity = user.auditLog
-      .sort((a, b) => b.timestamp - a.timestamp)
+    const entries = viewActivity(user, req.user._id);
+    const activity = entries
       .slice((page - 1) * limit, page * limit)
       .map(entry => ({
         action: entry.action,
@@ -385,8 +353,8 @@ router.get('/:userId/activity', requireAuth, async (req, res) => {
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: user.auditLog.length,
-        pages: Math.ceil(user.auditLog.length / limit),
+        total: entries.length,
+        pages: Math.ceil(entries.length / limit),
       },
     });
   } catch (error) {
@@ -2,7 +2,12 @@ import express from 'express';
 import { z } from 'zod';
 import { Message } from '../models/Message.js';
 import { User } from '../models/User.js';
-import { requireAuth } from '../middleware/requireAuth.js';
+import { requireScope } from '../middleware/requireAuth.js';
+import { Group } from '../models/Group.js';
+import { realtime } from '../lib/realtime.js';
+import { canReadGroup } from '../lib/groupChat.js';
+import { emitBotEvent, isBotInRoom } from '../lib/bots.js';
+import { BLOCKED_REASON, isBlockedBetween } from '../lib/blocks.js';
 
 const router = express.Router();
 
@@ -12,7 +17,7 @@ const reactionSchema = z.object({
 });
 
 // Add reaction to message
-router.post('/:messageId/reactions', requireAuth, async (req, res) => {
+router.post('/:messageId/reactions', requireScope('messages:write'), async (req, res) => {
   try {
     const { messageId } = req.params;
     const { emoji } = reactionSchema.parse(req.body);
@@ -24,9 +29,13 @@ router.post('/:messageId/reactions', requireAuth, async (req, res) => {
     }
 
     // Check if user can react to this message
-    if (!canUserReactToMessage(userId, message)) {
+    const group = message.kind === 'group' ? await Group.findById(message.groupId) : null;
+    if (!canUserReactToMessage(req.user, message, group)) {
       return res.status(403).json({ error: 'Cannot react to this message' });
     }
+    if (await isBlockedBetween(req.user._id, message.from)) {
+      return res.status(403).json({ error: BLOCKED_REASON });
+    }
 
     // Find existing reaction
     const existingReaction = message.reactions.find(r => r.emoji === emoji);
@@ -55,7 +64,7 @@ router.post('/:messageId/reactions', requireAuth, async (req, res) => {
     await updateUserKarma(message.from, 1);
 
     // Emit socket event for real-time updates
-    req.io.to(message.roomId || message.groupId?.toString()).emit('message_reaction', {
+    realtime.toMessage(message, 'message_reaction', {
       messageId,
       emoji,
       userId,
@@ -63,6 +72,15 @@ router.post('/:messageId/reactions', requireAuth, async (req, res) => {
       reactions: message.reactions,
     });
 
+    if (message.kind !== 'private') {
+      emitBotEvent('reaction.added', {
+        group,
+        roomId: message.roomId,
+        actorId: userId,
+        data: { messageId, emoji, userId },
+      });
+    }
+
     res.json({ 
       message: 'Reaction added successfully',
       reactions: message.reactions,
@@ -75,7 +93,7 @@ router.post('/:messageId/reactions', requireAuth, async (req, res) => {
 });
 
 // Remove reaction from message
-router.delete('/:messageId/reactions/:emoji', requireAuth, async (req, res) => {
+router.delete('/:messageId/reactions/:emoji', requireScope('messages:write'), async (req, res) => {
   try {
     const { messageId, emoji } = req.params;
     const userId = req.user.id;
@@ -114,7 +132,7 @@ router.delete('/:messageId/reactions/:emoji', requireAuth, async (req, res) => {
     await updateUserKarma(message.from, -1);
 
     // Emit socket event
-    req.io.to(message.roomId || message.groupId?.toString()).emit('message_reaction', {
+    realtime.toMessage(message, 'message_reaction', {
       messageId,
       emoji,
       userId,
@@ -154,21 +172,20 @@ router.get('/:messageId/reactions', async (req, res) => {
 });
 
 // Helper function to check if user can react to message
-function canUserReactToMessage(userId, message) {
-  // Users can react to public messages
+function canUserReactToMessage(user, message, group) {
+  // Users can react to public messages; bots only in rooms they were added to
   if (message.kind === 'public') {
-    return true;
+    return !user.isBot || isBotInRoom(user, message.roomId);
   }
 
   // Users can react to private messages if they are participants
   if (message.kind === 'private') {
-    return message.participants.includes(userId);
+    return message.participants.includes(user.id);
   }
 
   // Users can react to group messages if they are group members
   if (message.kind === 'group') {
-    // This would require checking group membership
-    return true; // Simplified for now
+    return canReadGroup(group, user._id) && group.allowReactions;
   }
 
   return false;
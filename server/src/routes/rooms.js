@@ -4,6 +4,9 @@ import { Room } from '../models/Room.js';
 import { User } from '../models/User.js';
 import { Message } from '../models/Message.js';
 import { requireAuth } from '../middleware/requireAuth.js';
+import { realtime } from '../lib/realtime.js';
+import { emitBotEvent } from '../lib/bots.js';
+import { DEFAULT_TEMPORARY_ROOM_HOURS, scheduleRoomExpiry } from '../lib/rooms.js';
 import mongoose from 'mongoose';
 
 const router = express.Router();
@@ -14,6 +17,7 @@ const createRoomSchema = z.object({
   description: z.string().max(500).optional(),
   isPublic: z.boolean().default(true),
   isTemporary: z.boolean().default(false),
+  expiresIn: z.number().min(1).max(720).optional(), // hours, temporary rooms only
   maxUsers: z.number().min(2).max(1000).default(100),
   category: z.enum(['general', 'gaming', 'tech', 'music', 'art', 'sports', 'education', 'business', 'entertainment', 'random', 'adult']).default('general'),
   tags: z.array(z.string()).default([]),
@@ -53,11 +57,14 @@ const updateRoomSchema = z.object({
 // Create a new room
 router.post('/', requireAuth, async (req, res) => {
   try {
-    const roomData = createRoomSchema.parse(req.body);
+    const { expiresIn, ...roomData } = createRoomSchema.parse(req.body);
     const userId = req.user.id;
 
     const room = new Room({
       ...roomData,
+      expiresAt: roomData.isTemporary
+        ? new Date(Date.now() + (expiresIn || DEFAULT_TEMPORARY_ROOM_HOURS) * 60 * 60 * 1000)
+        : undefined,
       creator: userId,
       moderators: [userId],
       currentUsers: [userId],
@@ -66,6 +73,7 @@ router.post('/', requireAuth, async (req, res) => {
     });
 
     await room.save();
+    await scheduleRoomExpiry(room);
 
     // Add room to user's current room
     await User.findByIdAndUpdate(userId, {
@@ -239,16 +247,19 @@ router.post('/:roomId/join', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'Invalid password' });
     }
 
-    // Add user to room
-    room.currentUsers.push(userId);
-    room.lastActivity = new Date();
-    
-    // Update peak users if needed
-    if (room.currentUsers.length > room.peakUsers) {
-      room.peakUsers = room.currentUsers.length;
+    // Add user to room. Atomic, so two joins at once count (and are
+    // announced) once.
+    const joined = await Room.findOneAndUpdate(
+      { _id: room._id, currentUsers: { $ne: req.user._id }, bannedUsers: { $ne: req.user._id } },
+      { $push: { currentUsers: req.user._id }, $set: { lastActivity: new Date() } },
+      { new: true }
+    );
+    if (!joined) {
+      return res.status(400).json({ error: 'Already in room' });
     }
 
-    await room.save();
+    // Update peak users if needed
+    await Room.updateOne({ _id: room._id }, { $max: { peakUsers: joined.currentUsers.length } });
 
     // Update user's current room
     await User.findByIdAndUpdate(userId, {
@@ -256,17 +267,22 @@ router.post('/:roomId/join', requireAuth, async (req, res) => {
     });
 
     // Emit socket event
-    req.io.to(`room:${roomId}`).emit('room:user_joined', {
+    realtime.toRoom(roomId, 'room:user_joined', {
       roomId,
       userId,
-      currentUsers: room.currentUsers,
+      currentUsers: joined.currentUsers,
+    });
+    emitBotEvent('member.joined', {
+      roomId: String(room._id),
+      actorId: req.user._id,
+      data: { user: { id: userId, displayName: req.user.displayName, avatarUrl: req.user.avatarUrl } },
     });
 
-    await room.populate('currentUsers', 'displayName avatarUrl');
+    await joined.populate('currentUsers', 'displayName avatarUrl');
 
     res.json({
       message: 'Joined room successfully',
-      room,
+      room: joined,
     });
   } catch (error) {
     console.error('Error joining room:', error);
@@ -302,7 +318,7 @@ router.post('/:roomId/leave', requireAuth, async (req, res) => {
     });
 
     // Emit socket event
-    req.io.to(`room:${roomId}`).emit('room:user_left', {
+    realtime.toRoom(roomId, 'room:user_left', {
       roomId,
       userId,
       currentUsers: room.currentUsers,
@@ -349,7 +365,7 @@ router.patch('/:roomId', requireAuth, async (req, res) => {
     await room.populate('currentUsers', 'displayName avatarUrl');
 
     // Emit socket event for room updates
-    req.io.to(`room:${roomId}`).emit('room:updated', {
+    realtime.toRoom(roomId, 'room:updated', {
       roomId,
       updates,
     });
@@ -402,13 +418,13 @@ router.post('/:roomId/kick/:userId', requireAuth, async (req, res) => {
     });
 
     // Emit socket events
-    req.io.to(`room:${roomId}`).emit('room:user_kicked', {
+    realtime.toRoom(roomId, 'room:user_kicked', {
       roomId,
       userId: targetUserId,
       kickedBy: userId,
     });
 
-    req.io.to(targetUserId).emit('room:kicked', {
+    realtime.toUser(targetUserId, 'room:kicked', {
       roomId,
       reason: 'Kicked by moderator',
     });
@@ -463,14 +479,14 @@ router.post('/:roomId/ban/:userId', requireAuth, async (req, res) => {
     await room.save();
 
     // Emit socket events
-    req.io.to(`room:${roomId}`).emit('room:user_banned', {
+    realtime.toRoom(roomId, 'room:user_banned', {
       roomId,
       userId: targetUserId,
       bannedBy: userId,
       reason,
     });
 
-    req.io.to(targetUserId).emit('room:banned', {
+    realtime.toUser(targetUserId, 'room:banned', {
       roomId,
       reason: reason || 'Banned by moderator',
     });
@@ -0,0 +1,166 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { z } from 'zod';
+import { Message } from '../models/Message.js';
+import { Group } from '../models/Group.js';
+import { requireScope } from '../middleware/requireAuth.js';
+import { canReadGroup } from '../lib/groupChat.js';
+import { messageLocation } from '../lib/messageDelivery.js';
+
+const router = express.Router();
+
+const objectId = z.string().refine((v) => mongoose.isValidObjectId(v), 'Invalid id');
+
+// Schema for message search
+const searchSchema = z.object({
+  q: z.string().trim().min(1).max(200),
+  kind: z.enum(['public', 'private', 'group']).optional(),
+  sender: objectId.optional(),
+  since: z.coerce.date().optional(),
+  until: z.coerce.date().optional(),
+  roomId: z.string().trim().min(1).max(100).optional(),
+  groupId: objectId.optional(),
+  withUser: objectId.optional(),
+  contentType: z.enum(['text', 'image', 'video', 'audio', 'file', 'poll', 'location']).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+});
+
+const SNIPPET_LENGTH = 160;
+
+// Search messages the caller can already read
+router.get('/messages', requireScope('messages:read'), async (req, res) => {
+  try {
+    const parsed = searchSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid search', details: parsed.error.errors });
+    }
+
+    const { q, kind, sender, since, until, roomId, groupId, withUser, contentType, page, limit } = parsed.data;
+    const me = req.user;
+    const friendIds = (me.friends || []).map((id) => String(id));
+
+    // Narrowing to one group or conversation must not widen access
+    if (groupId) {
+      const group = await Group.findById(groupId);
+      if (!canReadGroup(group, me.id)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    }
+    if (withUser && !friendIds.includes(withUser)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const memberGroups = await Group.find({ 'members.user': me._id, bannedUsers: { $ne: me._id } }).select('_id');
+
+    // Public rooms, DMs with friends, and groups the caller belongs to
+    const scopes = [
+      { kind: 'public' },
+      { kind: 'private', participants: { $all: [me._id], $in: friendIds } },
+      { kind: 'group', groupId: { $in: memberGroups.map((g) => g._id) } },
+    ];
+
+    const query = {
+      $text: { $search: q },
+      $or: scopes,
+      isDeleted: false,
+      isHidden: { $ne: true },
+      isEncrypted: { $ne: true },
+    };
+
+    if (kind) query.kind = kind;
+    if (sender) query.from = sender;
+    if (contentType) query.contentType = contentType;
+    if (roomId) Object.assign(query, { kind: 'public', roomId });
+    if (groupId) Object.assign(query, { kind: 'group', groupId });
+    if (withUser) Object.assign(query, { kind: 'private', participants: { $all: [me._id, withUser] } });
+    if (since || until) {
+      query.createdAt = {};
+      if (since) query.createdAt.$gte = since;
+      if (until) query.createdAt.$lte = until;
+    }
+
+    const messages = await Message.find(query, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('from', 'displayName avatarUrl')
+      .populate('groupId', 'name');
+
+    const total = await Message.countDocuments(query);
+    const terms = searchTerms(q);
+
+    res.json({
+      results: messages.map((m) => toSearchResult(m, me.id, terms)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    res.status(500).json({ error: 'Failed to search messages' });
+  }
+});
+
+function toSearchResult(message, userId, terms) {
+  return {
+    id: String(message._id),
+    kind: message.kind,
+    contentType: message.contentType,
+    createdAt: message.createdAt,
+    from: {
+      id: String(message.from?._id || message.from),
+      displayName: message.from?.displayName,
+      avatarUrl: message.from?.avatarUrl,
+    },
+    snippet: buildSnippet(message.text, terms),
+    ...messageLocation(message, userId),
+  };
+}
+
+// Plain words from the query, without operators, quotes or negated terms
+function searchTerms(q) {
+  return q
+    .split(/\s+/)
+    .filter((w) => w && !w.startsWith('-'))
+    .map((w) => w.replace(/["']/g, '').toLowerCase())
+    .filter(Boolean);
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A window of text around the first match, with [start, end) ranges to highlight.
+// Matching is by prefix so stemmed hits ("running" for "run") still light up.
+function buildSnippet(text, terms) {
+  const source = String(text || '');
+  const pattern = terms.length
+    ? new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\w*`, 'gi')
+    : null;
+
+  const first = pattern ? source.search(pattern) : -1;
+  let start = 0;
+  if (first > SNIPPET_LENGTH / 3) {
+    start = first - Math.floor(SNIPPET_LENGTH / 3);
+  }
+  const end = Math.min(source.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  const body = source.slice(start, end);
+
+  const highlights = [];
+  if (pattern) {
+    for (const match of body.matchAll(pattern)) {
+      highlights.push([prefix.length + match.index, prefix.length + match.index + match[0].length]);
+    }
+  }
+
+  return { text: `${prefix}${body}${suffix}`, highlights };
+}
+
+export { router as searchRouter };
@@ -0,0 +1,47 @@
+import express from 'express';
+import { requireAuth } from '../middleware/requireAuth.js';
+import { revokeOtherSessions, revokeSession, serializeSession } from '../lib/sessions.js';
+
+export const sessionsRouter = express.Router();
+
+// Devices currently signed in to this account, most recently used first
+sessionsRouter.get('/', requireAuth, async (req, res) => {
+  const sessions = (req.user.devices || [])
+    .filter((d) => d.isActive)
+    .sort((a, b) => new Date(b.lastActive) - new Date(a.lastActive))
+    .map((d) => serializeSession(d, req.sessionId));
+
+  res.json({ sessions });
+});
+
+// Sign out every device; `?keepCurrent=true` keeps the one making the request
+sessionsRouter.delete('/', requireAuth, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await revokeOtherSessions(
+      req.user,
+      keepCurrent ? req.sessionId : undefined,
+      keepCurrent ? 'Signed out other devices' : 'Signed out everywhere'
+    );
+
+    res.json({ message: 'Sessions revoked', revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Sign out one device
+sessionsRouter.delete('/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user, req.params.sessionId, 'Signed out remotely');
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked', current: req.params.sessionId === req.sessionId });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
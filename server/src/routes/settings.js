@@ -12,6 +12,8 @@ const settingsSchema = z.object({
   showAgeGender: z.boolean().optional(),
   allowRandomChat: z.boolean().optional(),
   friendRequestPreference: z.enum(['anyone', 'friends_of_friends', 'no_one']).optional(),
+  allowTagging: z.boolean().optional(),
+  allowMentions: z.boolean().optional(),
 
   // Notification Settings
   messageNotifications: z.boolean().optional(),
@@ -36,7 +38,7 @@ const settingsSchema = z.object({
 settingsRouter.get('/', requireAuth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select(
-      'profileVisibility showAgeGender allowRandomChat friendRequestPreference ' +
+      'profileVisibility showAgeGender allowRandomChat friendRequestPreference allowTagging allowMentions ' +
       'messageNotifications friendRequestNotifications soundEffects desktopNotifications ' +
       'theme fontSize timestampFormat saveMessageHistory autoScroll ' +
       'colorScheme chatBubbleStyle avatarSize'
@@ -53,6 +55,8 @@ settingsRouter.get('/', requireAuth, async (req, res) => {
         showAgeGender: user.showAgeGender,
         allowRandomChat: user.allowRandomChat,
         friendRequestPreference: user.friendRequestPreference,
+        allowTagging: user.allowTagging,
+        allowMentions: user.allowMentions,
 
         // Notification Settings
         messageNotifications: user.messageNotifications,
@@ -89,7 +93,7 @@ settingsRouter.put('/', requireAuth, async (req, res) => {
       { $set: validatedData },
       { new: true, runValidators: true }
     ).select(
-      'profileVisibility showAgeGender allowRandomChat friendRequestPreference ' +
+      'profileVisibility showAgeGender allowRandomChat friendRequestPreference allowTagging allowMentions ' +
       'messageNotifications friendRequestNotifications soundEffects desktopNotifications ' +
       'theme fontSize timestampFormat saveMessageHistory autoScroll ' +
       'colorScheme chatBubbleStyle avatarSize'
@@ -106,6 +110,8 @@ settingsRouter.put('/', requireAuth, async (req, res) => {
         showAgeGender: user.showAgeGender,
         allowRandomChat: user.allowRandomChat,
         friendRequestPreference: user.friendRequestPreference,
+        allowTagging: user.allowTagging,
+        allowMentions: user.allowMentions,
 
         // Notification Settings
         messageNotifications: user.messageNotifications,
@@ -145,6 +151,8 @@ settingsRouter.post('/reset', requireAuth, async (req, res) => {
       showAgeGender: true,
       allowRandomChat: true,
       friendRequestPreference: 'anyone',
+      allowTagging: true,
+      allowMentions: true,
 
       // Notification Settings
       messageNotifications: true,
@@ -170,7 +178,7 @@ settingsRouter.post('/reset', requireAuth, async (req, res) => {
       { $set: defaultSettings },
       { new: true, runValidators: true }
     ).select(
-      'profileVisibility showAgeGender allowRandomChat friendRequestPreference ' +
+      'profileVisibility showAgeGender allowRandomChat friendRequestPreference allowTagging allowMentions ' +
       'messageNotifications friendRequestNotifications soundEffects desktopNotifications ' +
       'theme fontSize timestampFormat saveMessageHistory autoScroll ' +
       'colorScheme chatBubbleStyle avatarSize'
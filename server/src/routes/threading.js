@@ -1,7 +1,12 @@
 import express from 'express';
 import { z } from 'zod';
 import { Message } from '../models/Message.js';
-import { requireAuth } from '../middleware/requireAuth.js';
+import { requireScope } from '../middleware/requireAuth.js';
+import { Group } from '../models/Group.js';
+import { realtime } from '../lib/realtime.js';
+import { isGroupAdmin } from '../lib/groupChat.js';
+import { notifyMentions, resolveMentions } from '../lib/mentions.js';
+import { BLOCKED_REASON, isBlockedBetween } from '../lib/blocks.js';
 
 const router = express.Router();
 
@@ -19,7 +24,7 @@ const replySchema = z.object({
 });
 
 // Reply to a message (create thread)
-router.post('/:messageId/reply', requireAuth, async (req, res) => {
+router.post('/:messageId/reply', requireScope('messages:write'), async (req, res) => {
   try {
     const { messageId } = req.params;
     const { text, contentType, attachments } = replySchema.parse(req.body);
@@ -34,10 +39,23 @@ router.post('/:messageId/reply', requireAuth, async (req, res) => {
     if (!canUserReplyToMessage(userId, parentMessage)) {
       return res.status(403).json({ error: 'Cannot reply to this message' });
     }
+    if (await isBlockedBetween(userId, parentMessage.from)) {
+      return res.status(403).json({ error: BLOCKED_REASON });
+    }
 
     // Determine thread ID (if parent is already a reply, use the same thread)
     const threadId = parentMessage.threadId || parentMessage._id;
 
+    const group = parentMessage.kind === 'group' ? await Group.findById(parentMessage.groupId) : null;
+    const mentioned = await resolveMentions({
+      kind: parentMessage.kind,
+      text,
+      sender: req.user,
+      participants: parentMessage.participants,
+      group,
+      canBroadcast: isGroupAdmin(group, userId),
+    });
+
     // Create reply message
     const reply = new Message({
       kind: parentMessage.kind,
@@ -51,6 +69,8 @@ router.post('/:messageId/reply', requireAuth, async (req, res) => {
       attachments,
       replyTo: parentMessage._id,
       threadId,
+      mentions: mentioned.mentions,
+      mentionsEveryone: mentioned.mentionsEveryone,
     });
 
     await reply.save();
@@ -68,11 +88,8 @@ router.post('/:messageId/reply', requireAuth, async (req, res) => {
     // Populate reply with user info
     await reply.populate('from', 'displayName avatarUrl');
 
-    // Emit socket events
-    const roomKey = parentMessage.roomId || parentMessage.groupId?.toString();
-    
-    // Emit to room for real-time updates
-    req.io.to(roomKey).emit('message_reply', {
+    // Emit to the message's room/group/participants for real-time updates
+    realtime.toMessage(parentMessage, 'message_reply', {
       parentMessageId: messageId,
       reply: reply.toObject(),
       threadId,
@@ -80,7 +97,7 @@ router.post('/:messageId/reply', requireAuth, async (req, res) => {
 
     // Emit to specific users for notifications
     if (parentMessage.from.toString() !== userId) {
-      req.io.to(parentMessage.from.toString()).emit('message_reply_notification', {
+      realtime.toUser(parentMessage.from, 'message_reply_notification', {
         messageId: reply._id,
         parentMessageId: messageId,
         replyFrom: reply.from,
@@ -88,6 +105,8 @@ router.post('/:messageId/reply', requireAuth, async (req, res) => {
       });
     }
 
+    notifyMentions(reply, req.user, mentioned.notify);
+
     res.status(201).json({
       message: 'Reply created successfully',
       reply: reply.toObject(),
@@ -2,9 +2,13 @@ import express from 'express';
 import { z } from 'zod';
 import speakeasy from 'speakeasy';
 import QRCode from 'qrcode';
-import crypto from 'crypto';
 import { User } from '../models/User.js';
 import { requireAuth } from '../middleware/requireAuth.js';
+import { verifyChallengeToken } from '../lib/auth.js';
+import { sessionResponse } from '../lib/sessions.js';
+import { checkThrottle, recordFailure, recordSuccess, sendThrottled } from '../lib/loginThrottle.js';
+import { consumeBackupCode, generateBackupCodes, hashBackupCode, verifyTotp } from '../lib/twoFactor.js';
+import { authenticationOptions, authenticationResponseSchema, verifyAuthentication } from '../lib/webauthn.js';
 
 const router = express.Router();
 
@@ -13,6 +17,65 @@ const verify2FASchema = z.object({
   token: z.string().length(6),
 });
 
+// Second login step: the challenge token from /auth/login plus a code
+const loginCodeSchema = z.object({
+  challengeToken: z.string().min(1),
+  token: z.string().length(6),
+});
+
+const loginBackupCodeSchema = z.object({
+  challengeToken: z.string().min(1),
+  code: z.string().min(8).max(16),
+});
+
+const loginChallengeSchema = z.object({
+  challengeToken: z.string().min(1),
+});
+
+const loginPasskeySchema = z.object({
+  challengeToken: z.string().min(1),
+  credential: authenticationResponseSchema,
+});
+
+const CHALLENGE_EXPIRED = 'Login has expired, please sign in again';
+
+// Resolves the user behind a login challenge, or answers with 401 (429 while
+// sign-in for the account or IP is throttled). Returns { user, challengeId }.
+async function findChallengedUser(req, res, challengeToken) {
+  let payload;
+  try {
+    payload = verifyChallengeToken(challengeToken);
+  } catch {
+    res.status(401).json({ error: CHALLENGE_EXPIRED });
+    return null;
+  }
+
+  // Only the latest challenge counts, and only until it has been exchanged
+  const user = await User.findById(payload.sub);
+  if (!user || !user.twoFactorEnabled || !payload.jti || user.twoFactorChallengeId !== payload.jti) {
+    res.status(401).json({ error: CHALLENGE_EXPIRED });
+    return null;
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  const throttle = await checkThrottle(req, user.email);
+  if (throttle.blocked) {
+    sendThrottled(res, throttle);
+    return null;
+  }
+  return { user, challengeId: payload.jti };
+}
+
+// Uses up a challenge once its second factor checked out. False if another
+// request exchanged it first.
+async function claimChallenge(user, challengeId) {
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorChallengeId: challengeId },
+    { $set: { twoFactorChallengeId: '' } }
+  );
+  return result.matchedCount === 1;
+}
+
 // Generate 2FA secret and QR code
 router.post('/setup', requireAuth, async (req, res) => {
   try {
@@ -68,12 +131,7 @@ router.post('/enable', requireAuth, async (req, res) => {
     }
 
     // Verify token
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: 'base32',
-      token: token,
-      window: 2, // Allow 2 time steps for clock drift
-    });
+    const verified = await verifyTotp(user, token);
 
     if (!verified) {
       return res.status(400).json({ error: 'Invalid verification code' });
@@ -122,12 +180,7 @@ router.post('/disable', requireAuth, async (req, res) => {
     }
 
     // Verify token
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: 'base32',
-      token: token,
-      window: 2,
-    });
+    const verified = await verifyTotp(user, token);
 
     if (!verified) {
       return res.status(400).json({ error: 'Invalid verification code' });
@@ -157,82 +210,61 @@ router.post('/disable', requireAuth, async (req, res) => {
   }
 });
 
-// Verify 2FA token (for login)
+// Verify 2FA token (second login step): exchanges the challenge token from
+// /auth/login and a TOTP code for a session
 router.post('/verify', async (req, res) => {
   try {
-    const { token, email } = verify2FASchema.parse(req.body);
-    
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const parsed = loginCodeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid input' });
     }
 
-    if (!user.twoFactorEnabled) {
-      return res.status(400).json({ error: '2FA is not enabled for this account' });
-    }
-
-    // Verify token
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: 'base32',
-      token: token,
-      window: 2,
-    });
+    const challenged = await findChallengedUser(req, res, parsed.data.challengeToken);
+    if (!challenged) return;
+    const { user, challengeId } = challenged;
 
-    if (!verified) {
+    if (!(await verifyTotp(user, parsed.data.token))) {
+      await recordFailure(req, user.email, user);
       return res.status(400).json({ error: 'Invalid verification code' });
     }
+    if (!(await claimChallenge(user, challengeId))) {
+      return res.status(401).json({ error: CHALLENGE_EXPIRED });
+    }
 
-    res.json({
-      verified: true,
-      message: '2FA verification successful',
-    });
+    await recordSuccess(req, user.email);
+    res.json(await sessionResponse(user, req));
   } catch (error) {
     console.error('Error verifying 2FA:', error);
     res.status(500).json({ error: 'Failed to verify 2FA' });
   }
 });
 
-// Verify backup code
+// Verify backup code (second login step, when the authenticator is lost).
+// Each code works once.
 router.post('/backup-code', async (req, res) => {
   try {
-    const { code, email } = req.body;
-    
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    if (!user.twoFactorEnabled) {
-      return res.status(400).json({ error: '2FA is not enabled for this account' });
+    const parsed = loginBackupCodeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid input' });
     }
 
-    // Hash the provided code and check against stored codes
-    const hashedCode = hashBackupCode(code);
-    const backupCodeIndex = user.backupCodes.findIndex(storedCode => 
-      storedCode === hashedCode
-    );
+    const challenged = await findChallengedUser(req, res, parsed.data.challengeToken);
+    if (!challenged) return;
+    const { user, challengeId } = challenged;
 
-    if (backupCodeIndex === -1) {
+    const remainingCodes = await consumeBackupCode(user, parsed.data.code, challengeId);
+    if (remainingCodes === null) {
+      if (!(await User.exists({ _id: user._id, twoFactorChallengeId: challengeId }))) {
+        return res.status(401).json({ error: CHALLENGE_EXPIRED });
+      }
+      await recordFailure(req, user.email, user);
       return res.status(400).json({ error: 'Invalid backup code' });
     }
 
-    // Remove used backup code
-    user.backupCodes.splice(backupCodeIndex, 1);
-    await user.save();
-
-    // Log the action
-    user.auditLog.push({
-      action: 'backup_code_used',
-      details: 'Backup code used for 2FA verification',
-      timestamp: new Date(),
-    });
-    await user.save();
-
+    await recordSuccess(req, user.email);
     res.json({
-      verified: true,
-      message: 'Backup code verified successfully',
-      remainingCodes: user.backupCodes.length,
+      ...(await sessionResponse(user, req)),
+      remainingCodes,
     });
   } catch (error) {
     console.error('Error verifying backup code:', error);
@@ -240,6 +272,59 @@ router.post('/backup-code', async (req, res) => {
   }
 });
 
+// Second login step with a passkey instead of a code: first fetch options
+// for navigator.credentials.get(), then post its response to /passkey
+router.post('/passkey/options', async (req, res) => {
+  try {
+    const parsed = loginChallengeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
+
+    const challenged = await findChallengedUser(req, res, parsed.data.challengeToken);
+    if (!challenged) return;
+    const { user } = challenged;
+
+    if (!user.passkeys?.length) {
+      return res.status(400).json({ error: 'No passkeys registered' });
+    }
+
+    res.json({ options: await authenticationOptions('2fa', user) });
+  } catch (error) {
+    console.error('Error creating passkey options:', error);
+    res.status(500).json({ error: 'Failed to start passkey verification' });
+  }
+});
+
+router.post('/passkey', async (req, res) => {
+  try {
+    const parsed = loginPasskeySchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
+
+    const challenged = await findChallengedUser(req, res, parsed.data.challengeToken);
+    if (!challenged) return;
+    const { user, challengeId } = challenged;
+
+    const result = await verifyAuthentication(parsed.data.credential, '2fa', user);
+    if (result.error) {
+      await recordFailure(req, user.email, user);
+      // 401 here would read as an expired challenge to the client
+      return res.status(400).json({ error: result.error });
+    }
+    if (!(await claimChallenge(user, challengeId))) {
+      return res.status(401).json({ error: CHALLENGE_EXPIRED });
+    }
+
+    await recordSuccess(req, user.email);
+    res.json(await sessionResponse(user, req));
+  } catch (error) {
+    console.error('Error verifying passkey:', error);
+    res.status(500).json({ error: 'Failed to verify passkey' });
+  }
+});
+
 // Generate new backup codes
 router.post('/regenerate-backup-codes', requireAuth, async (req, res) => {
   try {
@@ -256,12 +341,7 @@ router.post('/regenerate-backup-codes', requireAuth, async (req, res) => {
     }
 
     // Verify current token
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: 'base32',
-      token: token,
-      window: 2,
-    });
+    const verified = await verifyTotp(user, token);
 
     if (!verified) {
       return res.status(400).json({ error: 'Invalid verification code' });
@@ -312,30 +392,4 @@ router.get('/status', requireAuth, async (req, res) => {
   }
 });
 
-// Helper functions
-function generateBackupCodes() {
-  const codes = [];
-  for (let i = 0; i < 10; i++) {
-    codes.push(generateBackupCode());
-  }
-  return codes;
-}
-
-function generateBackupCode() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code = '';
-  for (let i = 0; i < 8; i++) {
-    if (i > 0 && i % 4 === 0) code += '-';
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return code;
-}
-
-function hashBackupCode(code) {
-  // In production, use a proper hashing algorithm like bcrypt
-  // For now, we'll use a simple hash
-  const crypto = require('crypto');
-  return crypto.createHash('sha256').update(code).digest('hex');
-}
-
 export { router as twoFactorRouter };
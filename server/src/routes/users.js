@@ -1,27 +1,20 @@
 import express from 'express';
-import { requireAuth } from '../middleware/requireAuth.js';
+import mongoose from 'mongoose';
+import { requireScope } from '../middleware/requireAuth.js';
 import { User } from '../models/User.js';
+import { PROFILE_FIELDS, viewProfile, viewerRelation } from '../lib/privacy.js';
 
 export const usersRouter = express.Router();
 
-usersRouter.get('/:userId', requireAuth, async (req, res) => {
+usersRouter.get('/:userId', requireScope('profile:read'), async (req, res) => {
   const userId = String(req.params.userId || '').trim();
-  if (!userId) return res.status(400).json({ error: 'Invalid user ID' });
+  if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
 
-  const user = await User.findById(userId).select(
-    'displayName avatarUrl age country gender about'
-  );
-  if (!user) return res.status(404).json({ error: 'User not found' });
+  const user = await User.findById(userId).select(PROFILE_FIELDS);
+  // Someone who was blocked can't tell the account from a missing one
+  if (!user || viewerRelation(user, req.user._id) === 'blocked') {
+    return res.status(404).json({ error: 'User not found' });
+  }
 
-  res.json({
-    user: {
-      id: userId,
-      displayName: user.displayName,
-      avatarUrl: user.avatarUrl,
-      age: user.age,
-      country: user.country,
-      gender: user.gender,
-      about: user.about,
-    },
-  });
+  res.json({ user: viewProfile(user, req.user._id) });
 });
@@ -0,0 +1,133 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { z } from 'zod';
+
+import { requireAuth } from '../middleware/requireAuth.js';
+import { sessionResponse } from '../lib/sessions.js';
+import {
+  authenticationOptions,
+  authenticationResponseSchema,
+  registrationOptions,
+  registrationResponseSchema,
+  serializePasskey,
+  verifyAuthentication,
+  verifyRegistration,
+} from '../lib/webauthn.js';
+
+// Passkeys: registering them on a signed-in account, managing them, and
+// passwordless login. Using one as the second login factor lives with the
+// other 2FA methods in routes/twoFactor.js.
+export const webauthnRouter = express.Router();
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 20,
+  skipSuccessfulRequests: true,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many failed attempts, please try again later' },
+});
+
+const nameSchema = z.string().trim().min(1).max(60);
+
+const registerSchema = z.object({
+  name: nameSchema.optional(),
+  credential: registrationResponseSchema,
+});
+
+const loginSchema = z.object({
+  credential: authenticationResponseSchema,
+});
+
+webauthnRouter.post('/register/options', requireAuth, async (req, res) => {
+  try {
+    res.json({ options: await registrationOptions(req.user) });
+  } catch (error) {
+    console.error('Error creating passkey options:', error);
+    res.status(500).json({ error: 'Failed to start passkey registration' });
+  }
+});
+
+webauthnRouter.post('/register', requireAuth, async (req, res) => {
+  const parsed = registerSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  try {
+    const result = await verifyRegistration(req.user, parsed.data.credential, parsed.data.name);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json({ passkey: serializePasskey(result.passkey) });
+  } catch (error) {
+    console.error('Error registering passkey:', error);
+    res.status(500).json({ error: 'Failed to register passkey' });
+  }
+});
+
+// Passwordless login, step one. The browser picks from the passkeys it holds
+// for this site, so no email is needed.
+webauthnRouter.post('/login/options', loginLimiter, async (req, res) => {
+  try {
+    res.json({ options: await authenticationOptions('login') });
+  } catch (error) {
+    console.error('Error creating passkey options:', error);
+    res.status(500).json({ error: 'Failed to start passkey sign-in' });
+  }
+});
+
+webauthnRouter.post('/login', loginLimiter, async (req, res) => {
+  const parsed = loginSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  try {
+    const result = await verifyAuthentication(parsed.data.credential, 'login');
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(await sessionResponse(result.user, req));
+  } catch (error) {
+    console.error('Error signing in with passkey:', error);
+    res.status(500).json({ error: 'Failed to sign in with passkey' });
+  }
+});
+
+webauthnRouter.get('/credentials', requireAuth, async (req, res) => {
+  res.json({ passkeys: (req.user.passkeys || []).map(serializePasskey) });
+});
+
+webauthnRouter.patch('/credentials/:passkeyId', requireAuth, async (req, res) => {
+  const parsed = z.object({ name: nameSchema }).safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid input', details: parsed.error.errors });
+  }
+
+  const passkey = req.user.passkeys.id(req.params.passkeyId);
+  if (!passkey) {
+    return res.status(404).json({ error: 'Passkey not found' });
+  }
+
+  passkey.name = parsed.data.name;
+  await req.user.save();
+  res.json({ passkey: serializePasskey(passkey) });
+});
+
+webauthnRouter.delete('/credentials/:passkeyId', requireAuth, async (req, res) => {
+  const passkey = req.user.passkeys.id(req.params.passkeyId);
+  if (!passkey) {
+    return res.status(404).json({ error: 'Passkey not found' });
+  }
+
+  req.user.passkeys.pull(passkey._id);
+  req.user.auditLog.push({
+    action: 'passkey_removed',
+    ip: req.ip || '',
+    details: `Passkey "${passkey.name}" removed`,
+    timestamp: new Date(),
+  });
+  await req.user.save();
+  res.json({ message: 'Passkey removed' });
+});
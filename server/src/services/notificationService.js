@@ -2,12 +2,24 @@ import webpush from 'web-push';
 import { Notification } from '../models/Notification.js';
 import { User } from '../models/User.js';
 import { Achievement } from '../models/Achievement.js';
+import { appUrl, sendMail } from '../lib/mail/index.js';
 
 // Configure Web Push (these should be in environment variables)
 const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || '';
 const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || '';
 const VAPID_EMAIL = process.env.VAPID_EMAIL || '';
 
+// Where the "Open" button in notification emails leads
+function notificationPath(notification) {
+  const data = notification.data || {};
+  if (data.groupId) return `/groups/${data.groupId}`;
+  if (data.messageRequestId) return '/message-requests';
+  if (notification.type === 'message' && data.userId) return `/private/${data.userId}`;
+  if (notification.type === 'mention') return '/mentions';
+  if (notification.type === 'friend_request' || notification.type === 'friend_accepted') return '/friends';
+  return '/';
+}
+
 if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
   webpush.setVapidDetails(
     `mailto:${VAPID_EMAIL}`,
@@ -114,12 +126,14 @@ class NotificationService {
         return;
       }
 
-      // This would integrate with an email service like SendGrid, Nodemailer, etc.
-      // For now, we'll just mark it as sent
-      console.log('Email notification would be sent:', {
+      await sendMail({
         to: user.email,
-        subject: notification.title,
-        body: notification.message,
+        template: 'notification',
+        vars: {
+          title: notification.title,
+          message: notification.message,
+          url: appUrl(notificationPath(notification)),
+        },
       });
 
       await Notification.findByIdAndUpdate(notification._id, {
@@ -222,6 +236,32 @@ class NotificationService {
     });
   }
 
+  // Tell the sender of a friend request that it was accepted
+  async createFriendAcceptedNotification(fromUserId, toUserId) {
+    const fromUser = await User.findById(fromUserId);
+    const toUser = await User.findById(toUserId);
+
+    if (!fromUser || !toUser || !fromUser.friendRequestNotifications) {
+      return;
+    }
+
+    return this.createNotification({
+      recipient: fromUserId,
+      sender: toUserId,
+      type: 'friend_accepted',
+      title: 'Friend Request Accepted',
+      message: `${toUser.displayName} accepted your friend request`,
+      data: {
+        userId: toUserId,
+      },
+      channels: {
+        inApp: true,
+        push: fromUser.pushNotifications,
+        email: fromUser.emailNotifications,
+      },
+    });
+  }
+
   // Create achievement notification
   async createAchievementNotification(userId, achievementId) {
     const user = await User.findById(userId);
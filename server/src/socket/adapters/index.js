@@ -0,0 +1,11 @@
+import { createMemoryAdapter } from './memory.js';
+import { createRedisAdapter } from './redis.js';
+
+// Picks where presence, random-chat matchmaking and cross-instance emits live.
+// Set REDIS_URL to run more than one server instance.
+export function createSocketAdapter({ redisUrl = process.env.REDIS_URL } = {}) {
+  if (redisUrl) {
+    return createRedisAdapter({ url: redisUrl });
+  }
+  return createMemoryAdapter();
+}
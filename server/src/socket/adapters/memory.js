@@ -0,0 +1,92 @@
+import { canPair } from './randomPairing.js';
+
+// Single-process socket state. This is the default when no REDIS_URL is set,
+// and matches how the server behaved before adapters existed.
+
+export function createMemoryAdapter() {
+  const userSockets = new Map(); // userId -> Set of socket ids
+  const randomQueue = [];
+  const randomProfiles = new Map(); // socketId -> partner card shown on match
+  const randomEntries = new Map(); // socketId -> { userId, exclude }
+  const randomPartners = new Map(); // socketId -> partner socketId
+
+  return {
+    name: 'memory',
+
+    // The default in-process Socket.IO adapter already covers a single instance
+    socketIoAdapter() {
+      return null;
+    },
+
+    // Nothing outlives the process, so there is nothing to sweep
+    async start() {},
+
+    // Presence. addSocket/removeSocket report whether the user came online
+    // (first socket) or went offline (last socket) across all instances.
+    async addSocket(userId, socketId) {
+      if (!userSockets.has(userId)) userSockets.set(userId, new Set());
+      const sockets = userSockets.get(userId);
+      sockets.add(socketId);
+      return sockets.size === 1;
+    },
+
+    async removeSocket(userId, socketId) {
+      const sockets = userSockets.get(userId);
+      if (!sockets) return false;
+      sockets.delete(socketId);
+      if (sockets.size > 0) return false;
+      userSockets.delete(userId);
+      return true;
+    },
+
+    // Random chat matchmaking. enqueueRandom pairs the socket with the
+    // longest-waiting one it may meet (see randomPairing.js) and returns the
+    // pairs it matched.
+    async enqueueRandom(socketId, profile, entry = {}) {
+      const idx = randomQueue.indexOf(socketId);
+      if (idx >= 0) randomQueue.splice(idx, 1);
+      randomProfiles.set(socketId, profile);
+      randomEntries.set(socketId, entry);
+
+      const partnerIdx = randomQueue.findIndex((id) => canPair(entry, randomEntries.get(id)));
+      if (partnerIdx === -1) {
+        randomQueue.push(socketId);
+        return [];
+      }
+
+      const [partnerId] = randomQueue.splice(partnerIdx, 1);
+      randomPartners.set(partnerId, socketId);
+      randomPartners.set(socketId, partnerId);
+      const pair = [
+        { socketId: partnerId, profile: randomProfiles.get(partnerId) },
+        { socketId, profile },
+      ];
+      for (const id of [partnerId, socketId]) {
+        randomProfiles.delete(id);
+        randomEntries.delete(id);
+      }
+      return [pair];
+    },
+
+    async dequeueRandom(socketId) {
+      const idx = randomQueue.indexOf(socketId);
+      if (idx >= 0) randomQueue.splice(idx, 1);
+      randomProfiles.delete(socketId);
+      randomEntries.delete(socketId);
+    },
+
+    async getRandomPartner(socketId) {
+      return randomPartners.get(socketId) || null;
+    },
+
+    // Ends the pair and returns the partner's socket id, if there was one
+    async endRandomPair(socketId) {
+      const partnerId = randomPartners.get(socketId) || null;
+      randomPartners.delete(socketId);
+      if (partnerId) randomPartners.delete(partnerId);
+      return partnerId;
+    },
+
+    async close() {},
+  };
+}
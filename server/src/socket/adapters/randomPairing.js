@@ -0,0 +1,7 @@
+// Whether two random-chat entries ({ userId, exclude }) may be matched.
+// `exclude` lists the users someone must never meet, e.g. because one of
+// them blocked the other (see lib/blocks.js).
+export function canPair(a = {}, b = {}) {
+  if (!a.userId || !b.userId) return true;
+  return !(a.exclude || []).includes(b.userId) && !(b.exclude || []).includes(a.userId);
+}
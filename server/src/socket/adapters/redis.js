@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import Redis from 'ioredis';
+import { createAdapter } from '@socket.io/redis-adapter';
+
+import { canPair } from './randomPairing.js';
+
+// Shared socket state in Redis so several server instances can run side by side.
+// Only plain commands plus MULTI/EXEC are used (no Lua), so any server that
+// speaks the Redis protocol works, including a local stand-in for tests.
+//
+// Every instance records its own sockets under its id and keeps an expiring
+// heartbeat key alive. When an instance stops without cleaning up (a crash,
+// a killed container), its heartbeat lapses and the next instance to look
+// sweeps its sockets out of presence and random chat.
+
+const PREFIX = 'mg:';
+const INSTANCES = `${PREFIX}instances`;
+const RANDOM_QUEUE = `${PREFIX}random:queue`;
+const RANDOM_PROFILES = `${PREFIX}random:profiles`;
+const RANDOM_ENTRIES = `${PREFIX}random:entries`;
+const RANDOM_PARTNERS = `${PREFIX}random:partners`;
+
+const HEARTBEAT_INTERVAL = 10 * 1000;
+
+function socketsKey(userId) {
+  return `${PREFIX}presence:sockets:${userId}`;
+}
+
+// Set while the instance is alive; expires a few missed heartbeats after it stops
+function heartbeatKey(instanceId) {
+  return `${PREFIX}instance:${instanceId}`;
+}
+
+// socketId -> userId for every socket connected to the instance
+function instanceSocketsKey(instanceId) {
+  return `${PREFIX}instance:${instanceId}:sockets`;
+}
+
+// ioredis MULTI results come back as [error, value] tuples
+function results(replies) {
+  return replies.map(([error, value]) => {
+    if (error) throw error;
+    return value;
+  });
+}
+
+export function createRedisAdapter({ url, heartbeatInterval = HEARTBEAT_INTERVAL }) {
+  const client = new Redis(url, { maxRetriesPerRequest: 3 });
+  const pubClient = client.duplicate();
+  const subClient = client.duplicate();
+
+  const instanceId = crypto.randomUUID();
+  const heartbeatTtl = heartbeatInterval * 3;
+  const localSockets = new Map(); // socketId -> userId, to re-register after being swept
+  let hooks = {};
+  let timer = null;
+
+  // The longest-waiting of `waiting` this entry may be matched with, if any
+  async function findRandomPartner(waiting, entry) {
+    if (waiting.length === 0) return null;
+
+    const entries = await client.hmget(RANDOM_ENTRIES, ...waiting);
+    const index = entries.findIndex((e) => canPair(entry, JSON.parse(e || '{}')));
+    return index === -1 ? null : waiting[index];
+  }
+
+  // Removes a stopped instance's sockets. SREM on the instance list decides
+  // which live instance does it, so each dead one is swept once.
+  async function sweepInstance(deadId) {
+    if ((await client.srem(INSTANCES, deadId)) === 0) return;
+
+    const sockets = await client.hgetall(instanceSocketsKey(deadId));
+    const offline = new Set();
+    const partners = [];
+    for (const [socketId, userId] of Object.entries(sockets)) {
+      const [, count, partnerId] = results(
+        await client
+          .multi()
+          .srem(socketsKey(userId), socketId)
+          .scard(socketsKey(userId))
+          .hget(RANDOM_PARTNERS, socketId)
+          .lrem(RANDOM_QUEUE, 0, socketId)
+          .hdel(RANDOM_PROFILES, socketId)
+          .hdel(RANDOM_ENTRIES, socketId)
+          .hdel(RANDOM_PARTNERS, socketId)
+          .exec()
+      );
+      if (count === 0) offline.add(userId);
+      if (partnerId) {
+        await client.hdel(RANDOM_PARTNERS, partnerId);
+        partners.push(partnerId);
+      }
+    }
+    await client.del(instanceSocketsKey(deadId));
+
+    if (offline.size > 0) hooks.onUsersOffline?.([...offline]);
+    if (partners.length > 0) hooks.onRandomPartnersLost?.(partners);
+  }
+
+  async function sweepStaleInstances() {
+    const ids = (await client.smembers(INSTANCES)).filter((id) => id !== instanceId);
+    for (const id of ids) {
+      if ((await client.exists(heartbeatKey(id))) === 0) await sweepInstance(id);
+    }
+  }
+
+  async function heartbeat() {
+    const [, added] = results(
+      await client
+        .multi()
+        .set(heartbeatKey(instanceId), '1', 'PX', heartbeatTtl)
+        .sadd(INSTANCES, instanceId)
+        .exec()
+    );
+
+    // Another instance swept us while we were cut off from Redis; put our
+    // sockets back so their users read as online again
+    if (added === 1 && localSockets.size > 0) {
+      const multi = client.multi();
+      for (const [socketId, userId] of localSockets) {
+        multi.hset(instanceSocketsKey(instanceId), socketId, userId).sadd(socketsKey(userId), socketId);
+      }
+      results(await multi.exec());
+    }
+
+    await sweepStaleInstances();
+  }
+
+  return {
+    name: 'redis',
+    instanceId,
+
+    // Broadcasts io.to(...).emit(...) to sockets connected to other instances
+    socketIoAdapter() {
+      return createAdapter(pubClient, subClient, { key: `${PREFIX}socket.io` });
+    },
+
+    // Starts the heartbeat and sweeps instances that stopped without cleaning
+    // up. `onUsersOffline(userIds)` hears about users whose last socket was on
+    // one of them, `onRandomPartnersLost(socketIds)` about random-chat
+    // partners left behind.
+    async start(startHooks = {}) {
+      hooks = startHooks;
+      await heartbeat();
+      timer = setInterval(() => {
+        heartbeat().catch((error) => console.error('Error in socket adapter heartbeat:', error));
+      }, heartbeatInterval);
+      timer.unref();
+    },
+
+    async addSocket(userId, socketId) {
+      localSockets.set(socketId, userId);
+      const [, , count] = results(
+        await client
+          .multi()
+          .hset(instanceSocketsKey(instanceId), socketId, userId)
+          .sadd(socketsKey(userId), socketId)
+          .scard(socketsKey(userId))
+          .exec()
+      );
+      return count === 1;
+    },
+
+    async removeSocket(userId, socketId) {
+      localSockets.delete(socketId);
+      const [, removed, count] = results(
+        await client
+          .multi()
+          .hdel(instanceSocketsKey(instanceId), socketId)
+          .srem(socketsKey(userId), socketId)
+          .scard(socketsKey(userId))
+          .exec()
+      );
+      return removed === 1 && count === 0;
+    },
+
+    async enqueueRandom(socketId, profile, entry = {}) {
+      await client
+        .multi()
+        .lrem(RANDOM_QUEUE, 0, socketId)
+        .hset(RANDOM_PROFILES, socketId, JSON.stringify(profile))
+        .hset(RANDOM_ENTRIES, socketId, JSON.stringify(entry))
+        .exec();
+
+      for (;;) {
+        const waiting = (await client.lrange(RANDOM_QUEUE, 0, -1)).filter((id) => id !== socketId);
+        const partnerId = await findRandomPartner(waiting, entry);
+        if (!partnerId) {
+          await client.rpush(RANDOM_QUEUE, socketId);
+          // Someone we may meet may have queued between the search and the
+          // push. Of two such sockets only the one further back makes the
+          // match (if both stepped aside they could keep doing so forever):
+          // with someone ahead of us, take ourselves back out and go round
+          // again, unless another instance already paired us
+          const queue = await client.lrange(RANDOM_QUEUE, 0, -1);
+          const ahead = queue.slice(0, Math.max(queue.indexOf(socketId), 0));
+          if (!(await findRandomPartner(ahead, entry))) return [];
+          if ((await client.lrem(RANDOM_QUEUE, 1, socketId)) === 0) return [];
+          continue;
+        }
+
+        // LREM is atomic, so two instances can't hand the same waiting socket
+        // to different partners; whoever loses looks again
+        if ((await client.lrem(RANDOM_QUEUE, 1, partnerId)) === 0) continue;
+
+        const partnerProfile = await client.hget(RANDOM_PROFILES, partnerId);
+        await client
+          .multi()
+          .hset(RANDOM_PARTNERS, partnerId, socketId, socketId, partnerId)
+          .hdel(RANDOM_PROFILES, partnerId, socketId)
+          .hdel(RANDOM_ENTRIES, partnerId, socketId)
+          .exec();
+
+        return [[
+          { socketId: partnerId, profile: JSON.parse(partnerProfile || 'null') },
+          { socketId, profile },
+        ]];
+      }
+    },
+
+    async dequeueRandom(socketId) {
+      await client
+        .multi()
+        .lrem(RANDOM_QUEUE, 0, socketId)
+        .hdel(RANDOM_PROFILES, socketId)
+        .hdel(RANDOM_ENTRIES, socketId)
+        .exec();
+    },
+
+    async getRandomPartner(socketId) {
+      return client.hget(RANDOM_PARTNERS, socketId);
+    },
+
+    async endRandomPair(socketId) {
+      const partnerId = await client.hget(RANDOM_PARTNERS, socketId);
+      if (partnerId) {
+        await client.hdel(RANDOM_PARTNERS, socketId, partnerId);
+      } else {
+        await client.hdel(RANDOM_PARTNERS, socketId);
+      }
+      return partnerId;
+    },
+
+    // Sockets still registered here are swept by the other instances once
+    // the heartbeat key is gone
+    async close() {
+      clearInterval(timer);
+      await client.del(heartbeatKey(instanceId));
+      await Promise.all([client.quit(), pubClient.quit(), subClient.quit()]);
+    },
+  };
+}
@@ -1,8 +1,20 @@
 import { Server } from 'socket.io';
+import mongoose from 'mongoose';
 
 import { verifyToken } from '../lib/auth.js';
 import { User } from '../models/User.js';
+import { findActiveSession } from '../lib/sessions.js';
+import { findApiToken, hasScopes, isApiToken } from '../lib/apiTokens.js';
 import { Message } from '../models/Message.js';
+import { Group } from '../models/Group.js';
+import { channels, channelsForMessage } from '../lib/realtime.js';
+import { canReadGroup, checkGroupSend, createGroupMessage } from '../lib/groupChat.js';
+import { canDirectMessage, createPublicMessage, createPrivateMessage } from '../lib/chatMessages.js';
+import { createConversationMessage, findConversation, markConversationRead } from '../lib/conversations.js';
+import { markDelivered, syncMessagesSince } from '../lib/messageDelivery.js';
+import { canViewPresence, viewPresence } from '../lib/privacy.js';
+import { blockedUserIds, isBlockedBetween } from '../lib/blocks.js';
+import { createSocketAdapter } from './adapters/index.js';
 
 function nowIso() {
   return new Date().toISOString();
@@ -14,7 +26,23 @@ function sanitizeText(text) {
   return t.slice(0, 500);
 }
 
-export function attachSocketServer(httpServer, { clientOrigin }) {
+function hasAttachments(attachmentIds) {
+  return Array.isArray(attachmentIds) && attachmentIds.length > 0;
+}
+
+function reply(ack, data) {
+  if (typeof ack === 'function') ack(data);
+}
+
+function partnerCard(user) {
+  return {
+    id: String(user._id),
+    displayName: user.displayName,
+    avatarUrl: user.avatarUrl,
+  };
+}
+
+export function attachSocketServer(httpServer, { clientOrigin, adapter = createSocketAdapter() }) {
   const io = new Server(httpServer, {
     cors: {
       origin: clientOrigin,
@@ -22,58 +50,48 @@ export function attachSocketServer(httpServer, { clientOrigin }) {
     },
   });
 
-  const onlineUsers = new Map();
-  const userSockets = new Map(); // Track multiple sockets per user
-
-  const randomQueue = [];
-  const randomPartnerBySocketId = new Map();
-
-  function dequeue(socketId) {
-    const idx = randomQueue.indexOf(socketId);
-    if (idx >= 0) randomQueue.splice(idx, 1);
+  // Presence and random-chat state live in the adapter so that several
+  // instances can share them; its Socket.IO adapter relays io.to() emits.
+  const socketIoAdapter = adapter.socketIoAdapter();
+  if (socketIoAdapter) {
+    io.adapter(socketIoAdapter);
   }
 
-  function endRandomPair(socketId) {
-    const partnerId = randomPartnerBySocketId.get(socketId);
-    randomPartnerBySocketId.delete(socketId);
+  // Other instances may stop without cleaning up after their sockets; the
+  // adapter notices and hands the leftovers back here
+  adapter
+    .start({
+      onUsersOffline(userIds) {
+        for (const id of userIds) {
+          updateUserOnlineStatus(id, 'offline');
+          broadcastUserStatus(id, 'offline');
+        }
+      },
+      onRandomPartnersLost(socketIds) {
+        io.to(socketIds).emit('random:ended', { at: nowIso() });
+      },
+    })
+    .catch((error) => console.error('Error starting socket adapter:', error));
+
+  const typingUsers = new Map();
 
+  async function endRandomPair(socketId) {
+    const partnerId = await adapter.endRandomPair(socketId);
     if (partnerId) {
-      randomPartnerBySocketId.delete(partnerId);
-      const partnerSocket = io.sockets.sockets.get(partnerId);
-      if (partnerSocket) {
-        partnerSocket.emit('random:ended', { at: nowIso() });
-      }
+      io.to(partnerId).emit('random:ended', { at: nowIso() });
     }
   }
 
-  function tryMatch() {
-    while (randomQueue.length >= 2) {
-      const a = randomQueue.shift();
-      const b = randomQueue.shift();
-      const sa = io.sockets.sockets.get(a);
-      const sb = io.sockets.sockets.get(b);
-      if (!sa || !sb) continue;
-
-      randomPartnerBySocketId.set(a, b);
-      randomPartnerBySocketId.set(b, a);
-
-      sa.emit('random:matched', {
-        at: nowIso(),
-        partner: {
-          id: String(sb.data.user._id),
-          displayName: sb.data.user.displayName,
-          avatarUrl: sb.data.user.avatarUrl,
-        },
-      });
+  async function queueForRandom(socket) {
+    await endRandomPair(socket.id);
+    socket.emit('random:queued', { at: nowIso() });
 
-      sb.emit('random:matched', {
-        at: nowIso(),
-        partner: {
-          id: String(sa.data.user._id),
-          displayName: sa.data.user.displayName,
-          avatarUrl: sa.data.user.avatarUrl,
-        },
-      });
+    const userId = String(socket.data.user._id);
+    const exclude = (await blockedUserIds(userId)).map(String);
+    const pairs = await adapter.enqueueRandom(socket.id, partnerCard(socket.data.user), { userId, exclude });
+    for (const [a, b] of pairs) {
+      io.to(a.socketId).emit('random:matched', { at: nowIso(), partner: b.profile });
+      io.to(b.socketId).emit('random:matched', { at: nowIso(), partner: a.profile });
     }
   }
 
@@ -82,14 +100,28 @@ export function attachSocketServer(httpServer, { clientOrigin }) {
       const token = socket.handshake.auth?.token;
       if (!token) return next(new Error('unauthorized'));
 
+      // Bots connect with their API token to receive events
+      if (isApiToken(token)) {
+        const apiToken = await findApiToken(token);
+        if (!apiToken || !hasScopes(apiToken, ['messages:read'])) return next(new Error('unauthorized'));
+
+        const bot = await User.findById(apiToken.user);
+        if (!bot?.isBot) return next(new Error('unauthorized'));
+
+        socket.data.user = bot;
+        socket.data.isBot = true;
+        return next();
+      }
+
       const payload = verifyToken(token);
       const userId = payload?.sub;
-      if (!userId) return next(new Error('unauthorized'));
+      if (!userId || !payload.sid) return next(new Error('unauthorized'));
 
       const user = await User.findById(userId);
-      if (!user) return next(new Error('unauthorized'));
+      if (!user || !findActiveSession(user, payload.sid)) return next(new Error('unauthorized'));
 
       socket.data.user = user;
+      socket.data.sessionId = payload.sid;
       next();
     } catch {
       next(new Error('unauthorized'));
@@ -100,31 +132,31 @@ export function attachSocketServer(httpServer, { clientOrigin }) {
     const user = socket.data.user;
     const userId = user._id.toString();
 
-    console.log('🔌 User connected:', userId, 'Socket:', socket.id);
-
-    // Track user socket
-    if (!userSockets.has(userId)) {
-      userSockets.set(userId, new Set());
+    // Bots only listen: subscribed events arrive as `bot:event` on their own
+    // channel, and they post through the REST API
+    if (socket.data.isBot) {
+      socket.join(channels.user(userId));
+      return;
     }
-    userSockets.get(userId).add(socket.id);
-
-
-    // Update user online status
-    onlineUsers.set(userId, {
-      socketId: socket.id,
-      user,
-      status: 'online',
-      lastSeen: new Date(),
-      currentRoom: '',
-    });
-
-    // Update user in database
-    updateUserOnlineStatus(userId, 'online');
 
-    // Broadcast user online status to friends
-    broadcastUserStatus(userId, 'online');
-    
-    console.log('🔍 Current online users:', Array.from(onlineUsers.keys()));
+    socket.join(channels.user(userId));
+    // Revoking the session disconnects this socket
+    socket.join(channels.session(socket.data.sessionId));
+
+    // Track user socket; only the first one (on any instance) marks them online
+    adapter.addSocket(userId, socket.id)
+      .then((cameOnline) => {
+        if (!cameOnline) return;
+        updateUserOnlineStatus(userId, 'online');
+        broadcastUserStatus(userId, 'online');
+      })
+      .catch((error) => console.error('Error tracking socket presence:', error));
+
+    // For events without an ack: log what went wrong and tell the client
+    function reportError(event, error, message) {
+      console.error(`Error handling ${event}:`, error);
+      socket.emit('error', { event, error: message });
+    }
 
     const lastMessageAt = { t: 0 };
     function allowSend() {
@@ -134,123 +166,316 @@ export function attachSocketServer(httpServer, { clientOrigin }) {
       return true;
     }
 
-    socket.on('public:join', async ({ roomId }) => {
+    socket.on('public:join', async ({ roomId } = {}) => {
       const r = String(roomId || '').trim();
       if (!r) return;
-      await socket.join(`public:${r}`);
+      try {
+        await socket.join(channels.room(r));
+      } catch (error) {
+        reportError('public:join', error, 'Failed to join room');
+      }
     });
 
-    socket.on('public:message', async ({ roomId, text }) => {
-      if (!allowSend()) return;
+    socket.on('public:message', async ({ roomId, text, attachmentIds } = {}, ack) => {
+      if (!allowSend()) return reply(ack, { ok: false, error: 'Slow down' });
 
       const r = String(roomId || '').trim();
       const t = sanitizeText(text);
-      if (!r || !t) return;
+      if (!r || (!t && !hasAttachments(attachmentIds))) return reply(ack, { ok: false, error: 'Invalid message' });
 
-      const msg = await Message.create({
-        kind: 'public',
-        roomId: r,
-        from: user._id,
-        text: t,
-      });
-
-      io.to(`public:${r}`).emit('public:message', {
-        id: String(msg._id),
-        roomId: r,
-        text: msg.text,
-        createdAt: msg.createdAt,
-        from: {
-          id: String(user._id),
-          displayName: user.displayName,
-          avatarUrl: user.avatarUrl,
-        },
-      });
+      try {
+        const result = await createPublicMessage({ user, roomId: r, text: t, attachmentIds });
+        if (result.error) return reply(ack, { ok: false, error: result.error });
+        reply(ack, { ok: true, message: result.payload });
+      } catch (error) {
+        console.error('Error sending public message:', error);
+        reply(ack, { ok: false, error: 'Failed to send message' });
+      }
     });
 
-    socket.on('private:message', async ({ toUserId, text }) => {
-      if (!allowSend()) return;
+    socket.on('private:message', async ({ toUserId, text, attachmentIds } = {}, ack) => {
+      if (!allowSend()) return reply(ack, { ok: false, error: 'Slow down' });
 
       const toId = String(toUserId || '').trim();
       const t = sanitizeText(text);
-      if (!toId || !t) return;
+      if (!toId || (!t && !hasAttachments(attachmentIds))) return reply(ack, { ok: false, error: 'Invalid message' });
 
-      const me = await User.findById(user._id);
-      const isFriend = (me?.friends || []).some((id) => String(id) === toId);
-      if (!isFriend) return;
-
-      const toUser = await User.findById(toId);
-      if (!toUser) return;
-
-      const msg = await Message.create({
-        kind: 'private',
-        participants: [user._id, toUser._id],
-        from: user._id,
-        to: toUser._id,
-        text: t,
-      });
+      try {
+        const result = await createPrivateMessage({ user, toUserId: toId, text: t, attachmentIds });
+        if (result.error) {
+          return reply(ack, { ok: false, error: result.error, ...(result.retryAt ? { retryAt: result.retryAt } : {}) });
+        }
+        reply(ack, { ok: true, message: result.payload, ...(result.request ? { request: result.request } : {}) });
+      } catch (error) {
+        console.error('Error sending private message:', error);
+        reply(ack, { ok: false, error: 'Failed to send message' });
+      }
+    });
 
-      const payload = {
-        id: String(msg._id),
-        text: msg.text,
-        createdAt: msg.createdAt,
-        from: {
-          id: String(user._id),
-          displayName: user.displayName,
-          avatarUrl: user.avatarUrl,
-        },
-        toUserId: String(toUser._id),
-      };
+    // Delivery receipts: clients confirm the messages they received
+    async function recordDelivery(messageIds) {
+      const delivered = await markDelivered(user._id, messageIds);
+      const deliveredAt = new Date();
+      for (const m of delivered) {
+        io.to(channels.user(String(m.from))).emit('message:delivered', {
+          messageId: String(m._id),
+          userId,
+          deliveredAt,
+        });
+      }
+    }
 
-      socket.emit('private:message', payload);
+    socket.on('message:delivered', async ({ messageIds } = {}) => {
+      if (!Array.isArray(messageIds)) return;
+      try {
+        await recordDelivery(messageIds.slice(0, 500));
+      } catch (error) {
+        reportError('message:delivered', error, 'Failed to record delivery');
+      }
+    });
 
-      const toSocketId = onlineUsers.get(String(toUser._id));
-      if (toSocketId) {
-        io.to(toSocketId).emit('private:message', payload);
+    // Catch-up after reconnecting: everything readable since the last message seen
+    socket.on('sync:since', async ({ cursor, rooms } = {}, ack) => {
+      try {
+        const result = await syncMessagesSince(user._id, {
+          cursor: String(cursor || ''),
+          rooms: Array.isArray(rooms) ? rooms : [],
+        });
+        await recordDelivery(result.messages.map((m) => m.id));
+        reply(ack, { ok: true, ...result });
+      } catch (error) {
+        if (error.message === 'Invalid cursor') {
+          return reply(ack, { ok: false, error: 'Invalid cursor' });
+        }
+        console.error('Error syncing messages:', error);
+        reply(ack, { ok: false, error: 'Failed to sync messages' });
       }
     });
 
     socket.on('random:start', () => {
-      endRandomPair(socket.id);
-      dequeue(socket.id);
-      randomQueue.push(socket.id);
-      socket.emit('random:queued', { at: nowIso() });
-      tryMatch();
+      queueForRandom(socket).catch((error) => reportError('random:start', error, 'Failed to join random chat'));
     });
 
     socket.on('random:next', () => {
-      endRandomPair(socket.id);
-      dequeue(socket.id);
-      randomQueue.push(socket.id);
-      socket.emit('random:queued', { at: nowIso() });
-      tryMatch();
+      queueForRandom(socket).catch((error) => reportError('random:next', error, 'Failed to join random chat'));
     });
 
-    socket.on('random:message', ({ text }) => {
+    socket.on('random:message', async ({ text } = {}) => {
       if (!allowSend()) return;
 
       const t = sanitizeText(text);
       if (!t) return;
 
-      const partnerId = randomPartnerBySocketId.get(socket.id);
-      if (!partnerId) return;
+      try {
+        const partnerId = await adapter.getRandomPartner(socket.id);
+        if (!partnerId) return;
+
+        const payload = {
+          text: t,
+          createdAt: new Date(),
+          from: {
+            id: String(user._id),
+            displayName: user.displayName,
+            avatarUrl: user.avatarUrl,
+          },
+        };
+
+        socket.emit('random:message', payload);
+        io.to(partnerId).emit('random:message', payload);
+      } catch (error) {
+        reportError('random:message', error, 'Failed to send message');
+      }
+    });
+
+    // Group chat
+    socket.on('group:join', async ({ groupId } = {}, ack) => {
+      try {
+        const group = await Group.findById(groupId);
+        if (!canReadGroup(group, userId)) {
+          return reply(ack, { ok: false, error: 'Access denied' });
+        }
 
-      const payload = {
-        text: t,
-        createdAt: new Date(),
-        from: {
-          id: String(user._id),
-          displayName: user.displayName,
-          avatarUrl: user.avatarUrl,
-        },
-      };
+        await socket.join(channels.group(String(group._id)));
+        reply(ack, { ok: true });
+      } catch (error) {
+        console.error('Error joining group channel:', error);
+        reply(ack, { ok: false, error: 'Failed to join group' });
+      }
+    });
+
+    socket.on('group:leave', ({ groupId } = {}) => {
+      if (!groupId) return;
+      socket.leave(channels.group(String(groupId)));
+    });
+
+    socket.on('group:message', async ({ groupId, text, room, attachmentIds } = {}, ack) => {
+      if (!allowSend()) return reply(ack, { ok: false, error: 'Slow down' });
 
-      socket.emit('random:message', payload);
-      io.to(partnerId).emit('random:message', payload);
+      const t = sanitizeText(text);
+      if (!groupId || (!t && !hasAttachments(attachmentIds))) return reply(ack, { ok: false, error: 'Invalid message' });
+
+      try {
+        // Re-check on every send: bans, freezes and role changes apply immediately
+        const group = await Group.findById(groupId);
+        const check = checkGroupSend(group, userId);
+        if (!check.allowed) {
+          return reply(ack, { ok: false, error: check.reason });
+        }
+
+        const result = await createGroupMessage({
+          group,
+          user,
+          text: t,
+          room: String(room || '').trim(),
+          attachmentIds,
+        });
+        if (result.error) return reply(ack, { ok: false, error: result.error });
+        reply(ack, { ok: true, message: result.payload });
+      } catch (error) {
+        console.error('Error sending group message:', error);
+        reply(ack, { ok: false, error: 'Failed to send message' });
+      }
+    });
+
+    socket.on('group:typing', ({ groupId, room, isTyping } = {}) => {
+      if (!groupId) return;
+      const channel = channels.group(String(groupId));
+      if (!socket.rooms.has(channel)) return;
+
+      socket.to(channel).emit('group:typing', {
+        groupId: String(groupId),
+        room: String(room || ''),
+        userId,
+        displayName: user.displayName,
+        isTyping: Boolean(isTyping),
+      });
+    });
+
+    socket.on('group:read', async ({ groupId, messageId } = {}) => {
+      if (!groupId || !messageId) return;
+      const channel = channels.group(String(groupId));
+      if (!socket.rooms.has(channel)) return;
+
+      try {
+        const readAt = new Date();
+        const result = await Message.updateOne(
+          { _id: messageId, groupId, 'readBy.user': { $ne: user._id } },
+          { $push: { readBy: { user: user._id, readAt } } }
+        );
+        if (!result.modifiedCount) return;
+
+        io.to(channel).emit('group:read', {
+          groupId: String(groupId),
+          messageId: String(messageId),
+          userId,
+          readAt,
+        });
+      } catch (error) {
+        reportError('group:read', error, 'Failed to mark as read');
+      }
+    });
+
+    // Multi-person DMs. Messages reach every participant's user channel;
+    // the conversation channel only carries typing and read receipts.
+    socket.on('conversation:join', async ({ conversationId } = {}, ack) => {
+      try {
+        const conversation = await findConversation(conversationId, userId);
+        if (!conversation) return reply(ack, { ok: false, error: 'Conversation not found' });
+
+        await socket.join(channels.conversation(String(conversation._id)));
+        reply(ack, { ok: true });
+      } catch (error) {
+        console.error('Error joining conversation channel:', error);
+        reply(ack, { ok: false, error: 'Failed to join conversation' });
+      }
+    });
+
+    socket.on('conversation:leave', ({ conversationId } = {}) => {
+      if (!conversationId) return;
+      socket.leave(channels.conversation(String(conversationId)));
+    });
+
+    socket.on('conversation:message', async ({ conversationId, text, attachmentIds } = {}, ack) => {
+      if (!allowSend()) return reply(ack, { ok: false, error: 'Slow down' });
+
+      const t = sanitizeText(text);
+      if (!conversationId || (!t && !hasAttachments(attachmentIds))) return reply(ack, { ok: false, error: 'Invalid message' });
+
+      try {
+        // Re-check on every send: people who left can't post
+        const conversation = await findConversation(conversationId, userId);
+        if (!conversation) return reply(ack, { ok: false, error: 'Conversation not found' });
+
+        const result = await createConversationMessage({ conversation, user, text: t, attachmentIds });
+        if (result.error) return reply(ack, { ok: false, error: result.error });
+        reply(ack, { ok: true, message: result.payload });
+      } catch (error) {
+        console.error('Error sending conversation message:', error);
+        reply(ack, { ok: false, error: 'Failed to send message' });
+      }
+    });
+
+    socket.on('conversation:typing', ({ conversationId, isTyping } = {}) => {
+      if (!conversationId) return;
+      const channel = channels.conversation(String(conversationId));
+      if (!socket.rooms.has(channel)) return;
+
+      socket.to(channel).emit('conversation:typing', {
+        conversationId: String(conversationId),
+        userId,
+        displayName: user.displayName,
+        isTyping: Boolean(isTyping),
+      });
+    });
+
+    // Read up to and including `messageId`
+    socket.on('conversation:read', async ({ conversationId, messageId } = {}) => {
+      if (!conversationId || !messageId) return;
+      const channel = channels.conversation(String(conversationId));
+      if (!socket.rooms.has(channel)) return;
+
+      try {
+        const conversation = await findConversation(conversationId, userId);
+        if (!conversation) return;
+
+        const readAt = await markConversationRead(conversation, user._id, messageId);
+        if (!readAt) return;
+
+        io.to(channel).emit('conversation:read', {
+          conversationId: String(conversationId),
+          messageId: String(messageId),
+          userId,
+          readAt,
+        });
+      } catch (error) {
+        reportError('conversation:read', error, 'Failed to mark as read');
+      }
     });
 
     // Typing indicators
-    socket.on('typing:start', ({ roomId, groupId, toUserId }) => {
-      const roomKey = roomId || groupId?.toString() || `private:${toUserId}`;
+    function typingChannel({ roomId, groupId, toUserId }) {
+      if (roomId) return channels.room(roomId);
+      if (groupId) return channels.group(String(groupId));
+      if (toUserId) return channels.user(String(toUserId));
+      return '';
+    }
+
+    // Someone the user can't DM (not friends, no accepted request, or a
+    // block either way) doesn't see them typing either
+    async function mayTypeTo(toUserId) {
+      if (!mongoose.isValidObjectId(toUserId) || String(toUserId) === userId) return false;
+      if (await isBlockedBetween(userId, toUserId)) return false;
+      return canDirectMessage(userId, toUserId);
+    }
+
+    socket.on('typing:start', async (target = {}) => {
+      const roomKey = typingChannel(target);
+      if (!roomKey) return;
+      try {
+        if (!target.roomId && !target.groupId && !(await mayTypeTo(target.toUserId))) return;
+      } catch (error) {
+        return reportError('typing:start', error, 'Failed to send typing indicator');
+      }
       
       if (!typingUsers.has(roomKey)) {
         typingUsers.set(roomKey, new Set());
@@ -267,8 +492,9 @@ export function attachSocketServer(httpServer, { clientOrigin }) {
       });
     });
 
-    socket.on('typing:stop', ({ roomId, groupId, toUserId }) => {
-      const roomKey = roomId || groupId?.toString() || `private:${toUserId}`;
+    socket.on('typing:stop', (target = {}) => {
+      const roomKey = typingChannel(target);
+      if (!roomKey) return;
       
       if (typingUsers.has(roomKey)) {
         typingUsers.get(roomKey).delete(userId);
@@ -284,7 +510,7 @@ export function attachSocketServer(httpServer, { clientOrigin }) {
     });
 
     // Read receipts
-    socket.on('message:read', async ({ messageId, roomId, groupId }) => {
+    socket.on('message:read', async ({ messageId } = {}) => {
       try {
         const message = await Message.findById(messageId);
         if (!message) return;
@@ -301,71 +527,45 @@ export function attachSocketServer(httpServer, { clientOrigin }) {
           });
           await message.save();
 
-          // Broadcast read receipt to message sender
-          const roomKey = roomId || groupId?.toString();
-          if (roomKey) {
-            socket.to(roomKey).emit('message:read_receipt', {
-              messageId,
-              userId,
-              readAt: new Date(),
-            });
-          } else {
-            // For private messages, notify sender directly
-            const senderSocketId = onlineUsers.get(message.from.toString());
-            if (senderSocketId) {
-              io.to(senderSocketId).emit('message:read_receipt', {
-                messageId,
-                userId,
-                readAt: new Date(),
-              });
-            }
-          }
+          // Broadcast read receipt wherever the message was delivered
+          socket.to(channelsForMessage(message)).emit('message:read_receipt', {
+            messageId,
+            userId,
+            readAt: new Date(),
+          });
         }
       } catch (error) {
-        console.error('Error marking message as read:', error);
+        reportError('message:read', error, 'Failed to mark as read');
       }
     });
 
     // Online status updates
-    socket.on('status:update', async ({ status }) => {
+    socket.on('status:update', async ({ status } = {}) => {
       try {
         const validStatuses = ['online', 'away', 'offline', 'invisible'];
         if (!validStatuses.includes(status)) return;
 
-        // Update in online users map
-        const onlineUser = onlineUsers.get(userId);
-        if (onlineUser) {
-          onlineUser.status = status;
-          onlineUser.lastSeen = new Date();
-        }
-
         // Update in database
         await updateUserOnlineStatus(userId, status);
 
-        // Broadcast to friends (unless invisible)
-        if (status !== 'invisible') {
-          broadcastUserStatus(userId, status);
-        }
+        // Broadcast to friends; going invisible reads as going offline
+        broadcastUserStatus(userId, status);
       } catch (error) {
-        console.error('Error updating user status:', error);
+        reportError('status:update', error, 'Failed to update status');
       }
     });
 
-    // Room joining/leaving
-    socket.on('room:join', ({ roomId }) => {
-      socket.join(roomId);
-      
-      // Update user's current room
-      const onlineUser = onlineUsers.get(userId);
-      if (onlineUser) {
-        onlineUser.currentRoom = roomId;
-      }
+    // Room joining/leaving. Bots hear about joins to Room documents from
+    // POST /api/rooms/:roomId/join, which checks bans and capacity.
+    socket.on('room:join', ({ roomId } = {}) => {
+      if (!roomId) return;
+      socket.join(channels.room(roomId));
 
       // Update user in database
       updateUserCurrentRoom(userId, roomId);
 
       // Broadcast room join to other users
-      socket.to(roomId).emit('user:joined', {
+      socket.to(channels.room(roomId)).emit('user:joined', {
         userId,
         displayName: user.displayName,
         avatarUrl: user.avatarUrl,
@@ -373,64 +573,41 @@ export function attachSocketServer(httpServer, { clientOrigin }) {
       });
     });
 
-    socket.on('room:leave', ({ roomId }) => {
-      socket.leave(roomId);
-      
-      // Update user's current room
-      const onlineUser = onlineUsers.get(userId);
-      if (onlineUser) {
-        onlineUser.currentRoom = '';
-      }
+    socket.on('room:leave', ({ roomId } = {}) => {
+      if (!roomId) return;
+      socket.leave(channels.room(roomId));
 
       // Update user in database
       updateUserCurrentRoom(userId, '');
 
       // Broadcast room leave to other users
-      socket.to(roomId).emit('user:left', {
+      socket.to(channels.room(roomId)).emit('user:left', {
         userId,
         displayName: user.displayName,
         roomId,
       });
     });
 
-    socket.on('disconnect', () => {
-      // Remove socket from user sockets
-      if (userSockets.has(userId)) {
-        userSockets.get(userId).delete(socket.id);
-        
-        // If user has no more sockets, mark as offline
-        if (userSockets.get(userId).size === 0) {
-          userSockets.delete(userId);
-          onlineUsers.delete(userId);
-          
-          // Update user status in database
+    socket.on('disconnect', async () => {
+      try {
+        // If this was the user's last socket anywhere, mark as offline
+        const wentOffline = await adapter.removeSocket(userId, socket.id);
+        if (wentOffline) {
           updateUserOnlineStatus(userId, 'offline');
-          
-          // Broadcast offline status to friends
           broadcastUserStatus(userId, 'offline');
         }
+
+        await adapter.dequeueRandom(socket.id);
+        await endRandomPair(socket.id);
+      } catch (error) {
+        console.error('Error cleaning up socket:', error);
       }
-      
-      endRandomPair(socket.id);
-      dequeue(socket.id);
     });
 
-    
     // Test socket connection
     socket.on('ping', (data) => {
-      console.log('🔍 Ping received:', data);
       socket.emit('pong', { received: data, timestamp: new Date() });
     });
-
-    // Debug: Log all events
-    socket.onAny((eventName, ...args) => {
-      console.log('🔍 Socket event received:', eventName, args);
-    });
-
-
-
-
-
   });
 
   // Helper functions
@@ -455,25 +632,26 @@ export function attachSocketServer(httpServer, { clientOrigin }) {
     }
   }
 
-  function broadcastUserStatus(userId, status) {
+  // Tells each friend the status they may see (see lib/privacy.js): nothing
+  // when the user hides it from them, and 'offline' for 'invisible'
+  async function broadcastUserStatus(userId, status) {
     try {
-      // Get user's friends and broadcast to them
-      User.findById(userId).then(user => {
-        if (user && user.friends) {
-          user.friends.forEach(friendId => {
-            const friendSocketIds = userSockets.get(friendId.toString());
-            if (friendSocketIds) {
-              friendSocketIds.forEach(socketId => {
-                io.to(socketId).emit('friend:status_update', {
-                  userId,
-                  status,
-                  lastSeen: new Date(),
-                });
-              });
-            }
-          });
-        }
-      });
+      const user = await User.findById(userId).select(
+        'friends blockedUsers profileVisibility showOnlineStatus onlineStatus lastSeen'
+      );
+      if (!user) return;
+      user.onlineStatus = status;
+      user.lastSeen = new Date();
+
+      for (const friendId of user.friends) {
+        if (!canViewPresence(user, friendId)) continue;
+        const presence = viewPresence(user, friendId);
+        io.to(channels.user(friendId.toString())).emit('friend:status_update', {
+          userId,
+          status: presence.onlineStatus,
+          lastSeen: presence.lastSeen,
+        });
+      }
     } catch (error) {
       console.error('Error broadcasting user status:', error);
     }
@@ -0,0 +1,121 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+
+import { User } from '../src/models/User.js';
+import { sendPasswordResetEmail } from '../src/lib/accountTokens.js';
+import { getMailTransport } from '../src/lib/mail/index.js';
+import { authRouter } from '../src/routes/auth.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, settle, startServer } from './support/server.js';
+
+process.env.MAIL_DRIVER = 'memory';
+
+let db;
+let server;
+const outbox = getMailTransport().outbox;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/auth': authRouter } });
+  outbox.length = 0;
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+// The token from the link in a mail's plain-text body
+function linkToken(mail, path) {
+  const match = mail.text.match(new RegExp(`${path}\\?token=([0-9a-f]+)`));
+  assert.ok(match, `no ${path} link in "${mail.subject}"`);
+  return match[1];
+}
+
+function resetPassword(token, password = 'new password') {
+  return server.request('POST', '/api/auth/reset-password', { body: { token, password } });
+}
+
+function verifyEmail(token) {
+  return server.request('POST', '/api/auth/verify-email', { body: { token } });
+}
+
+test('a reset link is mailed to the account, sets a new password and works once', async () => {
+  const alice = await createUser(db, { email: 'alice@example.test', displayName: 'Alice' });
+
+  const asked = await server.request('POST', '/api/auth/forgot-password', { body: { email: 'Alice@Example.test' } });
+  assert.equal(asked.status, 200);
+  // Unknown addresses get the same answer, and nothing is sent
+  const unknown = await server.request('POST', '/api/auth/forgot-password', { body: { email: 'nobody@example.test' } });
+  assert.deepEqual(unknown.body, asked.body);
+
+  assert.equal(outbox.length, 1);
+  assert.equal(outbox[0].to, 'alice@example.test');
+  assert.match(outbox[0].html, /reset-password\?token=/);
+  const token = linkToken(outbox[0], '/reset-password');
+
+  // Only a hash of the token is kept
+  const stored = await db.get(User, alice._id);
+  assert.ok(stored.passwordResetToken);
+  assert.notEqual(stored.passwordResetToken, token);
+
+  const reset = await resetPassword(token);
+  assert.equal(reset.status, 200);
+  const after = await db.get(User, alice._id);
+  assert.ok(await bcrypt.compare('new password', after.passwordHash));
+  assert.equal(after.emailVerified, true);
+  assert.equal(after.devices.filter((d) => d.isActive).length, 0);
+
+  const again = await resetPassword(token, 'another password');
+  assert.equal(again.status, 400);
+  assert.equal(again.body.error, 'This reset link is invalid or has expired');
+});
+
+test('a reset link expires, and a newer one replaces it', async () => {
+  const alice = await createUser(db, { email: 'alice@example.test' });
+
+  await sendPasswordResetEmail(alice);
+  await sendPasswordResetEmail(alice);
+  const [first, second] = outbox.map((mail) => linkToken(mail, '/reset-password'));
+  assert.equal((await resetPassword(first)).status, 400);
+
+  await User.updateOne({ _id: alice._id }, { $set: { passwordResetExpires: new Date(Date.now() - 1000) } });
+  assert.equal((await resetPassword(second)).status, 400);
+  assert.equal((await db.get(User, alice._id)).passwordHash, 'x');
+});
+
+test('the verification mail sent on sign-up verifies the address once', async () => {
+  const registered = await server.request('POST', '/api/auth/register', {
+    body: { email: 'bob@example.test', password: 'correct horse', displayName: 'Bob' },
+  });
+  assert.equal(registered.status, 200);
+  await settle();
+
+  assert.equal(outbox.length, 1);
+  assert.equal(outbox[0].to, 'bob@example.test');
+  const token = linkToken(outbox[0], '/verify-email');
+  const userId = registered.body.user.id;
+  assert.equal((await db.get(User, userId)).emailVerified, false);
+
+  const verified = await verifyEmail(token);
+  assert.equal(verified.status, 200);
+  assert.equal((await db.get(User, userId)).emailVerified, true);
+
+  const again = await verifyEmail(token);
+  assert.equal(again.status, 400);
+  assert.equal(again.body.error, 'This verification link is invalid or has expired');
+});
+
+test('an expired verification link is refused and a new one can be asked for', async () => {
+  const bob = await createUser(db, { email: 'bob@example.test', emailVerified: false });
+
+  assert.equal((await server.request('POST', '/api/auth/resend-verification', { user: bob })).status, 200);
+  const stale = linkToken(outbox[0], '/verify-email');
+  await User.updateOne({ _id: bob._id }, { $set: { emailVerificationExpires: new Date(Date.now() - 1000) } });
+  assert.equal((await verifyEmail(stale)).status, 400);
+  assert.equal((await db.get(User, bob._id)).emailVerified, false);
+
+  await server.request('POST', '/api/auth/resend-verification', { user: bob });
+  assert.equal((await verifyEmail(linkToken(outbox[1], '/verify-email'))).status, 200);
+  assert.equal((await db.get(User, bob._id)).emailVerified, true);
+});
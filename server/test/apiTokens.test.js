@@ -0,0 +1,103 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ApiToken } from '../src/models/ApiToken.js';
+import { apiTokensRouter } from '../src/routes/apiTokens.js';
+import { authRouter } from '../src/routes/auth.js';
+import { conversationsRouter } from '../src/routes/conversations.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+let db;
+let server;
+let alice;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({
+    routes: { '/api/auth': authRouter, '/api/conversations': conversationsRouter, '/api/tokens': apiTokensRouter },
+  });
+  alice = await createUser(db, { displayName: 'Alice' });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+// A token of alice's; `{ token }` stands in for a session in server.request
+async function createToken(scopes, fields = {}) {
+  const res = await server.request('POST', '/api/tokens', { user: alice, body: { name: 'Script', scopes, ...fields } });
+  assert.equal(res.status, 201);
+  return { id: res.body.apiToken.id, token: res.body.token };
+}
+
+function me(user) {
+  return server.request('GET', '/api/auth/me', { user });
+}
+
+test('a token reaches only the routes its scopes cover', async () => {
+  const profileOnly = await createToken(['profile:read']);
+  assert.match(profileOnly.token, /^mgp_/);
+
+  const ok = await me(profileOnly);
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.user.id, String(alice._id));
+
+  const refused = await server.request('GET', '/api/conversations', { user: profileOnly });
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.error, 'Token is missing the messages:read scope');
+
+  const reader = await createToken(['profile:read', 'messages:read']);
+  assert.equal((await server.request('GET', '/api/conversations', { user: reader })).status, 200);
+  // Reading isn't writing
+  const write = await server.request('POST', '/api/conversations', { user: reader, body: { participantIds: [] } });
+  assert.equal(write.status, 403);
+  assert.equal(write.body.error, 'Token is missing the messages:write scope');
+});
+
+test('session-only routes refuse tokens, whatever their scopes', async () => {
+  const { token } = await createToken(['profile:read', 'messages:read', 'messages:write', 'groups:admin']);
+
+  const attempts = [
+    ['GET', '/api/tokens'],
+    ['POST', '/api/tokens', { name: 'Another', scopes: ['profile:read'] }],
+    ['PUT', '/api/auth/change-password', { currentPassword: 'x', newPassword: 'new password' }],
+    ['POST', '/api/auth/logout'],
+  ];
+  for (const [method, path, body] of attempts) {
+    const res = await server.request(method, path, { user: { token }, body });
+    assert.equal(res.status, 403, `${method} ${path}`);
+    assert.equal(res.body.error, 'API tokens cannot be used for this endpoint');
+  }
+  assert.equal(db.all(ApiToken).length, 1);
+
+  // Only a hash is kept, and the list never shows the secret again
+  assert.notEqual(db.all(ApiToken)[0].tokenHash, token);
+  const listed = await server.request('GET', '/api/tokens', { user: alice });
+  assert.equal(listed.body.tokens.length, 1);
+  assert.ok(token.startsWith(listed.body.tokens[0].prefix));
+  assert.doesNotMatch(JSON.stringify(listed.body), new RegExp(token.slice(10)));
+});
+
+test('revoked, expired and unknown tokens are turned away', async () => {
+  const revoked = await createToken(['profile:read']);
+  const expiring = await createToken(['profile:read'], { expiresInDays: 1 });
+
+  // Someone else can't revoke it
+  const bob = await createUser(db);
+  assert.equal((await server.request('DELETE', `/api/tokens/${revoked.id}`, { user: bob })).status, 404);
+  assert.equal((await me(revoked)).status, 200);
+
+  assert.equal((await server.request('DELETE', `/api/tokens/${revoked.id}`, { user: alice })).status, 200);
+  assert.equal((await me(revoked)).status, 401);
+  assert.equal((await server.request('DELETE', `/api/tokens/${revoked.id}`, { user: alice })).status, 404);
+
+  assert.equal((await me(expiring)).status, 200);
+  await ApiToken.updateOne({ _id: expiring.id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+  assert.equal((await me(expiring)).status, 401);
+
+  assert.equal((await me({ token: 'mgp_not-a-real-token' })).status, 401);
+
+  const { body } = await server.request('GET', '/api/tokens', { user: alice });
+  assert.deepEqual(body.tokens.map((t) => t.status).sort(), ['expired', 'revoked']);
+});
@@ -0,0 +1,159 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+import { Attachment } from '../src/models/Attachment.js';
+import { Group } from '../src/models/Group.js';
+import { Room } from '../src/models/Room.js';
+import {
+  DEFAULT_MAX_FILE_SIZE,
+  UNCLAIMED_ATTACHMENT_GRACE,
+  purgeUnclaimedAttachments,
+} from '../src/lib/attachments.js';
+import { getStorage } from '../src/lib/storage/index.js';
+import { attachmentsRouter } from '../src/routes/attachments.js';
+import { messagesRouter } from '../src/routes/messages.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+const PDF = Buffer.from('%PDF-1.7\n');
+
+let db;
+let server;
+let alice;
+let bob;
+let removed;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/attachments': attachmentsRouter, '/api/messages': messagesRouter } });
+  // Nothing is written to disk
+  removed = [];
+  mock.method(getStorage(), 'save', async ({ key }) => ({ key, url: `/uploads/${key}` }));
+  mock.method(getStorage(), 'remove', async (key) => removed.push(key));
+
+  alice = await createUser(db, { displayName: 'Alice' });
+  bob = await createUser(db, { displayName: 'Bob' });
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+async function upload(user, fields, { buffer = PNG, filename = 'photo.png', type } = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([buffer], type ? { type } : {}), filename);
+  for (const [key, value] of Object.entries(fields)) form.append(key, String(value));
+
+  const res = await fetch(`${server.url}/api/attachments`, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${user.token}` },
+    body: form,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function sendToRoom(user, roomId, attachmentIds) {
+  return server.request('POST', `/api/messages/public/${roomId}`, { user, body: { attachmentIds } });
+}
+
+test('the type comes from the file itself, not its name or claimed type', async () => {
+  const pdf = await upload(alice, { context: 'public', roomId: 'lobby' }, { buffer: PDF, type: 'image/png' });
+  assert.equal(pdf.status, 201);
+  assert.equal(pdf.body.attachment.mimeType, 'application/pdf');
+  assert.equal(pdf.body.attachment.type, 'file');
+  assert.equal(pdf.body.attachment.filename, 'photo.png');
+  assert.match(pdf.body.attachment.url, /\.pdf$/);
+
+  const html = await upload(alice, { context: 'public', roomId: 'lobby' }, {
+    buffer: Buffer.from('<script>alert(1)</script>'),
+    filename: 'page.html',
+    type: 'text/html',
+  });
+  assert.equal(html.body.attachment.mimeType, 'text/plain');
+  assert.match(html.body.attachment.url, /\.txt$/);
+});
+
+test('uploads are held to the limit of the chat they are for', async () => {
+  const tooBig = await upload(alice, { context: 'public', roomId: 'lobby' }, {
+    buffer: Buffer.concat([PNG, Buffer.alloc(DEFAULT_MAX_FILE_SIZE)]),
+  });
+  assert.equal(tooBig.status, 413);
+  assert.equal(tooBig.body.maxFileSize, DEFAULT_MAX_FILE_SIZE);
+
+  const group = new Group({
+    name: 'Climbers',
+    creator: alice._id,
+    members: [{ user: alice._id, role: 'admin' }],
+    maxFileSize: 1024,
+  });
+  await db.insert(group);
+  const overGroupLimit = await upload(alice, { context: 'group', groupId: group._id }, {
+    buffer: Buffer.concat([PNG, Buffer.alloc(1024)]),
+  });
+  assert.equal(overGroupLimit.status, 413);
+  assert.equal(overGroupLimit.body.maxFileSize, 1024);
+  assert.equal((await upload(alice, { context: 'group', groupId: group._id })).status, 201);
+
+  const noFiles = new Room({ name: 'Text only', creator: alice._id, allowFileSharing: false });
+  await db.insert(noFiles);
+  const refused = await upload(alice, { context: 'public', roomId: noFiles._id });
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.error, 'File sharing is disabled in this room');
+  assert.equal(db.all(Attachment).length, 1);
+});
+
+test('only those who may post in a chat can upload for it', async () => {
+  const group = new Group({ name: 'Climbers', creator: alice._id, members: [{ user: alice._id, role: 'admin' }] });
+  await db.insert(group);
+  const outsider = await upload(bob, { context: 'group', groupId: group._id });
+  assert.equal(outsider.status, 403);
+  assert.equal(outsider.body.error, 'Access denied');
+
+  const stranger = await upload(bob, { context: 'private', toUserId: alice._id });
+  assert.equal(stranger.status, 403);
+  assert.equal(stranger.body.error, 'Not friends');
+  assert.equal(db.all(Attachment).length, 0);
+});
+
+test('an upload is sent only by its uploader, to the chat it was made for', async () => {
+  const { body } = await upload(alice, { context: 'public', roomId: 'lobby' });
+  const id = body.attachment.id;
+
+  const byBob = await sendToRoom(bob, 'lobby', [id]);
+  assert.equal(byBob.status, 400);
+  assert.equal(byBob.body.error, 'Attachment not found');
+  assert.equal((await sendToRoom(alice, 'elsewhere', [id])).body.error, 'Attachment not found');
+
+  assert.equal((await sendToRoom(alice, 'lobby', [id])).status, 201);
+  // Once sent it can't be reused
+  assert.equal((await sendToRoom(alice, 'lobby', [id])).body.error, 'Attachment not found');
+});
+
+test('uploads never sent are purged after the grace period', async () => {
+  const longAgo = new Date(Date.now() - UNCLAIMED_ATTACHMENT_GRACE - 1000);
+  const fixture = (name, fields = {}) =>
+    new Attachment({
+      uploader: alice._id,
+      context: 'public',
+      roomId: 'lobby',
+      type: 'image',
+      mimeType: 'image/png',
+      size: PNG.length,
+      storage: 'local',
+      storageKey: `attachments/${name}.png`,
+      url: `/uploads/attachments/${name}.png`,
+      ...fields,
+    });
+  await db.insert(
+    fixture('unsent', { createdAt: longAgo }),
+    fixture('sent', { createdAt: longAgo, message: new mongoose.Types.ObjectId() }),
+    fixture('recent')
+  );
+
+  assert.deepEqual(await purgeUnclaimedAttachments(), { purged: 1 });
+  assert.deepEqual(removed, ['attachments/unsent.png']);
+  assert.deepEqual(db.all(Attachment).map((a) => a.storageKey).sort(), ['attachments/recent.png', 'attachments/sent.png']);
+});
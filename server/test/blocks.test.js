@@ -0,0 +1,187 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { User } from '../src/models/User.js';
+import { Message } from '../src/models/Message.js';
+import { BLOCKED_REASON } from '../src/lib/blocks.js';
+import { messagesRouter } from '../src/routes/messages.js';
+import { friendsRouter } from '../src/routes/friends.js';
+import { followRouter } from '../src/routes/follow.js';
+import { profilesRouter } from '../src/routes/profiles.js';
+import { usersRouter } from '../src/routes/users.js';
+import { reactionsRouter } from '../src/routes/reactions.js';
+import { threadingRouter } from '../src/routes/threading.js';
+import { mentionsRouter } from '../src/routes/mentions.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, settle, startServer } from './support/server.js';
+
+// Every check runs twice: Alice acting on Bob after she blocked him, and
+// after he blocked her. Carol blocked no one and shows the action works.
+const DIRECTIONS = ['alice blocked bob', 'bob blocked alice'];
+
+let db;
+let server;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({
+    routes: {
+      '/api/messages': messagesRouter,
+      '/api/friends': friendsRouter,
+      '/api/follow': followRouter,
+      '/api/profiles': profilesRouter,
+      '/api/users': usersRouter,
+      '/api/reactions': reactionsRouter,
+      '/api/threads': threadingRouter,
+      '/api/mentions': mentionsRouter,
+    },
+  });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+async function cast(direction) {
+  const alice = await createUser(db, { displayName: 'Alice' });
+  const bob = await createUser(db, { displayName: 'Bob' });
+  const carol = await createUser(db, { displayName: 'Carol' });
+  const [blocker, blocked] = direction === 'alice blocked bob' ? [alice, bob] : [bob, alice];
+  await User.updateOne({ _id: blocker._id }, { $addToSet: { blockedUsers: blocked._id } });
+  return { alice, bob, carol, blocker, blocked };
+}
+
+async function roomMessage(from, fields = {}) {
+  const message = new Message({ kind: 'public', roomId: 'lobby', from: from._id, text: `Hi from ${from.displayName}`, ...fields });
+  await db.insert(message);
+  return message;
+}
+
+for (const direction of DIRECTIONS) {
+  test(`messages (${direction}): no private messages, and room history leaves the other out`, async () => {
+    const { alice, bob, carol } = await cast(direction);
+
+    const sent = await server.request('POST', `/api/messages/private/${bob._id}`, { user: alice, body: { text: 'hi' } });
+    assert.equal(sent.status, 403);
+    assert.equal(sent.body.error, BLOCKED_REASON);
+
+    await roomMessage(bob);
+    await roomMessage(carol);
+    const history = await server.request('GET', '/api/messages/public/lobby', { user: alice });
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.messages.map((m) => m.text), ['Hi from Carol']);
+  });
+
+  test(`friend requests (${direction}): can't be sent`, async () => {
+    const { alice, bob, carol } = await cast(direction);
+
+    const res = await server.request('POST', '/api/friends/request', { user: alice, body: { toUserId: String(bob._id) } });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, BLOCKED_REASON);
+
+    const control = await server.request('POST', '/api/friends/request', { user: alice, body: { toUserId: String(carol._id) } });
+    assert.equal(control.status, 200);
+  });
+
+  test(`follows (${direction}): can't be started`, async () => {
+    const { alice, bob, carol } = await cast(direction);
+
+    const res = await server.request('POST', `/api/follow/${bob._id}/follow`, { user: alice });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, BLOCKED_REASON);
+    assert.equal((await db.get(User, bob._id)).followers.length, 0);
+
+    assert.equal((await server.request('POST', `/api/follow/${carol._id}/follow`, { user: alice })).status, 200);
+  });
+
+  test(`random chat (${direction}): the two are never matched`, async () => {
+    const { alice, bob, carol } = await cast(direction);
+    const aliceSocket = await server.connect(alice);
+    const bobSocket = await server.connect(bob);
+
+    aliceSocket.emit('random:start');
+    await aliceSocket.next('random:queued');
+    bobSocket.emit('random:start');
+    await bobSocket.next('random:queued');
+    await settle();
+    assert.equal(aliceSocket.got('random:matched'), false);
+    assert.equal(bobSocket.got('random:matched'), false);
+
+    // Someone else is matched with whoever was waiting longest
+    const carolSocket = await server.connect(carol);
+    carolSocket.emit('random:start');
+    const { partner } = await carolSocket.next('random:matched');
+    assert.equal(partner.displayName, 'Alice');
+    await settle();
+    assert.equal(bobSocket.got('random:matched'), false);
+  });
+
+  test(`profiles (${direction}): whoever blocked is hidden from the one they blocked`, async () => {
+    const { blocker, blocked, carol } = await cast(direction);
+
+    for (const path of [`/api/profiles/${blocker._id}`, `/api/users/${blocker._id}`]) {
+      const res = await server.request('GET', path, { user: blocked });
+      assert.equal(res.status, 404, path);
+      assert.equal(res.body.error, 'User not found', path);
+      assert.equal((await server.request('GET', path, { user: carol })).status, 200, path);
+    }
+  });
+
+  test(`reactions (${direction}): can't be added to the other's messages`, async () => {
+    const { alice, bob, carol } = await cast(direction);
+    const message = await roomMessage(bob);
+
+    const res = await server.request('POST', `/api/reactions/${message._id}/reactions`, { user: alice, body: { emoji: '👍' } });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, BLOCKED_REASON);
+    assert.equal((await db.get(Message, message._id)).reactions.length, 0);
+
+    const control = await server.request('POST', `/api/reactions/${message._id}/reactions`, { user: carol, body: { emoji: '👍' } });
+    assert.equal(control.status, 200);
+  });
+
+  test(`threads (${direction}): can't reply to the other's messages`, async () => {
+    const { alice, bob, carol } = await cast(direction);
+    const message = await roomMessage(bob);
+
+    const res = await server.request('POST', `/api/threads/${message._id}/reply`, { user: alice, body: { text: 'hey' } });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, BLOCKED_REASON);
+    assert.equal(db.all(Message).filter((m) => String(m.threadId) === String(message._id)).length, 0);
+
+    const control = await server.request('POST', `/api/threads/${message._id}/reply`, { user: carol, body: { text: 'hey' } });
+    assert.equal(control.status, 201);
+  });
+
+  test(`typing (${direction}): the other doesn't see it, even as a friend`, async () => {
+    const { alice, bob, carol } = await cast(direction);
+    await User.updateOne({ _id: alice._id }, { $set: { friends: [bob._id, carol._id] } });
+    await User.updateOne({ _id: bob._id }, { $set: { friends: [alice._id] } });
+    await User.updateOne({ _id: carol._id }, { $set: { friends: [alice._id] } });
+    const aliceSocket = await server.connect(alice);
+    const bobSocket = await server.connect(bob);
+    const carolSocket = await server.connect(carol);
+    // Nor does someone Alice can't message yet
+    const stranger = await createUser(db);
+    const strangerSocket = await server.connect(stranger);
+
+    aliceSocket.emit('typing:start', { toUserId: String(bob._id) });
+    aliceSocket.emit('typing:start', { toUserId: String(stranger._id) });
+    aliceSocket.emit('typing:start', { toUserId: String(carol._id) });
+    assert.equal((await carolSocket.next('typing:indicator')).userId, String(alice._id));
+    await settle();
+    assert.equal(bobSocket.got('typing:indicator'), false);
+    assert.equal(strangerSocket.got('typing:indicator'), false);
+  });
+
+  test(`mentions (${direction}): the inbox leaves out the other's mentions`, async () => {
+    const { alice, bob, carol } = await cast(direction);
+    await roomMessage(bob, { mentions: [alice._id] });
+    await roomMessage(carol, { mentions: [alice._id] });
+
+    const res = await server.request('GET', '/api/mentions', { user: alice });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.mentions.map((m) => m.from.displayName), ['Carol']);
+    assert.equal(res.body.pagination.total, 1);
+  });
+}
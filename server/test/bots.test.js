@@ -0,0 +1,147 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ApiToken } from '../src/models/ApiToken.js';
+import { Message } from '../src/models/Message.js';
+import { MessageRequest } from '../src/models/MessageRequest.js';
+import { Room } from '../src/models/Room.js';
+import { User } from '../src/models/User.js';
+import { BOT_DM_REASON } from '../src/lib/bots.js';
+import { botsRouter } from '../src/routes/bots.js';
+import { messagesRouter } from '../src/routes/messages.js';
+import { roomsRouter } from '../src/routes/rooms.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, settle, startServer } from './support/server.js';
+
+let db;
+let server;
+let owner;
+let room;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({
+    routes: { '/api/bots': botsRouter, '/api/messages': messagesRouter, '/api/rooms': roomsRouter },
+  });
+  owner = await createUser(db, { displayName: 'Owner' });
+  room = new Room({ name: 'Lobby', creator: owner._id });
+  await db.insert(room);
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+// A bot of `owner`'s, with its token standing in for a session
+async function createBot(fields = {}) {
+  const res = await server.request('POST', '/api/bots', { user: owner, body: { displayName: 'Helper', ...fields } });
+  assert.equal(res.status, 201);
+  return { ...res.body.bot, _id: res.body.bot.id, token: res.body.token };
+}
+
+function addToRoom(bot, target = room, user = owner) {
+  return server.request('POST', `/api/bots/${bot._id}/rooms/${target._id}`, { user });
+}
+
+function post(user, roomId = room._id) {
+  return server.request('POST', `/api/messages/public/${roomId}`, { user, body: { text: 'beep' } });
+}
+
+test('a bot signs in with its token only, and a new token revokes the old one', async () => {
+  const bot = await createBot();
+  assert.ok(bot.tokenPrefix);
+  assert.equal((await db.get(User, bot._id)).isBot, true);
+
+  // Its token works where API tokens do, not on session-only routes
+  assert.equal((await addToRoom(bot)).status, 200);
+  assert.equal((await post(bot)).status, 201);
+  const creates = await server.request('POST', '/api/bots', { user: bot, body: { displayName: 'Child' } });
+  assert.equal(creates.status, 403);
+
+  const rotated = await server.request('POST', `/api/bots/${bot._id}/token`, { user: owner });
+  assert.equal(rotated.status, 200);
+  assert.equal((await post(bot)).status, 401);
+  assert.equal((await post({ token: rotated.body.token })).status, 201);
+
+  // Someone else's bot isn't theirs to manage
+  const other = await createUser(db);
+  assert.equal((await server.request('POST', `/api/bots/${bot._id}/token`, { user: other })).status, 404);
+
+  assert.equal((await server.request('DELETE', `/api/bots/${bot._id}`, { user: owner })).status, 200);
+  assert.equal((await post({ token: rotated.body.token })).status, 401);
+  assert.ok(db.all(ApiToken).every((t) => t.revokedAt));
+});
+
+test('a bot posts only in rooms it was added to, by the room creator or a moderator', async () => {
+  const bot = await createBot();
+
+  const before = await post(bot);
+  assert.equal(before.status, 400);
+  assert.equal(before.body.error, 'Bots can only post in rooms they were added to');
+
+  // The owner isn't in charge of this room
+  const stranger = await createUser(db);
+  const theirs = new Room({ name: 'Theirs', creator: stranger._id });
+  await db.insert(theirs);
+  const refused = await addToRoom(bot, theirs);
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.error, 'Only the room creator or moderators can add bots');
+
+  assert.equal((await addToRoom(bot)).status, 200);
+  assert.equal((await post(bot)).status, 201);
+  assert.equal((await post(bot, theirs._id)).status, 400);
+  assert.equal((await post(bot, 'free-form')).status, 400);
+
+  await server.request('DELETE', `/api/bots/${bot._id}/rooms/${room._id}`, { user: owner });
+  assert.equal((await post(bot)).status, 400);
+  assert.equal(db.all(Message).length, 1);
+});
+
+test("a bot banned from a room can't be added to it", async () => {
+  const bot = await createBot();
+  await Room.updateOne({ _id: room._id }, { $push: { bannedUsers: bot._id } });
+
+  const res = await addToRoom(bot);
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error, 'This bot is banned from the room');
+});
+
+test("member.joined reaches the room's bots once per real join", async () => {
+  const bot = await createBot({ events: ['member.joined'] });
+  await addToRoom(bot);
+  const botSocket = await server.connect(bot);
+  const joinedEvents = () => botSocket.received.filter((r) => r.event === 'bot:event' && r.payload.type === 'member.joined');
+
+  const alice = await createUser(db, { displayName: 'Alice' });
+  assert.equal((await server.request('POST', `/api/rooms/${room._id}/join`, { user: alice })).status, 200);
+  assert.equal((await server.request('POST', `/api/rooms/${room._id}/join`, { user: alice })).status, 400);
+
+  // Banned users don't get in, and sockets joining channels by hand don't count
+  const banned = await createUser(db);
+  await Room.updateOne({ _id: room._id }, { $push: { bannedUsers: banned._id } });
+  assert.equal((await server.request('POST', `/api/rooms/${room._id}/join`, { user: banned })).status, 403);
+  const bannedSocket = await server.connect(banned);
+  bannedSocket.emit('room:join', { roomId: String(room._id) });
+  bannedSocket.emit('room:join', { roomId: 'made-up' });
+
+  await settle();
+  const events = joinedEvents();
+  assert.equal(events.length, 1);
+  assert.equal(events[0].payload.roomId, String(room._id));
+  assert.equal(events[0].payload.data.user.displayName, 'Alice');
+  assert.deepEqual((await db.get(Room, room._id)).currentUsers.map(String), [String(alice._id)]);
+});
+
+test("bots can't send private messages or message requests", async () => {
+  const bot = await createBot();
+  const stranger = await createUser(db);
+
+  // Not even to their owner
+  for (const to of [owner, stranger]) {
+    const res = await server.request('POST', `/api/messages/private/${to._id}`, { user: bot, body: { text: 'hi' } });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, BOT_DM_REASON);
+  }
+  assert.equal(db.all(Message).length, 0);
+  assert.equal(db.all(MessageRequest).length, 0);
+});
@@ -0,0 +1,104 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Conversation } from '../src/models/Conversation.js';
+import { Attachment } from '../src/models/Attachment.js';
+import { attachmentsRouter } from '../src/routes/attachments.js';
+import { conversationsRouter } from '../src/routes/conversations.js';
+import { mentionsRouter } from '../src/routes/mentions.js';
+import { getStorage } from '../src/lib/storage/index.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+let db;
+let server;
+let alice;
+let bob;
+let carol;
+let conversation;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({
+    routes: {
+      '/api/attachments': attachmentsRouter,
+      '/api/conversations': conversationsRouter,
+      '/api/mentions': mentionsRouter,
+    },
+  });
+  // Nothing is written to disk
+  mock.method(getStorage(), 'save', async ({ key }) => ({ key, url: `/uploads/${key}` }));
+
+  alice = await createUser(db, { displayName: 'Alice' });
+  bob = await createUser(db, { displayName: 'Bob' });
+  carol = await createUser(db, { displayName: 'Carol' });
+  conversation = new Conversation({ participants: [alice._id, bob._id], createdBy: alice._id });
+  await db.insert(conversation);
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+async function upload(user, fields) {
+  const form = new FormData();
+  form.append('file', new Blob([PNG]), 'photo.png');
+  for (const [key, value] of Object.entries(fields)) form.append(key, String(value));
+
+  const res = await fetch(`${server.url}/api/attachments`, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${user.token}` },
+    body: form,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function send(user, body, target = conversation) {
+  return server.request('POST', `/api/conversations/${target._id}/messages`, { user, body });
+}
+
+test('files uploaded for a conversation can be sent in it', async () => {
+  const uploaded = await upload(alice, { context: 'conversation', conversationId: conversation._id });
+  assert.equal(uploaded.status, 201);
+  assert.equal(uploaded.body.attachment.type, 'image');
+
+  const sent = await send(alice, { attachmentIds: [uploaded.body.attachment.id] });
+  assert.equal(sent.status, 201);
+  assert.equal(sent.body.message.contentType, 'image');
+  assert.deepEqual(sent.body.message.attachments.map((a) => a.filename), ['photo.png']);
+  assert.equal(String((await db.get(Attachment, uploaded.body.attachment.id)).message), sent.body.message.id);
+});
+
+test('only participants can upload for a conversation, and uploads stay in it', async () => {
+  const outsider = await upload(carol, { context: 'conversation', conversationId: conversation._id });
+  assert.equal(outsider.status, 404);
+  assert.equal(outsider.body.error, 'Conversation not found');
+
+  const other = new Conversation({ participants: [alice._id, carol._id], createdBy: alice._id });
+  await db.insert(other);
+  const uploaded = await upload(alice, { context: 'conversation', conversationId: other._id });
+
+  const sent = await send(alice, { text: 'look', attachmentIds: [uploaded.body.attachment.id] });
+  assert.equal(sent.status, 400);
+  assert.equal(sent.body.error, 'Attachment not found');
+});
+
+test('mentions in a conversation reach its participants only', async () => {
+  const sent = await send(alice, { text: 'Hi @Bob, did @Carol see this?' });
+  assert.equal(sent.status, 201);
+  assert.deepEqual(sent.body.message.mentions, [String(bob._id)]);
+  assert.equal(sent.body.message.mentionsEveryone, false);
+
+  const inbox = await server.request('GET', '/api/mentions', { user: bob });
+  assert.equal(inbox.body.mentions.length, 1);
+  assert.equal(inbox.body.mentions[0].conversationId, String(conversation._id));
+
+  assert.equal((await server.request('GET', '/api/mentions', { user: carol })).body.mentions.length, 0);
+
+  // Gone from the inbox once Bob leaves
+  await server.request('POST', `/api/conversations/${conversation._id}/leave`, { user: bob });
+  assert.equal((await server.request('GET', '/api/mentions', { user: bob })).body.mentions.length, 0);
+});
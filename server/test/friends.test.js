@@ -0,0 +1,136 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { User } from '../src/models/User.js';
+import { FriendRequest } from '../src/models/FriendRequest.js';
+import { FRIEND_REQUEST_COOLDOWN_MS } from '../src/lib/friends.js';
+import { friendsRouter } from '../src/routes/friends.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+let db;
+let server;
+let sender;
+let recipient;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/friends': friendsRouter } });
+  sender = await createUser(db, { displayName: 'Sam Sender' });
+  recipient = await createUser(db, { displayName: 'Rita Recipient' });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+function ask(to = recipient) {
+  return server.request('POST', '/api/friends/request', { user: sender, body: { toUserId: String(to._id) } });
+}
+
+function act(user, action, requestId) {
+  return server.request('POST', `/api/friends/${action}`, { user, body: { requestId } });
+}
+
+async function friendIds(user) {
+  return (await db.get(User, user._id)).friends.map(String);
+}
+
+test('an accepted request makes the two friends, and either can unfriend', async () => {
+  const sent = await ask();
+  assert.equal(sent.status, 200);
+  assert.equal(sent.body.request.status, 'pending');
+  assert.equal((await ask()).status, 409);
+
+  const { body } = await server.request('GET', '/api/friends/requests', { user: recipient });
+  assert.deepEqual(body.incoming.map((r) => r.from.displayName), ['Sam Sender']);
+
+  assert.equal((await act(recipient, 'accept', sent.body.request.id)).status, 200);
+  assert.deepEqual(await friendIds(sender), [String(recipient._id)]);
+  assert.deepEqual(await friendIds(recipient), [String(sender._id)]);
+  assert.equal((await ask()).body.error, 'Already friends');
+
+  const unfriend = await server.request('POST', '/api/friends/unfriend', {
+    user: recipient,
+    body: { userId: String(sender._id) },
+  });
+  assert.equal(unfriend.status, 200);
+  assert.deepEqual(await friendIds(sender), []);
+  assert.deepEqual(await friendIds(recipient), []);
+  assert.equal(db.all(FriendRequest).length, 0);
+
+  // Free to ask again straight away
+  assert.equal((await ask()).status, 200);
+});
+
+test('a pending request can be cancelled by its sender only', async () => {
+  const sent = await ask();
+  const id = sent.body.request.id;
+
+  assert.equal((await act(recipient, 'cancel', id)).status, 404);
+  assert.equal((await act(sender, 'cancel', id)).status, 200);
+  assert.equal(db.all(FriendRequest).length, 0);
+  assert.equal((await act(recipient, 'accept', id)).status, 404);
+});
+
+test('a rejected request can be sent again once the cooldown is over', async () => {
+  const first = await ask();
+  await act(recipient, 'reject', first.body.request.id);
+
+  const early = await ask();
+  assert.equal(early.status, 429);
+  assert.equal(early.body.error, 'You can send this user another request later');
+  assert.ok(new Date(early.body.retryAt) > new Date());
+
+  // Rejected long enough ago
+  await FriendRequest.updateOne(
+    { _id: first.body.request.id },
+    { $set: { respondedAt: new Date(Date.now() - FRIEND_REQUEST_COOLDOWN_MS - 1000) } }
+  );
+
+  const later = await ask();
+  assert.equal(later.status, 200);
+  assert.equal(later.body.request.id, first.body.request.id);
+  assert.equal((await db.get(FriendRequest, first.body.request.id)).status, 'pending');
+});
+
+test('the recipient chooses who may send them requests', async () => {
+  await User.updateOne({ _id: recipient._id }, { $set: { friendRequestPreference: 'no_one' } });
+  const closed = await ask();
+  assert.equal(closed.status, 403);
+  assert.equal(closed.body.error, 'This user is not accepting friend requests');
+
+  await User.updateOne({ _id: recipient._id }, { $set: { friendRequestPreference: 'friends_of_friends' } });
+  const notMutual = await ask();
+  assert.equal(notMutual.status, 403);
+  assert.equal(notMutual.body.error, 'This user only accepts requests from friends of friends');
+
+  // A friend in common opens the door
+  const mutual = await createUser(db, { friends: [sender._id, recipient._id] });
+  await User.updateOne({ _id: recipient._id }, { $set: { friends: [mutual._id] } });
+  assert.equal((await ask()).status, 200);
+});
+
+test('search leaves out blocked users and shows emails to friends only', async () => {
+  const friend = await createUser(db, { displayName: 'Rita Friend', email: 'rita.friend@example.test' });
+  // Blocked either way
+  await createUser(db, { displayName: 'Rita Blocker', blockedUsers: [sender._id] });
+  const blocked = await createUser(db, { displayName: 'Rita Blocked' });
+  await User.updateOne({ _id: sender._id }, { $set: { friends: [friend._id], blockedUsers: [blocked._id] } });
+  await User.updateOne({ _id: friend._id }, { $set: { friends: [sender._id] } });
+
+  const search = async (q) => {
+    const res = await server.request('GET', `/api/friends/search?q=${encodeURIComponent(q)}`, { user: sender });
+    return res.body.users;
+  };
+
+  const found = await search('rita');
+  assert.deepEqual(found.map((u) => u.displayName).sort(), ['Rita Friend', 'Rita Recipient']);
+  assert.equal(found.find((u) => u.displayName === 'Rita Friend').email, 'rita.friend@example.test');
+  assert.equal(found.find((u) => u.displayName === 'Rita Recipient').email, '');
+
+  // A whole address finds its owner; part of one doesn't
+  assert.deepEqual((await search(recipient.email)).map((u) => u.id), [String(recipient._id)]);
+  assert.deepEqual(await search('example.test'), []);
+  assert.deepEqual(await search('.*'), []);
+});
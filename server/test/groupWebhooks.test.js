@@ -0,0 +1,97 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'node:dns';
+
+import { Group } from '../src/models/Group.js';
+import { GroupWebhook } from '../src/models/GroupWebhook.js';
+import { WebhookDelivery } from '../src/models/WebhookDelivery.js';
+import { groupWebhooksRouter } from '../src/routes/groupWebhooks.js';
+import { deliverGroupWebhook } from '../src/lib/groupWebhooks.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+let db;
+let server;
+let admin;
+let group;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/groups': groupWebhooksRouter } });
+  admin = await createUser(db);
+  group = new Group({ name: 'Climbers', creator: admin._id, members: [{ user: admin._id, role: 'admin' }] });
+  await db.insert(group);
+
+  // internal.example.com is on the private network; everything else is public
+  mock.method(dns, 'lookup', (hostname, options, callback) => {
+    const address = hostname === 'internal.example.com' ? '10.0.0.8' : '93.184.216.34';
+    if (options.all) callback(null, [{ address, family: 4 }]);
+    else callback(null, address, 4);
+  });
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+function createWebhook(url) {
+  return server.request('POST', `/api/groups/${group._id}/webhooks`, {
+    user: admin,
+    body: { url, events: ['message.created'] },
+  });
+}
+
+test('webhooks pointing at private or local addresses are refused', async () => {
+  for (const url of ['http://127.0.0.1:4020/hook', 'https://169.254.169.254/', 'https://internal.example.com/hook']) {
+    const res = await createWebhook(url);
+    assert.equal(res.status, 400, url);
+    assert.equal(res.body.details[0].message, 'Must not point to a private or local address');
+  }
+  assert.equal((await createWebhook('https://hooks.example.com/hook')).status, 201);
+});
+
+test('changing a webhook to a private address is refused', async () => {
+  const created = await createWebhook('https://hooks.example.com/hook');
+  const res = await server.request('PATCH', `/api/groups/${group._id}/webhooks/${created.body.webhook.id}`, {
+    user: admin,
+    body: { url: 'https://internal.example.com/hook' },
+  });
+  assert.equal(res.status, 400);
+  assert.equal((await db.get(GroupWebhook, created.body.webhook.id)).url, 'https://hooks.example.com/hook');
+});
+
+// Saved before the checks existed, or resolving somewhere else since
+async function savedHook(url) {
+  const hook = new GroupWebhook({ group: group._id, url, events: ['message.created'], secret: 'whsec_x', createdBy: admin._id });
+  await db.insert(hook);
+  return hook;
+}
+
+test('the test event is not sent to a private address', async () => {
+  const hook = await savedHook('https://internal.example.com/hook');
+
+  const res = await server.request('POST', `/api/groups/${group._id}/webhooks/${hook._id}/test`, { user: admin });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.delivery.status, 'failed');
+  assert.equal(res.body.delivery.attempts[0].error, 'internal.example.com resolves to a private address');
+});
+
+test('deliveries to a private address fail without retries', async () => {
+  const hook = await savedHook('http://127.0.0.1:4020/hook');
+  const delivery = new WebhookDelivery({
+    webhook: hook._id,
+    group: group._id,
+    eventId: 'evt_1',
+    eventType: 'message.created',
+    payload: { id: 'evt_1', type: 'message.created' },
+    expiresAt: new Date(Date.now() + 60000),
+  });
+  await db.insert(delivery);
+
+  const result = await deliverGroupWebhook({ deliveryId: String(delivery._id) }, { attempts: 1, maxAttempts: 6 });
+  assert.equal(result.status, 'failed');
+  const stored = await db.get(WebhookDelivery, delivery._id);
+  assert.equal(stored.status, 'failed');
+  assert.equal(stored.attempts[0].error, 'Must not point to a private or local address');
+});
@@ -0,0 +1,134 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Group } from '../src/models/Group.js';
+import { IncomingWebhook } from '../src/models/IncomingWebhook.js';
+import { Message } from '../src/models/Message.js';
+import { User } from '../src/models/User.js';
+import { getStorage } from '../src/lib/storage/index.js';
+import { groupWebhooksRouter } from '../src/routes/groupWebhooks.js';
+import { hooksRouter } from '../src/routes/hooks.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+let db;
+let server;
+let admin;
+let group;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/groups': groupWebhooksRouter, '/api/hooks': hooksRouter } });
+  mock.method(getStorage(), 'save', async ({ key }) => ({ key, url: `/uploads/${key}` }));
+
+  admin = await createUser(db);
+  group = new Group({
+    name: 'Climbers',
+    creator: admin._id,
+    members: [{ user: admin._id, role: 'admin' }],
+    memberCount: 1,
+  });
+  await db.insert(group);
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+// A new webhook and the path of its secret URL
+async function createHook(fields = {}) {
+  const res = await server.request('POST', `/api/groups/${group._id}/incoming-webhooks`, {
+    user: admin,
+    body: { displayName: 'CI', ...fields },
+  });
+  assert.equal(res.status, 201);
+  return { id: res.body.webhook.id, path: new URL(res.body.url).pathname };
+}
+
+function post(path, body = { text: 'Build passed' }) {
+  return server.request('POST', path, { body });
+}
+
+test('a webhook posts into its group as its own sender, with the token from its URL only', async () => {
+  const hook = await createHook();
+
+  const posted = await post(hook.path);
+  assert.equal(posted.status, 201);
+  const [message] = db.all(Message);
+  assert.equal(message.text, 'Build passed');
+  assert.equal(String(message.groupId), String(group._id));
+  const sender = await db.get(User, message.from);
+  assert.equal(sender.displayName, 'CI');
+  assert.equal(sender.isBot, true);
+
+  const [, , , id, token] = hook.path.split('/');
+  assert.equal((await post(`/api/hooks/${id}/${token.slice(1)}x`)).status, 404);
+  assert.equal((await post(`/api/hooks/${admin._id}/${token}`)).status, 404);
+  assert.equal((await post(`/api/hooks/not-an-id/${token}`)).status, 404);
+
+  // A new URL retires the old one
+  const rotated = await server.request('POST', `/api/groups/${group._id}/incoming-webhooks/${hook.id}/token`, { user: admin });
+  assert.equal((await post(hook.path)).status, 404);
+  assert.equal((await post(new URL(rotated.body.url).pathname)).status, 201);
+
+  // Paused webhooks don't post
+  await IncomingWebhook.updateOne({ _id: hook.id }, { $set: { isActive: false } });
+  assert.equal((await post(new URL(rotated.body.url).pathname)).status, 404);
+  assert.equal(db.all(Message).length, 2);
+});
+
+test('each webhook has its own per-minute limit', async () => {
+  const slow = await createHook({ rateLimit: 2 });
+  const other = await createHook({ displayName: 'Deploys' });
+
+  assert.equal((await post(slow.path)).status, 201);
+  assert.equal((await post(slow.path)).status, 201);
+  const over = await post(slow.path);
+  assert.equal(over.status, 429);
+  assert.equal(over.body.error, 'This webhook is over its rate limit, please slow down');
+
+  assert.equal((await post(other.path)).status, 201);
+  assert.equal(db.all(Message).length, 3);
+});
+
+test('payloads are checked before anything is posted', async () => {
+  const hook = await createHook();
+  const file = (content = Buffer.from('all green').toString('base64')) => ({ filename: 'report.txt', content });
+
+  const refused = [
+    [{}, 'Invalid input'],
+    [{ text: '   ' }, 'Invalid input'],
+    [{ text: 'x'.repeat(4001) }, 'Invalid input'],
+    [{ text: 'hi', attachments: [{ filename: 'report.txt' }] }, 'Invalid input'],
+    [{ attachments: [file('!!!')] }, 'Attachment is empty or not base64'],
+    [{ attachments: Array.from({ length: 11 }, () => file()) }, 'Up to 10 attachments per message'],
+  ];
+  for (const [body, error] of refused) {
+    const res = await post(hook.path, body);
+    assert.equal(res.status, 400, JSON.stringify(body).slice(0, 80));
+    assert.equal(res.body.error, error);
+  }
+  assert.equal(db.all(Message).length, 0);
+
+  const withFile = await post(hook.path, { text: 'Report', attachments: [file()] });
+  assert.equal(withFile.status, 201);
+  assert.equal(withFile.body.message.attachments.length, 1);
+});
+
+test('deleting a webhook removes its sender and keeps what it posted', async () => {
+  const hook = await createHook();
+  await post(hook.path);
+  const senderId = db.all(Message)[0].from;
+  assert.equal((await db.get(Group, group._id)).memberCount, 2);
+
+  const res = await server.request('DELETE', `/api/groups/${group._id}/incoming-webhooks/${hook.id}`, { user: admin });
+  assert.equal(res.status, 200);
+  assert.equal(await db.get(User, senderId), null);
+  const after = await db.get(Group, group._id);
+  assert.deepEqual(after.members.map((m) => String(m.user)), [String(admin._id)]);
+  assert.equal(after.memberCount, 1);
+  assert.equal(db.all(IncomingWebhook).length, 0);
+  assert.equal(db.all(Message).length, 1);
+  assert.equal((await post(hook.path)).status, 404);
+});
@@ -0,0 +1,128 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import mongoose from 'mongoose';
+
+import { FINISHED_JOB_TTL_DAYS, Job } from '../src/models/Job.js';
+import { PermanentJobError, defineJob, scheduleJob, startJobRunner, stopJobRunner } from '../src/lib/jobs.js';
+import { scheduleBulkMessage, sendScheduledBulkMessage } from '../src/lib/bulkMessages.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, settle } from './support/server.js';
+
+const LOCK_TIME = 90;
+
+let db;
+
+beforeEach(() => {
+  db = installFakeDb();
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  stopJobRunner();
+  mock.restoreAll();
+});
+
+function waitForStatus(jobId, status, { timeout = 2000 } = {}) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const timer = setInterval(async () => {
+      const job = await db.get(Job, jobId);
+      if (job?.status === status) {
+        clearInterval(timer);
+        resolve(job);
+      } else if (Date.now() - started > timeout) {
+        clearInterval(timer);
+        reject(new Error(`Job still ${job?.status}`));
+      }
+    }, 10);
+  });
+}
+
+test('the lock is extended while a handler runs past the lock time', async () => {
+  const lockedUntil = [];
+  defineJob('test.slow', async (payload, job) => {
+    for (let i = 0; i < 4; i++) {
+      await settle(LOCK_TIME);
+      lockedUntil.push((await db.get(Job, job._id)).lockedUntil);
+    }
+    return 'done';
+  });
+  const job = await scheduleJob('test.slow');
+
+  startJobRunner({ pollInterval: 20, lockTime: LOCK_TIME });
+  const finished = await waitForStatus(job._id, 'completed');
+
+  assert.equal(finished.attempts, 1);
+  assert.equal(finished.result, 'done');
+  // Each check finds the lock pushed further out than the last
+  for (let i = 1; i < lockedUntil.length; i++) assert.ok(lockedUntil[i] > lockedUntil[i - 1]);
+});
+
+test('a worker that lost its lock does not record its outcome', async () => {
+  let release;
+  defineJob('test.takenOver', () => new Promise((resolve) => { release = resolve; }));
+  const job = await scheduleJob('test.takenOver');
+
+  startJobRunner({ pollInterval: 20, lockTime: LOCK_TIME });
+  await waitForStatus(job._id, 'running');
+  while (!release) await settle(10);
+
+  // Another instance took the job over
+  await Job.updateOne({ _id: job._id }, { $set: { lockedBy: 'other-worker' } });
+  release('late result');
+  await settle(50);
+
+  const current = await db.get(Job, job._id);
+  assert.equal(current.status, 'running');
+  assert.equal(current.lockedBy, 'other-worker');
+  assert.equal(current.result, undefined);
+});
+
+test('finished jobs are stamped for the TTL index, retried ones are not', async () => {
+  const [, ttl] = Job.schema.indexes().find(([fields]) => 'finishedAt' in fields);
+  assert.equal(ttl.expireAfterSeconds, FINISHED_JOB_TTL_DAYS * 24 * 60 * 60);
+
+  defineJob('test.ok', () => 'done');
+  defineJob('test.flaky', () => {
+    throw new Error('try again');
+  });
+  const ok = await scheduleJob('test.ok');
+  const flaky = await scheduleJob('test.flaky');
+
+  startJobRunner({ pollInterval: 20, lockTime: LOCK_TIME });
+  assert.ok((await waitForStatus(ok._id, 'completed')).finishedAt);
+  await settle(50);
+
+  const retrying = await db.get(Job, flaky._id);
+  assert.equal(retrying.status, 'queued');
+  assert.equal(retrying.attempts, 1);
+  assert.equal(retrying.finishedAt, undefined);
+});
+
+test('a PermanentJobError fails the job without retrying', async () => {
+  defineJob('test.invalid', () => {
+    throw new PermanentJobError('Nothing to send');
+  });
+  const job = await scheduleJob('test.invalid');
+
+  startJobRunner({ pollInterval: 20, lockTime: LOCK_TIME });
+  const failed = await waitForStatus(job._id, 'failed');
+  assert.equal(failed.attempts, 1);
+  assert.equal(failed.lastError, 'Nothing to send');
+  assert.ok(failed.finishedAt);
+});
+
+test('a scheduled bulk message to recipients that are gone fails at once', async () => {
+  defineJob('bulk.send', sendScheduledBulkMessage, { maxAttempts: 3 });
+  const sender = await createUser(db);
+  const job = await scheduleBulkMessage({
+    senderId: sender._id,
+    data: { recipients: [String(new mongoose.Types.ObjectId())], message: 'Hello' },
+  });
+
+  startJobRunner({ pollInterval: 20, lockTime: LOCK_TIME });
+  const failed = await waitForStatus(job._id, 'failed');
+  assert.equal(failed.attempts, 1);
+  assert.equal(failed.lastError, 'Some recipients are invalid or banned');
+});
@@ -0,0 +1,58 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AuthThrottle } from '../src/models/AuthThrottle.js';
+import { checkThrottle, recordFailure } from '../src/lib/loginThrottle.js';
+import { installFakeDb } from './support/fakeDb.js';
+
+const EMAIL = 'someone@example.test';
+let req;
+
+beforeEach(() => {
+  installFakeDb();
+  mock.method(console, 'warn', () => {});
+  req = { ip: '203.0.113.9' };
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+async function fail(times) {
+  for (let i = 0; i < times; i++) await recordFailure(req, EMAIL);
+}
+
+function accountEntry() {
+  return AuthThrottle.findOne({ key: `account:${EMAIL}` });
+}
+
+test('ten failures lock the account', async () => {
+  await fail(10);
+
+  const entry = await accountEntry();
+  assert.equal(entry.failures, 10);
+  assert.ok(entry.lockedAt);
+  assert.equal((await checkThrottle(req, EMAIL)).blocked, true);
+});
+
+test('the count starts over once a lockout has expired', async () => {
+  await fail(10);
+  await AuthThrottle.updateMany({}, { $set: { blockedUntil: new Date(Date.now() - 1000) } });
+  // Comes from elsewhere, so the IP's own count doesn't get in the way
+  req = { ip: '198.51.100.7' };
+
+  await fail(1);
+
+  const entry = await accountEntry();
+  assert.equal(entry.failures, 1);
+  assert.equal(entry.lockedAt, undefined);
+  assert.equal((await checkThrottle(req, EMAIL)).blocked, false);
+});
+
+test('a backoff that has passed keeps counting', async () => {
+  await fail(5);
+  await AuthThrottle.updateMany({}, { $set: { blockedUntil: new Date(Date.now() - 1000) } });
+
+  await fail(1);
+  assert.equal((await accountEntry()).failures, 6);
+});
@@ -0,0 +1,125 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Group } from '../src/models/Group.js';
+import { Notification } from '../src/models/Notification.js';
+import { User } from '../src/models/User.js';
+import { groupsRouter } from '../src/routes/groups.js';
+import { mentionsRouter } from '../src/routes/mentions.js';
+import { messagesRouter } from '../src/routes/messages.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, settle, startServer } from './support/server.js';
+
+let db;
+let server;
+let admin;
+let alice;
+let bob;
+let group;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({
+    routes: { '/api/groups': groupsRouter, '/api/mentions': mentionsRouter, '/api/messages': messagesRouter },
+  });
+  admin = await createUser(db, { displayName: 'Admin' });
+  alice = await createUser(db, { displayName: 'Alice' });
+  bob = await createUser(db, { displayName: 'Bob' });
+  group = new Group({
+    name: 'Climbers',
+    creator: admin._id,
+    members: [{ user: admin._id, role: 'admin' }, { user: alice._id }, { user: bob._id }],
+    memberCount: 3,
+  });
+  await db.insert(group);
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+async function sendToGroup(user, content) {
+  const res = await server.request('POST', `/api/groups/${group._id}/messages`, { user, body: { content } });
+  assert.equal(res.status, 201, res.body?.error);
+  await settle();
+  return res.body.message;
+}
+
+function notified() {
+  return db
+    .all(Notification)
+    .filter((n) => n.type === 'mention')
+    .map((n) => String(n.recipient))
+    .sort();
+}
+
+const ids = (...users) => users.map((u) => String(u._id)).sort();
+
+test('only members of the chat can be mentioned', async () => {
+  const outsider = await createUser(db, { displayName: 'Olga' });
+  await Group.updateOne({ _id: group._id }, { $push: { bannedUsers: bob._id } });
+
+  const message = await sendToGroup(alice, `@Admin @Olga @bob @${outsider._id} @Alice`);
+  assert.deepEqual(message.mentions, ids(admin));
+  assert.deepEqual(notified(), ids(admin));
+
+  const inbox = await server.request('GET', '/api/mentions', { user: outsider });
+  assert.deepEqual(inbox.body.mentions, []);
+
+  // In a DM, only the other participant counts
+  await User.updateOne({ _id: alice._id }, { $set: { friends: [admin._id] } });
+  await User.updateOne({ _id: admin._id }, { $set: { friends: [alice._id] } });
+  const dm = await server.request('POST', `/api/messages/private/${admin._id}`, {
+    user: alice,
+    body: { text: '@Admin have you met @Olga?' },
+  });
+  assert.equal(dm.status, 201);
+  assert.deepEqual(dm.body.message.mentions, ids(admin));
+});
+
+test('users blocked either way, or who turned tagging off, are not mentioned', async () => {
+  const carol = await createUser(db, { displayName: 'Carol', allowTagging: false });
+  const dave = await createUser(db, { displayName: 'Dave', allowMentions: false });
+  const erin = await createUser(db, { displayName: 'Erin', blockedUsers: [alice._id] });
+  await User.updateOne({ _id: alice._id }, { $set: { blockedUsers: [bob._id] } });
+  await Group.updateOne(
+    { _id: group._id },
+    { $push: { members: { $each: [carol, dave, erin].map((u) => ({ user: u._id })) } } }
+  );
+
+  const message = await sendToGroup(alice, '@Admin @Bob @Carol @Dave @Erin');
+  // Dave is tagged but asked not to be notified
+  assert.deepEqual(message.mentions, ids(admin, dave));
+  assert.deepEqual(notified(), ids(admin));
+
+  for (const user of [bob, erin]) {
+    const inbox = await server.request('GET', '/api/mentions', { user });
+    assert.deepEqual(inbox.body.mentions, []);
+  }
+});
+
+test('@everyone and @here are for group admins, and still skip blocked members', async () => {
+  const byMember = await sendToGroup(alice, '@everyone look');
+  assert.equal(byMember.mentionsEveryone, false);
+  assert.deepEqual(notified(), []);
+
+  await User.updateOne({ _id: bob._id }, { $set: { blockedUsers: [admin._id] } });
+  const everyone = await sendToGroup(admin, '@everyone meeting at six');
+  assert.equal(everyone.mentionsEveryone, true);
+  assert.deepEqual(everyone.mentions, []);
+  assert.deepEqual(notified(), ids(alice));
+
+  const inbox = await server.request('GET', '/api/mentions', { user: alice });
+  assert.equal(inbox.body.mentions.length, 1);
+
+  // @here reaches only members who are online
+  await Notification.deleteMany({});
+  const offline = await sendToGroup(admin, '@here anyone around?');
+  assert.equal(offline.mentionsEveryone, false);
+  assert.deepEqual(notified(), []);
+
+  await User.updateMany({ _id: { $in: [alice._id, bob._id] } }, { $set: { onlineStatus: 'online' } });
+  const here = await sendToGroup(admin, '@here anyone around?');
+  assert.deepEqual(here.mentions, ids(alice));
+  assert.deepEqual(notified(), ids(alice));
+});
@@ -0,0 +1,99 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MessageRequest } from '../src/models/MessageRequest.js';
+import { MESSAGE_REQUEST_COOLDOWN_MS } from '../src/lib/messageRequests.js';
+import { messagesRouter } from '../src/routes/messages.js';
+import { messageRequestsRouter } from '../src/routes/messageRequests.js';
+import { moderationRouter } from '../src/routes/moderation.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+let db;
+let server;
+let sender;
+let recipient;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({
+    routes: {
+      '/api/messages': messagesRouter,
+      '/api/message-requests': messageRequestsRouter,
+      '/api/moderation': moderationRouter,
+    },
+  });
+  sender = await createUser(db);
+  recipient = await createUser(db, { messageNotifications: false });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+function send(text) {
+  return server.request('POST', `/api/messages/private/${recipient._id}`, { user: sender, body: { text } });
+}
+
+async function inbox(status = 'pending') {
+  const { body } = await server.request('GET', `/api/message-requests?status=${status}`, { user: recipient });
+  return body.requests;
+}
+
+test('a second request while the first is pending is refused', async () => {
+  assert.equal((await send('Hello there')).status, 201);
+
+  const again = await send('Hello again');
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, 'Your message request has not been accepted yet');
+  assert.equal(db.all(MessageRequest).length, 1);
+});
+
+test('an ignored request can be sent again once the cooldown is over', async () => {
+  const first = await send('Hello there');
+  await server.request('POST', `/api/message-requests/${first.body.request.id}/ignore`, { user: recipient });
+
+  const early = await send('Hello again');
+  assert.equal(early.status, 429);
+  assert.equal(early.body.error, 'You can send this user another request later');
+  assert.ok(new Date(early.body.retryAt) > new Date());
+
+  // Ignored long enough ago
+  await MessageRequest.updateOne(
+    { _id: first.body.request.id },
+    { $set: { respondedAt: new Date(Date.now() - MESSAGE_REQUEST_COOLDOWN_MS - 1000) } }
+  );
+
+  const later = await send('Hello again');
+  assert.equal(later.status, 201);
+  assert.equal(later.body.request.id, first.body.request.id);
+  assert.equal(later.body.request.status, 'pending');
+
+  const [request] = await inbox();
+  assert.equal(request.message.text, 'Hello again');
+  assert.deepEqual(await inbox('ignored'), []);
+});
+
+test('a request closed by a block can be sent again once the block is lifted', async () => {
+  const first = await send('Hello there');
+  await server.request('POST', '/api/moderation/block', { user: recipient, body: { userId: String(sender._id) } });
+  assert.equal((await db.get(MessageRequest, first.body.request.id)).status, 'blocked');
+  assert.equal((await send('Hello again')).status, 403);
+
+  await server.request('POST', '/api/moderation/unblock', { user: recipient, body: { userId: String(sender._id) } });
+
+  const later = await send('Hello again');
+  assert.equal(later.status, 201);
+  assert.equal(later.body.request.status, 'pending');
+  assert.equal((await inbox())[0].message.text, 'Hello again');
+});
+
+test('an accepted request opens the chat instead of sending another', async () => {
+  const first = await send('Hello there');
+  await server.request('POST', `/api/message-requests/${first.body.request.id}/accept`, { user: recipient });
+
+  const next = await send('Hello again');
+  assert.equal(next.status, 201);
+  assert.equal(next.body.request, undefined);
+  assert.equal((await db.get(MessageRequest, first.body.request.id)).status, 'accepted');
+});
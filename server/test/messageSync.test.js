@@ -0,0 +1,136 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+import { Conversation } from '../src/models/Conversation.js';
+import { Group } from '../src/models/Group.js';
+import { Message } from '../src/models/Message.js';
+import { User } from '../src/models/User.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+let db;
+let server;
+let alice;
+let bob;
+let carol;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer();
+  alice = await createUser(db, { displayName: 'Alice' });
+  bob = await createUser(db, { displayName: 'Bob' });
+  carol = await createUser(db, { displayName: 'Carol' });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+async function insertMessage(fields) {
+  const message = new Message({ from: bob._id, text: 'hi', ...fields });
+  await db.insert(message);
+  return message;
+}
+
+function dm(from, to, fields = {}) {
+  return insertMessage({ kind: 'private', from: from._id, to: to._id, participants: [from._id, to._id], ...fields });
+}
+
+function roomMessage(roomId, from = bob) {
+  return insertMessage({ kind: 'public', roomId, from: from._id });
+}
+
+async function sync(socket, payload) {
+  const ack = await socket.call('sync:since', payload);
+  assert.equal(ack.ok, true, ack.error);
+  return ack;
+}
+
+test('sync returns what was missed in DMs, groups, conversations and the named rooms only', async () => {
+  const cursor = String(new mongoose.Types.ObjectId());
+
+  const ours = new Group({ name: 'Ours', creator: bob._id, members: [{ user: alice._id }, { user: bob._id }] });
+  const theirs = new Group({ name: 'Theirs', creator: bob._id, members: [{ user: bob._id }] });
+  const banned = new Group({ name: 'Banned', creator: bob._id, members: [{ user: alice._id }], bannedUsers: [alice._id] });
+  const chat = new Conversation({ participants: [alice._id, bob._id, carol._id], createdBy: bob._id });
+  await db.insert(ours, theirs, banned, chat);
+
+  const expected = [
+    await dm(bob, alice),
+    await dm(alice, bob),
+    await insertMessage({ kind: 'group', groupId: ours._id }),
+    await insertMessage({ kind: 'conversation', conversationId: chat._id }),
+    await roomMessage('lobby'),
+  ];
+  // Out of reach, not asked for, removed or still a request
+  await dm(bob, carol);
+  await insertMessage({ kind: 'group', groupId: theirs._id });
+  await insertMessage({ kind: 'group', groupId: banned._id });
+  await roomMessage('elsewhere');
+  await insertMessage({ kind: 'public', roomId: 'lobby', isDeleted: true });
+  await dm(carol, alice, { isRequest: true });
+
+  const socket = await server.connect(alice);
+  const ack = await sync(socket, { cursor, rooms: ['lobby'] });
+  assert.deepEqual(ack.messages.map((m) => m.id), expected.map((m) => String(m._id)));
+  assert.deepEqual(ack.messages.map((m) => m.kind), ['private', 'private', 'group', 'conversation', 'public']);
+  assert.equal(ack.hasMore, false);
+  assert.equal(ack.cursor, String(expected.at(-1)._id));
+
+  // Nothing new since then
+  const again = await sync(socket, { cursor: ack.cursor, rooms: ['lobby'] });
+  assert.deepEqual(again.messages, []);
+  assert.equal(again.cursor, ack.cursor);
+
+  const bad = await socket.call('sync:since', { cursor: 'yesterday' });
+  assert.deepEqual(bad, { ok: false, error: 'Invalid cursor' });
+});
+
+test('sync pages through a long gap with the returned cursor', async () => {
+  const cursor = String(new mongoose.Types.ObjectId());
+  const sent = [];
+  for (let i = 0; i < 205; i++) sent.push(String((await roomMessage('lobby'))._id));
+
+  const socket = await server.connect(alice);
+  const first = await sync(socket, { cursor, rooms: ['lobby'] });
+  assert.equal(first.messages.length, 200);
+  assert.equal(first.hasMore, true);
+  assert.equal(first.cursor, sent[199]);
+
+  const second = await sync(socket, { cursor: first.cursor, rooms: ['lobby'] });
+  assert.deepEqual(second.messages.map((m) => m.id), sent.slice(200));
+  assert.equal(second.hasMore, false);
+});
+
+test('sync leaves out senders blocked either way', async () => {
+  const cursor = String(new mongoose.Types.ObjectId());
+  await User.updateOne({ _id: alice._id }, { $addToSet: { blockedUsers: bob._id } });
+  await User.updateOne({ _id: carol._id }, { $addToSet: { blockedUsers: alice._id } });
+  const dave = await createUser(db, { displayName: 'Dave' });
+
+  await roomMessage('lobby', bob);
+  await roomMessage('lobby', carol);
+  const kept = await roomMessage('lobby', dave);
+
+  const socket = await server.connect(alice);
+  const ack = await sync(socket, { cursor, rooms: ['lobby'] });
+  assert.deepEqual(ack.messages.map((m) => m.id), [String(kept._id)]);
+});
+
+test('synced DMs are marked delivered and the sender is told', async () => {
+  const cursor = String(new mongoose.Types.ObjectId());
+  const message = await dm(bob, alice);
+  const room = await roomMessage('lobby');
+
+  const bobSocket = await server.connect(bob);
+  const socket = await server.connect(alice);
+  await sync(socket, { cursor, rooms: ['lobby'] });
+
+  const receipt = await bobSocket.next('message:delivered');
+  assert.equal(receipt.messageId, String(message._id));
+  assert.equal(receipt.userId, String(alice._id));
+  assert.deepEqual((await db.get(Message, message._id)).deliveredTo.map(String), [String(alice._id)]);
+  // Room messages aren't tracked
+  assert.deepEqual((await db.get(Message, room._id)).deliveredTo, []);
+});
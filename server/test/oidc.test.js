@@ -0,0 +1,152 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { User } from '../src/models/User.js';
+import { OAuthState } from '../src/models/OAuthState.js';
+import { oidcRouter } from '../src/routes/oidc.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { startServer } from './support/server.js';
+
+// Runs the code + PKCE flow against mock-oidc.js, the provider used for
+// trying social login locally
+
+const MOCK_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'mock-oidc.js');
+
+let provider;
+let db;
+let server;
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+before(async () => {
+  const port = await freePort();
+  const issuer = `http://localhost:${port}`;
+  provider = spawn(process.execPath, [MOCK_SCRIPT], {
+    env: { ...process.env, MOCK_OIDC_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  await new Promise((resolve, reject) => {
+    provider.once('exit', (code) => reject(new Error(`mock-oidc.js exited with ${code}`)));
+    provider.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('Mock OIDC provider at')) resolve();
+    });
+  });
+
+  Object.assign(process.env, {
+    OIDC_PROVIDERS: 'mock',
+    OIDC_MOCK_ISSUER: issuer,
+    OIDC_MOCK_CLIENT_ID: 'meet-and-greet',
+    OIDC_MOCK_CLIENT_SECRET: 'mock-secret',
+    OIDC_MOCK_NAME: 'Mock provider',
+  });
+});
+
+after(() => {
+  provider.removeAllListeners('exit');
+  provider.kill();
+});
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/oidc': oidcRouter } });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+// What the browser does: /start, then the provider's sign-in form, which
+// redirects back with a code and the state
+async function signInAtProvider(email = 'alice@example.com') {
+  const started = await server.request('POST', '/api/oidc/mock/start', { body: { mode: 'login' } });
+  assert.equal(started.status, 200);
+
+  const authorize = new URL(started.body.url);
+  const form = new URLSearchParams(authorize.searchParams);
+  form.set('email', email);
+  form.set('name', 'Alice Example');
+  form.set('email_verified', 'true');
+  const res = await fetch(`${authorize.origin}/authorize`, { method: 'POST', body: form, redirect: 'manual' });
+  assert.equal(res.status, 302);
+
+  const back = new URL(res.headers.get('location'));
+  return {
+    code: back.searchParams.get('code'),
+    state: back.searchParams.get('state'),
+    binding: started.body.binding,
+    startedState: started.body.state,
+  };
+}
+
+function callback(body) {
+  return server.request('POST', '/api/oidc/callback', { body });
+}
+
+test('signing in through the provider creates a verified account without a password', async () => {
+  const { code, state, binding, startedState } = await signInAtProvider();
+  assert.equal(state, startedState);
+
+  const res = await callback({ code, state, binding });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.created, true);
+  assert.ok(res.body.token);
+
+  const [user] = db.all(User);
+  assert.equal(user.email, 'alice@example.com');
+  assert.equal(user.emailVerified, true);
+  assert.equal(user.passwordSet, false);
+  assert.equal(user.oauthAccounts[0].provider, 'mock');
+
+  // The same identity signs in to the same account
+  const again = await signInAtProvider();
+  const second = await callback({ code: again.code, state: again.state, binding: again.binding });
+  assert.equal(second.status, 200);
+  assert.equal(second.body.created, false);
+  assert.equal(db.all(User).length, 1);
+});
+
+test('a callback started in another browser is refused (login CSRF)', async () => {
+  // The attacker signs in as themselves and stops before the callback
+  const attacker = await signInAtProvider('mallory@example.com');
+
+  // The victim's browser has its own binding, or none at all
+  const victim = await server.request('POST', '/api/oidc/mock/start', { body: { mode: 'login' } });
+  const res = await callback({ code: attacker.code, state: attacker.state, binding: victim.body.binding });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'This sign-in was started in another browser');
+  assert.equal((await callback({ code: attacker.code, state: attacker.state })).status, 400);
+  assert.equal(db.all(User).length, 0);
+});
+
+test('a state works once', async () => {
+  const { code, state, binding } = await signInAtProvider();
+  assert.equal((await callback({ code, state, binding })).status, 200);
+
+  const replay = await callback({ code, state, binding });
+  assert.equal(replay.status, 400);
+  assert.equal(replay.body.error, 'Sign-in has expired, please try again');
+  assert.equal(db.all(OAuthState).length, 0);
+});
+
+test("a code can't be redeemed with another sign-in's PKCE verifier", async () => {
+  const first = await signInAtProvider();
+  const second = await signInAtProvider();
+
+  // Our server sends the second flow's verifier, which doesn't match the
+  // challenge the first code was issued for
+  const res = await callback({ code: first.code, state: second.state, binding: second.binding });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, 'Could not sign in with Mock provider');
+  assert.equal(db.all(User).length, 0);
+});
@@ -0,0 +1,128 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Group } from '../src/models/Group.js';
+import { Message } from '../src/models/Message.js';
+import { User } from '../src/models/User.js';
+import { groupsRouter } from '../src/routes/groups.js';
+import { messagesRouter } from '../src/routes/messages.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+let db;
+let server;
+let alice;
+let bob;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/messages': messagesRouter, '/api/groups': groupsRouter } });
+  alice = await createUser(db, { displayName: 'Alice' });
+  bob = await createUser(db, { displayName: 'Bob', friends: [alice._id] });
+  await User.updateOne({ _id: alice._id }, { $set: { friends: [bob._id] } });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+// `count` messages, oldest first; returns their ids as strings
+async function insertMessages(count, fields) {
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    const message = new Message({ from: bob._id, text: `#${i}`, ...fields });
+    await db.insert(message);
+    ids.push(String(message._id));
+  }
+  return ids;
+}
+
+async function page(path, query = '') {
+  const res = await server.request('GET', `${path}${query}`, { user: alice });
+  assert.equal(res.status, 200, res.body?.error);
+  return { ...res.body, ids: res.body.messages.map((m) => m.id) };
+}
+
+test('history starts at the latest page and walks back with before', async () => {
+  const ids = await insertMessages(5, { kind: 'public', roomId: 'lobby' });
+  const path = '/api/messages/public/lobby';
+
+  const latest = await page(path, '?limit=2');
+  assert.deepEqual(latest.ids, ids.slice(3));
+  assert.equal(latest.hasMore, true);
+  assert.equal(latest.nextCursor, ids[3]);
+
+  const older = await page(path, `?limit=2&before=${latest.nextCursor}`);
+  assert.deepEqual(older.ids, ids.slice(1, 3));
+  assert.equal(older.nextCursor, ids[1]);
+
+  const oldest = await page(path, `?limit=2&before=${older.nextCursor}`);
+  assert.deepEqual(oldest.ids, [ids[0]]);
+  assert.equal(oldest.hasMore, false);
+  assert.equal(oldest.nextCursor, null);
+
+  // A page that ends exactly at the first message says so
+  const exact = await page(path, `?limit=3&before=${ids[3]}`);
+  assert.deepEqual(exact.ids, ids.slice(0, 3));
+  assert.equal(exact.hasMore, false);
+  assert.equal(exact.nextCursor, null);
+  assert.deepEqual((await page(path, `?before=${ids[0]}`)).ids, []);
+});
+
+test('after fetches newer messages, oldest first, up to the latest', async () => {
+  const ids = await insertMessages(5, { kind: 'public', roomId: 'lobby' });
+  const path = '/api/messages/public/lobby';
+
+  const newer = await page(path, `?limit=2&after=${ids[0]}`);
+  assert.deepEqual(newer.ids, ids.slice(1, 3));
+  assert.equal(newer.hasMore, true);
+  assert.equal(newer.nextCursor, ids[2]);
+
+  const rest = await page(path, `?limit=2&after=${newer.nextCursor}`);
+  assert.deepEqual(rest.ids, ids.slice(3));
+  assert.equal(rest.hasMore, false);
+  assert.equal(rest.nextCursor, null);
+
+  const caughtUp = await page(path, `?after=${ids[4]}`);
+  assert.deepEqual(caughtUp.ids, []);
+  assert.equal(caughtUp.nextCursor, null);
+});
+
+test('bad cursors and limits are refused', async () => {
+  const [id] = await insertMessages(1, { kind: 'public', roomId: 'lobby' });
+
+  for (const query of [`?before=${id}&after=${id}`, '?before=yesterday', '?after=1', '?limit=0', '?limit=101']) {
+    const res = await server.request('GET', `/api/messages/public/lobby${query}`, { user: alice });
+    assert.equal(res.status, 400, query);
+    assert.equal(res.body.error, 'Invalid cursor');
+  }
+});
+
+test('private and group history page the same way, within their own chat', async () => {
+  const dm = { kind: 'private', to: alice._id, participants: [bob._id, alice._id] };
+  const ids = await insertMessages(3, dm);
+  await insertMessages(2, { kind: 'public', roomId: 'lobby' });
+
+  const latest = await page(`/api/messages/private/${bob._id}`, '?limit=2');
+  assert.deepEqual(latest.ids, ids.slice(1));
+  const older = await page(`/api/messages/private/${bob._id}`, `?limit=2&before=${latest.nextCursor}`);
+  assert.deepEqual(older.ids, [ids[0]]);
+  assert.equal(older.nextCursor, null);
+
+  const group = new Group({
+    name: 'Climbers',
+    creator: bob._id,
+    members: [{ user: alice._id }, { user: bob._id }],
+    memberCount: 2,
+  });
+  await db.insert(group);
+  const groupIds = await insertMessages(3, { kind: 'group', groupId: group._id });
+  const path = `/api/groups/${group._id}/messages`;
+
+  const first = await page(path, '?limit=2');
+  assert.deepEqual(first.ids, groupIds.slice(1));
+  assert.equal(first.nextCursor, groupIds[1]);
+  const after = await page(path, `?after=${groupIds[0]}`);
+  assert.deepEqual(after.ids, groupIds.slice(1));
+  assert.equal(after.hasMore, false);
+});
@@ -0,0 +1,88 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Message } from '../src/models/Message.js';
+import { Conversation } from '../src/models/Conversation.js';
+import { pinsRouter } from '../src/routes/pins.js';
+import { PIN_LIMIT, setPinned } from '../src/lib/pins.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+let db;
+let server;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/pins': pinsRouter } });
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+function roomMessages(count, fields = {}) {
+  return Array.from({ length: count }, () => new Message({ kind: 'public', roomId: 'general', text: 'x', ...fields }));
+}
+
+test('deleted messages can be unpinned but not pinned', async () => {
+  const admin = await createUser(db, { role: 'admin' });
+  const [pinned, unpinned] = roomMessages(2, { isDeleted: true });
+  pinned.isPinned = true;
+  await db.insert(pinned, unpinned);
+
+  const pin = await server.request('POST', `/api/pins/${unpinned._id}`, { user: admin });
+  assert.equal(pin.status, 400);
+
+  const unpin = await server.request('DELETE', `/api/pins/${pinned._id}`, { user: admin });
+  assert.equal(unpin.status, 200);
+  assert.equal((await db.get(Message, pinned._id)).isPinned, false);
+});
+
+test('deleted pins do not count towards the limit', async () => {
+  const admin = await createUser(db, { role: 'admin' });
+  const deleted = roomMessages(PIN_LIMIT, { isPinned: true, isDeleted: true });
+  const [message] = roomMessages(1);
+  await db.insert(...deleted, message);
+
+  const result = await setPinned(message, admin, true);
+  assert.equal(result.message.isPinned, true);
+});
+
+test('pins racing for the last slot leave the chat at the limit', async () => {
+  const admin = await createUser(db, { role: 'admin' });
+  const existing = roomMessages(PIN_LIMIT - 1, { isPinned: true });
+  const racing = roomMessages(3);
+  await db.insert(...existing, ...racing);
+
+  const results = await Promise.all(racing.map((m) => setPinned(m, admin, true)));
+
+  assert.ok(results.filter((r) => r.message).length <= 1);
+  assert.ok(results.some((r) => r.status === 400));
+  const pinnedCount = db.all(Message).filter((m) => m.isPinned).length;
+  assert.ok(pinnedCount <= PIN_LIMIT);
+});
+
+test('conversation pins are open to current participants only', async () => {
+  const [alice, bob, carol] = await Promise.all([1, 2, 3].map(() => createUser(db)));
+  const conversation = new Conversation({ participants: [alice._id, bob._id], createdBy: alice._id });
+  // Carol was in the conversation when this was sent, then left
+  const message = new Message({
+    kind: 'conversation',
+    conversationId: conversation._id,
+    participants: [alice._id, bob._id, carol._id],
+    from: alice._id,
+    text: 'plan',
+  });
+  await db.insert(conversation, message);
+
+  assert.equal((await server.request('POST', `/api/pins/${message._id}`, { user: carol })).status, 403);
+  assert.equal((await server.request('POST', `/api/pins/${message._id}`, { user: bob })).status, 200);
+
+  const list = await server.request('GET', `/api/pins/conversation/${conversation._id}`, { user: alice });
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.pins.map((p) => p.id), [String(message._id)]);
+  assert.equal(list.body.canPin, true);
+
+  assert.equal((await server.request('GET', `/api/pins/conversation/${conversation._id}`, { user: carol })).status, 404);
+});
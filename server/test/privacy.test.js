@@ -0,0 +1,154 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { usersRouter } from '../src/routes/users.js';
+import { profilesRouter } from '../src/routes/profiles.js';
+import { followRouter } from '../src/routes/follow.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, settle, startServer } from './support/server.js';
+
+// Who sees the owner's details, by the owner's profileVisibility. Following
+// someone doesn't make you their friend.
+const SEES = {
+  public: { stranger: true, friend: true, follower: true, owner: true },
+  friends: { stranger: false, friend: true, follower: false, owner: true },
+  private: { stranger: false, friend: false, follower: false, owner: true },
+};
+
+let db;
+let server;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({
+    routes: { '/api/users': usersRouter, '/api/profiles': profilesRouter, '/api/follow': followRouter },
+  });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+// An owner with the given visibility, plus one viewer of each kind
+async function cast(profileVisibility, fields = {}) {
+  const stranger = await createUser(db);
+  const friend = await createUser(db);
+  const follower = await createUser(db);
+  const owner = await createUser(db, {
+    profileVisibility,
+    bio: 'Climbs on weekends',
+    onlineStatus: 'online',
+    friends: [friend._id],
+    followers: [follower._id],
+    following: [friend._id],
+    ...fields,
+  });
+  return { owner, viewers: { stranger, friend, follower, owner } };
+}
+
+for (const [visibility, sees] of Object.entries(SEES)) {
+  test(`${visibility} profile: details are shown only to those allowed`, async () => {
+    const { owner, viewers } = await cast(visibility);
+
+    for (const [kind, viewer] of Object.entries(viewers)) {
+      const label = `${kind} viewing ${visibility}`;
+
+      const profile = await server.request('GET', `/api/profiles/${owner._id}`, { user: viewer });
+      assert.equal(profile.status, 200, label);
+      assert.equal(profile.body.profile.displayName, owner.displayName, label);
+      assert.equal(profile.body.profile.isRestricted, !sees[kind], label);
+      assert.equal(profile.body.profile.bio, sees[kind] ? 'Climbs on weekends' : '', label);
+      assert.equal(profile.body.profile.followersCount, sees[kind] ? 1 : undefined, label);
+
+      const card = await server.request('GET', `/api/users/${owner._id}`, { user: viewer });
+      assert.equal(card.status, 200, label);
+      assert.equal(card.body.user.bio, sees[kind] ? 'Climbs on weekends' : '', label);
+    }
+  });
+
+  test(`${visibility} profile: follow lists are shown only to those allowed`, async () => {
+    const { owner, viewers } = await cast(visibility);
+
+    for (const [kind, viewer] of Object.entries(viewers)) {
+      const label = `${kind} viewing ${visibility}`;
+
+      const followers = await server.request('GET', `/api/follow/${owner._id}/followers`, { user: viewer });
+      const following = await server.request('GET', `/api/follow/${owner._id}/following`, { user: viewer });
+      const stats = await server.request('GET', `/api/follow/${owner._id}/stats`, { user: viewer });
+      if (sees[kind]) {
+        assert.equal(followers.status, 200, label);
+        assert.deepEqual(followers.body.followers.map((u) => u._id), [String(viewers.follower._id)], label);
+        assert.equal(following.status, 200, label);
+        assert.deepEqual(following.body.following.map((u) => u._id), [String(viewers.friend._id)], label);
+        assert.equal(stats.status, 200, label);
+      } else {
+        assert.equal(followers.status, 403, label);
+        assert.equal(followers.body.followers, undefined, label);
+        assert.equal(following.status, 403, label);
+        assert.equal(stats.status, 403, label);
+      }
+    }
+  });
+
+  test(`${visibility} profile: presence is shown only to those allowed`, async () => {
+    const { owner, viewers } = await cast(visibility);
+
+    for (const [kind, viewer] of Object.entries(viewers)) {
+      const label = `${kind} viewing ${visibility}`;
+
+      const card = await server.request('GET', `/api/users/${owner._id}`, { user: viewer });
+      assert.equal(card.body.user.onlineStatus, sees[kind] ? 'online' : 'offline', label);
+      assert.equal(card.body.user.lastSeen === null, !sees[kind], label);
+
+      const stats = await server.request('GET', `/api/profiles/${owner._id}/stats`, { user: viewer });
+      if (sees[kind]) {
+        assert.equal(stats.status, 200, label);
+        assert.equal(stats.body.stats.onlineStatus, 'online', label);
+      } else {
+        assert.equal(stats.status, 403, label);
+      }
+    }
+
+    // Status changes reach friends only when they may see them
+    const friendSocket = await server.connect(viewers.friend);
+    const ownerSocket = await server.connect(owner);
+    ownerSocket.emit('status:update', { status: 'away' });
+    await settle();
+    const updates = friendSocket.received.filter((r) => r.event === 'friend:status_update');
+    if (sees.friend) {
+      assert.equal(updates.at(-1)?.payload.status, 'away');
+    } else {
+      assert.equal(updates.length, 0);
+    }
+  });
+}
+
+test('hidden online status and invisible read as offline, except to the owner', async () => {
+  const hidden = await cast('public', { showOnlineStatus: false });
+  for (const [kind, viewer] of Object.entries(hidden.viewers)) {
+    const { body } = await server.request('GET', `/api/users/${hidden.owner._id}`, { user: viewer });
+    assert.equal(body.user.onlineStatus, kind === 'owner' ? 'online' : 'offline', kind);
+    assert.equal(body.user.bio, 'Climbs on weekends', kind);
+  }
+
+  const invisible = await cast('public', { onlineStatus: 'invisible' });
+  for (const [kind, viewer] of Object.entries(invisible.viewers)) {
+    const { body } = await server.request('GET', `/api/users/${invisible.owner._id}`, { user: viewer });
+    assert.equal(body.user.onlineStatus, kind === 'owner' ? 'invisible' : 'offline', kind);
+    assert.equal(body.user.lastSeen === null, kind !== 'owner', kind);
+  }
+});
+
+test('signed-out visitors see public profiles only', async () => {
+  for (const [visibility, sees] of Object.entries(SEES)) {
+    const { owner } = await cast(visibility);
+
+    const profile = await server.request('GET', `/api/profiles/${owner._id}`);
+    assert.equal(profile.status, 200, visibility);
+    assert.equal(profile.body.profile.isRestricted, !sees.stranger, visibility);
+    assert.equal(profile.body.profile.onlineStatus, sees.stranger ? 'online' : 'offline', visibility);
+
+    const followers = await server.request('GET', `/api/follow/${owner._id}/followers`);
+    assert.equal(followers.status, sees.stranger ? 200 : 403, visibility);
+  }
+});
@@ -0,0 +1,256 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Room } from '../src/models/Room.js';
+import { Group } from '../src/models/Group.js';
+import { Message } from '../src/models/Message.js';
+import { Conversation } from '../src/models/Conversation.js';
+import { roomsRouter } from '../src/routes/rooms.js';
+import { groupsRouter } from '../src/routes/groups.js';
+import { messageEditRouter } from '../src/routes/messageEdit.js';
+import { reactionsRouter } from '../src/routes/reactions.js';
+import { threadingRouter } from '../src/routes/threading.js';
+import { conversationsRouter } from '../src/routes/conversations.js';
+import { createMemoryAdapter } from '../src/socket/adapters/memory.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, settle, startServer } from './support/server.js';
+
+// Each route publishes through lib/realtime.js to one of the channels
+// (room:, group:, conversation:, user:); these check with real socket
+// clients that its events reach members of that channel and nobody else.
+
+let db;
+let server;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({
+    routes: {
+      '/api/rooms': roomsRouter,
+      '/api/groups': groupsRouter,
+      '/api/messages': messageEditRouter,
+      '/api/reactions': reactionsRouter,
+      '/api/threads': threadingRouter,
+      '/api/conversations': conversationsRouter,
+    },
+  });
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+test('room join reaches sockets in room:<id> only', async () => {
+  const [owner, member, outsider, joiner] = await Promise.all([1, 2, 3, 4].map(() => createUser(db)));
+  const room = new Room({ name: 'Lobby', creator: owner._id, currentUsers: [owner._id, member._id] });
+  await db.insert(room);
+
+  const memberSocket = await server.connect(member);
+  const outsiderSocket = await server.connect(outsider);
+  memberSocket.emit('public:join', { roomId: String(room._id) });
+  outsiderSocket.emit('public:join', { roomId: 'elsewhere' });
+  await settle();
+
+  const res = await server.request('POST', `/api/rooms/${room._id}/join`, { user: joiner, body: {} });
+  assert.equal(res.status, 200);
+
+  const event = await memberSocket.next('room:user_joined');
+  assert.equal(event.userId, String(joiner._id));
+  await settle();
+  assert.equal(outsiderSocket.got('room:user_joined'), false);
+});
+
+test('room kick tells the room and the kicked user, on their user channel', async () => {
+  const [owner, target, bystander] = await Promise.all([1, 2, 3].map(() => createUser(db)));
+  const room = new Room({ name: 'Lobby', creator: owner._id, currentUsers: [owner._id, target._id] });
+  await db.insert(room);
+
+  const ownerSocket = await server.connect(owner);
+  const targetSocket = await server.connect(target);
+  const bystanderSocket = await server.connect(bystander);
+  ownerSocket.emit('public:join', { roomId: String(room._id) });
+  await settle();
+
+  const res = await server.request('POST', `/api/rooms/${room._id}/kick/${target._id}`, { user: owner });
+  assert.equal(res.status, 200);
+
+  assert.equal((await ownerSocket.next('room:user_kicked')).userId, String(target._id));
+  assert.equal((await targetSocket.next('room:kicked')).roomId, String(room._id));
+  await settle();
+  assert.equal(ownerSocket.got('room:kicked'), false);
+  assert.equal(bystanderSocket.got('room:kicked'), false);
+  assert.equal(bystanderSocket.got('room:user_kicked'), false);
+});
+
+test('editing a public message reaches its room', async () => {
+  const [author, reader, outsider] = await Promise.all([1, 2, 3].map(() => createUser(db)));
+  const message = new Message({ kind: 'public', roomId: 'general', from: author._id, text: 'helo' });
+  await db.insert(message);
+
+  const readerSocket = await server.connect(reader);
+  const outsiderSocket = await server.connect(outsider);
+  readerSocket.emit('public:join', { roomId: 'general' });
+  outsiderSocket.emit('public:join', { roomId: 'random' });
+  await settle();
+
+  const res = await server.request('PATCH', `/api/messages/${message._id}/edit`, { user: author, body: { text: 'hello' } });
+  assert.equal(res.status, 200);
+
+  assert.equal((await readerSocket.next('message_edited')).newText, 'hello');
+  await settle();
+  assert.equal(outsiderSocket.got('message_edited'), false);
+});
+
+test('group messages and reactions reach sockets in group:<id> only', async () => {
+  const [owner, member, outsider] = await Promise.all([1, 2, 3].map(() => createUser(db)));
+  const group = new Group({
+    name: 'Climbers',
+    creator: owner._id,
+    members: [
+      { user: owner._id, role: 'admin' },
+      { user: member._id, role: 'member' },
+    ],
+  });
+  await db.insert(group);
+
+  const memberSocket = await server.connect(member);
+  const outsiderSocket = await server.connect(outsider);
+  assert.deepEqual(await memberSocket.call('group:join', { groupId: String(group._id) }), { ok: true });
+  assert.equal((await outsiderSocket.call('group:join', { groupId: String(group._id) })).ok, false);
+
+  const sent = await server.request('POST', `/api/groups/${group._id}/messages`, {
+    user: owner,
+    body: { content: 'Saturday?' },
+  });
+  assert.equal(sent.status, 201);
+  assert.equal((await memberSocket.next('group:message')).text, 'Saturday?');
+
+  const reacted = await server.request('POST', `/api/reactions/${sent.body.message.id}/reactions`, {
+    user: member,
+    body: { emoji: '👍' },
+  });
+  assert.equal(reacted.status, 200);
+  assert.equal((await memberSocket.next('message_reaction')).emoji, '👍');
+
+  await settle();
+  assert.equal(outsiderSocket.got('group:message'), false);
+  assert.equal(outsiderSocket.got('message_reaction'), false);
+});
+
+test('members who leave or are removed stop getting group:<id> events', async () => {
+  const [owner, leaver, kicked, stayer] = await Promise.all([1, 2, 3, 4].map(() => createUser(db)));
+  const group = new Group({
+    name: 'Climbers',
+    creator: owner._id,
+    memberCount: 4,
+    members: [owner, leaver, kicked, stayer].map((u) => ({ user: u._id, role: u === owner ? 'admin' : 'member' })),
+  });
+  await db.insert(group);
+  const groupId = String(group._id);
+
+  const ownerSocket = await server.connect(owner);
+  const sockets = await Promise.all([leaver, kicked, stayer].map((u) => server.connect(u)));
+  for (const socket of [ownerSocket, ...sockets]) {
+    assert.deepEqual(await socket.call('group:join', { groupId }), { ok: true });
+  }
+  const [leaverSocket, kickedSocket, stayerSocket] = sockets;
+
+  assert.equal((await server.request('POST', `/api/groups/${groupId}/leave`, { user: leaver })).status, 200);
+  assert.equal((await server.request('DELETE', `/api/groups/${groupId}/members/${kicked._id}`, { user: owner })).status, 200);
+
+  const sent = await server.request('POST', `/api/groups/${groupId}/messages`, { user: owner, body: { content: 'still here?' } });
+  assert.equal(sent.status, 201);
+  ownerSocket.emit('group:typing', { groupId, isTyping: true });
+
+  assert.equal((await stayerSocket.next('group:message')).text, 'still here?');
+  assert.equal((await stayerSocket.next('group:typing')).userId, String(owner._id));
+  await settle();
+  for (const socket of [leaverSocket, kickedSocket]) {
+    assert.equal(socket.got('group:message'), false);
+    assert.equal(socket.got('group:typing'), false);
+  }
+});
+
+test('replies to a private message reach both participants on user:<id>', async () => {
+  const [alice, bob, carol] = await Promise.all([1, 2, 3].map(() => createUser(db)));
+  alice.friends.push(bob._id);
+  bob.friends.push(alice._id);
+  await db.insert(alice, bob);
+  const message = new Message({
+    kind: 'private',
+    participants: [alice._id, bob._id],
+    from: alice._id,
+    to: bob._id,
+    text: 'lunch?',
+  });
+  await db.insert(message);
+
+  const aliceSocket = await server.connect(alice);
+  const bobSocket = await server.connect(bob);
+  const carolSocket = await server.connect(carol);
+
+  const res = await server.request('POST', `/api/threads/${message._id}/reply`, { user: bob, body: { text: 'sure' } });
+  assert.equal(res.status, 201);
+
+  assert.equal((await aliceSocket.next('message_reply')).parentMessageId, String(message._id));
+  assert.equal((await bobSocket.next('message_reply')).parentMessageId, String(message._id));
+  assert.equal((await aliceSocket.next('message_reply_notification')).text, 'sure');
+  await settle();
+  assert.equal(bobSocket.got('message_reply_notification'), false);
+  assert.equal(carolSocket.got('message_reply'), false);
+});
+
+test('conversation messages reach participants; typing stays in conversation:<id>', async () => {
+  const [alice, bob, carol, dave] = await Promise.all([1, 2, 3, 4].map(() => createUser(db)));
+  const conversation = new Conversation({ participants: [alice._id, bob._id, carol._id], createdBy: alice._id });
+  await db.insert(conversation);
+
+  const bobSocket = await server.connect(bob);
+  const carolSocket = await server.connect(carol);
+  const daveSocket = await server.connect(dave);
+  const aliceSocket = await server.connect(alice);
+  const conversationId = String(conversation._id);
+  assert.deepEqual(await bobSocket.call('conversation:join', { conversationId }), { ok: true });
+  assert.deepEqual(await aliceSocket.call('conversation:join', { conversationId }), { ok: true });
+  assert.equal((await daveSocket.call('conversation:join', { conversationId })).ok, false);
+
+  const res = await server.request('POST', `/api/conversations/${conversationId}/messages`, {
+    user: alice,
+    body: { text: 'hi all' },
+  });
+  assert.equal(res.status, 201);
+
+  // Messages go to every participant, whether or not the conversation is open
+  assert.equal((await bobSocket.next('conversation:message')).text, 'hi all');
+  assert.equal((await carolSocket.next('conversation:message')).text, 'hi all');
+
+  aliceSocket.emit('conversation:typing', { conversationId, isTyping: true });
+  assert.equal((await bobSocket.next('conversation:typing')).userId, String(alice._id));
+
+  await settle();
+  assert.equal(carolSocket.got('conversation:typing'), false);
+  assert.equal(daveSocket.got('conversation:message'), false);
+  assert.equal(daveSocket.got('conversation:typing'), false);
+});
+
+test('a handler that fails tells the socket with an error event', async () => {
+  mock.method(console, 'error', () => {});
+  const adapter = createMemoryAdapter();
+  adapter.enqueueRandom = async () => {
+    throw new Error('store unavailable');
+  };
+  const failing = await startServer({ adapter });
+  try {
+    const socket = await failing.connect(await createUser(db));
+    socket.emit('random:start');
+    assert.deepEqual(await socket.next('error'), { event: 'random:start', error: 'Failed to join random chat' });
+
+    // Still connected and handling events
+    socket.emit('random:message', { text: 'anyone?' });
+    socket.emit('random:message');
+    assert.equal(await socket.call('conversation:join', {}).then((r) => r.ok), false);
+  } finally {
+    await failing.close();
+  }
+});
@@ -0,0 +1,162 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Redis from 'ioredis';
+
+import { createRedisAdapter } from '../src/socket/adapters/redis.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { startRedisStandIn } from './support/redisStandIn.js';
+import { createUser, settle, startServer } from './support/server.js';
+
+// Two adapter instances (standing in for two server processes) against one
+// Redis-protocol stand-in
+
+let redis;
+let cleanup;
+
+beforeEach(async () => {
+  redis = await startRedisStandIn();
+  cleanup = [];
+});
+
+afterEach(async () => {
+  for (const fn of cleanup.reverse()) await fn();
+  await redis.close();
+  mock.restoreAll();
+});
+
+function adapter(options = {}) {
+  const instance = createRedisAdapter({ url: redis.url, ...options });
+  let closed = false;
+  const close = instance.close.bind(instance);
+  instance.close = async () => {
+    if (closed) return;
+    closed = true;
+    await close();
+  };
+  cleanup.push(() => instance.close());
+  return instance;
+}
+
+function waitFor(check, { timeout = 2000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      const value = check();
+      if (value) {
+        clearInterval(timer);
+        resolve(value);
+      } else if (Date.now() - started > timeout) {
+        clearInterval(timer);
+        reject(new Error('Timed out waiting'));
+      }
+    }, 10);
+  });
+}
+
+test('presence is shared: online with the first socket anywhere, offline with the last', async () => {
+  const a = adapter();
+  const b = adapter();
+  await Promise.all([a.start(), b.start()]);
+
+  assert.equal(await a.addSocket('u1', 'a-1'), true);
+  assert.equal(await b.addSocket('u1', 'b-1'), false);
+  assert.equal(await a.removeSocket('u1', 'a-1'), false);
+  assert.equal(await b.removeSocket('u1', 'b-1'), true);
+});
+
+test('users connected to different instances are paired in random chat', async () => {
+  const db = installFakeDb();
+  const [alice, bob] = await Promise.all([createUser(db), createUser(db)]);
+
+  const adapterA = adapter();
+  const adapterB = adapter();
+  const serverA = await startServer({ adapter: adapterA });
+  const serverB = await startServer({ adapter: adapterB });
+  // Servers close first and their disconnect handlers finish before the
+  // adapters go away
+  cleanup.push(() => settle(300), () => serverA.close(), () => serverB.close());
+
+  const aliceSocket = await serverA.connect(alice);
+  const bobSocket = await serverB.connect(bob);
+
+  aliceSocket.emit('random:start');
+  await aliceSocket.next('random:queued');
+  bobSocket.emit('random:start');
+
+  assert.equal((await aliceSocket.next('random:matched')).partner.id, String(bob._id));
+  assert.equal((await bobSocket.next('random:matched')).partner.id, String(alice._id));
+
+  // Relayed from instance B to the socket on instance A
+  bobSocket.emit('random:message', { text: 'hi from B' });
+  assert.equal((await aliceSocket.next('random:message')).text, 'hi from B');
+});
+
+test('two sockets queueing on different instances at once are paired with each other', { timeout: 5000 }, async () => {
+  const a = adapter();
+  const b = adapter();
+  await Promise.all([a.start(), b.start()]);
+
+  for (let i = 0; i < 20; i++) {
+    const [pairsA, pairsB] = await Promise.all([
+      a.enqueueRandom(`a-${i}`, { id: 'u1' }, { userId: 'u1' }),
+      b.enqueueRandom(`b-${i}`, { id: 'u2' }, { userId: 'u2' }),
+    ]);
+    assert.equal(pairsA.length + pairsB.length, 1);
+    assert.equal(await a.getRandomPartner(`a-${i}`), `b-${i}`);
+    await a.endRandomPair(`a-${i}`);
+  }
+});
+
+test('an instance that stops without cleaning up is swept by the others', async () => {
+  const offline = [];
+  const partnersLost = [];
+  const a = adapter({ heartbeatInterval: 50 });
+  const b = adapter({ heartbeatInterval: 50 });
+  await a.start();
+  await b.start({
+    onUsersOffline: (ids) => offline.push(...ids),
+    onRandomPartnersLost: (ids) => partnersLost.push(...ids),
+  });
+
+  await a.addSocket('u1', 'a-1');
+  await b.addSocket('u2', 'b-1');
+  await a.addSocket('u3', 'a-2');
+  const pairs = await a.enqueueRandom('a-1', { id: 'u1' }, { userId: 'u1' });
+  assert.equal(pairs.length, 0);
+  assert.equal((await b.enqueueRandom('b-1', { id: 'u2' }, { userId: 'u2' })).length, 1);
+  await a.enqueueRandom('a-2', { id: 'u3' }, { userId: 'u3' });
+
+  // No removeSocket or dequeue: as if the process died
+  await a.close();
+
+  await waitFor(() => offline.length === 2);
+  assert.deepEqual(offline.sort(), ['u1', 'u3']);
+  assert.deepEqual(partnersLost, ['b-1']);
+  assert.equal(await b.getRandomPartner('b-1'), null);
+
+  // The dead instance's waiting socket is gone from the queue
+  await b.addSocket('u4', 'b-2');
+  assert.deepEqual(await b.enqueueRandom('b-2', { id: 'u4' }, { userId: 'u4' }), []);
+});
+
+test('entries left by an instance that died before this one started are swept on start', async () => {
+  const raw = new Redis(redis.url);
+  cleanup.push(() => raw.quit());
+  await raw
+    .multi()
+    .sadd('mg:instances', 'dead')
+    .hset('mg:instance:dead:sockets', 'x-1', 'u1')
+    .sadd('mg:presence:sockets:u1', 'x-1')
+    .rpush('mg:random:queue', 'x-1')
+    .hset('mg:random:entries', 'x-1', JSON.stringify({ userId: 'u1' }))
+    .exec();
+
+  const offline = [];
+  const b = adapter();
+  await b.start({ onUsersOffline: (ids) => offline.push(...ids) });
+
+  assert.deepEqual(offline, ['u1']);
+  assert.deepEqual(await raw.lrange('mg:random:queue', 0, -1), []);
+  assert.equal(await raw.exists('mg:instance:dead:sockets', 'mg:presence:sockets:u1'), 0);
+  assert.deepEqual(await raw.smembers('mg:instances'), [b.instanceId]);
+});
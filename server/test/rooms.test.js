@@ -0,0 +1,62 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Message } from '../src/models/Message.js';
+import { Room } from '../src/models/Room.js';
+import { expireRoom } from '../src/lib/rooms.js';
+import { messagesRouter } from '../src/routes/messages.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+let db;
+let server;
+let alice;
+let room;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/messages': messagesRouter } });
+  alice = await createUser(db);
+  room = new Room({
+    name: 'Pop-up',
+    creator: alice._id,
+    isTemporary: true,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  await db.insert(room);
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+function postOverRest() {
+  return server.request('POST', `/api/messages/public/${room._id}`, { user: alice, body: { text: 'still here?' } });
+}
+
+async function postOverSocket() {
+  const socket = await server.connect(alice);
+  return socket.call('public:message', { roomId: String(room._id), text: 'still here?' });
+}
+
+test('a temporary room takes messages until it expires', async () => {
+  assert.equal((await postOverRest()).status, 201);
+  assert.equal((await postOverSocket()).ok, true);
+
+  await Room.updateOne({ _id: room._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+  assert.equal((await expireRoom({ roomId: String(room._id) })).expired, true);
+
+  const rest = await postOverRest();
+  assert.equal(rest.status, 400);
+  assert.equal(rest.body.error, 'Room has expired');
+  assert.deepEqual(await postOverSocket(), { ok: false, error: 'Room has expired' });
+  assert.equal(db.all(Message).length, 2);
+});
+
+test('a room past its expiry takes no messages before the job closes it', async () => {
+  await Room.updateOne({ _id: room._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+  assert.equal((await postOverRest()).body.error, 'Room has expired');
+  assert.equal((await postOverSocket()).error, 'Room has expired');
+  assert.equal(db.all(Message).length, 0);
+});
@@ -0,0 +1,114 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Conversation } from '../src/models/Conversation.js';
+import { Group } from '../src/models/Group.js';
+import { Message } from '../src/models/Message.js';
+import { User } from '../src/models/User.js';
+import { searchRouter } from '../src/routes/search.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+let db;
+let server;
+let alice;
+let bob;
+let carol;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/search': searchRouter } });
+  alice = await createUser(db, { displayName: 'Alice' });
+  bob = await createUser(db, { displayName: 'Bob', friends: [alice._id] });
+  carol = await createUser(db, { displayName: 'Carol' });
+  await User.updateOne({ _id: alice._id }, { $set: { friends: [bob._id] } });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+async function insertMessage(text, fields) {
+  const message = new Message({ from: bob._id, text, ...fields });
+  await db.insert(message);
+  return message;
+}
+
+function dm(text, from, to) {
+  return insertMessage(text, { kind: 'private', from: from._id, to: to._id, participants: [from._id, to._id] });
+}
+
+async function search(query, user = alice) {
+  return server.request('GET', `/api/search/messages?${new URLSearchParams(query)}`, { user });
+}
+
+async function foundTexts(query, user) {
+  const res = await search(query, user);
+  assert.equal(res.status, 200, res.body?.error);
+  return res.body.results.map((r) => r.snippet.text).sort();
+}
+
+test('search covers public rooms, DMs with friends and groups the caller is in, nothing else', async () => {
+  const ours = new Group({ name: 'Ours', creator: bob._id, members: [{ user: alice._id }, { user: bob._id }] });
+  const theirs = new Group({ name: 'Theirs', creator: carol._id, members: [{ user: carol._id }] });
+  const banned = new Group({ name: 'Banned', creator: bob._id, members: [{ user: alice._id }], bannedUsers: [alice._id] });
+  const chat = new Conversation({ participants: [bob._id, carol._id], createdBy: bob._id });
+  await db.insert(ours, theirs, banned, chat);
+
+  await insertMessage('launch in the lobby', { kind: 'public', roomId: 'lobby' });
+  await dm('launch between friends', bob, alice);
+  await insertMessage('launch in our group', { kind: 'group', groupId: ours._id, roomId: 'general' });
+  // Not hers to read
+  await dm('launch between others', bob, carol);
+  await dm('launch from a stranger', carol, alice);
+  await insertMessage('launch in their group', { kind: 'group', groupId: theirs._id });
+  await insertMessage('launch where she is banned', { kind: 'group', groupId: banned._id });
+  await insertMessage('launch in their conversation', { kind: 'conversation', conversationId: chat._id });
+  await insertMessage('launch, since deleted', { kind: 'public', roomId: 'lobby', isDeleted: true });
+
+  const res = await search({ q: 'launch' });
+  assert.deepEqual(res.body.results.map((r) => r.snippet.text).sort(), [
+    'launch between friends',
+    'launch in our group',
+    'launch in the lobby',
+  ]);
+  assert.equal(res.body.pagination.total, 3);
+
+  // Each result links back to where it was said
+  const byText = Object.fromEntries(res.body.results.map((r) => [r.snippet.text, r]));
+  assert.equal(byText['launch in the lobby'].roomId, 'lobby');
+  assert.equal(byText['launch between friends'].withUserId, String(bob._id));
+  assert.equal(byText['launch in our group'].groupId, String(ours._id));
+  assert.equal(byText['launch in our group'].groupName, 'Ours');
+  assert.deepEqual(byText['launch in our group'].snippet.highlights, [[0, 6]]);
+
+  // Carol has her group, but no friends, so none of the DMs
+  assert.deepEqual(await foundTexts({ q: 'launch' }, carol), ['launch in the lobby', 'launch in their group']);
+});
+
+test("filters narrow the results but never reach chats the caller can't read", async () => {
+  const ours = new Group({ name: 'Ours', creator: bob._id, members: [{ user: alice._id }, { user: bob._id }] });
+  const theirs = new Group({ name: 'Theirs', creator: carol._id, members: [{ user: carol._id }] });
+  await db.insert(ours, theirs);
+
+  await insertMessage('deploy in the lobby', { kind: 'public', roomId: 'lobby' });
+  await insertMessage('deploy in the kitchen', { kind: 'public', roomId: 'kitchen', from: carol._id });
+  await dm('deploy between friends', bob, alice);
+  await insertMessage('deploy in our group', { kind: 'group', groupId: ours._id });
+
+  assert.deepEqual(await foundTexts({ q: 'deploy', roomId: 'kitchen' }), ['deploy in the kitchen']);
+  assert.deepEqual(await foundTexts({ q: 'deploy', groupId: String(ours._id) }), ['deploy in our group']);
+  assert.deepEqual(await foundTexts({ q: 'deploy', withUser: String(bob._id) }), ['deploy between friends']);
+  assert.deepEqual(await foundTexts({ q: 'deploy', sender: String(carol._id) }), ['deploy in the kitchen']);
+  assert.deepEqual(await foundTexts({ q: 'deploy', kind: 'private' }), ['deploy between friends']);
+
+  for (const query of [{ groupId: String(theirs._id) }, { withUser: String(carol._id) }]) {
+    const res = await search({ q: 'deploy', ...query });
+    assert.equal(res.status, 403, JSON.stringify(query));
+    assert.equal(res.body.error, 'Access denied');
+  }
+
+  // Filtering by sender doesn't reach DMs she isn't in
+  await dm('deploy between others', carol, bob);
+  assert.deepEqual(await foundTexts({ q: 'deploy', sender: String(carol._id), kind: 'private' }), []);
+});
@@ -0,0 +1,166 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { User } from '../src/models/User.js';
+import { revokeSession, sessionResponse } from '../src/lib/sessions.js';
+import { authRouter } from '../src/routes/auth.js';
+import { sessionsRouter } from '../src/routes/sessions.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { startServer } from './support/server.js';
+
+// Verification mail from /register stays in memory
+process.env.MAIL_DRIVER = 'memory';
+
+let db;
+let server;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/auth': authRouter, '/api/sessions': sessionsRouter } });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+async function register() {
+  const res = await server.request('POST', '/api/auth/register', {
+    body: { email: 'alice@example.com', password: 'correct horse', displayName: 'Alice' },
+  });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+async function login() {
+  const res = await server.request('POST', '/api/auth/login', {
+    body: { email: 'alice@example.com', password: 'correct horse' },
+  });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+function refresh(refreshToken) {
+  return server.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+}
+
+function sessions(session) {
+  return server.request('GET', '/api/sessions', { user: session });
+}
+
+test('signing in issues a session per device', async () => {
+  const first = await register();
+  const second = await login();
+  assert.ok(first.token && first.refreshToken);
+
+  const listed = await sessions(second);
+  assert.equal(listed.status, 200);
+  assert.equal(listed.body.sessions.length, 2);
+  assert.equal(listed.body.sessions.filter((s) => s.current).length, 1);
+
+  // Only a hash of the refresh token is kept
+  const secret = second.refreshToken.split('.')[2];
+  assert.ok(db.all(User)[0].devices.every((d) => d.refreshTokenHash && d.refreshTokenHash !== secret));
+});
+
+test('a refresh rotates the token, and replaying the old one ends the session', async () => {
+  const { refreshToken } = await register();
+
+  const rotated = await refresh(refreshToken);
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refreshToken, refreshToken);
+  assert.equal((await sessions(rotated.body)).status, 200);
+
+  // Someone else kept a copy of the first token
+  const replay = await refresh(refreshToken);
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.error, 'Session expired, please sign in again');
+
+  assert.equal((await sessions(rotated.body)).status, 401);
+  assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+  assert.equal(db.all(User)[0].auditLog.at(-1).action, 'session_revoked');
+});
+
+test('signing out and revoking other devices', async () => {
+  const laptop = await register();
+  const phone = await login();
+  const tablet = await login();
+
+  // One device from another
+  const tabletId = (await sessions(tablet)).body.sessions.find((s) => s.current).id;
+  const remote = await server.request('DELETE', `/api/sessions/${tabletId}`, { user: laptop });
+  assert.equal(remote.status, 200);
+  assert.equal((await sessions(tablet)).status, 401);
+  assert.equal((await refresh(tablet.refreshToken)).status, 401);
+
+  // Everything but the current one
+  const others = await server.request('DELETE', '/api/sessions?keepCurrent=true', { user: phone });
+  assert.equal(others.body.revoked, 1);
+  assert.equal((await sessions(laptop)).status, 401);
+  assert.deepEqual((await sessions(phone)).body.sessions.map((s) => s.current), [true]);
+
+  assert.equal((await server.request('POST', '/api/auth/logout', { user: phone })).status, 200);
+  assert.equal((await sessions(phone)).status, 401);
+  assert.ok(db.all(User)[0].devices.every((d) => !d.isActive && !d.refreshTokenHash));
+});
+
+test('a sign-in with a stale copy of the user keeps changes made meanwhile', async () => {
+  const laptop = await register();
+  const stale = await User.findOne({ email: 'alice@example.com' });
+
+  // Elsewhere: the laptop refreshes, then a second device signs in and out
+  const rotated = await refresh(laptop.refreshToken);
+  const phone = await sessionResponse(stale, null);
+  const phoneSessionId = phone.refreshToken.split('.')[1];
+  assert.equal(await revokeSession(await User.findById(stale._id), phoneSessionId), true);
+
+  // A sign-in from the copy loaded before any of it
+  const tablet = await sessionResponse(stale, null);
+
+  assert.equal((await refresh(rotated.body.refreshToken)).status, 200);
+  assert.equal((await sessions(phone)).status, 401);
+  assert.equal((await sessions(tablet)).status, 200);
+  assert.equal(await revokeSession(stale, phoneSessionId), false);
+});
+
+test('the oldest sessions make room past twenty', async () => {
+  const first = await register();
+  for (let i = 0; i < 20; i++) await sessionResponse(await User.findOne({ email: 'alice@example.com' }), null);
+
+  const [user] = db.all(User);
+  assert.equal(user.devices.filter((d) => d.isActive).length, 20);
+  assert.equal((await sessions(first)).status, 401);
+});
+
+test('changing the password takes the current one and signs out other devices', async () => {
+  const laptop = await register();
+  const phone = await login();
+  const change = (body) => server.request('PUT', '/api/auth/change-password', { user: laptop, body });
+
+  assert.equal((await change({ newPassword: 'battery staple' })).status, 401);
+  assert.equal((await change({ currentPassword: 'wrong', newPassword: 'battery staple' })).status, 401);
+
+  const res = await change({ currentPassword: 'correct horse', newPassword: 'battery staple' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.revokedSessions, 1);
+  assert.equal((await sessions(phone)).status, 401);
+  assert.equal((await sessions(laptop)).status, 200);
+});
+
+test('an account from social login sets its first password without a current one', async () => {
+  await register();
+  await User.updateOne({ email: 'alice@example.com' }, { $set: { passwordSet: false } });
+  const session = await sessionResponse(await User.findOne({ email: 'alice@example.com' }), null);
+
+  const res = await server.request('PUT', '/api/auth/change-password', {
+    user: session,
+    body: { newPassword: 'battery staple' },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, 'Password set');
+  assert.equal(db.all(User)[0].passwordSet, true);
+
+  const signedIn = await server.request('POST', '/api/auth/login', {
+    body: { email: 'alice@example.com', password: 'battery staple' },
+  });
+  assert.equal(signedIn.status, 200);
+});
@@ -0,0 +1,360 @@
+import { mock } from 'node:test';
+import mongoose from 'mongoose';
+import sift from 'sift';
+
+// An in-memory stand-in for MongoDB, good enough for the queries the server
+// makes: every registered model's statics and document save/deleteOne read
+// and write plain copies kept here, matched with Mongo query syntax (sift).
+// Call installFakeDb() in a beforeEach after the modules under test are
+// imported, and mock.restoreAll() afterwards.
+
+// Anything that slips past the fake fails right away instead of waiting
+// for a connection that never comes
+mongoose.set('bufferCommands', false);
+
+function plain(doc) {
+  return doc?.toObject ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+}
+
+function sortValue(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  return value;
+}
+
+function sorter(spec) {
+  const fields =
+    typeof spec === 'string'
+      ? spec.split(/\s+/).filter(Boolean).map((f) => (f.startsWith('-') ? [f.slice(1), -1] : [f, 1]))
+      : Object.entries(spec || {});
+  return (a, b) => {
+    for (const [field, dir] of fields) {
+      const x = sortValue(a.get(field));
+      const y = sortValue(b.get(field));
+      if (x < y) return -Number(dir);
+      if (x > y) return Number(dir);
+    }
+    return 0;
+  };
+}
+
+// Mongoose's Query is chainable and thenable; so is this. Methods it doesn't
+// know about (session, setOptions, ...) are accepted and ignored.
+function fakeQuery(Model, run) {
+  const state = { populate: [], lean: false, sort: null, skip: 0, limit: 0 };
+
+  async function exec() {
+    let result = await run();
+    if (Array.isArray(result)) {
+      if (state.sort) result = [...result].sort(sorter(state.sort));
+      if (state.skip) result = result.slice(state.skip);
+      if (state.limit) result = result.slice(0, state.limit);
+    }
+    const isDocs = Array.isArray(result) ? result.every((d) => d instanceof mongoose.Document) : result instanceof mongoose.Document;
+    if (isDocs) {
+      for (const options of state.populate) {
+        if (result) await Model.populate(result, options);
+      }
+      if (state.lean) result = Array.isArray(result) ? result.map((d) => d.toObject()) : result?.toObject() ?? null;
+    }
+    return result;
+  }
+
+  const query = new Proxy(
+    {
+      populate(path, select) {
+        state.populate.push(typeof path === 'string' ? { path, select } : path);
+        return query;
+      },
+      lean(value = true) {
+        state.lean = value;
+        return query;
+      },
+      sort(spec) {
+        state.sort = spec;
+        return query;
+      },
+      skip(n) {
+        state.skip = n;
+        return query;
+      },
+      limit(n) {
+        state.limit = n;
+        return query;
+      },
+      exec,
+      then: (resolve, reject) => exec().then(resolve, reject),
+      catch: (reject) => exec().catch(reject),
+      finally: (fn) => exec().finally(fn),
+    },
+    {
+      get(target, key) {
+        if (key in target) return target[key];
+        if (typeof key === 'symbol') return undefined;
+        return () => query;
+      },
+    }
+  );
+  return query;
+}
+
+// A top-level $text stands in for a text index on `text`: a document matches
+// when it contains any of the words searched for (negated words ignored)
+function matcher(filter) {
+  const { $text, ...rest } = filter || {};
+  const test = sift(rest);
+  if (!$text) return test;
+
+  const words = String($text.$search).toLowerCase().split(/\s+/).filter((w) => w && !w.startsWith('-'));
+  return (data) => test(data) && words.some((w) => String(data.text || '').toLowerCase().includes(w));
+}
+
+// Plain equality fields of a filter, which an upsert copies into the new document
+function equalityFields(filter) {
+  return Object.fromEntries(
+    Object.entries(filter || {}).filter(
+      ([key, value]) =>
+        !key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof mongoose.Types.ObjectId)
+    )
+  );
+}
+
+// Resolves `arr.$.field` to the first element the filter matched on `arr`
+function positional(path, filter, source) {
+  if (!path.includes('.$')) return path;
+  const [arrayPath] = path.split('.$');
+  const conditions = Object.entries(filter || {})
+    .filter(([key]) => key.startsWith(`${arrayPath}.`))
+    .map(([key, value]) => [key.slice(arrayPath.length + 1), value]);
+  const elemMatch = filter?.[arrayPath]?.$elemMatch;
+  const test = elemMatch ? matcher(elemMatch) : matcher(Object.fromEntries(conditions));
+  const index = (source[arrayPath] || []).findIndex((item) => test(item));
+  if (index === -1) throw new Error(`fakeDb: positional update on ${path} matched nothing`);
+  return path.replace('.$', `.${index}`);
+}
+
+function pullMatches(item, condition) {
+  if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+    return matcher(condition)(item);
+  }
+  return String(item) === String(condition);
+}
+
+function applyUpdate(doc, update, filter, { inserting = false } = {}) {
+  const ops = Object.keys(update || {}).some((k) => k.startsWith('$')) ? update : { $set: update };
+  const source = plain(doc);
+
+  for (const [op, fields] of Object.entries(ops)) {
+    if (op === '$setOnInsert' && !inserting) continue;
+    for (const [rawPath, value] of Object.entries(fields || {})) {
+      const path = positional(rawPath, filter, source);
+      const current = doc.get(path);
+      switch (op) {
+        case '$set':
+        case '$setOnInsert':
+          doc.set(path, value);
+          break;
+        case '$unset':
+          doc.set(path, undefined);
+          break;
+        case '$inc':
+          doc.set(path, (current || 0) + value);
+          break;
+        case '$max':
+          if (current == null || value > current) doc.set(path, value);
+          break;
+        case '$min':
+          if (current == null || value < current) doc.set(path, value);
+          break;
+        case '$push': {
+          const items = value?.$each ?? [value];
+          doc.set(path, [...(current || []).map(plain), ...items]);
+          break;
+        }
+        case '$addToSet': {
+          const items = (value?.$each ?? [value]).filter((v) => !(current || []).some((c) => String(plain(c)) === String(v)));
+          doc.set(path, [...(current || []).map(plain), ...items]);
+          break;
+        }
+        case '$pull':
+          doc.set(path, (current || []).map(plain).filter((item) => !pullMatches(item, value)));
+          break;
+        default:
+          throw new Error(`fakeDb: unsupported update operator ${op}`);
+      }
+    }
+  }
+}
+
+function stampTimestamps(doc, { creating }) {
+  if (!doc.schema.options.timestamps) return;
+  const now = new Date();
+  if (creating && !doc.get('createdAt')) doc.set('createdAt', now);
+  doc.set('updatedAt', now);
+}
+
+export function installFakeDb() {
+  const collections = new Map(); // model name -> Map(id -> plain object)
+
+  function collection(Model) {
+    const name = Model.baseModelName || Model.modelName;
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  }
+
+  // A fresh document each time, so nothing handed out shares arrays with the store
+  function read(Model, data) {
+    return data ? Model.hydrate(plain(Model.hydrate(data))) : null;
+  }
+
+  function write(doc) {
+    collection(doc.constructor).set(String(doc._id), plain(doc));
+  }
+
+  function matching(Model, filter) {
+    const test = matcher(filter);
+    return [...collection(Model).values()].filter((data) => test(data));
+  }
+
+  function findDocs(Model, filter) {
+    return matching(Model, filter).map((data) => read(Model, data));
+  }
+
+  async function insert(Model, data) {
+    const doc = data instanceof Model ? data : new Model(data);
+    stampTimestamps(doc, { creating: true });
+    write(doc);
+    doc.$isNew = false;
+    return doc;
+  }
+
+  async function update(Model, filter, change, options = {}, { many = false } = {}) {
+    const found = findDocs(Model, filter);
+    const targets = many ? found : found.slice(0, 1);
+
+    if (targets.length === 0 && options.upsert) {
+      const doc = new Model(equalityFields(filter));
+      applyUpdate(doc, change, filter, { inserting: true });
+      await insert(Model, doc);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id, before: [null], after: [doc] };
+    }
+
+    let modifiedCount = 0;
+    const before = [];
+    const after = [];
+    for (const doc of targets) {
+      before.push(read(Model, plain(doc)));
+      applyUpdate(doc, change, filter);
+      if (doc.isModified()) {
+        modifiedCount += 1;
+        stampTimestamps(doc, { creating: false });
+        write(doc);
+      }
+      after.push(doc);
+    }
+    return { matchedCount: targets.length, modifiedCount, upsertedCount: 0, before, after };
+  }
+
+  function remove(Model, filter, { many = false } = {}) {
+    const found = matching(Model, filter);
+    const targets = many ? found : found.slice(0, 1);
+    for (const data of targets) collection(Model).delete(String(data._id));
+    return targets.map((data) => read(Model, data));
+  }
+
+  const writeResult = ({ matchedCount, modifiedCount, upsertedCount, upsertedId }) => ({
+    acknowledged: true,
+    matchedCount,
+    modifiedCount,
+    upsertedCount,
+    upsertedId: upsertedId ?? null,
+  });
+
+  for (const Model of Object.values(mongoose.models)) {
+    mock.method(Model, 'find', (filter) => fakeQuery(Model, () => findDocs(Model, filter)));
+    mock.method(Model, 'findOne', (filter) => fakeQuery(Model, () => findDocs(Model, filter)[0] ?? null));
+    mock.method(Model, 'findById', (id) =>
+      fakeQuery(Model, () => (mongoose.isValidObjectId(id) ? findDocs(Model, { _id: String(id) })[0] ?? null : null))
+    );
+    mock.method(Model, 'exists', (filter) =>
+      fakeQuery(Model, () => {
+        const [doc] = findDocs(Model, filter);
+        return doc ? { _id: doc._id } : null;
+      })
+    );
+    mock.method(Model, 'countDocuments', (filter) => fakeQuery(Model, () => matching(Model, filter).length));
+    mock.method(Model, 'distinct', (field, filter) =>
+      fakeQuery(Model, () => {
+        const values = findDocs(Model, filter).flatMap((d) => [].concat(d.get(field) ?? []));
+        return [...new Map(values.map((v) => [String(v), v])).values()];
+      })
+    );
+    mock.method(Model, 'aggregate', () => fakeQuery(Model, () => []));
+
+    mock.method(Model, 'create', async (data) =>
+      Array.isArray(data) ? Promise.all(data.map((d) => insert(Model, d))) : insert(Model, data)
+    );
+    mock.method(Model, 'insertMany', async (data) => Promise.all([].concat(data).map((d) => insert(Model, d))));
+
+    mock.method(Model, 'updateOne', (filter, change, options) =>
+      fakeQuery(Model, async () => writeResult(await update(Model, filter, change, options)))
+    );
+    mock.method(Model, 'updateMany', (filter, change, options) =>
+      fakeQuery(Model, async () => writeResult(await update(Model, filter, change, options, { many: true })))
+    );
+    const findAndUpdate = (filter, change, options = {}) =>
+      fakeQuery(Model, async () => {
+        const result = await update(Model, filter, change, options);
+        const returnNew = options.new || options.returnDocument === 'after';
+        return (returnNew ? result.after[0] : result.before[0]) ?? null;
+      });
+    mock.method(Model, 'findOneAndUpdate', findAndUpdate);
+    mock.method(Model, 'findByIdAndUpdate', (id, change, options) => findAndUpdate({ _id: String(id) }, change, options));
+
+    mock.method(Model, 'deleteOne', (filter) =>
+      fakeQuery(Model, () => ({ acknowledged: true, deletedCount: remove(Model, filter).length }))
+    );
+    mock.method(Model, 'deleteMany', (filter) =>
+      fakeQuery(Model, () => ({ acknowledged: true, deletedCount: remove(Model, filter, { many: true }).length }))
+    );
+    mock.method(Model, 'findOneAndDelete', (filter) => fakeQuery(Model, () => remove(Model, filter)[0] ?? null));
+    mock.method(Model, 'findByIdAndDelete', (id) => fakeQuery(Model, () => remove(Model, { _id: String(id) })[0] ?? null));
+  }
+
+  // Like Mongoose, saving an existing document only writes the paths it
+  // changed, so it doesn't undo updates made since it was loaded
+  mock.method(mongoose.Model.prototype, 'save', async function save() {
+    const Model = this.constructor;
+    const stored = collection(Model).get(String(this._id));
+    stampTimestamps(this, { creating: this.$isNew });
+    if (this.$isNew || !stored) {
+      write(this);
+    } else {
+      const merged = read(Model, stored);
+      for (const path of this.directModifiedPaths()) merged.set(path, plain(this.get(path)));
+      write(merged);
+    }
+    // What Mongoose does after a save: nothing counts as changed any more
+    this.$__reset();
+    this.$isNew = false;
+    return this;
+  });
+  mock.method(mongoose.Model.prototype, 'deleteOne', function deleteOne() {
+    const Model = this.constructor;
+    return fakeQuery(Model, () => ({ acknowledged: true, deletedCount: remove(Model, { _id: String(this._id) }).length }));
+  });
+
+  return {
+    // Saves documents straight into the store, e.g. fixtures
+    async insert(...docs) {
+      return Promise.all(docs.map((doc) => insert(doc.constructor, doc)));
+    },
+    // A fresh copy of what is stored, or null
+    async get(Model, id) {
+      return read(Model, collection(Model).get(String(id)));
+    },
+    all(Model) {
+      return [...collection(Model).values()].map((data) => read(Model, data));
+    },
+  };
+}
@@ -0,0 +1,289 @@
+import net from 'node:net';
+
+// A small in-process server speaking the Redis protocol (RESP2), with just
+// the commands the Redis socket adapter and @socket.io/redis-adapter use:
+// strings with PX expiry, sets, hashes, lists, MULTI/EXEC and pub/sub.
+// Values are kept as latin1 strings so binary pub/sub payloads round-trip.
+
+const CRLF = '\r\n';
+
+function encode(value) {
+  if (value === null || value === undefined) return `$-1${CRLF}`;
+  if (value instanceof Error) return `-${value.message}${CRLF}`;
+  if (typeof value === 'number') return `:${value}${CRLF}`;
+  if (value?.status) return `+${value.status}${CRLF}`;
+  if (Array.isArray(value)) return `*${value.length}${CRLF}${value.map(encode).join('')}`;
+  const s = String(value);
+  return `$${Buffer.byteLength(s, 'latin1')}${CRLF}${s}${CRLF}`;
+}
+
+const OK = { status: 'OK' };
+
+// Parses complete `*<n>` arrays of bulk strings off the front of `buffer`;
+// returns [commands, rest]
+function parse(buffer) {
+  const commands = [];
+  let offset = 0;
+  for (;;) {
+    const start = offset;
+    if (buffer[offset] !== 0x2a) break; // '*'
+    let end = buffer.indexOf(CRLF, offset);
+    if (end === -1) break;
+    const count = Number(buffer.toString('latin1', offset + 1, end));
+    offset = end + 2;
+    const args = [];
+    for (let i = 0; i < count; i += 1) {
+      end = buffer.indexOf(CRLF, offset);
+      if (end === -1) break;
+      const length = Number(buffer.toString('latin1', offset + 1, end));
+      if (buffer.length < end + 2 + length + 2) break;
+      args.push(buffer.toString('latin1', end + 2, end + 2 + length));
+      offset = end + 2 + length + 2;
+    }
+    if (args.length < count) {
+      offset = start;
+      break;
+    }
+    commands.push(args);
+  }
+  return [commands, buffer.subarray(offset)];
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 's');
+}
+
+export async function startRedisStandIn() {
+  const data = new Map(); // key -> { value, expiresAt }
+  const clients = new Set();
+
+  function entry(key) {
+    const found = data.get(key);
+    if (found?.expiresAt && found.expiresAt <= Date.now()) {
+      data.delete(key);
+      return undefined;
+    }
+    return found;
+  }
+
+  function get(key, make) {
+    let found = entry(key);
+    if (!found && make) {
+      found = { value: make() };
+      data.set(key, found);
+    }
+    return found?.value;
+  }
+
+  // Empty sets, hashes and lists disappear, as in Redis
+  function tidy(key) {
+    const value = entry(key)?.value;
+    if (value && typeof value === 'object' && (value.size ?? value.length) === 0) data.delete(key);
+  }
+
+  const commands = {
+    ping: () => ({ status: 'PONG' }),
+    info: () => 'redis_version:7.2.0\r\nloading:0\r\n',
+    client: () => OK,
+    select: () => OK,
+
+    set(key, value, ...options) {
+      const upper = options.map((o) => o.toUpperCase());
+      if (upper.includes('NX') && entry(key)) return null;
+      const px = upper.indexOf('PX');
+      const ex = upper.indexOf('EX');
+      const ttl = px >= 0 ? Number(options[px + 1]) : ex >= 0 ? Number(options[ex + 1]) * 1000 : 0;
+      data.set(key, { value, expiresAt: ttl ? Date.now() + ttl : 0 });
+      return OK;
+    },
+    get: (key) => get(key) ?? null,
+    del: (...keys) => keys.filter((k) => entry(k) && data.delete(k)).length,
+    exists: (...keys) => keys.filter((k) => entry(k)).length,
+
+    sadd(key, ...members) {
+      const set = get(key, () => new Set());
+      const before = set.size;
+      members.forEach((m) => set.add(m));
+      return set.size - before;
+    },
+    srem(key, ...members) {
+      const set = get(key);
+      if (!set) return 0;
+      const removed = members.filter((m) => set.delete(m)).length;
+      tidy(key);
+      return removed;
+    },
+    scard: (key) => get(key)?.size ?? 0,
+    smembers: (key) => [...(get(key) ?? [])],
+    sismember: (key, member) => (get(key)?.has(member) ? 1 : 0),
+
+    hset(key, ...pairs) {
+      const hash = get(key, () => new Map());
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        if (!hash.has(pairs[i])) added += 1;
+        hash.set(pairs[i], pairs[i + 1]);
+      }
+      return added;
+    },
+    hsetnx(key, field, value) {
+      const hash = get(key, () => new Map());
+      if (hash.has(field)) return 0;
+      hash.set(field, value);
+      return 1;
+    },
+    hget: (key, field) => get(key)?.get(field) ?? null,
+    hmget: (key, ...fields) => fields.map((f) => get(key)?.get(f) ?? null),
+    hgetall: (key) => [...(get(key) ?? new Map())].flat(),
+    hdel(key, ...fields) {
+      const hash = get(key);
+      if (!hash) return 0;
+      const removed = fields.filter((f) => hash.delete(f)).length;
+      tidy(key);
+      return removed;
+    },
+
+    rpush(key, ...values) {
+      const list = get(key, () => []);
+      list.push(...values);
+      return list.length;
+    },
+    lrange(key, start, stop) {
+      const list = get(key) ?? [];
+      const s = Number(start) < 0 ? list.length + Number(start) : Number(start);
+      const e = Number(stop) < 0 ? list.length + Number(stop) : Number(stop);
+      return list.slice(Math.max(0, s), e + 1);
+    },
+    lrem(key, count, value) {
+      const list = get(key);
+      if (!list) return 0;
+      let limit = Number(count) === 0 ? Infinity : Math.abs(Number(count));
+      let removed = 0;
+      for (let i = 0; i < list.length && limit > 0; ) {
+        if (list[i] === value) {
+          list.splice(i, 1);
+          removed += 1;
+          limit -= 1;
+        } else {
+          i += 1;
+        }
+      }
+      tidy(key);
+      return removed;
+    },
+
+    publish(channel, message) {
+      let receivers = 0;
+      for (const client of clients) {
+        if (client.channels.has(channel)) {
+          client.write(['message', channel, message]);
+          receivers += 1;
+        }
+        for (const pattern of client.patterns) {
+          if (globToRegExp(pattern).test(channel)) {
+            client.write(['pmessage', pattern, channel, message]);
+            receivers += 1;
+          }
+        }
+      }
+      return receivers;
+    },
+    pubsub(sub, ...channels) {
+      if (sub.toUpperCase() !== 'NUMSUB') return new Error('ERR unsupported PUBSUB subcommand');
+      return channels.flatMap((c) => [c, [...clients].filter((cl) => cl.channels.has(c)).length]);
+    },
+  };
+
+  function subscription(client, kind, names, list) {
+    const targets = names.length ? names : [...list];
+    return targets.map((name) => {
+      if (kind.startsWith('un') || kind.startsWith('pun')) list.delete(name);
+      else list.add(name);
+      return [kind, name, client.channels.size + client.patterns.size];
+    });
+  }
+
+  function run(client, [name, ...args]) {
+    const command = name.toLowerCase();
+
+    if (command === 'subscribe' || command === 'unsubscribe') {
+      return { replies: subscription(client, command, args, client.channels) };
+    }
+    if (command === 'psubscribe' || command === 'punsubscribe') {
+      return { replies: subscription(client, command, args, client.patterns) };
+    }
+    if (command === 'multi') {
+      client.queue = [];
+      return OK;
+    }
+    if (command === 'exec') {
+      const queued = client.queue || [];
+      client.queue = null;
+      return queued.map((c) => run(client, c));
+    }
+    if (command === 'discard') {
+      client.queue = null;
+      return OK;
+    }
+    if (client.queue) {
+      client.queue.push([name, ...args]);
+      return { status: 'QUEUED' };
+    }
+    if (command === 'quit') {
+      client.quitting = true;
+      return OK;
+    }
+
+    const handler = commands[command];
+    if (!handler) return new Error(`ERR unknown command '${name}'`);
+    try {
+      return handler(...args);
+    } catch (error) {
+      return new Error(`ERR ${error.message}`);
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    let pending = Buffer.alloc(0);
+    const client = {
+      channels: new Set(),
+      patterns: new Set(),
+      queue: null,
+      quitting: false,
+      write(value) {
+        if (!socket.destroyed) socket.write(Buffer.from(encode(value), 'latin1'));
+      },
+    };
+    clients.add(client);
+
+    socket.on('data', (chunk) => {
+      const [parsed, rest] = parse(Buffer.concat([pending, chunk]));
+      pending = rest;
+      for (const args of parsed) {
+        const result = run(client, args);
+        if (result?.replies) result.replies.forEach((r) => client.write(r));
+        else client.write(result);
+        if (client.quitting) socket.end();
+      }
+    });
+    socket.on('close', () => clients.delete(client));
+    socket.on('error', () => clients.delete(client));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    data,
+    async close() {
+      for (const socket of sockets) socket.destroy();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
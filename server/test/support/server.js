@@ -0,0 +1,121 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+import express from 'express';
+import { io as connectSocket } from 'socket.io-client';
+
+import { User } from '../../src/models/User.js';
+import { signToken } from '../../src/lib/auth.js';
+import { setRealtimeServer } from '../../src/lib/realtime.js';
+import { attachSocketServer } from '../../src/socket/index.js';
+import { createMemoryAdapter } from '../../src/socket/adapters/memory.js';
+
+process.env.JWT_SECRET ||= 'test-secret';
+
+// Routes and services log progress to the console; tests don't need that
+console.log = () => {};
+
+let counter = 0;
+
+// A user with one active device session, saved through `db`, and an access
+// token for that session
+export async function createUser(db, fields = {}) {
+  counter += 1;
+  const sessionId = crypto.randomUUID();
+  const user = new User({
+    email: `user${counter}@example.test`,
+    passwordHash: 'x',
+    displayName: `User ${counter}`,
+    devices: [{ deviceId: sessionId, deviceType: 'web' }],
+    ...fields,
+  });
+  await db.insert(user);
+  return Object.assign(user, { token: signToken(user, sessionId) });
+}
+
+// Express with the given routers plus the real socket server on a free
+// port, wired up the way index.js does it
+export async function startServer({ routes = {}, adapter = createMemoryAdapter() } = {}) {
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of Object.entries(routes)) app.use(path, router);
+
+  const server = http.createServer(app);
+  const io = attachSocketServer(server, { clientOrigin: '*', adapter });
+  setRealtimeServer(io);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const sockets = [];
+
+  return {
+    url,
+    io,
+
+    async request(method, path, { user, body } = {}) {
+      const res = await fetch(`${url}${path}`, {
+        method,
+        headers: {
+          'content-type': 'application/json',
+          ...(user ? { authorization: `Bearer ${user.token}` } : {}),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const text = await res.text();
+      return { status: res.status, body: text ? JSON.parse(text) : null };
+    },
+
+    // A connected socket client signed in as `user`
+    async connect(user) {
+      const socket = connectSocket(url, { auth: { token: user.token }, transports: ['websocket'], forceNew: true });
+      sockets.push(socket);
+      await new Promise((resolve, reject) => {
+        socket.once('connect', resolve);
+        socket.once('connect_error', reject);
+      });
+      return recording(socket);
+    },
+
+    async close() {
+      for (const socket of sockets) socket.disconnect();
+      setRealtimeServer(null);
+      await new Promise((resolve) => io.close(() => resolve()));
+    },
+  };
+}
+
+// Keeps every event a socket receives so tests can ask what arrived
+function recording(socket) {
+  const received = [];
+  socket.onAny((event, ...args) => received.push({ event, payload: args[0] }));
+
+  return Object.assign(socket, {
+    received,
+
+    // Emits and resolves with the ack
+    call(event, payload) {
+      return new Promise((resolve) => socket.emit(event, payload, resolve));
+    },
+
+    // Resolves with the payload of the first `event`, already received or not
+    next(event, { timeout = 2000 } = {}) {
+      const seen = received.find((r) => r.event === event);
+      if (seen) return Promise.resolve(seen.payload);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${event} within ${timeout}ms`)), timeout);
+        socket.on(event, (payload) => {
+          clearTimeout(timer);
+          resolve(payload);
+        });
+      });
+    },
+
+    got(event) {
+      return received.some((r) => r.event === event);
+    },
+  });
+}
+
+// Events travel over real sockets; a short pause lets anything that was
+// going to arrive get there before asserting that it didn't
+export function settle(ms = 100) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,103 @@
+import crypto from 'node:crypto';
+
+// A software passkey: answers navigator.credentials.create()/get() options
+// the way a browser and authenticator would, with "none" attestation and an
+// ES256 key, so the WebAuthn routes can be driven end to end. Responses come
+// back in the JSON shape the client posts (binary fields base64url).
+
+function head(major, length) {
+  if (length < 24) return Buffer.from([(major << 5) | length]);
+  if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+  const buffer = Buffer.alloc(3);
+  buffer[0] = (major << 5) | 25;
+  buffer.writeUInt16BE(length, 1);
+  return buffer;
+}
+
+// Just the CBOR the server reads: small integers, strings, bytes and maps
+function encodeCbor(value) {
+  if (Number.isInteger(value)) return value >= 0 ? head(0, value) : head(1, -1 - value);
+  if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    return Buffer.concat([head(5, value.size), ...[...value].flatMap(([k, v]) => [encodeCbor(k), encodeCbor(v)])]);
+  }
+  throw new Error(`softAuthenticator: can't encode ${value}`);
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+const b64 = (data) => Buffer.from(data).toString('base64url');
+
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_AT = 0x40;
+
+export function createSoftAuthenticator({ origin }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(16);
+  let signCount = 0;
+
+  function authenticatorData(rpId, flags, extra = Buffer.alloc(0)) {
+    const count = Buffer.alloc(4);
+    count.writeUInt32BE(signCount);
+    return Buffer.concat([sha256(rpId), Buffer.from([flags]), count, extra]);
+  }
+
+  function clientData(type, challenge, overrides) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin: overrides.origin ?? origin, crossOrigin: false }));
+  }
+
+  return {
+    credentialId: b64(credentialId),
+
+    // Answers registration options. `overrides` may set origin or rpId.
+    create(options, overrides = {}) {
+      const jwk = publicKey.export({ format: 'jwk' });
+      const coseKey = new Map([
+        [1, 2], // kty: EC2
+        [3, -7], // alg: ES256
+        [-1, 1], // crv: P-256
+        [-2, Buffer.from(jwk.x, 'base64url')],
+        [-3, Buffer.from(jwk.y, 'base64url')],
+      ]);
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const attested = Buffer.concat([Buffer.alloc(16), idLength, credentialId, encodeCbor(coseKey)]);
+      const authData = authenticatorData(overrides.rpId ?? options.rp.id, FLAG_UP | FLAG_UV | FLAG_AT, attested);
+
+      return {
+        id: b64(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: b64(clientData('webauthn.create', options.challenge, overrides)),
+          attestationObject: b64(encodeCbor(new Map([['fmt', 'none'], ['attStmt', new Map()], ['authData', authData]]))),
+          transports: ['internal'],
+        },
+      };
+    },
+
+    // Answers authentication options, counting up like a real authenticator.
+    // `overrides` may set origin, rpId, signCount, or corrupt the signature.
+    get(options, overrides = {}) {
+      signCount = overrides.signCount ?? signCount + 1;
+      const authData = authenticatorData(overrides.rpId ?? options.rpId, FLAG_UP | FLAG_UV);
+      const data = clientData('webauthn.get', options.challenge, overrides);
+      const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(data)]), privateKey);
+      if (overrides.badSignature) signature[signature.length - 1] ^= 0xff;
+
+      return {
+        id: b64(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: b64(data),
+          authenticatorData: b64(authData),
+          signature: b64(signature),
+          userHandle: null,
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,95 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import speakeasy from 'speakeasy';
+
+import { User } from '../src/models/User.js';
+import { twoFactorRouter } from '../src/routes/twoFactor.js';
+import { signInResponse } from '../src/lib/sessions.js';
+import { hashBackupCode } from '../src/lib/twoFactor.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+
+let db;
+let server;
+let user;
+let secret;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/2fa': twoFactorRouter } });
+  secret = speakeasy.generateSecret().base32;
+  user = await createUser(db, {
+    twoFactorEnabled: true,
+    twoFactorSecret: secret,
+    backupCodes: ['AAAA-1111', 'BBBB-2222'].map(hashBackupCode),
+  });
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+// What the password step hands the client
+async function challenge() {
+  const response = await signInResponse(await User.findById(user._id), {});
+  return response.challengeToken;
+}
+
+function code(offsetSteps = 0) {
+  return speakeasy.totp({ secret, encoding: 'base32', time: Math.floor(Date.now() / 1000) + offsetSteps * 30 });
+}
+
+test('a TOTP code works once', async () => {
+  const token = code();
+  const first = await server.request('POST', '/api/2fa/verify', { body: { challengeToken: await challenge(), token } });
+  assert.equal(first.status, 200);
+  assert.ok(first.body.token);
+
+  const replay = await server.request('POST', '/api/2fa/verify', { body: { challengeToken: await challenge(), token } });
+  assert.equal(replay.status, 400);
+
+  // Nor does a code from an earlier step still inside the drift window
+  const older = await server.request('POST', '/api/2fa/verify', {
+    body: { challengeToken: await challenge(), token: code(-1) },
+  });
+  assert.equal(older.status, 400);
+});
+
+test('a challenge token is exchanged for one session only', async () => {
+  const challengeToken = await challenge();
+  const wrong = await server.request('POST', '/api/2fa/verify', { body: { challengeToken, token: '000000' } });
+  // A mistyped code can be retried with the same challenge
+  assert.equal(wrong.status, 400);
+
+  assert.equal((await server.request('POST', '/api/2fa/verify', { body: { challengeToken, token: code() } })).status, 200);
+  const again = await server.request('POST', '/api/2fa/verify', { body: { challengeToken, token: code(1) } });
+  assert.equal(again.status, 401);
+});
+
+test('only the latest challenge can be exchanged', async () => {
+  const stale = await challenge();
+  await challenge();
+  const res = await server.request('POST', '/api/2fa/verify', { body: { challengeToken: stale, token: code() } });
+  assert.equal(res.status, 401);
+});
+
+test('a backup code is used up once, even by racing requests', async () => {
+  const challengeToken = await challenge();
+  const results = await Promise.all(
+    [1, 2, 3].map(() => server.request('POST', '/api/2fa/backup-code', { body: { challengeToken, code: 'aaaa1111' } }))
+  );
+
+  const succeeded = results.filter((r) => r.status === 200);
+  assert.equal(succeeded.length, 1);
+  assert.equal(succeeded[0].body.remainingCodes, 1);
+
+  const stored = await db.get(User, user._id);
+  assert.deepEqual(stored.backupCodes, [hashBackupCode('BBBB-2222')]);
+  assert.equal(stored.auditLog.filter((e) => e.action === 'backup_code_used').length, 1);
+
+  const reused = await server.request('POST', '/api/2fa/backup-code', {
+    body: { challengeToken: await challenge(), code: 'AAAA-1111' },
+  });
+  assert.equal(reused.status, 400);
+});
@@ -0,0 +1,112 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { User } from '../src/models/User.js';
+import { webauthnRouter } from '../src/routes/webauthn.js';
+import { installFakeDb } from './support/fakeDb.js';
+import { createUser, startServer } from './support/server.js';
+import { createSoftAuthenticator } from './support/softAuthenticator.js';
+
+const ORIGIN = 'https://meet.example';
+process.env.WEBAUTHN_ORIGIN = ORIGIN;
+
+let db;
+let server;
+let user;
+let authenticator;
+
+beforeEach(async () => {
+  db = installFakeDb();
+  server = await startServer({ routes: { '/api/webauthn': webauthnRouter } });
+  user = await createUser(db);
+  authenticator = createSoftAuthenticator({ origin: ORIGIN });
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+async function register(overrides) {
+  const { body } = await server.request('POST', '/api/webauthn/register/options', { user });
+  const credential = authenticator.create(body.options, overrides);
+  return server.request('POST', '/api/webauthn/register', { user, body: { name: 'Laptop', credential } });
+}
+
+async function signIn(overrides) {
+  const { body } = await server.request('POST', '/api/webauthn/login/options');
+  const credential = authenticator.get(body.options, overrides);
+  return server.request('POST', '/api/webauthn/login', { body: { credential } });
+}
+
+test('a registered passkey signs its owner in and its counter is kept', async () => {
+  const registered = await register();
+  assert.equal(registered.status, 201);
+  assert.equal(registered.body.passkey.name, 'Laptop');
+
+  const first = await signIn();
+  assert.equal(first.status, 200);
+  assert.equal(first.body.user.id, String(user._id));
+  assert.ok(first.body.token);
+
+  assert.equal((await signIn()).status, 200);
+  const [passkey] = (await db.get(User, user._id)).passkeys;
+  assert.equal(passkey.credentialId, authenticator.credentialId);
+  assert.equal(passkey.signCount, 2);
+});
+
+test('registration from another origin or for another RP id is refused', async () => {
+  const otherOrigin = await register({ origin: 'https://evil.example' });
+  assert.equal(otherOrigin.status, 400);
+  assert.equal(otherOrigin.body.error, 'Passkey response is for another site');
+
+  const otherRp = await register({ rpId: 'evil.example' });
+  assert.equal(otherRp.status, 400);
+  assert.equal(otherRp.body.error, 'Passkey was created for another site');
+
+  assert.equal((await db.get(User, user._id)).passkeys.length, 0);
+});
+
+test('an assertion with a bad signature is refused', async () => {
+  await register();
+  const res = await signIn({ badSignature: true });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, 'Passkey signature is invalid');
+});
+
+test('an assertion from another origin or for another RP id is refused', async () => {
+  await register();
+
+  const otherOrigin = await signIn({ origin: 'https://evil.example' });
+  assert.equal(otherOrigin.status, 400);
+  assert.equal(otherOrigin.body.error, 'Passkey response is for another site');
+
+  const otherRp = await signIn({ rpId: 'evil.example' });
+  assert.equal(otherRp.status, 401);
+  assert.equal(otherRp.body.error, 'Passkey is for another site');
+});
+
+test('a sign count that does not go up is refused as a possible clone', async () => {
+  await register();
+  assert.equal((await signIn({ signCount: 5 })).status, 200);
+
+  for (const signCount of [5, 3]) {
+    const res = await signIn({ signCount });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'This passkey may have been cloned and was refused');
+  }
+
+  const stored = await db.get(User, user._id);
+  assert.equal(stored.passkeys[0].signCount, 5);
+  assert.equal(stored.auditLog.filter((e) => e.action === 'passkey_counter_mismatch').length, 2);
+});
+
+test('an assertion can only be used once', async () => {
+  await register();
+  const { body } = await server.request('POST', '/api/webauthn/login/options');
+  const credential = authenticator.get(body.options);
+
+  assert.equal((await server.request('POST', '/api/webauthn/login', { body: { credential } })).status, 200);
+  const replay = await server.request('POST', '/api/webauthn/login', { body: { credential } });
+  assert.equal(replay.status, 400);
+});
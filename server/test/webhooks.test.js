@@ -0,0 +1,88 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'node:dns';
+import http from 'node:http';
+
+import { checkWebhookUrl, isPrivateAddress, isWebhookUrl, postWebhook, WebhookTargetError } from '../src/lib/webhooks.js';
+
+const EVENT = { id: 'evt_1', type: 'webhook.test' };
+
+let receiver;
+let received;
+let lookup;
+
+beforeEach(async () => {
+  received = 0;
+  receiver = http.createServer((req, res) => {
+    received += 1;
+    req.resume();
+    res.end('ok');
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  lookup = null;
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+  delete process.env.NODE_ENV;
+  await new Promise((resolve) => receiver.close(resolve));
+});
+
+// Makes every name resolve to `address`
+function resolveTo(address) {
+  lookup ??= mock.method(dns, 'lookup', (hostname, options, callback) => {
+    const resolved = lookup.address;
+    const family = resolved.includes(':') ? 6 : 4;
+    if (options.all) callback(null, [{ address: resolved, family }]);
+    else callback(null, resolved, family);
+  });
+  lookup.address = address;
+}
+
+test('loopback, link-local and private addresses are refused', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '2606:2800:220:1::1']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+
+  assert.equal(isWebhookUrl('http://127.0.0.1:8080/hook'), false);
+  assert.equal(isWebhookUrl('https://[::1]/hook'), false);
+  assert.equal(isWebhookUrl('https://169.254.169.254/latest/meta-data'), false);
+  assert.equal(isWebhookUrl('https://localhost/hook'), false);
+  assert.equal(isWebhookUrl('https://hooks.example.com/x'), true);
+});
+
+test('a host name that resolves to a private address is refused when saved', async () => {
+  resolveTo('10.0.0.5');
+  assert.equal(await checkWebhookUrl('https://internal.example.com/hook'), 'Must not point to a private or local address');
+
+  resolveTo('93.184.216.34');
+  assert.equal(await checkWebhookUrl('https://hooks.example.com/hook'), '');
+});
+
+test('every delivery checks the address it connects to', async () => {
+  // Passed the check when saved, now points at the local receiver
+  resolveTo('127.0.0.1');
+  const url = `http://rebound.example.com:${receiver.address().port}/hook`;
+
+  await assert.rejects(postWebhook(url, 'secret', EVENT), WebhookTargetError);
+  await assert.rejects(postWebhook(`http://127.0.0.1:${receiver.address().port}/hook`, 'secret', EVENT), WebhookTargetError);
+  assert.equal(received, 0);
+
+  process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = '1';
+  const { status } = await postWebhook(url, 'secret', EVENT);
+  assert.equal(status, 200);
+  assert.equal(received, 1);
+});
+
+test('plain http is refused in production', async () => {
+  assert.equal(isWebhookUrl('http://hooks.example.com/x'), true);
+
+  process.env.NODE_ENV = 'production';
+  assert.equal(isWebhookUrl('http://hooks.example.com/x'), false);
+  assert.equal(await checkWebhookUrl('http://hooks.example.com/x'), 'Must be an https URL');
+  await assert.rejects(postWebhook('http://hooks.example.com/x', 'secret', EVENT), WebhookTargetError);
+});
@@ -0,0 +1,59 @@
+import http from 'http';
+import crypto from 'crypto';
+
+// A local endpoint for trying group and bot webhooks. Run
+// `npm run webhook-receiver`, start the server with
+// WEBHOOK_ALLOW_PRIVATE_HOSTS=1 (webhooks are otherwise never sent to local
+// addresses), point a webhook at http://localhost:4020/hook and pass its
+// signing secret to check signatures:
+//
+//   WEBHOOK_SECRET=whsec_... npm run webhook-receiver
+//
+// Every request is printed with whether its signature holds. Set
+// WEBHOOK_FAIL=1 to answer 500 and watch the retries in the delivery log.
+
+const PORT = Number(process.env.WEBHOOK_RECEIVER_PORT || 4020);
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const FAIL = process.env.WEBHOOK_FAIL === '1';
+const MAX_AGE = 5 * 60; // seconds a signed timestamp stays acceptable
+
+function checkSignature(req, body) {
+  if (!SECRET) return 'not checked (no WEBHOOK_SECRET)';
+
+  const timestamp = Number(req.headers['x-webhook-timestamp']);
+  const signature = String(req.headers['x-webhook-signature'] || '');
+  const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+
+  const valid = signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  if (!valid) return 'INVALID';
+  if (Math.abs(Date.now() / 1000 - timestamp) > MAX_AGE) return 'valid but too old';
+  return 'valid';
+}
+
+http
+  .createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const signature = checkSignature(req, body);
+      let event = body;
+      try {
+        event = JSON.stringify(JSON.parse(body), null, 2);
+      } catch {
+        // not JSON, print as is
+      }
+
+      console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+      console.log(`  event: ${req.headers['x-webhook-event'] || '-'} (${req.headers['x-webhook-id'] || '-'})`);
+      console.log(`  signature: ${signature}`);
+      console.log(event);
+
+      res.writeHead(FAIL ? 500 : signature === 'INVALID' ? 401 : 204);
+      res.end();
+    });
+  })
+  .listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}${FAIL ? ' (answering 500)' : ''}`);
+  });